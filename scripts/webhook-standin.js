@@ -0,0 +1,57 @@
+/**
+ * Webhook stand-in — a local endpoint for testing alert notifications.
+ *
+ * Prints every POST it receives (webhook channels, the email relay) and
+ * answers 200, with CORS so the dashboard can reach it from the dev server.
+ * Point a channel at http://localhost:8787/webhook or /email and use "Send
+ * test" in Settings → Notifications.
+ *
+ *   npm run webhook:standin            # port 8787
+ *   PORT=9000 npm run webhook:standin
+ *   FAIL=1 npm run webhook:standin     # answer 500, to see failed deliveries
+ */
+/* global process */
+import http from "node:http";
+
+const PORT = Number(process.env.PORT) || 8787;
+const FAIL = process.env.FAIL === "1";
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+let received = 0;
+
+const server = http.createServer((req, res) => {
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, CORS);
+    res.end();
+    return;
+  }
+  if (req.method !== "POST") {
+    res.writeHead(405, CORS);
+    res.end();
+    return;
+  }
+
+  let body = "";
+  req.on("data", (chunk) => { body += chunk; });
+  req.on("end", () => {
+    received += 1;
+    let printed = body;
+    try {
+      printed = JSON.stringify(JSON.parse(body), null, 2);
+    } catch {
+      // not JSON — print as received
+    }
+    console.log(`\n#${received} ${new Date().toISOString()} POST ${req.url}\n${printed}`);
+    res.writeHead(FAIL ? 500 : 200, { ...CORS, "Content-Type": "application/json" });
+    res.end(JSON.stringify({ ok: !FAIL, received }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook stand-in listening on http://localhost:${PORT}${FAIL ? " (answering 500)" : ""}`);
+});
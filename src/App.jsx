@@ -2,7 +2,8 @@
  * Fabrix Fleet Management System — Root Application
  *
  * Wraps the app in Auth + Device context providers and handles
- * top-level routing between Dashboard, Analysis, and Settings pages.
+ * top-level routing between Dashboard, Tasks, Schedule, Maintenance, Alerts, Analysis, Diagnostics and
+ * Settings pages.
  * Authentication state drives loading / error screens.
  *
  * @module App
@@ -14,7 +15,12 @@ import Header from './components/layout/Header';
 import Sidebar from './components/layout/Sidebar';
 import Dashboard from './pages/Dashboard';
 import Analysis from './pages/Analysis';
+import Tasks from './pages/Tasks';
+import Schedule from './pages/Schedule';
+import Maintenance from './pages/Maintenance';
+import Alerts from './pages/Alerts';
 import Settings from './pages/Settings';
+import Diagnostics from './pages/Diagnostics';
 
 /* ------------------------------------------------------------------ */
 /*  Loading Screen — shown during initial authentication              */
@@ -78,7 +84,7 @@ function ErrorScreen({ error, onRetry }) {
 /* ------------------------------------------------------------------ */
 
 /** Valid tab identifiers for navigation. */
-const VALID_TABS = ['dashboard', 'analysis', 'settings'];
+const VALID_TABS = ['dashboard', 'tasks', 'schedule', 'maintenance', 'alerts', 'analysis', 'diagnostics', 'settings'];
 
 function AppContent() {
   const { isLoading: authLoading, isAuthenticated, error: authError, performLogin } = useAuth();
@@ -104,7 +110,12 @@ function AppContent() {
   /** Render the active page based on the selected tab. */
   const renderPage = () => {
     switch (activeTab) {
+      case 'tasks':    return <Tasks />;
+      case 'schedule': return <Schedule />;
+      case 'maintenance': return <Maintenance />;
+      case 'alerts':   return <Alerts />;
       case 'analysis': return <Analysis />;
+      case 'diagnostics': return <Diagnostics />;
       case 'settings': return <Settings />;
       default:         return <Dashboard />;
     }
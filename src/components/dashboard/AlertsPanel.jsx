@@ -1,16 +1,43 @@
 /**
- * AlertsPanel — Displays active critical and warning alerts.
+ * AlertsPanel — Lists alerts by lifecycle state and handles them.
  *
- * Renders a scrollable list with dismiss and clear-all actions.
+ * Filter tabs for active, acknowledged, snoozed and resolved alerts; each
+ * open alert can be acknowledged (by name, with a comment), assigned to an
+ * operator, snoozed or resolved by hand (utils/alertLifecycle.js).
+ * Each entry is an incident: alerts with the same root cause are grouped
+ * into it (utils/alertGrouping.js) and shown as a count with the latest one.
  * Alerts are sourced from the DeviceContext.
  *
  * @module AlertsPanel
  */
-import { AlertTriangle, Bell, X, CheckCircle } from 'lucide-react';
+import { useState, useEffect } from 'react';
+import { AlertTriangle, Bell, X, CheckCircle, Check, UserPlus, CircleCheckBig } from 'lucide-react';
 import { useDevice } from '../../contexts/DeviceContext';
+import {
+    ALERT_STATES, ALERT_STATE_LABELS, ALERT_FILTERS, SNOOZE_MINUTES,
+    alertState, filterAlerts, countAlertStates, loadOperatorName
+} from '../../utils/alertLifecycle';
+
+const FILTER_LABELS = { all: 'All', ...ALERT_STATE_LABELS };
 
 function AlertsPanel() {
-    const { alerts, clearAlert, clearAllAlerts } = useDevice();
+    const {
+        alerts: allAlerts, clearAlert, clearAllAlerts, suppressedAlerts,
+        acknowledgeAlertById, assignAlertById, snoozeAlertById, resolveAlertById
+    } = useDevice();
+
+    const [filter, setFilter] = useState(ALERT_STATES.ACTIVE);
+    const [error, setError] = useState(null);
+    const [now, setNow] = useState(() => Date.now());
+
+    // Snoozed alerts come back on their own
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), 30 * 1000);
+        return () => clearInterval(interval);
+    }, []);
+
+    const counts = countAlertStates(allAlerts, now);
+    const alerts = filterAlerts(allAlerts, filter, now);
 
     const formatTimestamp = (timestamp) => {
         const date = new Date(timestamp);
@@ -22,9 +49,43 @@ function AlertsPanel() {
         if (diffMins < 60) return `${diffMins}m ago`;
         if (diffMins < 1440) return `${Math.floor(diffMins / 60)}h ago`;
         return date.toLocaleDateString();
-    
+
+    };
+
+    const formatClock = (ts) => new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+    // Runs a lifecycle action; the context throws on missing input or an alert that was cleared
+    const run = (action) => {
+        try {
+            action();
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleAcknowledge = (alert) => {
+        const by = window.prompt('Acknowledge as:', loadOperatorName());
+        if (by == null) return;
+        const comment = window.prompt('Comment (optional):', '');
+        if (comment == null) return;
+        run(() => acknowledgeAlertById(alert.id, { by, comment }));
+    };
+
+    const handleAssign = (alert) => {
+        const assignee = window.prompt('Assign to (leave empty to unassign):', alert.assignee || '');
+        if (assignee == null) return;
+        run(() => assignAlertById(alert.id, assignee, loadOperatorName()));
     };
 
+    const handleResolve = (alert) => {
+        const comment = window.prompt('Resolve this alert? Comment (optional):', '');
+        if (comment == null) return;
+        run(() => resolveAlertById(alert.id, { by: loadOperatorName(), comment }));
+    };
+
+    const suppressedCount = Object.values(suppressedAlerts).reduce((sum, s) => sum + s.count, 0);
+
     const criticalAlerts = alerts.filter(a => a.type === 'critical');
     const warningAlerts = alerts.filter(a => a.type === 'warning');
 
@@ -34,14 +95,14 @@ function AlertsPanel() {
             <div className="p-4 border-b border-gray-200 flex items-center justify-between">
                 <div className="flex items-center gap-2">
                     <Bell size={18} className="text-primary-600" />
-                    <h3 className="font-semibold text-gray-900">Active Alerts</h3>
-                    {alerts.length > 0 && (
-                        <span className={`badge ${criticalAlerts.length > 0 ? 'badge-critical' : 'badge-warning'}`}>
-                            {alerts.length}
+                    <h3 className="font-semibold text-gray-900">Alerts</h3>
+                    {counts.active > 0 && (
+                        <span className={`badge ${allAlerts.some(a => a.type === 'critical' && alertState(a, now) === ALERT_STATES.ACTIVE) ? 'badge-critical' : 'badge-warning'}`}>
+                            {counts.active}
                         </span>
                     )}
                 </div>
-                {alerts.length > 0 && (
+                {allAlerts.length > 0 && (
                     <button
                         onClick={clearAllAlerts}
                         className="text-xs text-gray-500 hover:text-primary-600 transition-colors"
@@ -51,51 +112,123 @@ function AlertsPanel() {
                 )}
             </div>
 
+            {/* State filter */}
+            <div className="alerts-filter">
+                {ALERT_FILTERS.map(f => (
+                    <button
+                        key={f}
+                        onClick={() => setFilter(f)}
+                        className={`alerts-filter__btn ${filter === f ? 'alerts-filter__btn--active' : ''}`}
+                    >
+                        {FILTER_LABELS[f]} ({counts[f]})
+                    </button>
+                ))}
+            </div>
+            {error && <p className="alerts-error">{error}</p>}
+
             {/* Alerts List */}
             <div className="p-4 max-h-[300px] overflow-y-auto">
                 {alerts.length > 0 ? (
                     <div className="space-y-2">
-                        {alerts.slice(0, 10).map(alert => (
-                            <div
-                                key={alert.id}
-                                className={`alert-item ${alert.type} flex items-start justify-between gap-2`}
-                            >
-                                <div className="flex items-start gap-2">
-                                    <AlertTriangle
-                                        size={16}
-                                        className={`mt-0.5 flex-shrink-0 ${alert.type === 'critical' ? 'text-red-500' : 'text-amber-500'}`}
-                                    />
-                                    <div>
-                                        <p className="text-sm font-medium text-gray-900">{alert.message}</p>
-                                        <div className="flex items-center gap-2 mt-1 text-xs text-gray-500">
-                                            <span>{alert.deviceId}</span>
-                                            {alert.robotId && <span>• {alert.robotId}</span>}
-                                            <span>• {formatTimestamp(alert.timestamp)}</span>
+                        {alerts.slice(0, 10).map(alert => {
+                            const state = alertState(alert, now);
+                            const isOpen = state !== ALERT_STATES.RESOLVED;
+                            return (
+                                <div
+                                    key={alert.id}
+                                    className={`alert-item ${alert.type} flex items-start justify-between gap-2`}
+                                >
+                                    <div className="flex items-start gap-2">
+                                        <AlertTriangle
+                                            size={16}
+                                            className={`mt-0.5 flex-shrink-0 ${alert.type === 'critical' ? 'text-red-500' : 'text-amber-500'}`}
+                                        />
+                                        <div>
+                                            <p className="text-sm font-medium text-gray-900">
+                                                {alert.message}
+                                                {alert.count > 1 && <span className="alerts-count" title={`${alert.count} alerts grouped`}>×{alert.count}</span>}
+                                            </p>
+                                            <div className="flex items-center gap-2 mt-1 text-xs text-gray-500">
+                                                <span className={`alerts-state alerts-state--${state}`}>{ALERT_STATE_LABELS[state]}</span>
+                                                <span>{alert.deviceId}</span>
+                                                {alert.robotId && <span>• {alert.robotId}</span>}
+                                                <span>• {formatTimestamp(alert.timestamp)}</span>
+                                            </div>
+                                            <div className="alerts-lifecycle">
+                                                {alert.count > 1 && (
+                                                    <span>
+                                                        {alert.count} alerts{alert.robotIds?.length > 1 ? ` from ${alert.robotIds.join(', ')}` : ''}
+                                                        {alert.zone && ` in ${alert.zone}`} — latest {formatClock(alert.lastAt)}
+                                                        {alert.children?.[0] && alert.children[0].message !== alert.message && `: ${alert.children[0].message}`}
+                                                    </span>
+                                                )}
+                                                {alert.acknowledgedBy && (
+                                                    <span>
+                                                        Acknowledged by {alert.acknowledgedBy} at {formatClock(alert.acknowledgedAt)}
+                                                        {alert.ackComment && ` — “${alert.ackComment}”`}
+                                                    </span>
+                                                )}
+                                                {alert.assignee && <span>Assigned to {alert.assignee}</span>}
+                                                {alert.escalation && <span>Escalated — tier {Math.max(...alert.escalation.tiers) + 1} notified</span>}
+                                                {state === ALERT_STATES.SNOOZED && <span>Snoozed until {formatClock(alert.snoozedUntil)}</span>}
+                                                {alert.resolved && (
+                                                    <span>
+                                                        {alert.resolution === 'auto' ? 'Resolved automatically' : `Resolved${alert.resolvedBy ? ` by ${alert.resolvedBy}` : ''}`}
+                                                        {alert.resolvedAt && ` at ${formatClock(alert.resolvedAt)}`}
+                                                        {alert.resolveComment && ` — “${alert.resolveComment}”`}
+                                                    </span>
+                                                )}
+                                            </div>
+                                            {isOpen && (
+                                                <div className="alerts-actions">
+                                                    {!alert.acknowledgedAt && (
+                                                        <button onClick={() => handleAcknowledge(alert)} title="Acknowledge">
+                                                            <Check size={12} /> Ack
+                                                        </button>
+                                                    )}
+                                                    <button onClick={() => handleAssign(alert)} title="Assign to an operator">
+                                                        <UserPlus size={12} /> Assign
+                                                    </button>
+                                                    <select
+                                                        value=""
+                                                        onChange={(e) => e.target.value && run(() => snoozeAlertById(alert.id, Number(e.target.value), loadOperatorName()))}
+                                                        title="Snooze"
+                                                    >
+                                                        <option value="">{state === ALERT_STATES.SNOOZED ? 'Snoozed' : 'Snooze'}</option>
+                                                        {SNOOZE_MINUTES.map(m => <option key={m} value={m}>{m} min</option>)}
+                                                        {state === ALERT_STATES.SNOOZED && <option value="0">Wake now</option>}
+                                                    </select>
+                                                    <button onClick={() => handleResolve(alert)} title="Resolve">
+                                                        <CircleCheckBig size={12} /> Resolve
+                                                    </button>
+                                                </div>
+                                            )}
                                         </div>
                                     </div>
+                                    <button
+                                        onClick={() => clearAlert(alert.id)}
+                                        className="p-1 hover:bg-white rounded transition-colors flex-shrink-0"
+                                        title="Remove from the list (kept in history)"
+                                    >
+                                        <X size={14} className="text-gray-400" />
+                                    </button>
                                 </div>
-                                <button
-                                    onClick={() => clearAlert(alert.id)}
-                                    className="p-1 hover:bg-white rounded transition-colors flex-shrink-0"
-                                >
-                                    <X size={14} className="text-gray-400" />
-                                </button>
-                            </div>
-                        ))}
+                            );
+                        })}
                     </div>
                 ) : (
                     <div className="text-center py-8">
                         <div className="w-12 h-12 mx-auto mb-3 bg-green-100 rounded-full flex items-center justify-center">
                             <CheckCircle size={24} className="text-green-500" />
                         </div>
-                        <p className="text-gray-500 text-sm">No active alerts</p>
-                        <p className="text-gray-400 text-xs mt-1">All systems operating normally</p>
+                        <p className="text-gray-500 text-sm">No {filter === 'all' ? '' : `${FILTER_LABELS[filter].toLowerCase()} `}alerts</p>
+                        {filter === ALERT_STATES.ACTIVE && <p className="text-gray-400 text-xs mt-1">All systems operating normally</p>}
                     </div>
                 )}
             </div>
 
             {/* Summary Footer */}
-            {alerts.length > 0 && (
+            {(alerts.length > 0 || suppressedCount > 0) && (
                 <div className="p-3 bg-gray-50 border-t border-gray-200 flex items-center justify-between text-xs">
                     <div className="flex items-center gap-4">
                         {criticalAlerts.length > 0 && (
@@ -109,6 +242,11 @@ function AlertsPanel() {
                             </span>
                         )}
                     </div>
+                    {suppressedCount > 0 && (
+                        <span className="text-gray-500" title="Alerts over a source's rate limit are dropped">
+                            {suppressedCount} suppressed
+                        </span>
+                    )}
                     {alerts.length > 10 && (
                         <span className="text-gray-500">
                             Showing 10 of {alerts.length}
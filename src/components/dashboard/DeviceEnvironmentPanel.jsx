@@ -99,10 +99,12 @@ function StatusCard({ icon: Icon, label, value, isActive }) {
 }
 
 function DeviceEnvironmentPanel() {
-    const { currentDeviceData, currentDevice, isConnected } = useDevice();
+    const { currentDeviceData, currentDevice, isConnected, explainEffectiveThresholds } = useDevice();
 
     const env = currentDeviceData?.environment || {};
     const state = currentDeviceData?.state || {};
+    // Global thresholds with this device's / room's profiles applied
+    const { thresholds, profiles } = explainEffectiveThresholds(currentDevice?.id);
 
     const getRssiStatus = (rssi) => {
         if (!rssi) return 'normal';
@@ -119,6 +121,7 @@ function DeviceEnvironmentPanel() {
                     <h2 className="text-lg font-bold text-gray-900">Device Environment</h2>
                     <p className="text-sm text-gray-500">
                         {currentDevice?.name} • {currentDevice?.zone}
+                        {profiles.length > 0 && ` • Thresholds: ${profiles.map(p => p.name).join(', ')}`}
                     </p>
                 </div>
                 <div className="flex items-center gap-2">
@@ -136,21 +139,21 @@ function DeviceEnvironmentPanel() {
                     label="Ambient Temperature"
                     value={env.ambient_temp?.toFixed(1)}
                     unit="°C"
-                    status={getTemperatureStatus(env.ambient_temp)}
+                    status={getTemperatureStatus(env.ambient_temp, thresholds)}
                 />
                 <MetricCard
                     icon={Droplets}
                     label="Humidity"
                     value={env.ambient_hum?.toFixed(1)}
                     unit="%"
-                    status={getHumidityStatus(env.ambient_hum)}
+                    status={getHumidityStatus(env.ambient_hum, thresholds)}
                 />
                 <MetricCard
                     icon={Gauge}
                     label="Atmospheric Pressure"
                     value={env.atmospheric_pressure?.toFixed(0)}
                     unit="hPa"
-                    status={getPressureStatus(env.atmospheric_pressure)}
+                    status={getPressureStatus(env.atmospheric_pressure, thresholds)}
                 />
                 <MetricCard
                     icon={Wind}
@@ -2,42 +2,152 @@
  * @module FabMap
  * @description Interactive SVG map of the fabrication floor showing robot positions,
  * zone outlines, task routes, and connection status in real time.
+ * Rooms, aisles, charging docks and no-go zones come from the selected device's
+ * facility layout (DeviceContext `currentLayout`).
+ * Each robot's recent GPS track is drawn as a fading trail, and a replay bar
+ * scrubs the fleet's movements back over a chosen window (robotHistory merged
+ * with the historical fleetMS/robots/{id}/location stream). A toggleable
+ * occupancy heatmap shows where robots dwell, stop or get BLOCKED over a chosen
+ * period, with per-room dwell totals underneath.
  * Supports desktop full-map and mobile compact views.
  */
-import { useState, useEffect, useMemo } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { Flame, History, Pause, Play, Route } from 'lucide-react';
 import { useDevice } from '../../contexts/DeviceContext';
-import { gpsToPercent, ROOM_CENTERS, resolveRoom } from '../../utils/telemetryMath';
+import {
+    STOP_TYPES, compileLayout, currentStopIndex, findRoomAtPoint, getTaskStops, gpsToPercent, isMultiStopTask, metresPerPercent,
+    planRoute, taskRouteLabel
+} from '../../utils/telemetryMath';
+import { fetchFleetStatus, fetchFleetTracks, positionAt, trackFromHistory, trackSlice } from '../../services/trackHistory';
+import { buildOccupancyGrid, cellBounds, computeRoomDwell, HEATMAP_MODES } from '../../utils/occupancyGrid';
 
 // ── Map constants ──
 const MAP_WIDTH = 750;
 const MAP_HEIGHT = 500;
 
-/** Convert GPS lat/lng → SVG pixel coordinates (aligned with telemetryMath rooms). */
-function gpsToSvg(lat, lng) {
-    const { xPercent, yPercent } = gpsToPercent(lat, lng);
+// ── Trail / replay constants ──
+const TRAIL_POINTS = 40;                 // live trail length (most recent fixes)
+const REPLAY_TRAIL_MS = 5 * 60 * 1000;   // trail behind each robot while replaying
+const REPLAY_TICK_MS = 200;
+const REPLAY_STEPS = 150;                // ticks to play a whole window (~30 s)
+const REPLAY_WINDOWS = [
+    { id: '15m', label: '15m', ms: 15 * 60 * 1000 },
+    { id: '1h', label: '1h', ms: 60 * 60 * 1000 },
+    { id: '6h', label: '6h', ms: 6 * 60 * 60 * 1000 },
+];
+const HEATMAP_PERIODS = [
+    { id: '1h', label: '1h', ms: 60 * 60 * 1000 },
+    { id: '6h', label: '6h', ms: 6 * 60 * 60 * 1000 },
+    { id: '24h', label: '24h', ms: 24 * 60 * 60 * 1000 },
+];
+const TRAIL_COLORS = ['#9333ea', '#2563eb', '#059669', '#d97706', '#db2777', '#0891b2', '#65a30d', '#dc2626'];
+
+/** Convert GPS lat/lng → SVG pixel coordinates within a facility layout. */
+function gpsToSvg(lat, lng, layout) {
+    const { xPercent, yPercent } = gpsToPercent(lat, lng, layout);
     return {
         x: (xPercent / 100) * MAP_WIDTH,
         y: (yPercent / 100) * MAP_HEIGHT,
     };
 }
 
-// Zone positions derived from telemetryMath ROOMS (percentage → SVG pixels)
-// This ensures room geofencing and map rendering are perfectly aligned.
-const ZONES = [
-    { id: 'cleanroom-a', name: 'Cleanroom A', x: 0.05 * MAP_WIDTH, y: 0.05 * MAP_HEIGHT, width: 0.35 * MAP_WIDTH, height: 0.40 * MAP_HEIGHT, type: 'cleanroom' },
-    { id: 'cleanroom-b', name: 'Cleanroom B', x: 0.45 * MAP_WIDTH, y: 0.05 * MAP_HEIGHT, width: 0.30 * MAP_WIDTH, height: 0.40 * MAP_HEIGHT, type: 'cleanroom' },
-    { id: 'loading-bay', name: 'Loading Bay',  x: 0.05 * MAP_WIDTH, y: 0.55 * MAP_HEIGHT, width: 0.25 * MAP_WIDTH, height: 0.35 * MAP_HEIGHT, type: 'loading' },
-    { id: 'storage',     name: 'Storage',      x: 0.35 * MAP_WIDTH, y: 0.55 * MAP_HEIGHT, width: 0.25 * MAP_WIDTH, height: 0.35 * MAP_HEIGHT, type: 'storage' },
-    { id: 'maintenance', name: 'Maintenance',  x: 0.65 * MAP_WIDTH, y: 0.55 * MAP_HEIGHT, width: 0.25 * MAP_WIDTH, height: 0.25 * MAP_HEIGHT, type: 'storage' },
-];
+/** SVG `points` attribute for a GPS polygon / polyline. */
+function svgPoints(points, layout) {
+    return points.map(p => {
+        const { x, y } = gpsToSvg(p.lat, p.lng, layout);
+        return `${x},${y}`;
+    }).join(' ');
+}
 
-// Aisles between zones (horizontal corridor between top and bottom rows)
-const AISLES = [
-    { id: 'aisle-h', points: `${0.05 * MAP_WIDTH},${0.48 * MAP_HEIGHT} ${0.90 * MAP_WIDTH},${0.48 * MAP_HEIGHT}`, name: 'Main Corridor', isHorizontal: true },
-    { id: 'aisle-v', points: `${0.40 * MAP_WIDTH},${0.05 * MAP_HEIGHT} ${0.40 * MAP_WIDTH},${0.90 * MAP_HEIGHT}`, name: 'Vertical Aisle', isVertical: true },
-];
+/** Fill colour per room type (mini-grid and legend). */
+const ROOM_FILLS = {
+    cleanroom: '#f3e8ff',
+    loading: '#ecfccb',
+    storage: '#fff7ed',
+    maintenance: '#fff7ed',
+    reset: '#f3f4f6',
+};
+
+/** "1h 05m" / "12m 30s" / "45s" */
+function formatDuration(ms) {
+    const totalSec = Math.round(ms / 1000);
+    const h = Math.floor(totalSec / 3600);
+    const m = Math.floor((totalSec % 3600) / 60);
+    const sec = totalSec % 60;
+    if (h > 0) return `${h}h ${String(m).padStart(2, '0')}m`;
+    if (m > 0) return `${m}m ${String(sec).padStart(2, '0')}s`;
+    return `${sec}s`;
+}
+
+/** Clock time for a task ETA, e.g. "14:32". */
+function formatEtaTime(ts) {
+    return new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Occupancy heatmap cells — yellow (little time) → red (most time).
+ * Square-root scaling keeps short visits visible next to long dwell spots.
+ */
+function HeatmapLayer({ grid, layout }) {
+    if (!grid || grid.max <= 0) return null;
+    return (
+        <g pointerEvents="none" className="fabmap-heatmap-layer">
+            {grid.cells.map((ms, i) => {
+                if (ms <= 0) return null;
+                const b = cellBounds(i, grid);
+                const nw = gpsToSvg(b.maxLat, b.minLng, layout);
+                const se = gpsToSvg(b.minLat, b.maxLng, layout);
+                const t = Math.sqrt(ms / grid.max);
+                return (
+                    <rect
+                        key={i}
+                        x={nw.x}
+                        y={nw.y}
+                        width={se.x - nw.x}
+                        height={se.y - nw.y}
+                        fill={`hsl(${60 - 60 * t}, 90%, 50%)`}
+                        opacity={0.15 + 0.55 * t}
+                    >
+                        <title>{formatDuration(ms)}</title>
+                    </rect>
+                );
+            })}
+        </g>
+    );
+}
+
+/**
+ * Fading polyline for one robot's track — oldest segment faintest.
+ * Drawn as separate segments so opacity can ramp along the path.
+ */
+function TrailPath({ points, color, layout }) {
+    if (points.length < 2) return null;
+    const path = points.map(p => gpsToSvg(p.lat, p.lng, layout));
+    const last = path.length - 1;
+    return (
+        <g pointerEvents="none">
+            {path.slice(1).map((p, i) => {
+                const prev = path[i];
+                const t = (i + 1) / last;
+                return (
+                    <line
+                        key={i}
+                        x1={prev.x}
+                        y1={prev.y}
+                        x2={p.x}
+                        y2={p.y}
+                        stroke={color}
+                        strokeWidth={1.5 + 2 * t}
+                        strokeLinecap="round"
+                        opacity={0.1 + 0.7 * t}
+                    />
+                );
+            })}
+        </g>
+    );
+}
 
-function RobotMarker({ robot, isSelected, onClick, markerSize = 18 }) {
+function RobotMarker({ robot, isSelected, onClick, markerSize = 18, layout }) {
     const getBatteryColor = () => {
         const battery = robot.status?.battery;
         if (!battery && battery !== 0) return 'gray';
@@ -49,7 +159,7 @@ function RobotMarker({ robot, isSelected, onClick, markerSize = 18 }) {
     // Convert GPS lat/lng to SVG pixel coordinates via gpsToPercent
     const hasGps = robot.location?.lat != null && robot.location?.lng != null;
     const pos = hasGps
-        ? gpsToSvg(robot.location.lat, robot.location.lng)
+        ? gpsToSvg(robot.location.lat, robot.location.lng, layout)
         : { x: MAP_WIDTH / 2, y: MAP_HEIGHT / 2 }; // center fallback
     const x = pos.x;
     const y = pos.y;
@@ -144,53 +254,225 @@ function RobotMarker({ robot, isSelected, onClick, markerSize = 18 }) {
     );
 }
 
-function ZoneComponent({ zone }) {
+function ZoneComponent({ room, layout }) {
     const getZoneClass = () => {
-        switch (zone.type) {
+        switch (room.type) {
             case 'cleanroom': return 'fill-primary-100 stroke-primary-300';
             case 'loading': return 'fill-green-100 stroke-green-300';
-            case 'storage': return 'fill-green-100 stroke-green-300';
+            case 'storage':
+            case 'maintenance': return 'fill-green-100 stroke-green-300';
             default: return 'fill-gray-100 stroke-gray-300';
         }
     };
 
+    // Label near the top of the room, centred horizontally on its centroid
+    const top = gpsToSvg(room.bounds.maxLat, room.center.lng, layout);
+
     return (
         <g>
-            <rect
-                x={zone.x}
-                y={zone.y}
-                width={zone.width}
-                height={zone.height}
-                rx="8"
+            <polygon
+                points={svgPoints(room.points, layout)}
                 className={`${getZoneClass()} fill-opacity-60`}
                 strokeWidth="2"
                 strokeDasharray="8 4"
+                strokeLinejoin="round"
             />
             <text
-                x={zone.x + zone.width / 2}
-                y={zone.y + 20}
+                x={top.x}
+                y={top.y + 20}
                 textAnchor="middle"
                 className="text-xs font-semibold fill-gray-600"
                 style={{ fontSize: '12px' }}
             >
-                {zone.name}
+                {room.name}
+            </text>
+        </g>
+    );
+}
+
+/** Charging dock marker — green while a robot charges, dashed while one is on its way. */
+function DockMarker({ dock, layout, occupant }) {
+    const { x, y } = gpsToSvg(dock.lat, dock.lng, layout);
+    const charging = occupant?.state === 'charging';
+    return (
+        <g transform={`translate(${x}, ${y})`} pointerEvents="none">
+            <rect
+                x={-7} y={-7} width={14} height={14} rx={3}
+                fill={charging ? '#dcfce7' : '#fef3c7'}
+                stroke={charging ? '#16a34a' : '#d97706'}
+                strokeWidth={1.5}
+                strokeDasharray={occupant?.state === 'reserved' ? '3 2' : undefined}
+            />
+            <path d="M 1 -5 L -3 1 L 0 1 L -1 5 L 3 -1 L 0 -1 Z" fill="#d97706" />
+            <text y={18} textAnchor="middle" style={{ fontSize: '9px' }} className="fill-gray-500">
+                {occupant ? `${dock.name} · ${occupant.robotId}` : dock.name}
             </text>
         </g>
     );
 }
 
 function FabMap() {
-    const { currentRobots, selectedDeviceId, currentDeviceData } = useDevice();
+    const { currentRobots, selectedDeviceId, currentDeviceData, robotHistory, currentLayout, getDockOccupancy } = useDevice();
     const [selectedRobotId, setSelectedRobotId] = useState(null);
     const [mapDimensions] = useState({ width: MAP_WIDTH, height: MAP_HEIGHT });
     const [isMobile, setIsMobile] = useState(false);
     const [isPortrait, setIsPortrait] = useState(false);
+    const [showTrails, setShowTrails] = useState(true);
+    // { deviceId, windowId, start, end, tracks: { robotId: point[] }, loading }
+    const [replayState, setReplayState] = useState(null);
+    const [replayTime, setReplayTime] = useState(0);
+    const [isPlaying, setIsPlaying] = useState(false);
+    const replayRequestRef = useRef(0);
+    // { deviceId, periodId, since, until, tracks, statusTracks, loading }
+    const [heatmapState, setHeatmapState] = useState(null);
+    const [heatmapMode, setHeatmapMode] = useState('dwell');
+    const heatmapRequestRef = useRef(0);
 
     const robots = useMemo(() => {
         return Object.values(currentRobots || {});
     }, [currentRobots]);
 
     const selectedRobot = selectedRobotId ? currentRobots[selectedRobotId] : null;
+    const layout = currentLayout;
+    const plan = compileLayout(layout);
+    const dockOccupants = getDockOccupancy(selectedDeviceId);
+
+    // A replay belongs to the device it was loaded for — switching device drops it
+    const replay = replayState?.deviceId === selectedDeviceId ? replayState : null;
+    const replayReady = !!replay && !replay.loading;
+    const replayAtEnd = replayReady && replayTime >= replay.end;
+    const deviceHistory = robotHistory?.[selectedDeviceId];
+
+    // Live trails: most recent fixes per robot from robotHistory
+    const liveTrails = useMemo(() => {
+        const trails = {};
+        Object.entries(deviceHistory || {}).forEach(([robotId, series]) => {
+            trails[robotId] = trackFromHistory(series, robotId).slice(-TRAIL_POINTS);
+        });
+        return trails;
+    }, [deviceHistory]);
+
+    // Robots as drawn: live positions, or positions at the scrub time while replaying
+    const displayRobots = useMemo(() => {
+        if (!replayReady) return robots;
+        const ids = new Set([...robots.map(r => r.id), ...Object.keys(replay.tracks)]);
+        return Array.from(ids).map(id => {
+            const pos = positionAt(replay.tracks[id], replayTime);
+            if (!pos) return null;
+            const base = currentRobots?.[id] || { id };
+            return {
+                ...base,
+                location: { ...base.location, lat: pos.lat, lng: pos.lng },
+                heading: pos.heading ?? base.heading,
+            };
+        }).filter(Boolean);
+    }, [replayReady, replay, replayTime, robots, currentRobots]);
+
+    const trails = useMemo(() => {
+        if (!showTrails) return {};
+        if (!replayReady) return liveTrails;
+        const result = {};
+        Object.entries(replay.tracks).forEach(([id, track]) => {
+            const head = positionAt(track, replayTime);
+            if (!head) return;
+            result[id] = [...trackSlice(track, replayTime - REPLAY_TRAIL_MS, replayTime), head];
+        });
+        return result;
+    }, [showTrails, replayReady, replay, replayTime, liveTrails]);
+
+    const heatmap = heatmapState?.deviceId === selectedDeviceId ? heatmapState : null;
+    const heatmapReady = !!heatmap && !heatmap.loading;
+
+    const heatmapGrid = useMemo(() => {
+        if (!heatmapReady) return null;
+        return buildOccupancyGrid(heatmap.tracks, {
+            mode: heatmapMode,
+            until: heatmap.until,
+            statusTracks: heatmap.statusTracks,
+            layout,
+        });
+    }, [heatmapReady, heatmap, heatmapMode, layout]);
+
+    const roomDwell = useMemo(() => {
+        if (!heatmapReady) return [];
+        return computeRoomDwell(heatmap.tracks, { until: heatmap.until, statusTracks: heatmap.statusTracks, layout });
+    }, [heatmapReady, heatmap, layout]);
+
+    const trailColorFor = (robotId) => {
+        const index = displayRobots.findIndex(r => r.id === robotId);
+        return TRAIL_COLORS[(index >= 0 ? index : 0) % TRAIL_COLORS.length];
+    };
+
+    // Advance the scrubber while playing; stops by itself at the end of the window
+    const replayStart = replay?.start;
+    const replayEnd = replay?.end;
+    useEffect(() => {
+        if (!isPlaying || !replayReady || replayAtEnd) return undefined;
+        const step = (replayEnd - replayStart) / REPLAY_STEPS;
+        const timer = setInterval(() => {
+            setReplayTime(t => Math.min(replayEnd, t + step));
+        }, REPLAY_TICK_MS);
+        return () => clearInterval(timer);
+    }, [isPlaying, replayReady, replayAtEnd, replayStart, replayEnd]);
+
+    async function startReplay(windowDef, end) {
+        const requestId = ++replayRequestRef.current;
+        const start = end - windowDef.ms;
+        const base = { deviceId: selectedDeviceId, windowId: windowDef.id, start, end };
+        setIsPlaying(false);
+        setReplayTime(start);
+        setReplayState({ ...base, tracks: {}, loading: true });
+
+        const robotIds = Array.from(new Set([
+            ...Object.keys(currentRobots || {}),
+            ...Object.keys(deviceHistory || {}),
+        ]));
+        const tracks = await fetchFleetTracks(selectedDeviceId, robotIds, start, end, deviceHistory || {});
+        if (requestId !== replayRequestRef.current) return; // superseded
+        setReplayState({ ...base, tracks, loading: false });
+    }
+
+    function stopReplay() {
+        replayRequestRef.current += 1;
+        setIsPlaying(false);
+        setReplayState(null);
+    }
+
+    async function loadHeatmap(period, until) {
+        const requestId = ++heatmapRequestRef.current;
+        const since = until - period.ms;
+        const base = { deviceId: selectedDeviceId, periodId: period.id, since, until };
+        setHeatmapState({ ...base, tracks: {}, statusTracks: {}, loading: true });
+
+        const robotIds = Array.from(new Set([
+            ...Object.keys(currentRobots || {}),
+            ...Object.keys(deviceHistory || {}),
+        ]));
+        const [tracks, statusTracks] = await Promise.all([
+            fetchFleetTracks(selectedDeviceId, robotIds, since, until, deviceHistory || {}),
+            fetchFleetStatus(selectedDeviceId, robotIds, since, until, deviceHistory || {}),
+        ]);
+        if (requestId !== heatmapRequestRef.current) return; // superseded
+        setHeatmapState({ ...base, tracks, statusTracks, loading: false });
+    }
+
+    function toggleHeatmap(until) {
+        if (heatmap) {
+            heatmapRequestRef.current += 1;
+            setHeatmapState(null);
+            return;
+        }
+        loadHeatmap(HEATMAP_PERIODS[0], until);
+    }
+
+    function togglePlay() {
+        if (replayAtEnd) {
+            setReplayTime(replay.start);
+            setIsPlaying(true);
+            return;
+        }
+        setIsPlaying(p => !p);
+    }
 
     useEffect(() => {
         function updateDims() {
@@ -206,16 +488,10 @@ function FabMap() {
         };
     }, []);
 
-    // Determine which configured zone a robot belongs to
+    // Determine which layout room a robot is in
     function getZoneForRobot(robot) {
         if (!robot?.location?.lat || !robot?.location?.lng) return null;
-        const { x, y } = gpsToSvg(robot.location.lat, robot.location.lng);
-        for (const zone of ZONES) {
-            if (x >= zone.x && x <= zone.x + zone.width && y >= zone.y && y <= zone.y + zone.height) {
-                return zone;
-            }
-        }
-        return null;
+        return findRoomAtPoint(robot.location.lat, robot.location.lng, layout)?.room || null;
     }
 
     // Lightweight mini-grid that mirrors the main map in a compact view
@@ -227,7 +503,7 @@ function FabMap() {
         const zone = getZoneForRobot(robot);
 
         const robotPos = (robot?.location?.lat != null && robot?.location?.lng != null)
-            ? gpsToSvg(robot.location.lat, robot.location.lng)
+            ? gpsToSvg(robot.location.lat, robot.location.lng, layout)
             : null;
         const robotX = robotPos?.x ?? null;
         const robotY = robotPos?.y ?? null;
@@ -237,19 +513,18 @@ function FabMap() {
                 <svg viewBox={`0 0 ${miniW} ${miniH}`} width={miniW} height={miniH}>
                             <rect x="0" y="0" width={miniW} height={miniH} rx="6" fill="#ffffff" stroke="#d1d5db" />
                     {/* zones */}
-                    {ZONES.map(z => (
-                        <rect
-                            key={z.id}
-                            x={z.x * scaleX}
-                            y={z.y * scaleY}
-                            width={z.width * scaleX}
-                            height={z.height * scaleY}
-                            rx={4}
-                            fill={z.type === 'cleanroom' ? '#f3e8ff' : z.type === 'loading' ? '#ecfccb' : '#fff7ed'}
-                            stroke="#c7c7cc"
-                            opacity={0.95}
-                        />
-                    ))}
+                    <g transform={`scale(${scaleX} ${scaleY})`}>
+                        {plan.roomList.map(z => (
+                            <polygon
+                                key={z.id}
+                                points={svgPoints(z.points, layout)}
+                                fill={ROOM_FILLS[z.type] || ROOM_FILLS.storage}
+                                stroke="#c7c7cc"
+                                vectorEffect="non-scaling-stroke"
+                                opacity={0.95}
+                            />
+                        ))}
+                    </g>
 
                     {/* robot marker */}
                     {robot && robotX != null && robotY != null && (
@@ -304,15 +579,15 @@ function FabMap() {
                     <div className="flex items-center justify-between text-sm text-gray-700">
                         <div>
                             <div className="text-xs text-gray-500">Ambient Temp</div>
-                            <div className="font-medium">{(currentDeviceData?.environment?.ambient_temp ?? currentDeviceData?.environment?.temperature ?? currentDeviceData?.environment?.temp) != null ? (currentDeviceData.environment.ambient_temp ?? currentDeviceData.environment.temperature ?? currentDeviceData.environment.temp) + '°C' : '--°C'}</div>
+                            <div className="font-medium">{currentDeviceData?.environment?.ambient_temp != null ? currentDeviceData.environment.ambient_temp + '°C' : '--°C'}</div>
                         </div>
                         <div>
                             <div className="text-xs text-gray-500">Humidity</div>
-                            <div className="font-medium">{(currentDeviceData?.environment?.ambient_hum ?? currentDeviceData?.environment?.humidity) != null ? (currentDeviceData.environment.ambient_hum ?? currentDeviceData.environment.humidity) + '%' : '--%'}</div>
+                            <div className="font-medium">{currentDeviceData?.environment?.ambient_hum != null ? currentDeviceData.environment.ambient_hum + '%' : '--%'}</div>
                         </div>
                         <div>
                             <div className="text-xs text-gray-500">Pressure</div>
-                            <div className="font-medium">{(currentDeviceData?.environment?.atmospheric_pressure ?? currentDeviceData?.environment?.pressure) != null ? (currentDeviceData.environment.atmospheric_pressure ?? currentDeviceData.environment.pressure) + ' hPa' : '--'}</div>
+                            <div className="font-medium">{currentDeviceData?.environment?.atmospheric_pressure != null ? currentDeviceData.environment.atmospheric_pressure + ' hPa' : '--'}</div>
                         </div>
                     </div>
                 </div>
@@ -382,113 +657,154 @@ function FabMap() {
                                     strokeWidth={isMobile ? 0.8 : 0.5}
                                 />
                             </pattern>
+                            <pattern
+                                id="nogo-hatch"
+                                width="8"
+                                height="8"
+                                patternUnits="userSpaceOnUse"
+                                patternTransform="rotate(45)"
+                            >
+                                <rect width="8" height="8" fill="#fee2e2" />
+                                <line x1="0" y1="0" x2="0" y2="8" stroke="#ef4444" strokeWidth="2" />
+                            </pattern>
                         </defs>
 
                         {/* Grid background */}
                         <rect width="100%" height="100%" fill="url(#grid)" />
 
-                        {/* Zones */}
-                        {ZONES.map(zone => (
-                            <ZoneComponent key={zone.id} zone={zone} />
+                        {/* Rooms */}
+                        {plan.roomList.map(room => (
+                            <ZoneComponent key={room.id} room={room} layout={layout} />
                         ))}
 
-                        {/* Aisles */}
-                        {AISLES.map(aisle => (
-                            <path
+                        {/* Aisles — width is in metres, converted to map pixels */}
+                        {plan.aisles.map(aisle => (
+                            <polyline
                                 key={aisle.id}
-                                d={aisle.isHorizontal
-                                    ? `M ${aisle.points.split(' ')[0]} L ${aisle.points.split(' ')[1]}`
-                                    : aisle.isVertical
-                                        ? `M ${aisle.points.split(' ')[0]} L ${aisle.points.split(' ')[1]}`
-                                        : `M ${aisle.points}`
-                                }
+                                points={svgPoints(aisle.points, layout)}
                                 stroke="#9ca3af"
-                                strokeWidth="20"
+                                strokeWidth={(aisle.width / metresPerPercent(layout)) * (MAP_WIDTH / 100)}
                                 strokeLinecap="round"
+                                strokeLinejoin="round"
                                 fill="none"
                                 opacity="0.3"
                             />
                         ))}
 
-                        {/* Task routes — source→destination dotted lines */}
-                        {robots.map(robot => {
-                            if (!robot.task) return null;
-                            const srcName = robot.task['initiate location'] || robot.task.source_name;
-                            const dstName = robot.task.destination || robot.task.destination_name;
-                            if (!srcName && !dstName) return null;
+                        {/* No-go zones */}
+                        {plan.noGoZones.map(zone => (
+                            <polygon
+                                key={zone.id}
+                                points={svgPoints(zone.points, layout)}
+                                fill="url(#nogo-hatch)"
+                                stroke="#ef4444"
+                                strokeWidth="1.5"
+                                opacity="0.8"
+                            >
+                                <title>{zone.name}</title>
+                            </polygon>
+                        ))}
+
+                        {/* Charging docks */}
+                        {plan.docks.map(dock => (
+                            <DockMarker key={dock.id} dock={dock} layout={layout} occupant={dockOccupants[dock.id]} />
+                        ))}
 
-                            // Resolve room GPS centers
-                            const srcResolved = srcName ? resolveRoom(srcName) : null;
-                            const dstResolved = dstName ? resolveRoom(dstName) : null;
-                            const srcCenter = srcResolved?.room?.center;
-                            const dstCenter = dstResolved?.room?.center;
+                        {/* Occupancy heatmap */}
+                        {heatmapGrid && <HeatmapLayer grid={heatmapGrid} layout={layout} />}
+
+                        {/* Position trails — fading GPS track per robot */}
+                        {Object.entries(trails).map(([robotId, points]) => (
+                            <TrailPath key={`trail-${robotId}`} points={points} color={trailColorFor(robotId)} layout={layout} />
+                        ))}
+
+                        {/* Task routes — planned along the aisles, stop to stop (live view only) */}
+                        {!replayReady && robots.map(robot => {
+                            if (!robot.task) return null;
+                            const stops = getTaskStops(robot.task, layout);
+                            const located = stops.filter(stop => stop.point);
+                            if (located.length === 0) return null;
+                            const stopIndex = currentStopIndex(robot.task, stops);
+                            const numbered = isMultiStopTask(robot.task);
 
                             // Robot current position
                             const hasGps = robot.location?.lat != null && robot.location?.lng != null;
-                            const robotSvg = hasGps ? gpsToSvg(robot.location.lat, robot.location.lng) : null;
-
-                            // Source and destination SVG positions
-                            const srcSvg = srcCenter ? gpsToSvg(srcCenter.lat, srcCenter.lng) : null;
-                            const dstSvg = dstCenter ? gpsToSvg(dstCenter.lat, dstCenter.lng) : null;
+                            const here = hasGps ? { lat: robot.location.lat, lng: robot.location.lng } : null;
 
                             const segments = [];
-                            // Faint full route: source → destination
-                            if (srcSvg && dstSvg) {
+                            // Faint full route through every stop
+                            located.slice(1).forEach((stop, i) => {
                                 segments.push(
-                                    <path
-                                        key={`full-route-${robot.id}`}
-                                        d={`M ${srcSvg.x} ${srcSvg.y} L ${dstSvg.x} ${dstSvg.y}`}
+                                    <polyline
+                                        key={`full-route-${robot.id}-${i}`}
+                                        points={svgPoints(planRoute(located[i].point, stop.point, layout).points, layout)}
                                         stroke="#9333ea"
                                         strokeWidth="1.5"
                                         strokeDasharray="4 6"
+                                        strokeLinejoin="round"
                                         fill="none"
                                         opacity="0.3"
                                     />
                                 );
+                            });
+                            // Active leg: robot → current stop
+                            const target = stops[stopIndex]?.point;
+                            if (here && target) {
+                                segments.push(
+                                    <polyline
+                                        key={`active-route-${robot.id}`}
+                                        points={svgPoints(planRoute(here, target, layout).points, layout)}
+                                        stroke="#9333ea"
+                                        strokeWidth="2"
+                                        strokeDasharray="6 4"
+                                        strokeLinejoin="round"
+                                        fill="none"
+                                        opacity="0.6"
+                                    />
+                                );
                             }
-                            // Active leg: robot → current target
-                            if (robotSvg) {
-                                const targetSvg = (robot.task.phase === 'EN_ROUTE_TO_SOURCE' || robot.task.phase === 'ASSIGNED')
-                                    ? srcSvg : dstSvg;
-                                if (targetSvg) {
+                            // Stop markers: pickups as circles, drops as diamonds; finished stops fade
+                            stops.forEach((stop, i) => {
+                                if (!stop.point) return;
+                                const { x, y } = gpsToSvg(stop.point.lat, stop.point.lng, layout);
+                                const opacity = stop.completedAt ? 0.35 : 0.8;
+                                segments.push(stop.type === STOP_TYPES.PICKUP ? (
+                                    <circle key={`stop-${robot.id}-${i}`} cx={x} cy={y} r={5} fill="#22c55e" stroke="#fff" strokeWidth={1.5} opacity={opacity} />
+                                ) : (
+                                    <rect key={`stop-${robot.id}-${i}`} x={x - 5} y={y - 5} width={10} height={10} rx={2}
+                                        fill="#ef4444" stroke="#fff" strokeWidth={1.5} opacity={opacity}
+                                        transform={`rotate(45, ${x}, ${y})`} />
+                                ));
+                                if (numbered) {
                                     segments.push(
-                                        <path
-                                            key={`active-route-${robot.id}`}
-                                            d={`M ${robotSvg.x} ${robotSvg.y} L ${targetSvg.x} ${targetSvg.y}`}
-                                            stroke="#9333ea"
-                                            strokeWidth="2"
-                                            strokeDasharray="6 4"
-                                            fill="none"
-                                            opacity="0.6"
-                                        />
+                                        <text key={`stop-num-${robot.id}-${i}`} x={x - 9} y={y - 7} fontSize="9" fontWeight="700" fill="#374151" textAnchor="middle">
+                                            {i + 1}
+                                        </text>
                                     );
                                 }
-                            }
-                            // Source marker (small circle)
-                            if (srcSvg) {
-                                segments.push(
-                                    <circle key={`src-${robot.id}`} cx={srcSvg.x} cy={srcSvg.y} r={5} fill="#22c55e" stroke="#fff" strokeWidth={1.5} opacity={0.8} />
-                                );
-                            }
-                            // Destination marker (small diamond)
-                            if (dstSvg) {
+                            });
+                            // ETA label beside the last stop
+                            const last = located[located.length - 1];
+                            if (robot.task.etaAt) {
+                                const { x, y } = gpsToSvg(last.point.lat, last.point.lng, layout);
                                 segments.push(
-                                    <rect key={`dst-${robot.id}`} x={dstSvg.x - 5} y={dstSvg.y - 5} width={10} height={10} rx={2}
-                                        fill="#ef4444" stroke="#fff" strokeWidth={1.5} opacity={0.8}
-                                        transform={`rotate(45, ${dstSvg.x}, ${dstSvg.y})`} />
+                                    <text key={`eta-${robot.id}`} x={x + 9} y={y + 4} fontSize="10" fontWeight="600" fill="#7c3aed">
+                                        ETA {formatEtaTime(robot.task.etaAt)}
+                                    </text>
                                 );
                             }
                             return <g key={`route-group-${robot.id}`}>{segments}</g>;
                         })}
 
                         {/* Robots */}
-                        {robots.map(robot => (
+                        {displayRobots.map(robot => (
                             <RobotMarker
                                 key={robot.id}
                                 robot={robot}
                                 isSelected={robot.id === selectedRobotId}
                                 onClick={() => setSelectedRobotId(robot.id === selectedRobotId ? null : robot.id)}
                                 markerSize={isMobile ? 14 : 18}
+                                layout={layout}
                             />
                         ))}
                     </svg>
@@ -550,7 +866,7 @@ function FabMap() {
                                 <div className="pt-2 border-t border-gray-100">
                                     <p className="text-xs text-gray-400">Current Task</p>
                                     <p className="font-medium text-primary-600 text-xs">
-                                        {selectedRobot.task.task_type || selectedRobot.task.type || 'Deliver'}: {selectedRobot.task['initiate location'] || selectedRobot.task.source_name || '?'} → {selectedRobot.task.destination || selectedRobot.task.destination_name || '?'}
+                                        {selectedRobot.task.task_type || 'Deliver'}: {taskRouteLabel(selectedRobot.task)}
                                     </p>
                                 </div>
                             )}
@@ -564,6 +880,147 @@ function FabMap() {
                     </div>
                 )}
             </div>
+
+            {/* Trail toggle + replay scrubber */}
+            <div className="fabmap-replay">
+                <button
+                    type="button"
+                    className={`fabmap-replay__btn ${showTrails ? 'fabmap-replay__btn--active' : ''}`}
+                    onClick={() => setShowTrails(v => !v)}
+                    title="Show recent GPS tracks"
+                >
+                    <Route size={14} /> Trails
+                </button>
+
+                <div className="fabmap-replay__windows">
+                    <History size={14} className="fabmap-replay__icon" />
+                    <button
+                        type="button"
+                        className={`fabmap-replay__btn ${!replay ? 'fabmap-replay__btn--active' : ''}`}
+                        onClick={stopReplay}
+                    >
+                        Live
+                    </button>
+                    {REPLAY_WINDOWS.map(w => (
+                        <button
+                            key={w.id}
+                            type="button"
+                            className={`fabmap-replay__btn ${replay?.windowId === w.id ? 'fabmap-replay__btn--active' : ''}`}
+                            onClick={() => startReplay(w, Date.now())}
+                            title={`Replay the last ${w.label}`}
+                        >
+                            {w.label}
+                        </button>
+                    ))}
+                </div>
+
+                {replay && (
+                    <>
+                        <button
+                            type="button"
+                            className="fabmap-replay__play"
+                            onClick={togglePlay}
+                            disabled={!replayReady || Object.keys(replay.tracks).length === 0}
+                            title={isPlaying && !replayAtEnd ? 'Pause' : 'Play'}
+                        >
+                            {isPlaying && !replayAtEnd ? <Pause size={14} /> : <Play size={14} />}
+                        </button>
+                        <input
+                            type="range"
+                            className="fabmap-replay__slider"
+                            min={replay.start}
+                            max={replay.end}
+                            step={1000}
+                            value={replayTime}
+                            disabled={!replayReady}
+                            onChange={(e) => setReplayTime(Number(e.target.value))}
+                        />
+                        <span className="fabmap-replay__time">
+                            {replay.loading
+                                ? 'Loading tracks…'
+                                : Object.keys(replay.tracks).length === 0
+                                    ? 'No location history in this window'
+                                    : new Date(replayTime).toLocaleTimeString()}
+                        </span>
+                    </>
+                )}
+            </div>
+
+            {/* Occupancy heatmap controls + per-room dwell */}
+            <div className="fabmap-replay">
+                <button
+                    type="button"
+                    className={`fabmap-replay__btn ${heatmap ? 'fabmap-replay__btn--active' : ''}`}
+                    onClick={() => toggleHeatmap(Date.now())}
+                    title="Show where robots spend their time"
+                >
+                    <Flame size={14} /> Heatmap
+                </button>
+
+                {heatmap && (
+                    <>
+                        <div className="fabmap-replay__windows">
+                            {Object.entries(HEATMAP_MODES).map(([mode, label]) => (
+                                <button
+                                    key={mode}
+                                    type="button"
+                                    className={`fabmap-replay__btn ${heatmapMode === mode ? 'fabmap-replay__btn--active' : ''}`}
+                                    onClick={() => setHeatmapMode(mode)}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                        <div className="fabmap-replay__windows">
+                            <History size={14} className="fabmap-replay__icon" />
+                            {HEATMAP_PERIODS.map(period => (
+                                <button
+                                    key={period.id}
+                                    type="button"
+                                    className={`fabmap-replay__btn ${heatmap.periodId === period.id ? 'fabmap-replay__btn--active' : ''}`}
+                                    onClick={() => loadHeatmap(period, Date.now())}
+                                >
+                                    {period.label}
+                                </button>
+                            ))}
+                        </div>
+                        <span className="fabmap-replay__time">
+                            {heatmap.loading
+                                ? 'Loading history…'
+                                : heatmapGrid?.totalMs
+                                    ? `${formatDuration(heatmapGrid.totalMs)} robot-time`
+                                    : 'No data for this layer'}
+                        </span>
+                    </>
+                )}
+            </div>
+
+            {heatmapReady && roomDwell.length > 0 && (
+                <div className="fabmap-dwell">
+                    <table className="fabmap-dwell__table">
+                        <thead>
+                            <tr>
+                                <th>Room</th>
+                                <th>Time spent</th>
+                                <th>Stopped</th>
+                                <th>Blocked</th>
+                                <th>Share</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {roomDwell.map(room => (
+                                <tr key={room.name}>
+                                    <td>{room.name}</td>
+                                    <td>{formatDuration(room.dwellMs)}</td>
+                                    <td>{formatDuration(room.stopMs)}</td>
+                                    <td className={room.blockedMs > 0 ? 'fabmap-dwell__blocked' : ''}>{formatDuration(room.blockedMs)}</td>
+                                    <td>{Math.round(room.share * 100)}%</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
         </div>
     );
 }
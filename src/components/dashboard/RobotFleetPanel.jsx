@@ -1,8 +1,11 @@
 /**
  * @module RobotFleetPanel
  * @description Displays the robot fleet grid with per-robot health cards.
- * Each card shows battery level, temperature, load, position, task phase,
- * connection status, and collision alerts in real time.
+ * Each card shows battery level with the learned time-to-low / time-to-empty
+ * and whether the battery covers the task queue, temperature, load, position,
+ * task phase (or charging / heading to a dock), SLA state (at risk / breached),
+ * service due / overdue or an open maintenance work order, connection status,
+ * and collision alerts in real time.
  */
 import { useState, useEffect } from 'react';
 import {
@@ -16,25 +19,42 @@ import {
     Zap,
     RefreshCw,
     Loader2,
-    ShieldAlert
+    ShieldAlert,
+    Wrench
 } from 'lucide-react';
 import { useDevice } from '../../contexts/DeviceContext';
-import { PHASE_LABELS, PHASE_COLORS } from '../../utils/telemetryMath';
+import { PHASE_LABELS, PHASE_COLORS, taskRouteLabel } from '../../utils/telemetryMath';
+import { SLA_CHECK_MS, SLA_STATUS, SLA_STATUS_LABELS, evaluateSla } from '../../utils/taskSla';
+import { forecastBattery, workForecast } from '../../utils/batteryModel';
+import { chargeTaskOf, isChargeTask, isDocked } from '../../services/chargeManager';
+import { SERVICE_STATUS, SERVICE_STATUS_LABELS, WORK_ORDER_TYPE_LABELS, openWorkOrderOf, serviceStatus } from '../../services/maintenanceLog';
 import {
     getRobotTempStatus,
     getBatteryStatus,
     computeRobotHealthFromSettings
 } from '../../utils/thresholds';
 
-function RobotCard({ robot }) {
-    // compute robot health from battery percentage using user-defined thresholds
+// "1h 20m" / "45m" for battery forecasts
+const formatRuntime = (ms) => {
+    const mins = Math.round(ms / 60000);
+    return mins >= 60 ? `${Math.floor(mins / 60)}h ${mins % 60}m` : `${mins}m`;
+};
+
+function RobotCard({ robot, sla, layout, resumeLevel, service, thresholds }) {
+    // compute robot health from battery percentage using the robot's effective thresholds (global + profiles)
     const batteryValue = robot.status?.battery ?? robot.status?.battery_pct ?? robot.battery_pct ?? robot.battery;
-    const health = computeRobotHealthFromSettings(batteryValue);
+    const health = computeRobotHealthFromSettings(batteryValue, thresholds);
+
+    // Learned discharge forecast (utils/batteryModel.js) — hidden until a rate is learned
+    const batteryThresholds = thresholds.battery;
+    const isBusy = !!robot.task && robot.task.phase !== 'COMPLETED' && robot.task.phase !== 'FAILED';
+    const forecast = forecastBattery(batteryValue, robot.batteryModel, batteryThresholds, isBusy);
+    const workPlan = workForecast(robot, batteryThresholds, layout);
 
 
     const getTempStatus = () => {
         const temp = robot.environment?.temp;
-        return getRobotTempStatus(temp);
+        return getRobotTempStatus(temp, thresholds);
     };
 
     const getStateIcon = () => {
@@ -51,6 +71,8 @@ function RobotCard({ robot }) {
                 return <AlertTriangle size={14} className="text-red-500" />;
             case 'BLOCKED':
                 return <ShieldAlert size={14} className="text-orange-500 animate-pulse" />;
+            case 'MAINTENANCE':
+                return <Wrench size={14} className="text-amber-600" />;
             default:
                 return <CheckCircle size={14} className="text-gray-400" />;
         }
@@ -68,6 +90,8 @@ function RobotCard({ robot }) {
                 return 'border-red-500 bg-red-50';
             case 'BLOCKED':
                 return 'border-orange-500 bg-orange-50';
+            case 'MAINTENANCE':
+                return 'border-amber-500 bg-amber-50';
             default:
                 return 'border-gray-300 bg-white';
         }
@@ -151,6 +175,24 @@ function RobotCard({ robot }) {
                 </div>
             )}
 
+            {/* Maintenance: open work order, or service due / overdue */}
+            {service?.workOrder ? (
+                <div className="fleet-service-banner">
+                    <Wrench size={14} className="shrink-0" />
+                    <span>
+                        In maintenance — {WORK_ORDER_TYPE_LABELS[service.workOrder.type]} ({service.workOrder.id})
+                    </span>
+                </div>
+            ) : service && service.status !== SERVICE_STATUS.OK && (
+                <div
+                    className={`fleet-service-badge fleet-service-badge--${service.status}`}
+                    title={service.items.map(item => `${item.label}: ${item.used.toFixed(1)} / ${item.limit}`).join(' | ')}
+                >
+                    <Wrench size={10} />
+                    {SERVICE_STATUS_LABELS[service.status]}
+                </div>
+            )}
+
             {/* Metrics Grid */}
             <div className="grid grid-cols-2 gap-0.5 md:gap-1">
                 {/* Battery */}
@@ -172,6 +214,23 @@ function RobotCard({ robot }) {
                             <div className="text-xs" style={{ color: getBatteryTextColor(batteryStatus) }}>{health.label}</div>
                         </div>
                     </div>
+                    {forecast && (
+                        <div
+                            className="fleet-battery-forecast"
+                            title={`Learned discharge ${forecast.ratePctPerHour.toFixed(1)}%/h (${isBusy ? 'working' : 'idle'})`}
+                        >
+                            {forecast.toLowMs > 0 ? `Low in ${formatRuntime(forecast.toLowMs)} · ` : ''}
+                            Empty in {formatRuntime(forecast.toEmptyMs)}
+                        </div>
+                    )}
+                    {workPlan && !workPlan.canFinish && !chargeTaskOf(robot) && (
+                        <div
+                            className="fleet-battery-forecast fleet-battery-forecast--short"
+                            title={`${workPlan.tasks} task(s), ~${formatRuntime(workPlan.workMs)} of work`}
+                        >
+                            Not enough for {workPlan.tasks} task(s) — needs ~{Math.ceil(workPlan.requiredPct)}%
+                        </div>
+                    )}
                 </div>
 
                 {/* Temperature */}
@@ -240,7 +299,9 @@ function RobotCard({ robot }) {
                         }
 
                         const phaseStyle = PHASE_COLORS[phase] || { bg: '#E0E7FF', color: '#4F46E5' };
-                        const label = PHASE_LABELS[phase] || phase;
+                        const label = isChargeTask(robot.task)
+                            ? (isDocked(robot) ? '🔌 Charging' : '🔋 Heading to dock')
+                            : PHASE_LABELS[phase] || phase;
                         return (
                             <span
                                 className="fleet-phase-badge"
@@ -250,13 +311,28 @@ function RobotCard({ robot }) {
                             </span>
                         );
                     })()}
-                    {(robot.task['initiate location'] || robot.task.source) && robot.task.destination && (
+                    {/* SLA — only shown once the task needs attention */}
+                    {sla && (sla.status === SLA_STATUS.AT_RISK || sla.status === SLA_STATUS.BREACHED) && (
+                        <span
+                            className={`fleet-sla-badge fleet-sla-badge--${sla.status}`}
+                            title={`Due ${new Date(sla.dueAt).toLocaleTimeString()} (${sla.basis} target)`}
+                        >
+                            <Clock size={10} />
+                            {SLA_STATUS_LABELS[sla.status]}
+                        </span>
+                    )}
+                    {robot.task['initiate location'] && robot.task.destination && (
+                        <span className="text-gray-500 text-xs fleet-task-route">
+                            {taskRouteLabel(robot.task)}
+                        </span>
+                    )}
+                    {isChargeTask(robot.task) && robot.task.phase !== 'COMPLETED' && (
                         <span className="text-gray-500 text-xs fleet-task-route">
-                            {robot.task['initiate location'] || robot.task.source} → {robot.task.destination}
+                            {robot.task.destination}{isDocked(robot) ? ` · back in service at ${resumeLevel}%` : ''}
                         </span>
                     )}
                     <span className="text-gray-400 fleet-task-id">
-                        {robot.task.task_id || robot.task.taskId || ''}
+                        {robot.task.task_id || ''}
                     </span>
                 </div>
             )}
@@ -265,11 +341,24 @@ function RobotCard({ robot }) {
 }
 
 function RobotFleetPanel() {
-    const { currentRobots, fetchRobotTasks } = useDevice();
+    const { currentRobots, fetchRobotTasks, slaTargets, currentLayout, chargingSettings, selectedDeviceId, maintenance, getEffectiveThresholds } = useDevice();
     const [isRefreshing, setIsRefreshing] = useState(false);
+    // Clock for SLA badges — tasks turn at risk / breached without new telemetry
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        const id = setInterval(() => setNow(Date.now()), SLA_CHECK_MS);
+        return () => clearInterval(id);
+    }, []);
 
     const robots = Object.values(currentRobots || {});
 
+    // Service due / overdue and any open work order, for the maintenance badge
+    const serviceOf = (robotId) => {
+        const record = maintenance[selectedDeviceId]?.[robotId];
+        return { ...serviceStatus(record, now), workOrder: openWorkOrderOf(record) };
+    };
+
     // Fetch robot tasks on initial mount to ensure task data is loaded on refresh
     useEffect(() => {
         if (fetchRobotTasks) {
@@ -341,7 +430,15 @@ function RobotFleetPanel() {
             {robots.length > 0 ? (
                 <div className="grid grid-cols-1 xl:grid-cols-2 gap-1 md:gap-2">
                     {robots.map(robot => (
-                        <RobotCard key={robot.id} robot={robot} />
+                        <RobotCard
+                            key={robot.id}
+                            robot={robot}
+                            sla={robot.task ? evaluateSla(robot.task, slaTargets, now) : null}
+                            layout={currentLayout}
+                            resumeLevel={chargingSettings.resumeLevel}
+                            service={serviceOf(robot.id)}
+                            thresholds={getEffectiveThresholds(selectedDeviceId, robot.id)}
+                        />
                     ))}
                 </div>
             ) : (
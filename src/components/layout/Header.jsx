@@ -7,18 +7,40 @@ import { useState, useRef, useEffect } from 'react';
 import { Wifi, Radio, Server, Bell, Cpu, Menu, X, Check, Trash2, CheckCheck } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
 import { useDevice } from '../../contexts/DeviceContext';
+import { ALERT_STATES, ALERT_STATE_LABELS, ALERT_FILTERS, alertState, filterAlerts, countAlertStates } from '../../utils/alertLifecycle';
+
+const FILTER_LABELS = { all: 'All', ...ALERT_STATE_LABELS };
 
 function Header({ onMenuToggle, sidebarOpen }) {
     const { isAuthenticated } = useAuth();
     const { devices, selectedDeviceId, setSelectedDeviceId, alerts, isConnected, clearAlert, clearAllAlerts, markAlertRead, markAllAlertsRead } = useDevice();
 
-    const unreadAlerts = alerts.filter(a => !a.read).length;
     const [showNotifications, setShowNotifications] = useState(false);
+    const [notifFilter, setNotifFilter] = useState('all');
     const notifRef = useRef(null);
     const bellRef = useRef(null);
     const [isMobile, setIsMobile] = useState(false);
     const [now, setNow] = useState(new Date());
 
+    // The bell badge counts incidents (grouped alerts count once); snoozed and resolved ones do not count
+    const unreadAlerts = alerts.filter(a => !a.read && [ALERT_STATES.ACTIVE, ALERT_STATES.ACKNOWLEDGED].includes(alertState(a, now.getTime()))).length;
+    const notifCounts = countAlertStates(alerts, now.getTime());
+    const shownAlerts = filterAlerts(alerts, notifFilter, now.getTime());
+
+    const renderFilter = () => (
+        <div className="alerts-filter notif-filter">
+            {ALERT_FILTERS.map(f => (
+                <button
+                    key={f}
+                    onClick={() => setNotifFilter(f)}
+                    className={`alerts-filter__btn ${notifFilter === f ? 'alerts-filter__btn--active' : ''}`}
+                >
+                    {FILTER_LABELS[f]} ({notifCounts[f]})
+                </button>
+            ))}
+        </div>
+    );
+
     // Clock timer
     useEffect(() => {
         const t = setInterval(() => setNow(new Date()), 1000);
@@ -209,19 +231,26 @@ function Header({ onMenuToggle, sidebarOpen }) {
                             </button>
                         </div>
                     </div>
+                    {renderFilter()}
                     <div className="notif-list">
-                        {alerts.length === 0 ? (
+                        {shownAlerts.length === 0 ? (
                             <div className="notif-empty">
                                 <span>🔔</span>
                                 <p>No notifications</p>
                             </div>
                         ) : (
-                            alerts.slice(0, 10).map(a => (
+                            shownAlerts.slice(0, 10).map(a => (
                                 <div key={a.id} className={`notif-item ${!a.read ? 'unread' : ''}`}>
                                     <span className="notif-icon">{getAlertIcon(a.type)}</span>
                                     <div className="notif-content">
-                                        <p className="notif-message">{a.message}</p>
-                                        <span className="notif-time">{formatAlertTime(a.timestamp)}</span>
+                                        <p className="notif-message">
+                                            {a.message}
+                                            {a.count > 1 && <span className="alerts-count" title={`${a.count} alerts grouped`}>×{a.count}</span>}
+                                        </p>
+                                        <span className="notif-time">
+                                            <span className={`alerts-state alerts-state--${alertState(a, now.getTime())}`}>{ALERT_STATE_LABELS[alertState(a, now.getTime())]}</span>
+                                            {' '}{formatAlertTime(a.timestamp)}
+                                        </span>
                                     </div>
                                     <div className="notif-actions">
                                         {!a.read && (
@@ -265,20 +294,28 @@ function Header({ onMenuToggle, sidebarOpen }) {
                             {unreadAlerts > 0 ? `${unreadAlerts} unread notification${unreadAlerts > 1 ? 's' : ''}` : 'All caught up!'}
                         </div>
 
+                        {renderFilter()}
+
                         <div className="mobile-notif-list">
-                            {alerts.length === 0 ? (
+                            {shownAlerts.length === 0 ? (
                                 <div className="mobile-notif-empty">
                                     <div className="mobile-notif-empty-icon">🔔</div>
                                     <p>No notifications yet</p>
                                     <span>You're all caught up!</span>
                                 </div>
                             ) : (
-                                alerts.map(a => (
+                                shownAlerts.map(a => (
                                     <div key={a.id} className={`mobile-notif-item ${!a.read ? 'unread' : ''} ${a.type}`}>
                                         <div className="mobile-notif-item-indicator" />
                                         <div className="mobile-notif-item-content">
-                                            <p className="mobile-notif-item-message">{a.message}</p>
-                                            <span className="mobile-notif-item-time">{formatAlertTime(a.timestamp)}</span>
+                                            <p className="mobile-notif-item-message">
+                                                {a.message}
+                                                {a.count > 1 && <span className="alerts-count" title={`${a.count} alerts grouped`}>×{a.count}</span>}
+                                            </p>
+                                            <span className="mobile-notif-item-time">
+                                                <span className={`alerts-state alerts-state--${alertState(a, now.getTime())}`}>{ALERT_STATE_LABELS[alertState(a, now.getTime())]}</span>
+                                                {' '}{formatAlertTime(a.timestamp)}
+                                            </span>
                                         </div>
                                         <div className="mobile-notif-item-actions">
                                             {!a.read && (
@@ -1,15 +1,20 @@
 /**
  * Sidebar — Navigation, user profile, and emergency controls.
  *
- * Provides tab navigation (Dashboard, Analysis, Settings),
- * a collapsible sidebar toggle, and the emergency stop button.
+ * Provides tab navigation (Dashboard, Tasks, Schedule, Maintenance, Alerts, Analysis,
+ * Diagnostics, Settings), a collapsible sidebar toggle, and the emergency stop button.
  *
  * @module Sidebar
  */
 import { useState } from 'react';
 import {
     LayoutDashboard,
+    ListTodo,
+    CalendarClock,
+    Wrench,
+    BellRing,
     BarChart3,
+    Activity,
     Settings,
     User,
     StopCircle,
@@ -34,7 +39,12 @@ function Sidebar({ activeTab, setActiveTab, isOpen, onClose }) {
 
     const navItems = [
         { id: 'dashboard', label: 'Dashboard', icon: LayoutDashboard },
+        { id: 'tasks', label: 'Tasks', icon: ListTodo },
+        { id: 'schedule', label: 'Schedule', icon: CalendarClock },
+        { id: 'maintenance', label: 'Maintenance', icon: Wrench },
+        { id: 'alerts', label: 'Alerts', icon: BellRing },
         { id: 'analysis', label: 'Analysis', icon: BarChart3 },
+        { id: 'diagnostics', label: 'Diagnostics', icon: Activity },
         { id: 'settings', label: 'Settings', icon: Settings }
     ];
 
@@ -0,0 +1,281 @@
+/**
+ * AlertRulesPanel — Settings screen for the alert rules engine.
+ *
+ * Each rule watches one metric of the normalised device / robot messages and
+ * raises an alert when it goes above or below a threshold, changes too fast,
+ * or stops arriving — after holding for a duration. A threshold is a number
+ * or a Settings threshold such as "temperature.max"; an optional "until"
+ * bound hands the alert over to a more severe rule. Rules apply to a
+ * device, a robot or the robots inside a zone, and their alerts resolve by
+ * themselves once the condition clears (utils/alertRules.js).
+ *
+ * @module AlertRulesPanel
+ */
+import { useState } from 'react';
+import { ChevronDown, CheckCircle, AlertCircle, Plus, X, Save } from 'lucide-react';
+import { useDevice } from '../../contexts/DeviceContext';
+import { DEFAULT_ALERT_RULES } from '../../config/alertRules';
+import {
+    ALERT_CONDITIONS, ALERT_CONDITION_LABELS, ALERT_SCOPES, ALERT_SCOPE_LABELS, ALERT_SEVERITIES, DEVICE_KINDS, THRESHOLD_REFS,
+    metricOptions, parseMetric, normalizeAlertRule, validateAlertRule
+} from '../../utils/alertRules';
+import { compileLayout } from '../../utils/telemetryMath';
+
+const METRICS = metricOptions();
+
+const NEW_RULE = {
+    name: 'New rule',
+    metric: 'environment.temperature',
+    condition: ALERT_CONDITIONS.ABOVE,
+    threshold: '',
+    severity: 'warning',
+    scope: ALERT_SCOPES.DEVICE
+};
+
+function AlertRulesPanel() {
+    const { currentLayout, alertRules, updateAlertRules } = useDevice();
+
+    const [draft, setDraft] = useState(alertRules);
+    const [message, setMessage] = useState(null);
+
+    const zones = compileLayout(currentLayout).roomList.map(r => r.name);
+
+    const showMessage = (type, text) => {
+        setMessage({ type, text });
+        setTimeout(() => setMessage(null), 3500);
+    };
+
+    const addRule = () => setDraft(prev => [...prev, normalizeAlertRule(NEW_RULE)]);
+    const removeRule = (index) => setDraft(prev => prev.filter((_, i) => i !== index));
+    const updateRule = (index, key, value) => setDraft(prev => prev.map((rule, i) => {
+        if (i !== index) return rule;
+        const next = { ...rule, [key]: value };
+        // Keep the scope in step with the metric: device metrics are per device, robot metrics per robot
+        if (key === 'metric') {
+            const isRobotMetric = !DEVICE_KINDS.includes(parseMetric(value).kind);
+            if (isRobotMetric && next.scope === ALERT_SCOPES.DEVICE) next.scope = ALERT_SCOPES.ROBOT;
+            if (!isRobotMetric) next.scope = ALERT_SCOPES.DEVICE;
+        }
+        return next;
+    }));
+
+    const handleSave = () => {
+        const rules = draft.map(normalizeAlertRule);
+        for (let i = 0; i < rules.length; i++) {
+            const error = validateAlertRule(rules[i]);
+            if (error) {
+                showMessage('error', `Rule ${i + 1} (${rules[i].name}): ${error}`);
+                return;
+            }
+        }
+        updateAlertRules(rules);
+        setDraft(rules);
+        showMessage('success', 'Alert rules saved');
+    };
+
+    return (
+        <div className="settings-section settings-section--fleet">
+            <div className="settings-fleet-header">
+                <h2 className="settings-title">
+                    Alert Rules
+                    <span className="settings-title-sub">
+                        (alerts resolve by themselves once the condition clears)
+                    </span>
+                </h2>
+            </div>
+
+            <div className="settings-registry-robots">
+                {draft.length === 0 && (
+                    <p className="settings-layout-hint">No alert rules — threshold alerts are off.</p>
+                )}
+                {draft.map((rule, i) => {
+                    const isRobotMetric = !DEVICE_KINDS.includes(parseMetric(rule.metric).kind);
+                    return (
+                        <div key={rule.id} className={`settings-alert-rule ${rule.enabled ? '' : 'settings-alert-rule--off'}`}>
+                            <div>
+                                <label className="settings-field-label">Name</label>
+                                <input
+                                    type="text"
+                                    value={rule.name}
+                                    onChange={(e) => updateRule(i, 'name', e.target.value)}
+                                    className="settings-input"
+                                />
+                            </div>
+                            <div>
+                                <label className="settings-field-label">Metric</label>
+                                <div className="settings-select-wrap">
+                                    <select
+                                        value={rule.metric}
+                                        onChange={(e) => updateRule(i, 'metric', e.target.value)}
+                                        className="settings-select"
+                                    >
+                                        {!METRICS.some(m => m.id === rule.metric) && <option value={rule.metric}>{rule.metric || 'Choose a metric'}</option>}
+                                        {METRICS.map(m => <option key={m.id} value={m.id}>{m.label}{m.unit ? ` (${m.unit.trim()})` : ''}</option>)}
+                                    </select>
+                                    <ChevronDown size={14} className="settings-select-icon" />
+                                </div>
+                            </div>
+                            <div>
+                                <label className="settings-field-label">Condition</label>
+                                <div className="settings-select-wrap">
+                                    <select
+                                        value={rule.condition}
+                                        onChange={(e) => updateRule(i, 'condition', e.target.value)}
+                                        className="settings-select"
+                                    >
+                                        {Object.values(ALERT_CONDITIONS).map(c => <option key={c} value={c}>{ALERT_CONDITION_LABELS[c]}</option>)}
+                                    </select>
+                                    <ChevronDown size={14} className="settings-select-icon" />
+                                </div>
+                            </div>
+                            <div>
+                                <label className="settings-field-label">Threshold</label>
+                                <input
+                                    type="text"
+                                    list="alert-rule-thresholds"
+                                    placeholder="Number or temperature.max"
+                                    value={rule.threshold ?? ''}
+                                    disabled={rule.condition === ALERT_CONDITIONS.ABSENT}
+                                    onChange={(e) => updateRule(i, 'threshold', e.target.value)}
+                                    className="settings-input"
+                                />
+                            </div>
+                            <div>
+                                <label className="settings-field-label">Until</label>
+                                <input
+                                    type="text"
+                                    list="alert-rule-thresholds"
+                                    placeholder="Optional, e.g. temperature.critical"
+                                    value={rule.until ?? ''}
+                                    disabled={![ALERT_CONDITIONS.ABOVE, ALERT_CONDITIONS.BELOW, ALERT_CONDITIONS.AT_OR_BELOW].includes(rule.condition)}
+                                    onChange={(e) => updateRule(i, 'until', e.target.value)}
+                                    className="settings-input"
+                                />
+                            </div>
+                            <div>
+                                <label className="settings-field-label">For (seconds)</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={rule.durationSec}
+                                    onChange={(e) => updateRule(i, 'durationSec', e.target.value)}
+                                    className="settings-input"
+                                />
+                            </div>
+                            <div>
+                                <label className="settings-field-label">Severity</label>
+                                <div className="settings-select-wrap">
+                                    <select
+                                        value={rule.severity}
+                                        onChange={(e) => updateRule(i, 'severity', e.target.value)}
+                                        className="settings-select"
+                                    >
+                                        {ALERT_SEVERITIES.map(s => <option key={s} value={s}>{s}</option>)}
+                                    </select>
+                                    <ChevronDown size={14} className="settings-select-icon" />
+                                </div>
+                            </div>
+                            <div>
+                                <label className="settings-field-label">Scope</label>
+                                <div className="settings-select-wrap">
+                                    <select
+                                        value={rule.scope}
+                                        onChange={(e) => updateRule(i, 'scope', e.target.value)}
+                                        className="settings-select"
+                                    >
+                                        {Object.values(ALERT_SCOPES)
+                                            .filter(s => (s === ALERT_SCOPES.DEVICE) !== isRobotMetric)
+                                            .map(s => <option key={s} value={s}>{ALERT_SCOPE_LABELS[s]}</option>)}
+                                    </select>
+                                    <ChevronDown size={14} className="settings-select-icon" />
+                                </div>
+                            </div>
+                            {rule.scope === ALERT_SCOPES.ZONE ? (
+                                <div>
+                                    <label className="settings-field-label">Zone</label>
+                                    <div className="settings-select-wrap">
+                                        <select
+                                            value={rule.zone}
+                                            onChange={(e) => updateRule(i, 'zone', e.target.value)}
+                                            className="settings-select"
+                                        >
+                                            <option value="">Choose a zone</option>
+                                            {zones.map(name => <option key={name} value={name}>{name}</option>)}
+                                        </select>
+                                        <ChevronDown size={14} className="settings-select-icon" />
+                                    </div>
+                                </div>
+                            ) : (
+                                <div>
+                                    <label className="settings-field-label">{isRobotMetric ? 'Robot ID' : 'Device ID'}</label>
+                                    <input
+                                        type="text"
+                                        placeholder={isRobotMetric ? 'All robots' : 'All devices'}
+                                        value={rule.target}
+                                        onChange={(e) => updateRule(i, 'target', e.target.value)}
+                                        className="settings-input"
+                                    />
+                                </div>
+                            )}
+                            <div className="settings-alert-rule__message settings-alert-rule__message--narrow">
+                                <label className="settings-field-label">Message</label>
+                                <input
+                                    type="text"
+                                    placeholder="e.g. {robot} at {value} (limit {threshold})"
+                                    value={rule.message}
+                                    onChange={(e) => updateRule(i, 'message', e.target.value)}
+                                    className="settings-input"
+                                />
+                            </div>
+                            <div>
+                                <label className="settings-field-label">Status</label>
+                                <div className="settings-select-wrap">
+                                    <select
+                                        value={rule.enabled ? 'on' : 'off'}
+                                        onChange={(e) => updateRule(i, 'enabled', e.target.value === 'on')}
+                                        className="settings-select"
+                                    >
+                                        <option value="on">On</option>
+                                        <option value="off">Off</option>
+                                    </select>
+                                    <ChevronDown size={14} className="settings-select-icon" />
+                                </div>
+                            </div>
+                            <button onClick={() => removeRule(i)} className="settings-clear-btn settings-alert-rule__remove" title="Remove rule">
+                                <X size={14} />
+                            </button>
+                        </div>
+                    );
+                })}
+                <datalist id="alert-rule-thresholds">
+                    {THRESHOLD_REFS.map(ref => <option key={ref} value={ref} />)}
+                </datalist>
+                <button onClick={addRule} className="settings-refresh-btn">
+                    <Plus size={14} />
+                    Add rule
+                </button>
+            </div>
+
+            <div className="settings-btn-row settings-dispatch-actions">
+                <button onClick={handleSave} className="settings-assign-btn">
+                    <Save size={14} />
+                    Save rules
+                </button>
+                <button onClick={() => setDraft(DEFAULT_ALERT_RULES.map(normalizeAlertRule))} className="settings-clear-btn">
+                    Reset to defaults
+                </button>
+            </div>
+
+            <div className="settings-actions settings-actions--mt">
+                {message && (
+                    <div className={`settings-message ${message.type === 'error' ? 'settings-message--error' : 'settings-message--success'}`}>
+                        {message.type === 'error' ? <AlertCircle size={18} /> : <CheckCircle size={18} />}
+                        {message.text}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default AlertRulesPanel;
@@ -0,0 +1,151 @@
+/**
+ * ChargingPanel — Settings screen for automatic charging.
+ *
+ * Turns automatic charging on or off, sets the battery level a charging robot
+ * returns to service at, and how far ahead an idle robot's predicted low
+ * battery sends it to charge early (services/chargeManager.js). Lists the
+ * selected device's docks — defined in the facility layout — with who is
+ * charging at or heading to each.
+ *
+ * @module ChargingPanel
+ */
+import { useState } from 'react';
+import { ChevronDown, CheckCircle, AlertCircle, Save } from 'lucide-react';
+import { useDevice } from '../../contexts/DeviceContext';
+import { DEFAULT_CHARGING_SETTINGS } from '../../services/chargeManager';
+import { getThresholds } from '../../utils/thresholds';
+import { compileLayout } from '../../utils/telemetryMath';
+
+const OCCUPANT_LABELS = { charging: 'Charging', reserved: 'On its way', present: 'Parked' };
+
+function ChargingPanel() {
+    const {
+        currentLayout, selectedDeviceId, chargingSettings, updateChargingSettings, getDockOccupancy, thresholdProfiles
+    } = useDevice();
+
+    const [draft, setDraft] = useState(chargingSettings);
+    const [message, setMessage] = useState(null);
+
+    const docks = compileLayout(currentLayout).docks;
+    const occupancy = getDockOccupancy(selectedDeviceId);
+
+    const showMessage = (type, text) => {
+        setMessage({ type, text });
+        setTimeout(() => setMessage(null), 3500);
+    };
+
+    const handleSave = () => {
+        // Above every robot's low battery warning — the global one and any threshold profile's
+        const lows = [
+            { low: getThresholds().battery.low, source: 'the low battery warning' },
+            ...thresholdProfiles
+                .filter(profile => profile.enabled && profile.overrides.battery?.low != null)
+                .map(profile => ({ low: profile.overrides.battery.low, source: `the ${profile.name} profile's low battery warning` }))
+        ];
+        const highest = lows.reduce((a, b) => (b.low > a.low ? b : a));
+        const resume = Number(draft.resumeLevel);
+        if (!(resume > highest.low && resume <= 100)) {
+            showMessage('error', `Back-in-service level must be above ${highest.source} (${highest.low}%) and at most 100%`);
+            return;
+        }
+        if (!(Number(draft.lookaheadMinutes) >= 0)) {
+            showMessage('error', 'Look-ahead must be 0 minutes or more');
+            return;
+        }
+        updateChargingSettings(draft);
+        showMessage('success', 'Charging settings saved');
+    };
+
+    return (
+        <div className="settings-section settings-section--fleet">
+            <div className="settings-fleet-header">
+                <h2 className="settings-title">
+                    Automatic Charging
+                    <span className="settings-title-sub">
+                        (robots go to the nearest free dock when low)
+                    </span>
+                </h2>
+            </div>
+
+            <div className="settings-charging-grid">
+                <div>
+                    <label className="settings-field-label">Automatic charging</label>
+                    <div className="settings-select-wrap">
+                        <select
+                            value={draft.enabled ? 'on' : 'off'}
+                            onChange={(e) => setDraft(prev => ({ ...prev, enabled: e.target.value === 'on' }))}
+                            className="settings-select"
+                        >
+                            <option value="on">On</option>
+                            <option value="off">Off</option>
+                        </select>
+                        <ChevronDown size={14} className="settings-select-icon" />
+                    </div>
+                </div>
+                <div>
+                    <label className="settings-field-label">Back in service at (%)</label>
+                    <input
+                        type="number"
+                        min="1"
+                        max="100"
+                        value={draft.resumeLevel}
+                        onChange={(e) => setDraft(prev => ({ ...prev, resumeLevel: e.target.value }))}
+                        className="settings-input"
+                    />
+                </div>
+                <div>
+                    <label className="settings-field-label">Charge early if low within (min)</label>
+                    <input
+                        type="number"
+                        min="0"
+                        value={draft.lookaheadMinutes}
+                        onChange={(e) => setDraft(prev => ({ ...prev, lookaheadMinutes: e.target.value }))}
+                        className="settings-input"
+                    />
+                </div>
+            </div>
+
+            <div className="settings-registry-robots">
+                <h3 className="settings-registry-subtitle">
+                    Docks
+                    <span className="settings-title-sub">(edit them in the facility layout)</span>
+                </h3>
+                {docks.length === 0 && (
+                    <p className="settings-layout-hint">This device's layout has no charging docks — robots cannot be sent to charge.</p>
+                )}
+                {docks.map(dock => {
+                    const occupant = occupancy[dock.id];
+                    return (
+                        <div key={dock.id} className="settings-charging-dock">
+                            <span className="settings-registry-id">{dock.name}</span>
+                            <span className={`settings-charging-state ${occupant ? `settings-charging-state--${occupant.state}` : ''}`}>
+                                {occupant ? `${OCCUPANT_LABELS[occupant.state]} — ${occupant.robotId}` : 'Free'}
+                            </span>
+                        </div>
+                    );
+                })}
+            </div>
+
+            <div className="settings-btn-row settings-dispatch-actions">
+                <button onClick={handleSave} className="settings-assign-btn">
+                    <Save size={14} />
+                    Save charging
+                </button>
+                <button onClick={() => setDraft(DEFAULT_CHARGING_SETTINGS)} className="settings-clear-btn">
+                    Reset to defaults
+                </button>
+            </div>
+
+            <div className="settings-actions settings-actions--mt">
+                {message && (
+                    <div className={`settings-message ${message.type === 'error' ? 'settings-message--error' : 'settings-message--success'}`}>
+                        {message.type === 'error' ? <AlertCircle size={18} /> : <CheckCircle size={18} />}
+                        {message.text}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default ChargingPanel;
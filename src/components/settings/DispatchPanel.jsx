@@ -0,0 +1,244 @@
+/**
+ * DispatchPanel — Settings screen for robot-agnostic Deliver orders.
+ *
+ * The operator enters source, destination, optional intermediate stops,
+ * priority and an optional deadline; the dispatcher (services/dispatcher.js via DeviceContext) picks the robot.
+ * Orders that could not be placed are listed in the fleet backlog with the
+ * reason, and are retried automatically.
+ *
+ * @module DispatchPanel
+ */
+import { useState } from 'react';
+import { ChevronDown, CheckCircle, AlertCircle, Send, RefreshCw, Loader2, Plus, X } from 'lucide-react';
+import { useDevice } from '../../contexts/DeviceContext';
+import { TASK_PRIORITY } from '../../config/robotRegistry';
+import { PRIORITY_LEVELS, PRIORITY_LABELS, normalizePriority } from '../../utils/taskPriority';
+import { STOP_TYPES, getTaskLocations, taskRouteLabel } from '../../utils/telemetryMath';
+
+const EMPTY_ORDER = { source: '', destination: '', via: [], priority: TASK_PRIORITY.NORMAL, deadline: '' };
+
+const formatDeadline = (ts) => (ts ? new Date(ts).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) : '—');
+
+function DispatchPanel() {
+    const { selectedDeviceId, currentLayout, dispatchOrder, dispatchBacklog, drainBacklog, removeBacklogOrder } = useDevice();
+
+    const [order, setOrder] = useState(EMPTY_ORDER);
+    const [message, setMessage] = useState(null);
+    const [isSending, setIsSending] = useState(false);
+
+    const locations = getTaskLocations(currentLayout);
+    const backlog = dispatchBacklog[selectedDeviceId] || [];
+
+    const showMessage = (type, text, ms = 3500) => {
+        setMessage({ type, text });
+        setTimeout(() => setMessage(null), ms);
+    };
+
+    const updateOrder = (key, value) => setOrder(prev => ({ ...prev, [key]: value }));
+
+    // Intermediate stops between the source pickup and the destination drop
+    const addStop = () => setOrder(prev => ({ ...prev, via: [...prev.via, { type: STOP_TYPES.DROP, location: '' }] }));
+    const updateStop = (index, key, value) => setOrder(prev => ({
+        ...prev,
+        via: prev.via.map((stop, i) => (i === index ? { ...stop, [key]: value } : stop))
+    }));
+    const removeStop = (index) => setOrder(prev => ({ ...prev, via: prev.via.filter((_, i) => i !== index) }));
+
+    const handleDispatch = async () => {
+        if (!selectedDeviceId) {
+            showMessage('error', 'No device selected for sync.');
+            return;
+        }
+        setIsSending(true);
+        try {
+            const { order: created, robotId, reason } = await dispatchOrder(order);
+            if (robotId) {
+                showMessage('success', `Order ${created.task_id} assigned to ${robotId}`);
+            } else {
+                showMessage('error', `Order ${created.task_id} is waiting in the backlog — ${reason}`, 5000);
+            }
+            setOrder(EMPTY_ORDER);
+        } catch (err) {
+            // Invalid order (missing rooms, bad deadline) — nothing was created
+            showMessage('error', err.message);
+        } finally {
+            setIsSending(false);
+        }
+    };
+
+    const handleRetry = async () => {
+        setIsSending(true);
+        try {
+            await drainBacklog(selectedDeviceId);
+        } finally {
+            setIsSending(false);
+        }
+    };
+
+    return (
+        <div className="settings-section settings-section--fleet">
+            <div className="settings-fleet-header">
+                <h2 className="settings-title">
+                    Dispatch Order
+                    <span className="settings-title-sub">
+                        (robot chosen automatically)
+                    </span>
+                </h2>
+            </div>
+
+            <div className="settings-dispatch-form">
+                {[{ k: 'source', l: 'Initiate Location' }, { k: 'destination', l: 'Destination' }].map(f => (
+                    <div key={f.k}>
+                        <label className="settings-field-label">{f.l}</label>
+                        <div className="settings-select-wrap">
+                            <select
+                                value={order[f.k]}
+                                onChange={(e) => updateOrder(f.k, e.target.value)}
+                                className="settings-select"
+                            >
+                                <option value="">Select</option>
+                                {locations.map(name => <option key={name} value={name}>{name}</option>)}
+                            </select>
+                            <ChevronDown size={14} className="settings-select-icon" />
+                        </div>
+                    </div>
+                ))}
+
+                <div>
+                    <label className="settings-field-label">Priority</label>
+                    <div className="settings-select-wrap">
+                        <select
+                            value={order.priority}
+                            onChange={(e) => updateOrder('priority', e.target.value)}
+                            className="settings-select"
+                        >
+                            {PRIORITY_LEVELS.map(p => <option key={p} value={p}>{PRIORITY_LABELS[p]}</option>)}
+                        </select>
+                        <ChevronDown size={14} className="settings-select-icon" />
+                    </div>
+                </div>
+
+                <div>
+                    <label className="settings-field-label">Deadline (optional)</label>
+                    <input
+                        type="datetime-local"
+                        value={order.deadline}
+                        onChange={(e) => updateOrder('deadline', e.target.value)}
+                        className="settings-input"
+                    />
+                </div>
+
+                <div className="settings-btn-row settings-dispatch-actions">
+                    <button onClick={handleDispatch} disabled={isSending} className="settings-assign-btn">
+                        {isSending ? <Loader2 size={14} className="animate-spin" /> : <Send size={14} />}
+                        Dispatch
+                    </button>
+                    <button onClick={() => setOrder(EMPTY_ORDER)} disabled={isSending} className="settings-clear-btn">
+                        Clear
+                    </button>
+                </div>
+
+                <div className="settings-dispatch-stops">
+                    <label className="settings-field-label">Stops in between (optional)</label>
+                    {order.via.map((stop, i) => (
+                        <div key={i} className="settings-dispatch-stop">
+                            <span className="settings-dispatch-stop-num">{i + 1}</span>
+                            <div className="settings-select-wrap">
+                                <select
+                                    value={stop.type}
+                                    onChange={(e) => updateStop(i, 'type', e.target.value)}
+                                    className="settings-select"
+                                >
+                                    <option value={STOP_TYPES.PICKUP}>Pickup</option>
+                                    <option value={STOP_TYPES.DROP}>Drop</option>
+                                </select>
+                                <ChevronDown size={14} className="settings-select-icon" />
+                            </div>
+                            <div className="settings-select-wrap">
+                                <select
+                                    value={stop.location}
+                                    onChange={(e) => updateStop(i, 'location', e.target.value)}
+                                    className="settings-select"
+                                >
+                                    <option value="">Select</option>
+                                    {locations.map(name => <option key={name} value={name}>{name}</option>)}
+                                </select>
+                                <ChevronDown size={14} className="settings-select-icon" />
+                            </div>
+                            <button onClick={() => removeStop(i)} className="settings-clear-btn" title="Remove stop">
+                                <X size={14} />
+                            </button>
+                        </div>
+                    ))}
+                    <button onClick={addStop} disabled={isSending} className="settings-refresh-btn">
+                        <Plus size={14} />
+                        Add stop
+                    </button>
+                </div>
+            </div>
+
+            {/* Fleet backlog */}
+            <div className="settings-registry-robots">
+                <div className="settings-flex-between">
+                    <h3 className="settings-registry-subtitle">
+                        Backlog
+                        <span className="settings-title-sub">({backlog.length} waiting)</span>
+                    </h3>
+                    <button
+                        onClick={handleRetry}
+                        disabled={isSending || backlog.length === 0}
+                        className="settings-refresh-btn"
+                        title="Try to assign every waiting order now"
+                    >
+                        <RefreshCw size={14} />
+                        Retry now
+                    </button>
+                </div>
+
+                {backlog.length === 0 ? (
+                    <p className="settings-layout-hint">No orders waiting — every order has a robot.</p>
+                ) : (
+                    <div className="settings-registry-table">
+                        <div className="settings-dispatch-row settings-registry-row--head">
+                            <span>Order</span>
+                            <span>Route</span>
+                            <span>Priority</span>
+                            <span>Deadline</span>
+                            <span>Waiting because</span>
+                            <span />
+                        </div>
+                        {backlog.map(o => (
+                            <div key={o.task_id} className="settings-dispatch-row">
+                                <span className="settings-registry-id">{o.task_id}</span>
+                                <span>{taskRouteLabel(o)}</span>
+                                <span>
+                                    <span className={`settings-dispatch-priority settings-dispatch-priority--${normalizePriority(o.priority).toLowerCase()}`}>
+                                        {PRIORITY_LABELS[normalizePriority(o.priority)]}
+                                    </span>
+                                </span>
+                                <span>{formatDeadline(o.deadline)}</span>
+                                <span className="settings-dispatch-reason">{o.reason || '—'}</span>
+                                <div className="settings-btn-row settings-btn-row--compact">
+                                    <button onClick={() => removeBacklogOrder(selectedDeviceId, o.task_id)} className="settings-clear-btn">
+                                        Remove
+                                    </button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            <div className="settings-actions settings-actions--mt">
+                {message && (
+                    <div className={`settings-message ${message.type === 'error' ? 'settings-message--error' : 'settings-message--success'}`}>
+                        {message.type === 'error' ? <AlertCircle size={18} /> : <CheckCircle size={18} />}
+                        {message.text}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default DispatchPanel;
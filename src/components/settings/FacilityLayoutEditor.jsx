@@ -0,0 +1,560 @@
+/**
+ * FacilityLayoutEditor — Settings admin screen for each device's floor plan.
+ *
+ * An on-map editor for the facility layout document (rooms, aisles, charging
+ * docks, no-go zones and GPS bounds): select a shape to drag it or its
+ * vertices, double-click a selected shape to add a vertex and double-click a
+ * vertex to remove it. Layouts can be imported from / exported to JSON. Saved
+ * layouts are stored locally and published to the State API
+ * (`fleetMS/layout`) through DeviceContext.
+ *
+ * @module FacilityLayoutEditor
+ */
+import { useRef, useState } from 'react';
+import { ChevronDown, CheckCircle, AlertCircle, Plus, Trash2, Upload, Download, RotateCcw } from 'lucide-react';
+import { useDevice } from '../../contexts/DeviceContext';
+import { DEFAULT_FACILITY_LAYOUT, ROOM_TYPES } from '../../config/facilityLayout';
+import { parseLayoutJson, validateLayout } from '../../services/layoutService';
+import { gpsToPercent, metresPerPercent, percentToGps } from '../../utils/telemetryMath';
+
+const MAP_WIDTH = 750;
+const MAP_HEIGHT = 500;
+
+const ROOM_FILLS = {
+    cleanroom: '#f3e8ff',
+    loading: '#ecfccb',
+    storage: '#fff7ed',
+    maintenance: '#fff7ed',
+    reset: '#f3f4f6',
+};
+
+// Minimum vertices per shape kind (docks are single points)
+const MIN_POINTS = { rooms: 3, aisles: 2, noGoZones: 3 };
+
+const KIND_LABELS = { rooms: 'Room', aisles: 'Aisle', docks: 'Dock', noGoZones: 'No-go zone' };
+
+function toSvg(point, layout) {
+    const { xPercent, yPercent } = gpsToPercent(point.lat, point.lng, layout);
+    return { x: (xPercent / 100) * MAP_WIDTH, y: (yPercent / 100) * MAP_HEIGHT };
+}
+
+function toGps(x, y, layout) {
+    return percentToGps((x / MAP_WIDTH) * 100, (y / MAP_HEIGHT) * 100, layout);
+}
+
+function svgPoints(points, layout) {
+    return points.map(p => {
+        const { x, y } = toSvg(p, layout);
+        return `${x},${y}`;
+    }).join(' ');
+}
+
+/** Squared distance from point p to segment ab (SVG pixels). */
+function segmentDistance(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const len = dx * dx + dy * dy;
+    const t = len ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len)) : 0;
+    const cx = a.x + t * dx - p.x;
+    const cy = a.y + t * dy - p.y;
+    return cx * cx + cy * cy;
+}
+
+/** Unique id within a kind, e.g. room-3. */
+function nextId(items, prefix) {
+    const ids = new Set(items.map(i => i.id));
+    let n = items.length + 1;
+    while (ids.has(`${prefix}-${n}`)) n += 1;
+    return `${prefix}-${n}`;
+}
+
+function FacilityLayoutEditor() {
+    const { registry, selectedDeviceId, getFacilityLayout, saveFacilityLayout } = useDevice();
+
+    const [editDeviceId, setEditDeviceId] = useState(selectedDeviceId);
+    const [drafts, setDrafts] = useState({});
+    const [selection, setSelection] = useState(null); // { kind, id }
+    const [message, setMessage] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const svgRef = useRef(null);
+    const dragRef = useRef(null);
+    const fileRef = useRef(null);
+
+    const deviceId = registry.some(d => d.id === editDeviceId) ? editDeviceId : registry[0]?.id;
+    const savedLayout = getFacilityLayout(deviceId);
+    const layout = drafts[deviceId] || savedLayout;
+    const isDirty = !!drafts[deviceId];
+    const errors = validateLayout(layout);
+
+    const selected = selection
+        ? (layout[selection.kind] || []).find(item => item.id === selection.id) || null
+        : null;
+
+    const showMessage = (type, text, ms = 3000) => {
+        setMessage({ type, text });
+        setTimeout(() => setMessage(null), ms);
+    };
+
+    // ── Draft helpers ──
+    const updateLayout = (change) => {
+        setDrafts(prev => {
+            const base = prev[deviceId] || savedLayout;
+            return { ...prev, [deviceId]: { ...base, ...change(base) } };
+        });
+    };
+
+    const updateItem = (kind, id, change) => {
+        updateLayout(base => ({
+            [kind]: base[kind].map(item => (item.id === id ? { ...item, ...change(item) } : item))
+        }));
+    };
+
+    // ── Pointer editing ──
+    const eventToSvg = (e) => {
+        const svg = svgRef.current;
+        if (!svg) return null;
+        const pt = svg.createSVGPoint();
+        pt.x = e.clientX;
+        pt.y = e.clientY;
+        const local = pt.matrixTransform(svg.getScreenCTM().inverse());
+        return {
+            x: Math.max(0, Math.min(MAP_WIDTH, local.x)),
+            y: Math.max(0, Math.min(MAP_HEIGHT, local.y)),
+        };
+    };
+
+    // vertex: index of the dragged vertex, or null to move the whole shape
+    const startDrag = (e, kind, item, vertex = null) => {
+        e.stopPropagation();
+        setSelection({ kind, id: item.id });
+        const start = eventToSvg(e);
+        if (!start) return;
+        dragRef.current = { kind, id: item.id, vertex, start, original: item };
+        svgRef.current.setPointerCapture?.(e.pointerId);
+    };
+
+    const handlePointerMove = (e) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+        const pos = eventToSvg(e);
+        if (!pos) return;
+        const { kind, id, vertex, start, original } = drag;
+
+        if (kind === 'docks') {
+            updateItem(kind, id, () => toGps(pos.x, pos.y, layout));
+            return;
+        }
+        if (vertex != null) {
+            const gps = toGps(pos.x, pos.y, layout);
+            updateItem(kind, id, item => ({ points: item.points.map((p, i) => (i === vertex ? gps : p)) }));
+            return;
+        }
+        // Move the whole shape by the pointer delta
+        const dx = pos.x - start.x;
+        const dy = pos.y - start.y;
+        updateItem(kind, id, () => ({
+            points: original.points.map(p => {
+                const { x, y } = toSvg(p, layout);
+                return toGps(x + dx, y + dy, layout);
+            })
+        }));
+    };
+
+    const endDrag = () => {
+        dragRef.current = null;
+    };
+
+    // Double-click a selected shape: insert a vertex on the nearest edge
+    const insertVertex = (e, kind, item) => {
+        e.stopPropagation();
+        const pos = eventToSvg(e);
+        if (!pos) return;
+        const pts = item.points.map(p => toSvg(p, layout));
+        const closed = kind !== 'aisles';
+        let best = { index: 0, dist: Infinity };
+        const edges = closed ? pts.length : pts.length - 1;
+        for (let i = 0; i < edges; i++) {
+            const dist = segmentDistance(pos, pts[i], pts[(i + 1) % pts.length]);
+            if (dist < best.dist) best = { index: i, dist };
+        }
+        const gps = toGps(pos.x, pos.y, layout);
+        updateItem(kind, item.id, current => ({
+            points: [...current.points.slice(0, best.index + 1), gps, ...current.points.slice(best.index + 1)]
+        }));
+    };
+
+    const removeVertex = (e, kind, item, index) => {
+        e.stopPropagation();
+        if (item.points.length <= MIN_POINTS[kind]) {
+            showMessage('error', `${KIND_LABELS[kind]} needs at least ${MIN_POINTS[kind]} points`);
+            return;
+        }
+        updateItem(kind, item.id, current => ({ points: current.points.filter((_, i) => i !== index) }));
+    };
+
+    // ── Toolbar actions ──
+    const centre = (dx, dy) => toGps(MAP_WIDTH / 2 + dx, MAP_HEIGHT / 2 + dy, layout);
+
+    const addShape = (kind) => {
+        const items = layout[kind] || [];
+        const prefix = { rooms: 'room', aisles: 'aisle', docks: 'dock', noGoZones: 'no-go' }[kind];
+        const id = nextId(items, prefix);
+        const name = `${KIND_LABELS[kind]} ${items.length + 1}`;
+        let item;
+        if (kind === 'docks') {
+            item = { id, name, ...centre(0, 0) };
+        } else if (kind === 'aisles') {
+            item = { id, name, width: 5, points: [centre(-60, 0), centre(60, 0)] };
+        } else {
+            item = { id, name, points: [centre(-40, -30), centre(40, -30), centre(40, 30), centre(-40, 30)] };
+            if (kind === 'rooms') item.type = 'storage';
+        }
+        updateLayout(base => ({ [kind]: [...(base[kind] || []), item] }));
+        setSelection({ kind, id });
+    };
+
+    const deleteSelected = () => {
+        if (!selection) return;
+        updateLayout(base => ({ [selection.kind]: base[selection.kind].filter(item => item.id !== selection.id) }));
+        setSelection(null);
+    };
+
+    const updateBounds = (key, value) => {
+        updateLayout(base => ({ bounds: { ...base.bounds, [key]: value === '' ? '' : Number(value) } }));
+    };
+
+    // ── Import / export / save ──
+    const handleImport = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const imported = parseLayoutJson(await file.text());
+            setDrafts(prev => ({ ...prev, [deviceId]: imported }));
+            setSelection(null);
+            showMessage('success', `Imported ${file.name} — review and save`);
+        } catch (err) {
+            showMessage('error', `Import failed: ${err.message}`, 6000);
+        }
+    };
+
+    const handleExport = () => {
+        const blob = new Blob([JSON.stringify(layout, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `facility-layout-${deviceId}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const handleResetToDefault = () => {
+        setDrafts(prev => ({ ...prev, [deviceId]: { ...DEFAULT_FACILITY_LAYOUT } }));
+        setSelection(null);
+    };
+
+    const handleDiscard = () => {
+        setDrafts(prev => ({ ...prev, [deviceId]: undefined }));
+        setSelection(null);
+    };
+
+    const handleSave = async () => {
+        if (errors.length > 0) {
+            showMessage('error', errors[0]);
+            return;
+        }
+        setIsSaving(true);
+        try {
+            await saveFacilityLayout(deviceId, layout);
+            showMessage('success', `Saved layout for ${deviceId}`);
+        } catch (err) {
+            console.error('[Settings] Failed to publish facility layout:', err);
+            showMessage('error', 'Saved locally, but syncing to the server failed', 4000);
+        } finally {
+            setDrafts(prev => ({ ...prev, [deviceId]: undefined }));
+            setIsSaving(false);
+        }
+    };
+
+    // ── Rendering helpers ──
+    const boundsValid = !errors.some(err => err.startsWith('bounds'));
+    const isSelected = (kind, id) => selection?.kind === kind && selection?.id === id;
+
+    const renderHandles = (kind, item) => item.points.map((p, i) => {
+        const { x, y } = toSvg(p, layout);
+        return (
+            <circle
+                key={i}
+                cx={x}
+                cy={y}
+                r={6}
+                className="settings-layout-handle"
+                onPointerDown={(e) => startDrag(e, kind, item, i)}
+                onDoubleClick={(e) => removeVertex(e, kind, item, i)}
+            />
+        );
+    });
+
+    return (
+        <div className="settings-section settings-section--fleet">
+            <div className="settings-fleet-header">
+                <h2 className="settings-title">
+                    Facility Layout
+                    <span className="settings-title-sub">
+                        ({layout.rooms?.length || 0} rooms{isDirty ? ' — unsaved changes' : ''})
+                    </span>
+                </h2>
+            </div>
+
+            <div className="settings-layout-toolbar">
+                <div className="settings-select-wrap settings-layout-device">
+                    <select
+                        value={deviceId || ''}
+                        onChange={(e) => { setEditDeviceId(e.target.value); setSelection(null); }}
+                        className="settings-select"
+                        aria-label="Device"
+                    >
+                        {registry.map(d => (
+                            <option key={d.id} value={d.id}>{d.name} ({d.id})</option>
+                        ))}
+                    </select>
+                    <ChevronDown size={14} className="settings-select-icon" />
+                </div>
+                {Object.entries(KIND_LABELS).map(([kind, label]) => (
+                    <button key={kind} onClick={() => addShape(kind)} disabled={!boundsValid} className="settings-refresh-btn">
+                        <Plus size={14} /> {label}
+                    </button>
+                ))}
+                <button onClick={deleteSelected} disabled={!selected} className="settings-clear-btn">
+                    <Trash2 size={14} /> Delete
+                </button>
+            </div>
+
+            <div className="settings-layout-grid">
+                {/* Map canvas */}
+                <div className="settings-layout-canvas">
+                    {boundsValid ? (
+                        <svg
+                            ref={svgRef}
+                            viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`}
+                            onPointerMove={handlePointerMove}
+                            onPointerUp={endDrag}
+                            onPointerLeave={endDrag}
+                            onPointerDown={() => setSelection(null)}
+                        >
+                            <defs>
+                                <pattern id="layout-nogo-hatch" width="8" height="8" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+                                    <rect width="8" height="8" fill="#fee2e2" />
+                                    <line x1="0" y1="0" x2="0" y2="8" stroke="#ef4444" strokeWidth="2" />
+                                </pattern>
+                            </defs>
+                            <rect
+                                x={MAP_WIDTH * 0.05}
+                                y={MAP_HEIGHT * 0.05}
+                                width={MAP_WIDTH * 0.9}
+                                height={MAP_HEIGHT * 0.9}
+                                className="settings-layout-bounds"
+                            />
+
+                            {(layout.aisles || []).map(aisle => (
+                                <polyline
+                                    key={aisle.id}
+                                    points={svgPoints(aisle.points, layout)}
+                                    stroke={isSelected('aisles', aisle.id) ? '#7c3aed' : '#9ca3af'}
+                                    strokeWidth={Math.max(4, (aisle.width / metresPerPercent(layout)) * (MAP_WIDTH / 100))}
+                                    strokeLinecap="round"
+                                    strokeLinejoin="round"
+                                    fill="none"
+                                    opacity={0.4}
+                                    onPointerDown={(e) => startDrag(e, 'aisles', aisle)}
+                                    onDoubleClick={(e) => isSelected('aisles', aisle.id) && insertVertex(e, 'aisles', aisle)}
+                                />
+                            ))}
+
+                            {(layout.rooms || []).map(room => (
+                                <g key={room.id}>
+                                    <polygon
+                                        points={svgPoints(room.points, layout)}
+                                        fill={ROOM_FILLS[room.type] || ROOM_FILLS.storage}
+                                        stroke={isSelected('rooms', room.id) ? '#7c3aed' : '#a78bfa'}
+                                        strokeWidth={isSelected('rooms', room.id) ? 2.5 : 1.5}
+                                        strokeDasharray={isSelected('rooms', room.id) ? 'none' : '6 4'}
+                                        fillOpacity={0.8}
+                                        onPointerDown={(e) => startDrag(e, 'rooms', room)}
+                                        onDoubleClick={(e) => isSelected('rooms', room.id) && insertVertex(e, 'rooms', room)}
+                                    />
+                                    {room.points.length > 0 && (() => {
+                                        const { x, y } = toSvg(room.points[0], layout);
+                                        return (
+                                            <text x={x + 6} y={y + 16} className="settings-layout-label">{room.name}</text>
+                                        );
+                                    })()}
+                                </g>
+                            ))}
+
+                            {(layout.noGoZones || []).map(zone => (
+                                <polygon
+                                    key={zone.id}
+                                    points={svgPoints(zone.points, layout)}
+                                    fill="url(#layout-nogo-hatch)"
+                                    stroke={isSelected('noGoZones', zone.id) ? '#7c3aed' : '#ef4444'}
+                                    strokeWidth={2}
+                                    opacity={0.85}
+                                    onPointerDown={(e) => startDrag(e, 'noGoZones', zone)}
+                                    onDoubleClick={(e) => isSelected('noGoZones', zone.id) && insertVertex(e, 'noGoZones', zone)}
+                                />
+                            ))}
+
+                            {(layout.docks || []).map(dock => {
+                                const { x, y } = toSvg(dock, layout);
+                                return (
+                                    <g key={dock.id} transform={`translate(${x}, ${y})`} onPointerDown={(e) => startDrag(e, 'docks', dock)}>
+                                        <rect
+                                            x={-8}
+                                            y={-8}
+                                            width={16}
+                                            height={16}
+                                            rx={3}
+                                            fill="#fef3c7"
+                                            stroke={isSelected('docks', dock.id) ? '#7c3aed' : '#d97706'}
+                                            strokeWidth={2}
+                                        />
+                                        <text y={22} textAnchor="middle" className="settings-layout-label">{dock.name}</text>
+                                    </g>
+                                );
+                            })}
+
+                            {/* Vertex handles for the selected shape */}
+                            {selected && selection.kind !== 'docks' && renderHandles(selection.kind, selected)}
+                        </svg>
+                    ) : (
+                        <p className="settings-empty-state__text">Fix the GPS bounds to show the map.</p>
+                    )}
+                    <p className="settings-layout-hint">
+                        Drag a shape to move it, drag a handle to move a vertex. Double-click a selected shape to add a vertex; double-click a handle to remove it.
+                    </p>
+                </div>
+
+                {/* Properties */}
+                <div className="settings-robot-card">
+                    <div className="settings-robot-card__header">
+                        <h3 className="settings-robot-card__name">{selected ? KIND_LABELS[selection.kind] : 'Layout'}</h3>
+                    </div>
+
+                    {selected ? (
+                        <div className="settings-input-grid">
+                            <div>
+                                <label className="settings-input-label">Name</label>
+                                <input
+                                    type="text"
+                                    value={selected.name || ''}
+                                    onChange={(e) => updateItem(selection.kind, selected.id, () => ({ name: e.target.value }))}
+                                    className="settings-input"
+                                />
+                            </div>
+                            {selection.kind === 'rooms' && (
+                                <div>
+                                    <label className="settings-input-label">Type</label>
+                                    <div className="settings-select-wrap">
+                                        <select
+                                            value={selected.type}
+                                            onChange={(e) => updateItem('rooms', selected.id, () => ({ type: e.target.value }))}
+                                            className="settings-select"
+                                        >
+                                            {ROOM_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+                                        </select>
+                                        <ChevronDown size={14} className="settings-select-icon" />
+                                    </div>
+                                </div>
+                            )}
+                            {selection.kind === 'aisles' && (
+                                <div>
+                                    <label className="settings-input-label">Width (m)</label>
+                                    <input
+                                        type="number"
+                                        min="0.5"
+                                        step="0.5"
+                                        value={selected.width}
+                                        onChange={(e) => updateItem('aisles', selected.id, () => ({ width: Number(e.target.value) || 0 }))}
+                                        className="settings-input"
+                                    />
+                                </div>
+                            )}
+                            {selection.kind === 'docks' && (
+                                <div>
+                                    <label className="settings-input-label">Position</label>
+                                    <div className="settings-layout-coords">{selected.lat.toFixed(6)}, {selected.lng.toFixed(6)}</div>
+                                </div>
+                            )}
+                        </div>
+                    ) : (
+                        <>
+                            <div>
+                                <label className="settings-input-label">Layout name</label>
+                                <input
+                                    type="text"
+                                    value={layout.name || ''}
+                                    onChange={(e) => updateLayout(() => ({ name: e.target.value }))}
+                                    className="settings-input"
+                                />
+                            </div>
+                            <div className="settings-input-grid">
+                                {['minLat', 'maxLat', 'minLng', 'maxLng'].map(key => (
+                                    <div key={key}>
+                                        <label className="settings-input-label">{key}</label>
+                                        <input
+                                            type="number"
+                                            step="0.0001"
+                                            value={layout.bounds?.[key] ?? ''}
+                                            onChange={(e) => updateBounds(key, e.target.value)}
+                                            className="settings-input"
+                                        />
+                                    </div>
+                                ))}
+                            </div>
+                            <p className="settings-layout-hint">
+                                {layout.rooms?.length || 0} rooms · {layout.aisles?.length || 0} aisles · {layout.docks?.length || 0} docks · {layout.noGoZones?.length || 0} no-go zones
+                            </p>
+                        </>
+                    )}
+
+                    {errors.length > 0 && (
+                        <ul className="settings-layout-errors">
+                            {errors.map(err => <li key={err}>{err}</li>)}
+                        </ul>
+                    )}
+                </div>
+            </div>
+
+            <div className="settings-btn-row">
+                <button onClick={handleSave} disabled={isSaving || !isDirty || errors.length > 0} className="settings-assign-btn">
+                    Save Layout
+                </button>
+                <button onClick={handleDiscard} disabled={!isDirty} className="settings-clear-btn">
+                    Discard
+                </button>
+                <button onClick={handleResetToDefault} className="settings-clear-btn">
+                    <RotateCcw size={14} /> Default
+                </button>
+                <button onClick={() => fileRef.current?.click()} className="settings-clear-btn">
+                    <Upload size={14} /> Import JSON
+                </button>
+                <button onClick={handleExport} className="settings-clear-btn">
+                    <Download size={14} /> Export JSON
+                </button>
+                <input ref={fileRef} type="file" accept="application/json,.json" onChange={handleImport} hidden />
+            </div>
+
+            <div className="settings-actions settings-actions--mt">
+                {message && (
+                    <div className={`settings-message ${message.type === 'error' ? 'settings-message--error' : 'settings-message--success'}`}>
+                        {message.type === 'error' ? <AlertCircle size={18} /> : <CheckCircle size={18} />}
+                        {message.text}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default FacilityLayoutEditor;
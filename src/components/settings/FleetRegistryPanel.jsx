@@ -0,0 +1,328 @@
+/**
+ * FleetRegistryPanel — Settings admin screen for the device & robot registry.
+ *
+ * Lets an operator add, rename, retire/restore and re-zone devices and the
+ * robots attached to them. Edits are stored locally and published to the
+ * State API (`fleetMS/registry`) through DeviceContext.
+ *
+ * @module FleetRegistryPanel
+ */
+import { useState } from 'react';
+import { ChevronDown, CheckCircle, AlertCircle, Plus } from 'lucide-react';
+import { useDevice } from '../../contexts/DeviceContext';
+
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const EMPTY_DEVICE = { id: '', name: '', zone: '' };
+const EMPTY_ROBOT = { id: '', name: '', type: 'Delivery', zone: '' };
+
+function FleetRegistryPanel() {
+    const { registry, selectedDeviceId, saveRegistryDevice, saveRegistryRobot } = useDevice();
+
+    const [editDeviceId, setEditDeviceId] = useState(selectedDeviceId);
+    const [deviceDrafts, setDeviceDrafts] = useState({});
+    const [robotDrafts, setRobotDrafts] = useState({});
+    const [newDevice, setNewDevice] = useState(EMPTY_DEVICE);
+    const [newRobot, setNewRobot] = useState(EMPTY_ROBOT);
+    const [message, setMessage] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const record = registry.find(d => d.id === editDeviceId) || registry[0] || null;
+    const deviceDraft = record ? { name: record.name, zone: record.zone, ...deviceDrafts[record.id] } : null;
+
+    const showMessage = (type, text, ms = 3000) => {
+        setMessage({ type, text });
+        setTimeout(() => setMessage(null), ms);
+    };
+
+    // Run a registry save; the local copy is kept even if publishing fails
+    const runSave = async (action, successText) => {
+        setIsSaving(true);
+        try {
+            await action();
+            showMessage('success', successText);
+        } catch (err) {
+            console.error('[Settings] Failed to publish registry change:', err);
+            showMessage('error', `${successText} locally, but syncing to the server failed`, 4000);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    // ── Device actions ──
+    const handleSaveDevice = () => {
+        if (!record) return;
+        if (!deviceDraft.name?.trim()) {
+            showMessage('error', 'Device name is required');
+            return;
+        }
+        runSave(
+            () => saveRegistryDevice(record.id, { name: deviceDraft.name.trim(), zone: deviceDraft.zone?.trim() || 'Default' }),
+            `Saved ${record.id}`
+        ).then(() => setDeviceDrafts(prev => ({ ...prev, [record.id]: undefined })));
+    };
+
+    const handleToggleDeviceRetired = () => {
+        if (!record) return;
+        const retiring = !record.retired;
+        if (retiring && registry.filter(d => !d.retired).length <= 1) {
+            showMessage('error', 'At least one device must stay active');
+            return;
+        }
+        runSave(
+            () => saveRegistryDevice(record.id, { retired: retiring }),
+            retiring ? `Retired ${record.id}` : `Restored ${record.id}`
+        );
+    };
+
+    const handleAddDevice = () => {
+        const id = newDevice.id.trim();
+        if (!id || !ID_PATTERN.test(id)) {
+            showMessage('error', 'Device ID is required (letters, numbers, - and _ only)');
+            return;
+        }
+        if (registry.some(d => d.id === id)) {
+            showMessage('error', `Device ${id} already exists`);
+            return;
+        }
+        runSave(
+            () => saveRegistryDevice(id, { name: newDevice.name.trim() || id, zone: newDevice.zone.trim() || 'Default', robots: [] }),
+            `Added ${id}`
+        ).then(() => {
+            setNewDevice(EMPTY_DEVICE);
+            setEditDeviceId(id);
+        });
+    };
+
+    // ── Robot actions ──
+    const robotKey = (robotId) => `${record?.id}:${robotId}`;
+
+    const updateRobotDraft = (robotId, key, value) => {
+        setRobotDrafts(prev => ({
+            ...prev,
+            [robotKey(robotId)]: { ...prev[robotKey(robotId)], [key]: value }
+        }));
+    };
+
+    const handleSaveRobot = (robot) => {
+        const draft = { name: robot.name, type: robot.type, zone: robot.zone, ...robotDrafts[robotKey(robot.id)] };
+        if (!draft.name?.trim()) {
+            showMessage('error', 'Robot name is required');
+            return;
+        }
+        runSave(
+            () => saveRegistryRobot(record.id, robot.id, {
+                name: draft.name.trim(),
+                type: draft.type?.trim() || 'Delivery',
+                zone: draft.zone?.trim() || 'Default'
+            }),
+            `Saved ${robot.id}`
+        ).then(() => setRobotDrafts(prev => ({ ...prev, [robotKey(robot.id)]: undefined })));
+    };
+
+    const handleToggleRobotRetired = (robot) => {
+        runSave(
+            () => saveRegistryRobot(record.id, robot.id, { retired: !robot.retired }),
+            robot.retired ? `Restored ${robot.id}` : `Retired ${robot.id}`
+        );
+    };
+
+    const handleAddRobot = () => {
+        if (!record) return;
+        const id = newRobot.id.trim();
+        if (!id || !ID_PATTERN.test(id)) {
+            showMessage('error', 'Robot ID is required (letters, numbers, - and _ only)');
+            return;
+        }
+        if (record.robots.some(r => r.id === id)) {
+            showMessage('error', `${id} already exists on ${record.id}`);
+            return;
+        }
+        runSave(
+            () => saveRegistryRobot(record.id, id, {
+                name: newRobot.name.trim() || id,
+                type: newRobot.type.trim() || 'Delivery',
+                zone: newRobot.zone.trim() || 'Default'
+            }),
+            `Added ${id} to ${record.id}`
+        ).then(() => setNewRobot(EMPTY_ROBOT));
+    };
+
+    return (
+        <div className="settings-section settings-section--fleet">
+            <div className="settings-fleet-header">
+                <h2 className="settings-title">
+                    Fleet Registry
+                    <span className="settings-title-sub">
+                        ({registry.filter(d => !d.retired).length} devices active)
+                    </span>
+                </h2>
+            </div>
+
+            {/* Device picker + device details */}
+            <div className="settings-registry-grid">
+                <div className="settings-robot-card">
+                    <div className="settings-robot-card__header">
+                        <h3 className="settings-robot-card__name">Device</h3>
+                        {record?.retired && <span className="settings-registry-badge settings-registry-badge--retired">Retired</span>}
+                    </div>
+
+                    <div>
+                        <label className="settings-field-label">Select device</label>
+                        <div className="settings-select-wrap">
+                            <select
+                                value={record?.id || ''}
+                                onChange={(e) => setEditDeviceId(e.target.value)}
+                                className="settings-select"
+                            >
+                                {registry.map(d => (
+                                    <option key={d.id} value={d.id}>
+                                        {d.name} ({d.id}){d.retired ? ' — retired' : ''}
+                                    </option>
+                                ))}
+                            </select>
+                            <ChevronDown size={14} className="settings-select-icon" />
+                        </div>
+                    </div>
+
+                    {record && (
+                        <>
+                            <div className="settings-input-grid">
+                                <div>
+                                    <label className="settings-input-label">Name</label>
+                                    <input
+                                        type="text"
+                                        value={deviceDraft.name ?? ''}
+                                        onChange={(e) => setDeviceDrafts(prev => ({ ...prev, [record.id]: { ...prev[record.id], name: e.target.value } }))}
+                                        className="settings-input"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="settings-input-label">Zone</label>
+                                    <input
+                                        type="text"
+                                        value={deviceDraft.zone ?? ''}
+                                        onChange={(e) => setDeviceDrafts(prev => ({ ...prev, [record.id]: { ...prev[record.id], zone: e.target.value } }))}
+                                        className="settings-input"
+                                    />
+                                </div>
+                            </div>
+                            <div className="settings-btn-row">
+                                <button onClick={handleSaveDevice} disabled={isSaving} className="settings-assign-btn">
+                                    Save
+                                </button>
+                                <button onClick={handleToggleDeviceRetired} disabled={isSaving} className="settings-clear-btn">
+                                    {record.retired ? 'Restore' : 'Retire'}
+                                </button>
+                            </div>
+                        </>
+                    )}
+                </div>
+
+                {/* Add device */}
+                <div className="settings-robot-card">
+                    <div className="settings-robot-card__header">
+                        <h3 className="settings-robot-card__name">Add Device</h3>
+                    </div>
+                    <div className="settings-input-grid settings-input-grid--3">
+                        {[{ k: 'id', l: 'Device ID' }, { k: 'name', l: 'Name' }, { k: 'zone', l: 'Zone' }].map(f => (
+                            <div key={f.k}>
+                                <label className="settings-input-label">{f.l}</label>
+                                <input
+                                    type="text"
+                                    value={newDevice[f.k]}
+                                    onChange={(e) => setNewDevice(prev => ({ ...prev, [f.k]: e.target.value }))}
+                                    className="settings-input"
+                                />
+                            </div>
+                        ))}
+                    </div>
+                    <button onClick={handleAddDevice} disabled={isSaving} className="settings-refresh-btn settings-registry-add-btn">
+                        <Plus size={14} />
+                        Add Device
+                    </button>
+                </div>
+            </div>
+
+            {/* Robots on the selected device */}
+            {record && (
+                <div className="settings-registry-robots">
+                    <h3 className="settings-registry-subtitle">Robots on {record.name}</h3>
+
+                    {record.robots.length === 0 ? (
+                        <p className="settings-empty-state__text">No robots registered for this device yet.</p>
+                    ) : (
+                        <div className="settings-registry-table">
+                            <div className="settings-registry-row settings-registry-row--head">
+                                <span>ID</span>
+                                <span>Name</span>
+                                <span>Type</span>
+                                <span>Zone</span>
+                                <span />
+                            </div>
+                            {record.robots.map(robot => {
+                                const draft = robotDrafts[robotKey(robot.id)] || {};
+                                return (
+                                    <div key={robot.id} className={`settings-registry-row ${robot.retired ? 'settings-registry-row--retired' : ''}`}>
+                                        <span className="settings-registry-id">
+                                            {robot.id}
+                                            {robot.discovered && <span className="settings-registry-badge">Discovered</span>}
+                                            {robot.retired && <span className="settings-registry-badge settings-registry-badge--retired">Retired</span>}
+                                        </span>
+                                        {['name', 'type', 'zone'].map(key => (
+                                            <input
+                                                key={key}
+                                                type="text"
+                                                value={draft[key] ?? robot[key] ?? ''}
+                                                onChange={(e) => updateRobotDraft(robot.id, key, e.target.value)}
+                                                className="settings-input"
+                                                aria-label={`${robot.id} ${key}`}
+                                            />
+                                        ))}
+                                        <div className="settings-btn-row settings-btn-row--compact">
+                                            <button onClick={() => handleSaveRobot(robot)} disabled={isSaving} className="settings-assign-btn">
+                                                Save
+                                            </button>
+                                            <button onClick={() => handleToggleRobotRetired(robot)} disabled={isSaving} className="settings-clear-btn">
+                                                {robot.retired ? 'Restore' : 'Retire'}
+                                            </button>
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
+
+                    {/* Add robot */}
+                    <div className="settings-registry-row settings-registry-row--add">
+                        {[{ k: 'id', l: 'Robot ID' }, { k: 'name', l: 'Name' }, { k: 'type', l: 'Type' }, { k: 'zone', l: 'Zone' }].map(f => (
+                            <input
+                                key={f.k}
+                                type="text"
+                                placeholder={f.l}
+                                value={newRobot[f.k]}
+                                onChange={(e) => setNewRobot(prev => ({ ...prev, [f.k]: e.target.value }))}
+                                className="settings-input"
+                            />
+                        ))}
+                        <button onClick={handleAddRobot} disabled={isSaving} className="settings-refresh-btn settings-registry-add-btn">
+                            <Plus size={14} />
+                            Add Robot
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            <div className="settings-actions settings-actions--mt">
+                {message && (
+                    <div className={`settings-message ${message.type === 'error' ? 'settings-message--error' : 'settings-message--success'}`}>
+                        {message.type === 'error' ? <AlertCircle size={18} /> : <CheckCircle size={18} />}
+                        {message.text}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default FleetRegistryPanel;
@@ -0,0 +1,398 @@
+/**
+ * NotificationsPanel — Settings screen for outbound alert notifications.
+ *
+ * Channels (browser notification with sound, webhook with a JSON template,
+ * email relay), each with its own severity filter and a test button;
+ * escalation policies whose tiers are notified when an alert stays
+ * unacknowledged; and quiet hours. Sending and escalation live in
+ * services/notifier.js.
+ *
+ * @module NotificationsPanel
+ */
+import { useState } from 'react';
+import { ChevronDown, CheckCircle, AlertCircle, Plus, X, Save, Send } from 'lucide-react';
+import { useDevice } from '../../contexts/DeviceContext';
+import {
+    CHANNEL_TYPES, CHANNEL_TYPE_LABELS, NOTIFY_SEVERITIES, DEFAULT_NOTIFICATION_SETTINGS, STANDIN_URL,
+    normalizeChannel, normalizePolicy, normalizeNotificationSettings, validateNotificationSettings, testChannel,
+    requestBrowserPermission
+} from '../../services/notifier';
+
+const NEW_CHANNELS = {
+    [CHANNEL_TYPES.BROWSER]: { type: CHANNEL_TYPES.BROWSER, name: 'Browser', severities: ['critical'] },
+    [CHANNEL_TYPES.WEBHOOK]: { type: CHANNEL_TYPES.WEBHOOK, name: 'Webhook', url: `${STANDIN_URL}/webhook` },
+    [CHANNEL_TYPES.EMAIL]: { type: CHANNEL_TYPES.EMAIL, name: 'Email', url: `${STANDIN_URL}/email` }
+};
+
+const toggle = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+
+function NotificationsPanel() {
+    const { notificationSettings, updateNotificationSettings } = useDevice();
+
+    const [draft, setDraft] = useState(notificationSettings);
+    const [message, setMessage] = useState(null);
+    const [testing, setTesting] = useState(null);
+
+    const showMessage = (type, text) => {
+        setMessage({ type, text });
+        setTimeout(() => setMessage(null), 5000);
+    };
+
+    // ── Channels ──
+    // Browser notifications need the site's permission, which can only be asked for from a click
+    const allowBrowser = async () => {
+        const permission = await requestBrowserPermission();
+        if (permission === 'denied') showMessage('error', 'Browser notifications are blocked for this site — allow them in the browser settings');
+        if (permission === 'unsupported') showMessage('error', 'This browser has no notifications');
+    };
+    const addChannel = (type) => {
+        if (type === CHANNEL_TYPES.BROWSER) allowBrowser();
+        setDraft(prev => ({ ...prev, channels: [...prev.channels, normalizeChannel(NEW_CHANNELS[type])] }));
+    };
+    const updateChannel = (index, key, value) => {
+        if (key === 'enabled' && value && draft.channels[index].type === CHANNEL_TYPES.BROWSER) allowBrowser();
+        setDraft(prev => ({
+            ...prev,
+            channels: prev.channels.map((c, i) => (i === index ? { ...c, [key]: value } : c))
+        }));
+    };
+    const removeChannel = (index) => setDraft(prev => {
+        const removed = prev.channels[index].id;
+        return {
+            ...prev,
+            channels: prev.channels.filter((_, i) => i !== index),
+            policies: prev.policies.map(p => ({ ...p, tiers: p.tiers.map(t => ({ ...t, channelIds: t.channelIds.filter(id => id !== removed) })) }))
+        };
+    });
+
+    // ── Policies ──
+    const addPolicy = () => setDraft(prev => ({
+        ...prev,
+        policies: [...prev.policies, normalizePolicy({ name: 'New policy', tiers: [{ afterMinutes: 0, channelIds: [] }] })]
+    }));
+    const updatePolicy = (index, key, value) => setDraft(prev => ({
+        ...prev,
+        policies: prev.policies.map((p, i) => (i === index ? { ...p, [key]: value } : p))
+    }));
+    const removePolicy = (index) => setDraft(prev => ({ ...prev, policies: prev.policies.filter((_, i) => i !== index) }));
+    const updateTier = (policyIndex, tierIndex, key, value) => updatePolicy(
+        policyIndex, 'tiers',
+        draft.policies[policyIndex].tiers.map((t, i) => (i === tierIndex ? { ...t, [key]: value } : t))
+    );
+    const addTier = (policyIndex) => {
+        const tiers = draft.policies[policyIndex].tiers;
+        const last = tiers[tiers.length - 1];
+        updatePolicy(policyIndex, 'tiers', [...tiers, { afterMinutes: (Number(last?.afterMinutes) || 0) + 5, channelIds: [] }]);
+    };
+    const removeTier = (policyIndex, tierIndex) => updatePolicy(
+        policyIndex, 'tiers',
+        draft.policies[policyIndex].tiers.filter((_, i) => i !== tierIndex)
+    );
+
+    const setQuiet = (key, value) => setDraft(prev => ({ ...prev, quietHours: { ...prev.quietHours, [key]: value } }));
+
+    const handleTest = async (channel) => {
+        setTesting(channel.id);
+        if (channel.type === CHANNEL_TYPES.BROWSER) await requestBrowserPermission();
+        const result = await testChannel(normalizeChannel(channel));
+        setTesting(null);
+        if (result.ok) showMessage('success', `Test sent through ${result.name}`);
+        else showMessage('error', `${result.name}: ${result.error}`);
+    };
+
+    const handleSave = () => {
+        const settings = normalizeNotificationSettings(draft);
+        const error = validateNotificationSettings(settings);
+        if (error) {
+            showMessage('error', error);
+            return;
+        }
+        updateNotificationSettings(settings);
+        setDraft(settings);
+        showMessage('success', 'Notification settings saved');
+    };
+
+    const severityChips = (selected, onToggle) => (
+        <div className="alerts-filter settings-notify-chips">
+            {NOTIFY_SEVERITIES.map(s => (
+                <button
+                    key={s}
+                    type="button"
+                    onClick={() => onToggle(s)}
+                    className={`alerts-filter__btn ${selected.includes(s) ? 'alerts-filter__btn--active' : ''}`}
+                >
+                    {s}
+                </button>
+            ))}
+        </div>
+    );
+
+    return (
+        <div className="settings-section settings-section--fleet">
+            <div className="settings-fleet-header">
+                <h2 className="settings-title">
+                    Notifications & Escalation
+                    <span className="settings-title-sub">
+                        (alerts sent outside the dashboard)
+                    </span>
+                </h2>
+            </div>
+
+            {/* Quiet hours */}
+            <div className="settings-charging-grid">
+                <div>
+                    <label className="settings-field-label">Quiet hours</label>
+                    <div className="settings-select-wrap">
+                        <select
+                            value={draft.quietHours.enabled ? 'on' : 'off'}
+                            onChange={(e) => setQuiet('enabled', e.target.value === 'on')}
+                            className="settings-select"
+                        >
+                            <option value="on">On</option>
+                            <option value="off">Off</option>
+                        </select>
+                        <ChevronDown size={14} className="settings-select-icon" />
+                    </div>
+                </div>
+                <div>
+                    <label className="settings-field-label">From – to</label>
+                    <div className="settings-notify-times">
+                        <input type="time" value={draft.quietHours.start} onChange={(e) => setQuiet('start', e.target.value)} className="settings-input" />
+                        <input type="time" value={draft.quietHours.end} onChange={(e) => setQuiet('end', e.target.value)} className="settings-input" />
+                    </div>
+                </div>
+                <div>
+                    <label className="settings-field-label">Critical alerts in quiet hours</label>
+                    <div className="settings-select-wrap">
+                        <select
+                            value={draft.quietHours.allowCritical ? 'send' : 'hold'}
+                            onChange={(e) => setQuiet('allowCritical', e.target.value === 'send')}
+                            className="settings-select"
+                        >
+                            <option value="send">Still sent</option>
+                            <option value="hold">Not sent</option>
+                        </select>
+                        <ChevronDown size={14} className="settings-select-icon" />
+                    </div>
+                </div>
+            </div>
+
+            {/* Channels */}
+            <div className="settings-registry-robots">
+                <h3 className="settings-registry-subtitle">
+                    Channels
+                    <span className="settings-title-sub">(severity filter per channel)</span>
+                </h3>
+                {draft.channels.length === 0 && (
+                    <p className="settings-layout-hint">No channels — alerts are only shown in the dashboard.</p>
+                )}
+                {draft.channels.map((channel, i) => (
+                    <div key={channel.id} className={`settings-alert-rule ${channel.enabled ? '' : 'settings-alert-rule--off'}`}>
+                        <div>
+                            <label className="settings-field-label">{CHANNEL_TYPE_LABELS[channel.type]}</label>
+                            <input
+                                type="text"
+                                value={channel.name}
+                                onChange={(e) => updateChannel(i, 'name', e.target.value)}
+                                className="settings-input"
+                            />
+                        </div>
+                        <div>
+                            <label className="settings-field-label">Severities</label>
+                            {severityChips(channel.severities, s => updateChannel(i, 'severities', toggle(channel.severities, s)))}
+                        </div>
+                        {channel.type === CHANNEL_TYPES.BROWSER ? (
+                            <div>
+                                <label className="settings-field-label">Sound</label>
+                                <div className="settings-select-wrap">
+                                    <select
+                                        value={channel.sound ? 'on' : 'off'}
+                                        onChange={(e) => updateChannel(i, 'sound', e.target.value === 'on')}
+                                        className="settings-select"
+                                    >
+                                        <option value="on">On</option>
+                                        <option value="off">Off</option>
+                                    </select>
+                                    <ChevronDown size={14} className="settings-select-icon" />
+                                </div>
+                            </div>
+                        ) : (
+                            <div>
+                                <label className="settings-field-label">{channel.type === CHANNEL_TYPES.EMAIL ? 'Relay URL' : 'URL'}</label>
+                                <input
+                                    type="url"
+                                    value={channel.url}
+                                    onChange={(e) => updateChannel(i, 'url', e.target.value)}
+                                    className="settings-input"
+                                />
+                            </div>
+                        )}
+                        <div>
+                            <label className="settings-field-label">Status</label>
+                            <div className="settings-select-wrap">
+                                <select
+                                    value={channel.enabled ? 'on' : 'off'}
+                                    onChange={(e) => updateChannel(i, 'enabled', e.target.value === 'on')}
+                                    className="settings-select"
+                                >
+                                    <option value="on">On</option>
+                                    <option value="off">Off</option>
+                                </select>
+                                <ChevronDown size={14} className="settings-select-icon" />
+                            </div>
+                        </div>
+                        <button onClick={() => removeChannel(i)} className="settings-clear-btn settings-alert-rule__remove" title="Remove channel">
+                            <X size={14} />
+                        </button>
+                        {channel.type === CHANNEL_TYPES.EMAIL && (
+                            <div className="settings-alert-rule__message">
+                                <label className="settings-field-label">Recipients</label>
+                                <input
+                                    type="text"
+                                    placeholder="ops@example.com, oncall@example.com"
+                                    value={channel.recipients}
+                                    onChange={(e) => updateChannel(i, 'recipients', e.target.value)}
+                                    className="settings-input"
+                                />
+                            </div>
+                        )}
+                        {channel.type === CHANNEL_TYPES.WEBHOOK && (
+                            <div className="settings-alert-rule__message">
+                                <label className="settings-field-label">JSON body ({'{{message}}'}, {'{{severity}}'}, {'{{deviceId}}'}, {'{{robotId}}'}, {'{{tier}}'} …)</label>
+                                <textarea
+                                    rows={6}
+                                    value={channel.template}
+                                    onChange={(e) => updateChannel(i, 'template', e.target.value)}
+                                    className="settings-input settings-notify-template"
+                                />
+                            </div>
+                        )}
+                        <div>
+                            <button onClick={() => handleTest(channel)} className="settings-refresh-btn" disabled={testing === channel.id}>
+                                <Send size={14} />
+                                {testing === channel.id ? 'Sending…' : 'Send test'}
+                            </button>
+                        </div>
+                    </div>
+                ))}
+                <div className="settings-btn-row">
+                    {Object.values(CHANNEL_TYPES).map(type => (
+                        <button key={type} onClick={() => addChannel(type)} className="settings-refresh-btn">
+                            <Plus size={14} />
+                            {CHANNEL_TYPE_LABELS[type]}
+                        </button>
+                    ))}
+                </div>
+                <p className="settings-layout-hint">
+                    To try webhooks and email without real endpoints, run <code>npm run webhook:standin</code> and use {STANDIN_URL}/webhook or /email.
+                </p>
+            </div>
+
+            {/* Escalation policies */}
+            <div className="settings-registry-robots">
+                <h3 className="settings-registry-subtitle">
+                    Escalation policies
+                    <span className="settings-title-sub">(a tier is notified if the alert is still unacknowledged after its minutes)</span>
+                </h3>
+                {draft.policies.length === 0 && (
+                    <p className="settings-layout-hint">No escalation policies — no alert is sent to any channel.</p>
+                )}
+                {draft.policies.map((policy, pi) => (
+                    <div key={policy.id} className={`settings-notify-policy ${policy.enabled ? '' : 'settings-alert-rule--off'}`}>
+                        <div className="settings-alert-rule">
+                            <div>
+                                <label className="settings-field-label">Policy</label>
+                                <input
+                                    type="text"
+                                    value={policy.name}
+                                    onChange={(e) => updatePolicy(pi, 'name', e.target.value)}
+                                    className="settings-input"
+                                />
+                            </div>
+                            <div>
+                                <label className="settings-field-label">For severities</label>
+                                {severityChips(policy.severities, s => updatePolicy(pi, 'severities', toggle(policy.severities, s)))}
+                            </div>
+                            <div />
+                            <div>
+                                <label className="settings-field-label">Status</label>
+                                <div className="settings-select-wrap">
+                                    <select
+                                        value={policy.enabled ? 'on' : 'off'}
+                                        onChange={(e) => updatePolicy(pi, 'enabled', e.target.value === 'on')}
+                                        className="settings-select"
+                                    >
+                                        <option value="on">On</option>
+                                        <option value="off">Off</option>
+                                    </select>
+                                    <ChevronDown size={14} className="settings-select-icon" />
+                                </div>
+                            </div>
+                            <button onClick={() => removePolicy(pi)} className="settings-clear-btn settings-alert-rule__remove" title="Remove policy">
+                                <X size={14} />
+                            </button>
+                        </div>
+                        {policy.tiers.map((tier, ti) => (
+                            <div key={ti} className="settings-notify-tier">
+                                <span className="settings-field-label">Tier {ti + 1}</span>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={tier.afterMinutes}
+                                    onChange={(e) => updateTier(pi, ti, 'afterMinutes', e.target.value)}
+                                    className="settings-input"
+                                    title="Minutes after the alert was raised"
+                                />
+                                <span className="settings-title-sub">min →</span>
+                                <div className="alerts-filter settings-notify-chips">
+                                    {draft.channels.map(c => (
+                                        <button
+                                            key={c.id}
+                                            type="button"
+                                            onClick={() => updateTier(pi, ti, 'channelIds', toggle(tier.channelIds, c.id))}
+                                            className={`alerts-filter__btn ${tier.channelIds.includes(c.id) ? 'alerts-filter__btn--active' : ''}`}
+                                        >
+                                            {c.name}
+                                        </button>
+                                    ))}
+                                </div>
+                                <button onClick={() => removeTier(pi, ti)} className="settings-clear-btn" title="Remove tier">
+                                    <X size={14} />
+                                </button>
+                            </div>
+                        ))}
+                        <button onClick={() => addTier(pi)} className="settings-refresh-btn">
+                            <Plus size={14} />
+                            Add tier
+                        </button>
+                    </div>
+                ))}
+                <button onClick={addPolicy} className="settings-refresh-btn">
+                    <Plus size={14} />
+                    Add policy
+                </button>
+            </div>
+
+            <div className="settings-btn-row settings-dispatch-actions">
+                <button onClick={handleSave} className="settings-assign-btn">
+                    <Save size={14} />
+                    Save notifications
+                </button>
+                <button onClick={() => setDraft(normalizeNotificationSettings(DEFAULT_NOTIFICATION_SETTINGS))} className="settings-clear-btn">
+                    Reset to defaults
+                </button>
+            </div>
+
+            <div className="settings-actions settings-actions--mt">
+                {message && (
+                    <div className={`settings-message ${message.type === 'error' ? 'settings-message--error' : 'settings-message--success'}`}>
+                        {message.type === 'error' ? <AlertCircle size={18} /> : <CheckCircle size={18} />}
+                        {message.text}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default NotificationsPanel;
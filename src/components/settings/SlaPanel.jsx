@@ -0,0 +1,163 @@
+/**
+ * SlaPanel — Settings screen for task SLA targets.
+ *
+ * Per-priority completion targets, optional per-route rules (source →
+ * destination, for one priority or any) and the share of the allowed time
+ * after which a task counts as "at risk". Targets are applied by
+ * utils/taskSla.js everywhere tasks are shown.
+ *
+ * @module SlaPanel
+ */
+import { useState } from 'react';
+import { ChevronDown, CheckCircle, AlertCircle, Plus, X, Save } from 'lucide-react';
+import { useDevice } from '../../contexts/DeviceContext';
+import { PRIORITY_LEVELS, PRIORITY_LABELS } from '../../utils/taskPriority';
+import { DEFAULT_SLA_TARGETS } from '../../utils/taskSla';
+import { getTaskLocations } from '../../utils/telemetryMath';
+
+const EMPTY_RULE = { source: '', destination: '', priority: '', minutes: '' };
+
+function SlaPanel() {
+    const { currentLayout, slaTargets, updateSlaTargets } = useDevice();
+
+    const [draft, setDraft] = useState(slaTargets);
+    const [message, setMessage] = useState(null);
+
+    const locations = getTaskLocations(currentLayout);
+
+    const showMessage = (type, text) => {
+        setMessage({ type, text });
+        setTimeout(() => setMessage(null), 3500);
+    };
+
+    const setPriorityMinutes = (level, value) => setDraft(prev => ({ ...prev, byPriority: { ...prev.byPriority, [level]: value } }));
+    const addRule = () => setDraft(prev => ({ ...prev, routes: [...prev.routes, EMPTY_RULE] }));
+    const updateRule = (index, key, value) => setDraft(prev => ({
+        ...prev,
+        routes: prev.routes.map((rule, i) => (i === index ? { ...rule, [key]: value } : rule))
+    }));
+    const removeRule = (index) => setDraft(prev => ({ ...prev, routes: prev.routes.filter((_, i) => i !== index) }));
+
+    const handleSave = () => {
+        const incomplete = draft.routes.findIndex(r => !r.source || !r.destination || !(Number(r.minutes) > 0));
+        if (incomplete !== -1) {
+            showMessage('error', `Route rule ${incomplete + 1} needs a source, destination and minutes`);
+            return;
+        }
+        updateSlaTargets(draft);
+        showMessage('success', 'SLA targets saved');
+    };
+
+    return (
+        <div className="settings-section settings-section--fleet">
+            <div className="settings-fleet-header">
+                <h2 className="settings-title">
+                    Task SLAs
+                    <span className="settings-title-sub">
+                        (minutes from assignment to completion)
+                    </span>
+                </h2>
+            </div>
+
+            <div className="settings-sla-grid">
+                {PRIORITY_LEVELS.map(level => (
+                    <div key={level}>
+                        <label className="settings-field-label">{PRIORITY_LABELS[level]}</label>
+                        <input
+                            type="number"
+                            min="1"
+                            value={draft.byPriority[level]}
+                            onChange={(e) => setPriorityMinutes(level, e.target.value)}
+                            className="settings-input"
+                        />
+                    </div>
+                ))}
+                <div>
+                    <label className="settings-field-label">At risk after (%)</label>
+                    <input
+                        type="number"
+                        min="1"
+                        max="99"
+                        value={draft.atRiskPercent}
+                        onChange={(e) => setDraft(prev => ({ ...prev, atRiskPercent: e.target.value }))}
+                        className="settings-input"
+                    />
+                </div>
+            </div>
+
+            <div className="settings-registry-robots">
+                <h3 className="settings-registry-subtitle">
+                    Route rules
+                    <span className="settings-title-sub">(override the priority target)</span>
+                </h3>
+                {draft.routes.length === 0 && (
+                    <p className="settings-layout-hint">No route rules — every task uses its priority target.</p>
+                )}
+                {draft.routes.map((rule, i) => (
+                    <div key={i} className="settings-sla-rule">
+                        {['source', 'destination'].map(key => (
+                            <div key={key} className="settings-select-wrap">
+                                <select
+                                    value={rule[key]}
+                                    onChange={(e) => updateRule(i, key, e.target.value)}
+                                    className="settings-select"
+                                >
+                                    <option value="">{key === 'source' ? 'Source' : 'Destination'}</option>
+                                    {locations.map(name => <option key={name} value={name}>{name}</option>)}
+                                </select>
+                                <ChevronDown size={14} className="settings-select-icon" />
+                            </div>
+                        ))}
+                        <div className="settings-select-wrap">
+                            <select
+                                value={rule.priority || ''}
+                                onChange={(e) => updateRule(i, 'priority', e.target.value)}
+                                className="settings-select"
+                            >
+                                <option value="">Any priority</option>
+                                {PRIORITY_LEVELS.map(p => <option key={p} value={p}>{PRIORITY_LABELS[p]}</option>)}
+                            </select>
+                            <ChevronDown size={14} className="settings-select-icon" />
+                        </div>
+                        <input
+                            type="number"
+                            min="1"
+                            placeholder="Minutes"
+                            value={rule.minutes}
+                            onChange={(e) => updateRule(i, 'minutes', e.target.value)}
+                            className="settings-input"
+                        />
+                        <button onClick={() => removeRule(i)} className="settings-clear-btn" title="Remove rule">
+                            <X size={14} />
+                        </button>
+                    </div>
+                ))}
+                <button onClick={addRule} className="settings-refresh-btn">
+                    <Plus size={14} />
+                    Add route rule
+                </button>
+            </div>
+
+            <div className="settings-btn-row settings-dispatch-actions">
+                <button onClick={handleSave} className="settings-assign-btn">
+                    <Save size={14} />
+                    Save SLAs
+                </button>
+                <button onClick={() => setDraft(DEFAULT_SLA_TARGETS)} className="settings-clear-btn">
+                    Reset to defaults
+                </button>
+            </div>
+
+            <div className="settings-actions settings-actions--mt">
+                {message && (
+                    <div className={`settings-message ${message.type === 'error' ? 'settings-message--error' : 'settings-message--success'}`}>
+                        {message.type === 'error' ? <AlertCircle size={18} /> : <CheckCircle size={18} />}
+                        {message.text}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default SlaPanel;
@@ -0,0 +1,261 @@
+/**
+ * ThresholdProfilesPanel — Settings screen for threshold profiles.
+ *
+ * A profile overrides some of the global thresholds for one device, one room
+ * or one robot type, always or only on a time-of-day schedule (e.g. tighter
+ * Cleanroom A limits during production shifts). Empty fields inherit.
+ * Profiles stack global → device → room → robot type
+ * (utils/thresholdProfiles.js); every severity, alert rule threshold and
+ * charging check uses the result for its device or robot.
+ *
+ * @module ThresholdProfilesPanel
+ */
+import { useState } from 'react';
+import { ChevronDown, CheckCircle, AlertCircle, Plus, X, Save } from 'lucide-react';
+import { useDevice } from '../../contexts/DeviceContext';
+import { getThresholds } from '../../utils/thresholds';
+import {
+    PROFILE_SCOPES, PROFILE_SCOPE_LABELS, THRESHOLD_FIELDS, WEEKDAYS,
+    normalizeSchedule, normalizeThresholdProfile, registryContexts, validateThresholdProfiles
+} from '../../utils/thresholdProfiles';
+import { compileLayout } from '../../utils/telemetryMath';
+
+const NEW_PROFILE = {
+    name: 'New profile',
+    scope: PROFILE_SCOPES.ROOM,
+    target: '',
+    schedule: null,
+    overrides: {}
+};
+
+const unique = (values) => [...new Set(values.filter(Boolean))].sort();
+
+function ThresholdProfilesPanel() {
+    const {
+        registry, currentLayout, selectedDeviceId, thresholdProfiles, updateThresholdProfiles, explainEffectiveThresholds
+    } = useDevice();
+
+    const [draft, setDraft] = useState(thresholdProfiles);
+    const [message, setMessage] = useState(null);
+
+    const globals = getThresholds();
+    const applied = explainEffectiveThresholds(selectedDeviceId).profiles;
+
+    // Targets offered per scope; a saved target that is no longer known stays selectable
+    const targets = {
+        [PROFILE_SCOPES.DEVICE]: registry.map(d => ({ value: d.id, label: d.name && d.name !== d.id ? `${d.name} (${d.id})` : d.id })),
+        [PROFILE_SCOPES.ROOM]: unique([
+            ...registry.map(d => d.zone),
+            ...compileLayout(currentLayout).roomList.map(r => r.name)
+        ]).map(name => ({ value: name, label: name })),
+        [PROFILE_SCOPES.ROBOT_TYPE]: unique(registry.flatMap(d => (d.robots || []).map(r => r.type)))
+            .map(type => ({ value: type, label: type }))
+    };
+
+    const showMessage = (type, text) => {
+        setMessage({ type, text });
+        setTimeout(() => setMessage(null), 3500);
+    };
+
+    const addProfile = () => setDraft(prev => [...prev, normalizeThresholdProfile(NEW_PROFILE)]);
+    const removeProfile = (index) => setDraft(prev => prev.filter((_, i) => i !== index));
+    const updateProfile = (index, key, value) => setDraft(prev => prev.map((profile, i) => {
+        if (i !== index) return profile;
+        // A new scope needs a new target
+        return key === 'scope' ? { ...profile, scope: value, target: '' } : { ...profile, [key]: value };
+    }));
+    const updateOverride = (index, group, key, value) => setDraft(prev => prev.map((profile, i) => (
+        i === index
+            ? { ...profile, overrides: { ...profile.overrides, [group]: { ...profile.overrides[group], [key]: value } } }
+            : profile
+    )));
+    const updateSchedule = (index, key, value) => setDraft(prev => prev.map((profile, i) => (
+        i === index ? { ...profile, schedule: { ...profile.schedule, [key]: value } } : profile
+    )));
+    const toggleDay = (index, day) => {
+        const days = draft[index].schedule.days;
+        updateSchedule(index, 'days', days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort());
+    };
+
+    const handleSave = () => {
+        const profiles = draft.map(normalizeThresholdProfile);
+        const error = validateThresholdProfiles(profiles, getThresholds(), registryContexts(registry, profiles));
+        if (error) {
+            showMessage('error', error);
+            return;
+        }
+        updateThresholdProfiles(profiles);
+        setDraft(profiles);
+        showMessage('success', 'Threshold profiles saved');
+    };
+
+    return (
+        <div className="settings-section settings-section--fleet">
+            <div className="settings-fleet-header">
+                <h2 className="settings-title">
+                    Threshold Profiles
+                    <span className="settings-title-sub">
+                        (override the thresholds above per device, room or robot type)
+                    </span>
+                </h2>
+            </div>
+
+            <div className="settings-registry-robots">
+                <p className="settings-layout-hint">
+                    Profiles stack global → device → room → robot type; a scheduled profile applies after an
+                    always-on one of the same kind. A device is in its registry zone, a robot in the room it is in.
+                    {' '}Applied to {selectedDeviceId || 'the selected device'} now:{' '}
+                    {applied.length > 0 ? applied.map(p => p.name).join(', ') : 'none'}.
+                </p>
+                {draft.length === 0 && (
+                    <p className="settings-layout-hint">No profiles — every device and robot uses the global thresholds.</p>
+                )}
+                {draft.map((profile, i) => {
+                    const options = targets[profile.scope];
+                    return (
+                        <div key={profile.id} className={`settings-notify-policy ${profile.enabled ? '' : 'settings-alert-rule--off'}`}>
+                            <div className="settings-alert-rule">
+                                <div>
+                                    <label className="settings-field-label">Name</label>
+                                    <input
+                                        type="text"
+                                        value={profile.name}
+                                        onChange={(e) => updateProfile(i, 'name', e.target.value)}
+                                        className="settings-input"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="settings-field-label">Applies to</label>
+                                    <div className="settings-select-wrap">
+                                        <select
+                                            value={profile.scope}
+                                            onChange={(e) => updateProfile(i, 'scope', e.target.value)}
+                                            className="settings-select"
+                                        >
+                                            {Object.values(PROFILE_SCOPES).map(s => <option key={s} value={s}>{PROFILE_SCOPE_LABELS[s]}</option>)}
+                                        </select>
+                                        <ChevronDown size={14} className="settings-select-icon" />
+                                    </div>
+                                </div>
+                                <div>
+                                    <label className="settings-field-label">{PROFILE_SCOPE_LABELS[profile.scope]}</label>
+                                    <div className="settings-select-wrap">
+                                        <select
+                                            value={profile.target}
+                                            onChange={(e) => updateProfile(i, 'target', e.target.value)}
+                                            className="settings-select"
+                                        >
+                                            <option value="">Choose…</option>
+                                            {profile.target && !options.some(o => o.value === profile.target) && (
+                                                <option value={profile.target}>{profile.target}</option>
+                                            )}
+                                            {options.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                                        </select>
+                                        <ChevronDown size={14} className="settings-select-icon" />
+                                    </div>
+                                </div>
+                                <div>
+                                    <label className="settings-field-label">Status</label>
+                                    <div className="settings-select-wrap">
+                                        <select
+                                            value={profile.enabled ? 'on' : 'off'}
+                                            onChange={(e) => updateProfile(i, 'enabled', e.target.value === 'on')}
+                                            className="settings-select"
+                                        >
+                                            <option value="on">On</option>
+                                            <option value="off">Off</option>
+                                        </select>
+                                        <ChevronDown size={14} className="settings-select-icon" />
+                                    </div>
+                                </div>
+                                <button onClick={() => removeProfile(i)} className="settings-clear-btn settings-alert-rule__remove" title="Remove profile">
+                                    <X size={14} />
+                                </button>
+                                <div>
+                                    <label className="settings-field-label">When</label>
+                                    <div className="settings-select-wrap">
+                                        <select
+                                            value={profile.schedule ? 'scheduled' : 'always'}
+                                            onChange={(e) => updateProfile(i, 'schedule', e.target.value === 'scheduled' ? normalizeSchedule({}) : null)}
+                                            className="settings-select"
+                                        >
+                                            <option value="always">Always</option>
+                                            <option value="scheduled">On a schedule</option>
+                                        </select>
+                                        <ChevronDown size={14} className="settings-select-icon" />
+                                    </div>
+                                </div>
+                                {profile.schedule && (
+                                    <>
+                                        <div>
+                                            <label className="settings-field-label">From – to</label>
+                                            <div className="settings-notify-times">
+                                                <input type="time" value={profile.schedule.start} onChange={(e) => updateSchedule(i, 'start', e.target.value)} className="settings-input" />
+                                                <input type="time" value={profile.schedule.end} onChange={(e) => updateSchedule(i, 'end', e.target.value)} className="settings-input" />
+                                            </div>
+                                        </div>
+                                        <div className="settings-threshold-days">
+                                            <label className="settings-field-label">Days</label>
+                                            <div className="alerts-filter settings-notify-chips">
+                                                {WEEKDAYS.map((label, day) => (
+                                                    <button
+                                                        key={label}
+                                                        type="button"
+                                                        onClick={() => toggleDay(i, day)}
+                                                        className={`alerts-filter__btn ${profile.schedule.days.includes(day) ? 'alerts-filter__btn--active' : ''}`}
+                                                    >
+                                                        {label}
+                                                    </button>
+                                                ))}
+                                            </div>
+                                        </div>
+                                    </>
+                                )}
+                            </div>
+                            <div className="settings-threshold-overrides">
+                                {THRESHOLD_FIELDS.map(({ group, key, label }) => (
+                                    <div key={`${group}.${key}`}>
+                                        <label className="settings-field-label">{label}</label>
+                                        <input
+                                            type="number"
+                                            step="0.1"
+                                            placeholder={`${globals[group]?.[key] ?? ''}`}
+                                            value={profile.overrides[group]?.[key] ?? ''}
+                                            onChange={(e) => updateOverride(i, group, key, e.target.value)}
+                                            className="settings-input"
+                                        />
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    );
+                })}
+                <button onClick={addProfile} className="settings-refresh-btn">
+                    <Plus size={14} />
+                    Add profile
+                </button>
+            </div>
+
+            <div className="settings-btn-row settings-dispatch-actions">
+                <button onClick={handleSave} className="settings-assign-btn">
+                    <Save size={14} />
+                    Save profiles
+                </button>
+                <button onClick={() => setDraft([])} className="settings-clear-btn">
+                    Remove all
+                </button>
+            </div>
+
+            <div className="settings-actions settings-actions--mt">
+                {message && (
+                    <div className={`settings-message ${message.type === 'error' ? 'settings-message--error' : 'settings-message--success'}`}>
+                        {message.type === 'error' ? <AlertCircle size={18} /> : <CheckCircle size={18} />}
+                        {message.text}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default ThresholdProfilesPanel;
@@ -0,0 +1,186 @@
+/**
+ * Default Alert Rules
+ *
+ * The threshold alerts the dashboard raises out of the box, as rules for the
+ * alert rules engine (utils/alertRules.js). Operators edit them in
+ * Settings → Alert Rules. A rule watches one metric:
+ *
+ *   metric     – "<payload kind>.<field>" of a normalised message, e.g.
+ *                "environment.temperature" or "robotBattery.battery"
+ *                (see utils/payloadSchema.js and DERIVED_METRICS)
+ *   condition  – "above" | "below" | "atOrBelow" | "rate" (change per minute,
+ *                either way) | "absent" (no reading for `durationSec`)
+ *   threshold  – a number, or a key of the Settings thresholds such as
+ *                "temperature.max" so the rule follows the Settings screen
+ *   until      – optional bound (number or Settings key) past which an
+ *                above / below rule stops holding, e.g. a warning that hands
+ *                over to the critical rule
+ *   durationSec – how long the condition must hold before the alert is raised
+ *   severity   – alert type: "info" | "warning" | "critical"
+ *   scope      – "device" | "robot" | "zone" (robots inside room `zone`);
+ *                `target` limits it to one device / robot id
+ *   message    – may use {device}, {robot}, {zone}, {value}, {threshold},
+ *                {rule} and any field of the message, e.g. {nearestRobotId}
+ *
+ * The alert resolves by itself once the condition clears.
+ */
+import { COLLISION_THRESHOLD_M } from "../utils/telemetryMath";
+
+export const DEFAULT_ALERT_RULES = [
+  {
+    id: "env-temp-critical",
+    name: "Temperature critical",
+    metric: "environment.temperature",
+    condition: "above",
+    threshold: "temperature.critical",
+    severity: "critical",
+    scope: "device",
+    message: "CRITICAL: Temperature at {value}°C exceeds {threshold}°C",
+  },
+  {
+    id: "env-temp-high",
+    name: "High temperature",
+    metric: "environment.temperature",
+    condition: "above",
+    threshold: "temperature.max",
+    until: "temperature.critical",
+    severity: "warning",
+    scope: "device",
+    message: "High temperature detected: {value}°C (max: {threshold}°C)",
+  },
+  {
+    id: "env-temp-low",
+    name: "Low temperature",
+    metric: "environment.temperature",
+    condition: "below",
+    threshold: "temperature.min",
+    severity: "warning",
+    scope: "device",
+    message: "Low temperature detected: {value}°C (min: {threshold}°C)",
+  },
+  {
+    id: "env-humidity-critical",
+    name: "Humidity critical",
+    metric: "environment.humidity",
+    condition: "above",
+    threshold: "humidity.critical",
+    severity: "critical",
+    scope: "device",
+    message: "CRITICAL: Humidity at {value}% exceeds {threshold}%",
+  },
+  {
+    id: "env-humidity-high",
+    name: "High humidity",
+    metric: "environment.humidity",
+    condition: "above",
+    threshold: "humidity.max",
+    until: "humidity.critical",
+    severity: "warning",
+    scope: "device",
+    message: "High humidity detected: {value}% (max: {threshold}%)",
+  },
+  {
+    id: "env-humidity-low",
+    name: "Low humidity",
+    metric: "environment.humidity",
+    condition: "below",
+    threshold: "humidity.min",
+    severity: "warning",
+    scope: "device",
+    message: "Low humidity detected: {value}% (min: {threshold}%)",
+  },
+  {
+    id: "env-pressure-high",
+    name: "High pressure",
+    metric: "environment.pressure",
+    condition: "above",
+    threshold: "pressure.max",
+    severity: "warning",
+    scope: "device",
+    message: "Abnormal pressure detected: {value} hPa (max: {threshold} hPa)",
+  },
+  {
+    id: "env-pressure-low",
+    name: "Low pressure",
+    metric: "environment.pressure",
+    condition: "below",
+    threshold: "pressure.min",
+    severity: "warning",
+    scope: "device",
+    message: "Abnormal pressure detected: {value} hPa (min: {threshold} hPa)",
+  },
+  {
+    id: "robot-battery-critical",
+    name: "Battery critical",
+    metric: "robotBattery.battery",
+    condition: "atOrBelow",
+    threshold: "battery.critical",
+    severity: "critical",
+    scope: "robot",
+    message: "CRITICAL: Robot {robot} battery at {value}%",
+  },
+  {
+    id: "robot-battery-low",
+    name: "Battery low",
+    metric: "robotBattery.battery",
+    condition: "atOrBelow",
+    threshold: "battery.low",
+    until: "battery.critical",
+    severity: "warning",
+    scope: "robot",
+    message: "Robot {robot} low battery: {value}%",
+  },
+  {
+    id: "robot-overheating",
+    name: "Robot overheating",
+    metric: "robotTemp.temperature",
+    condition: "above",
+    threshold: "robotTemp.max",
+    severity: "warning",
+    scope: "robot",
+    message: "Robot {robot} overheating: {value}°C",
+  },
+  {
+    id: "robot-obstacle",
+    name: "Obstacle detected",
+    metric: "robotStatus.obstacle",
+    condition: "above",
+    threshold: 0,
+    severity: "critical",
+    scope: "robot",
+    message: "Robot {robot} obstacle detected!",
+  },
+  {
+    id: "robot-collision-risk",
+    name: "Collision risk",
+    metric: "robotLocation.nearestRobotM",
+    condition: "atOrBelow",
+    threshold: COLLISION_THRESHOLD_M,
+    severity: "critical",
+    scope: "robot",
+    message: "🚨 COLLISION RISK: {robot} is within {value}m of {nearestRobotId}. {robot} blocked until path is clear.",
+  },
+  {
+    id: "env-temp-rising",
+    name: "Temperature rising fast",
+    enabled: false,
+    metric: "environment.temperature",
+    condition: "rate",
+    threshold: 2,
+    durationSec: 60,
+    severity: "warning",
+    scope: "device",
+    message: "Temperature changing fast on {device}: {value}°C/min",
+  },
+  {
+    id: "robot-location-silent",
+    name: "No location updates",
+    enabled: false,
+    metric: "robotLocation.lat",
+    condition: "absent",
+    durationSec: 120,
+    severity: "warning",
+    scope: "robot",
+    message: "No location from {robot} for 2 minutes",
+  },
+];
@@ -0,0 +1,85 @@
+/**
+ * Facility Layout Configuration
+ *
+ * Bundled default floor plan — the building the dashboard was first built for.
+ * At runtime this is only the seed: each device can carry its own layout,
+ * loaded from the JSON config file / State API and edited from Settings
+ * (see services/layoutService.js).
+ *
+ * A layout document:
+ *   {
+ *     version, name, updatedAt,
+ *     bounds:    { minLat, maxLat, minLng, maxLng },       // GPS box drawn as the map
+ *     rooms:     [{ id, name, type, points: [{lat, lng}], doors?: [{lat, lng}] }], // polygons, ≥ 3 points
+ *     aisles:    [{ id, name, width, points: [{lat, lng}] }], // polylines, width in metres
+ *     docks:     [{ id, name, lat, lng }],                   // charging docks
+ *     noGoZones: [{ id, name, points: [{lat, lng}] }],       // polygons robots must avoid
+ *   }
+ *
+ * Robots travel along the aisles (see planRoute in utils/telemetryMath.js).
+ * A room joins the aisle network at its `doors`; rooms without doors are
+ * entered from the aisle point nearest their center.
+ */
+
+// State topic holding each device's layout document
+export const LAYOUT_TOPIC = "fleetMS/layout";
+
+// Current layout document version
+export const LAYOUT_VERSION = 1;
+
+// Room types the map knows how to colour; "reset" is the parking area robots
+// return to when idle and is not offered as a task location
+export const ROOM_TYPES = ["cleanroom", "loading", "storage", "maintenance", "reset"];
+
+const DEFAULT_BOUNDS = {
+  minLat: 37.4215,
+  maxLat: 37.423,
+  minLng: -122.085,
+  maxLng: -122.083,
+};
+
+/**
+ * GPS point for a map-percent position inside DEFAULT_BOUNDS.
+ * The map draws the bounds box between 5 % and 95 % on each axis.
+ */
+function pctPoint(xPct, yPct) {
+  const { minLat, maxLat, minLng, maxLng } = DEFAULT_BOUNDS;
+  return {
+    lat: +(maxLat - ((yPct - 5) / 90) * (maxLat - minLat)).toFixed(6),
+    lng: +(minLng + ((xPct - 5) / 90) * (maxLng - minLng)).toFixed(6),
+  };
+}
+
+/** Rectangle (CSS-percent left/top/width/height) → polygon, clockwise from NW. */
+function pctRect(left, top, width, height) {
+  return [
+    pctPoint(left, top),
+    pctPoint(left + width, top),
+    pctPoint(left + width, top + height),
+    pctPoint(left, top + height),
+  ];
+}
+
+export const DEFAULT_FACILITY_LAYOUT = {
+  version: LAYOUT_VERSION,
+  name: "Default fab",
+  updatedAt: 0,
+  bounds: DEFAULT_BOUNDS,
+  rooms: [
+    { id: "cleanroom-a", name: "Cleanroom A", type: "cleanroom", points: pctRect(5, 5, 35, 40) },
+    { id: "cleanroom-b", name: "Cleanroom B", type: "cleanroom", points: pctRect(45, 5, 30, 40) },
+    { id: "loading-bay", name: "Loading Bay", type: "loading", points: pctRect(5, 55, 25, 35) },
+    { id: "storage", name: "Storage", type: "storage", points: pctRect(35, 55, 25, 35) },
+    { id: "maintenance", name: "Maintenance", type: "maintenance", points: pctRect(65, 55, 25, 25) },
+    { id: "parking", name: "Reset Position (Ready)", type: "reset", points: pctRect(65, 82, 25, 10) },
+  ],
+  aisles: [
+    { id: "aisle-h", name: "Main Corridor", width: 5, points: [pctPoint(5, 48), pctPoint(90, 48)] },
+    { id: "aisle-v", name: "Vertical Aisle", width: 5, points: [pctPoint(40, 5), pctPoint(40, 90)] },
+  ],
+  docks: [
+    { id: "dock-1", name: "Dock 1", ...pctPoint(72, 70) },
+    { id: "dock-2", name: "Dock 2", ...pctPoint(82, 70) },
+  ],
+  noGoZones: [],
+};
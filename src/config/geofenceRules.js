@@ -0,0 +1,41 @@
+/**
+ * Geofence Alert Rules
+ *
+ * Zone events (see utils/geofence.js) that raise a dashboard alert. A rule
+ * matches an event when every field it sets matches:
+ *
+ *   event       – "enter" | "exit" | "dwell"
+ *   zone        – exact room / no-go zone name
+ *   zoneType    – room type from the facility layout (cleanroom, maintenance, …)
+ *   kind        – "room" | "nogo"
+ *   withoutTask – only when the robot has no active task
+ *   minDwellMs  – dwell rules: fire once when the stay passes this duration
+ *
+ * `type` is the alert severity; `message` may use {robot}, {zone} and {minutes}.
+ */
+
+export const DEFAULT_GEOFENCE_RULES = [
+  {
+    id: "nogo-enter",
+    event: "enter",
+    kind: "nogo",
+    type: "critical",
+    message: "⛔ {robot} entered no-go zone {zone}",
+  },
+  {
+    id: "maintenance-without-task",
+    event: "enter",
+    zoneType: "maintenance",
+    withoutTask: true,
+    type: "warning",
+    message: "🔧 {robot} entered {zone} without a task",
+  },
+  {
+    id: "cleanroom-dwell",
+    event: "dwell",
+    zoneType: "cleanroom",
+    minDwellMs: 10 * 60 * 1000,
+    type: "warning",
+    message: "⏱️ {robot} has been in {zone} for over {minutes} min",
+  },
+];
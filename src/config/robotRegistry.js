@@ -1,10 +1,25 @@
 /**
  * Robot Registry Configuration
  *
- * Defines 5 robots per device with their IDs, names, and default properties.
- * This is the single source of truth for robot definitions across the application.
+ * Bundled defaults: the known devices and 5 robots per device with their IDs,
+ * names, and default properties. At runtime these are only the seed — the live
+ * registry is loaded from the JSON config file / State API and edited from
+ * Settings (see services/registryService.js).
  */
 
+// Devices shipped with the app (seed for the runtime registry)
+export const DEFAULT_DEVICES = [
+  { id: "deviceTestUC", name: "deviceTestUC", zone: "Testing" },
+  { id: "devicetestuc", name: "devicetestuc", zone: "Testing" },
+  { id: "device9988", name: "Device 9988", zone: "Cleanroom A" },
+  { id: "device0011233", name: "Device 0011233", zone: "Cleanroom B" },
+  { id: "deviceA72Q", name: "Device A72Q", zone: "Loading Bay" },
+  { id: "deviceZX91", name: "Device ZX91", zone: "Storage" },
+];
+
+// State topic holding each device's registry record
+export const REGISTRY_TOPIC = "fleetMS/registry";
+
 // Robot definitions per device — all robots handle Delivery tasks
 export const ROBOT_REGISTRY = {
   // Device: deviceTestUC
@@ -135,9 +150,24 @@ export const TASK_STATUS = {
   COMPLETED: "Completed",
   FAILED: "Failed",
   CANCELLED: "Cancelled",
+  REJECTED: "Rejected", // robot refused a dispatched order
+  PREEMPTED: "Preempted", // paused for an URGENT task, waiting in the queue
+  RESUMED: "Resumed", // preempted task picked up again where it paused
+};
+
+/**
+ * Task priority values, most urgent first (see utils/taskPriority.js)
+ */
+export const TASK_PRIORITY = {
+  URGENT: "URGENT",
+  HIGH: "HIGH",
+  NORMAL: "NORMAL",
+  LOW: "LOW",
 };
 
 export default {
+  DEFAULT_DEVICES,
+  REGISTRY_TOPIC,
   ROBOT_REGISTRY,
   DEFAULT_ROBOTS,
   getRobotsForDevice,
@@ -147,4 +177,5 @@ export default {
   DEFAULT_ROBOT_SENSOR_DATA,
   ROBOT_STATUS,
   TASK_STATUS,
+  TASK_PRIORITY,
 };
@@ -1,14 +1,63 @@
 import { createContext, useContext, useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { useAuth } from './AuthContext';
-import { connectWebSocket } from '../services/webSocketClient';
+import { connectFleet, subscribeDevice, disconnectFleet, getSubscribedDevices } from '../services/webSocketClient';
+import { fetchMissedStream, getMessageTime, getMessageTopic } from '../services/streamBackfill';
 import { getStateDetails, updateStateDetails, getTopicStreamData, getTopicStateDetails, getTimeRange } from '../services/api';
-import { getRobotsForDevice, DEFAULT_ROBOT_SENSOR_DATA, ROBOT_STATUS } from '../config/robotRegistry';
+import { DEFAULT_ROBOT_SENSOR_DATA, ROBOT_STATUS, TASK_STATUS } from '../config/robotRegistry';
+import {
+    buildDefaultRegistry, mergeRegistries, mergeDiscoveredRobots, normalizeDeviceRecord, normalizeRobotEntry,
+    getActiveRobots, getActiveDevices, loadCachedRegistry, saveCachedRegistry, loadFleetRegistry, publishDeviceRecord
+} from '../services/registryService';
+import {
+    mergeLayouts, normalizeLayout, getDeviceLayout, loadCachedLayouts, saveCachedLayouts, loadFacilityLayouts, publishLayout
+} from '../services/layoutService';
 import {
     TASK_PHASES, PHASE_LABELS,
     haversineDistance, ARRIVAL_THRESHOLD_M, COLLISION_THRESHOLD_M, AUTO_ADVANCE_DELAY_MS,
-    computePhaseProgress, isInsideRoom, findRoomAtPoint, resolveRoom, ROOMS
+    computePhaseProgress, findRoomAtPoint, resolveRoom, ROOMS, updateObservedSpeed, estimateTaskEta,
+    STOP_TYPES, getTaskStops, currentStopIndex, isMultiStopTask, isTravelPhase, travelPhaseFor, arriveAtStop, leaveStop,
+    taskRouteLabel
 } from '../utils/telemetryMath';
-import { getThresholds } from '../utils/thresholds';
+import { updateGeofence, isInZone, currentZones, matchGeofenceRules } from '../utils/geofence';
+import {
+    DISPATCH_RETRY_MS, compareOrders, createOrder, isRejectedStatus, isCancelledStatus, orderFields, orderFromTask,
+    selectRobot, publishOrder, loadCachedBacklog, saveCachedBacklog
+} from '../services/dispatcher';
+import {
+    SCHEDULER_TICK_MS, SCHEDULE_RUN_LIMIT, RUN_STATUS, createSchedule, setScheduleEnabled, toggleSkipNext, settleDueRun,
+    scheduleOrder, makeRun, loadCachedSchedules, saveCachedSchedules, loadCachedScheduleRuns, saveCachedScheduleRuns
+} from '../services/taskScheduler';
+import {
+    CHARGE_CHECK_MS, CHARGE_REASONS, CHARGE_REASON_LABELS, CHARGE_TASK_TYPE, isChargeTask, chargeTaskOf, isDocked, chargeNeed,
+    dockOccupancy, nearestFreeDock, publishChargeTask, loadChargingSettings, normalizeChargingSettings, saveChargingSettings
+} from '../services/chargeManager';
+import {
+    MAINTENANCE_FLUSH_MS, WORK_ORDER_TYPE_LABELS, accumulateUsage, emptyRecord, openWorkOrder, closeWorkOrder, openWorkOrderOf,
+    normalizeIntervals, publishWorkOrder, loadMaintenance, saveMaintenance
+} from '../services/maintenanceLog';
+import {
+    explainThresholds, resolveThresholds, normalizeThresholdProfile, loadThresholdProfiles, saveThresholdProfiles
+} from '../utils/thresholdProfiles';
+import {
+    acknowledgeAlert, assignAlert, snoozeAlert, resolveAlert, mergeAlertHistory, loadAlertHistory, saveAlertHistory, saveOperatorName
+} from '../utils/alertLifecycle';
+import {
+    ESCALATION_CHECK_MS, policyFor, dueTiers, tierChannels, notifyChannels, tierDelivered, markEscalated,
+    normalizeNotificationSettings, loadNotificationSettings, saveNotificationSettings
+} from '../services/notifier';
+import {
+    ALERT_SWEEP_MS, evaluateAlertRules, sweepAlertRules, formatRuleMessage, normalizeAlertRule, loadAlertRules, saveAlertRules
+} from '../utils/alertRules';
+import { insertByPriority, canPreempt, pauseTask, resumeTask, PRIORITY_LABELS, normalizePriority } from '../utils/taskPriority';
+import { SLA_CHECK_MS, SLA_STATUS, evaluateSla, loadSlaTargets, normalizeSlaTargets, saveSlaTargets } from '../utils/taskSla';
+import { addSegmentToDays, loadBatteryStats, saveBatteryStats, updateBatteryModel, workForecast } from '../utils/batteryModel';
+import {
+    hasPayloadFields, normalizeEnvironment, normalizeRobotLocation, normalizeRobotBattery,
+    normalizeRobotTemp, normalizeRobotStatus, normalizeRobotTask, normalizeDeviceState
+} from '../utils/payloadSchema';
+import {
+    alertSourceKey, findIncident, openIncident, joinIncident, releaseRuleKey, rateLimitSource, recordSuppressed
+} from '../utils/alertGrouping';
 
 const DeviceContext = createContext(null);
 
@@ -18,20 +67,17 @@ const isActiveTaskStatus = (status) => {
     const s = String(status).toLowerCase();
     return s === 'assigned' || s === 'pending' || s === 'in progress' || s === 'in_progress' ||
         s === 'active' || s === 'moving' || s === 'started' || s === 'queued' || s === 'scheduled' ||
+        s === 'preempted' || s === 'resumed' ||
         // Phase-based statuses (Deliver-only)
         s === 'en_route_to_source' || s === 'picking_up' ||
         s === 'en_route_to_destination' || s === 'delivering';
 };
 
-// Available devices
-const DEVICES = [
-    { id: 'deviceTestUC', name: 'deviceTestUC', zone: 'Testing' },
-    { id: 'devicetestuc', name: 'devicetestuc', zone: 'Testing' },
-    { id: 'device9988', name: 'Device 9988', zone: 'Cleanroom A' },
-    { id: 'device0011233', name: 'Device 0011233', zone: 'Cleanroom B' },
-    { id: 'deviceA72Q', name: 'Device A72Q', zone: 'Loading Bay' },
-    { id: 'deviceZX91', name: 'Device ZX91', zone: 'Storage' }
-];
+// Payload that starts a task taken off the queue — preempted tasks resume at their saved phase
+const dequeuedTask = (task) => (task.resumePhase ? resumeTask(task) : { ...task, status: 'Assigned', assignedAt: new Date().toISOString() });
+
+// Initial registry: bundled defaults overlaid with the last cached copy (server/config load follows)
+const loadInitialRegistry = () => mergeRegistries(buildDefaultRegistry(), loadCachedRegistry());
 
 const DEFAULT_DEVICE_STATE = {
     environment: {
@@ -59,7 +105,7 @@ const DEFAULT_THRESHOLDS = {
     pressure: { min: 980, max: 1040 }
 };
 
-// Re-export getThresholds from shared utility — all threshold reads go through thresholds.js
+// All threshold reads go through thresholds.js, resolved per device / robot by thresholdsFor (THRESHOLD PROFILES)
 
 export function DeviceProvider({ children }) {
     const { token, isAuthenticated } = useAuth();
@@ -67,24 +113,27 @@ export function DeviceProvider({ children }) {
     const [connectionError, setConnectionError] = useState(null);
     // WebSocket connection state managed near bottom of file
 
+    // Device & robot registry (server/config driven, editable from Settings)
+    const [registry, setRegistry] = useState(loadInitialRegistry);
+    const devices = useMemo(() => getActiveDevices(registry), [registry]);
 
     // Load persisted state from localStorage
     const [selectedDeviceId, setSelectedDeviceId] = useState(() => {
         try {
             const saved = localStorage.getItem('fabrix_selectedDeviceId');
-            if (saved && DEVICES.some(d => d.id === saved)) {
+            if (saved && devices.some(d => d.id === saved)) {
                 return saved;
             }
         } catch (e) {
             console.error('[Device] Failed to load selectedDeviceId:', e);
         }
-        return DEVICES[0].id;
+        return devices[0]?.id || null;
     });
 
     const [deviceData, setDeviceData] = useState(() => {
         // Initial state without localStorage
         const initial = {};
-        DEVICES.forEach(device => {
+        devices.forEach(device => {
             initial[device.id] = { ...DEFAULT_DEVICE_STATE };
         });
         return initial;
@@ -94,8 +143,8 @@ export function DeviceProvider({ children }) {
     const [robots, setRobots] = useState(() => {
         const buildInitialRobots = () => {
             const robotState = {};
-            DEVICES.forEach(device => {
-                const deviceRobots = getRobotsForDevice(device.id);
+            devices.forEach(device => {
+                const deviceRobots = getActiveRobots(registry, device.id);
                 robotState[device.id] = {};
                 deviceRobots.forEach(robot => {
                     robotState[device.id][robot.id] = {
@@ -121,20 +170,59 @@ export function DeviceProvider({ children }) {
         }
         return [];
     });
+    // Live copy of the alert list for callbacks — synced after each render, and by addAlert ahead of it
+    const alertsRef = useRef(alerts);
 
     // Time-series histories for Analysis graphs/tables (kept small)
     const [envHistory, setEnvHistory] = useState(() => {
         const h = {};
-        DEVICES.forEach(d => { h[d.id] = []; });
+        devices.forEach(d => { h[d.id] = []; });
         return h;
     });
 
     const [robotHistory, setRobotHistory] = useState(() => {
         const rh = {};
-        DEVICES.forEach(d => { rh[d.id] = {}; });
+        devices.forEach(d => { rh[d.id] = {}; });
         return rh;
     });
 
+    // Per-robot zone timeline (geofence enter/exit/dwell events, newest first)
+    const [zoneTimeline, setZoneTimeline] = useState({});
+
+    // Learned discharge rates + per-day discharge totals (utils/batteryModel.js),
+    // by device and robot; the battery handler reads the ref to seed new robots
+    const [batteryStats, setBatteryStats] = useState(loadBatteryStats);
+    const batteryStatsRef = useRef(batteryStats);
+    useEffect(() => {
+        batteryStatsRef.current = batteryStats;
+        saveBatteryStats(batteryStats);
+    }, [batteryStats]);
+
+    // Maintenance log — usage meters, service intervals and work orders (services/maintenanceLog.js),
+    // by device and robot. The ref is the live copy: the stream handlers add usage to it and it is
+    // committed to state every MAINTENANCE_FLUSH_MS (at once for work orders)
+    const [maintenance, setMaintenance] = useState(loadMaintenance);
+    const maintenanceRef = useRef(maintenance);
+    const maintenanceDirtyRef = useRef(false);
+    useEffect(() => {
+        saveMaintenance(maintenance);
+    }, [maintenance]);
+
+    // State to write for a robot — one with an open work order stays in MAINTENANCE
+    // whatever it reports or its tasks imply
+    const serviceState = useCallback((deviceId, robotId, state) => (
+        openWorkOrderOf(maintenanceRef.current[deviceId]?.[robotId]) ? 'MAINTENANCE' : state
+    ), []);
+
+    // Fold a location fix or status report into a robot's usage meters
+    const recordUsage = useCallback((deviceId, robotId, sample) => {
+        const deviceLog = maintenanceRef.current[deviceId] || {};
+        const record = accumulateUsage(deviceLog[robotId] || null, sample);
+        if (record === deviceLog[robotId]) return;
+        maintenanceRef.current = { ...maintenanceRef.current, [deviceId]: { ...deviceLog, [robotId]: record } };
+        maintenanceDirtyRef.current = true;
+    }, []);
+
     // Task update version counter - increments when a task is updated via API
     // Components can watch this to trigger refreshes
     const [taskUpdateVersion, setTaskUpdateVersion] = useState(0);
@@ -171,6 +259,12 @@ export function DeviceProvider({ children }) {
     const collisionAlertThrottle = useRef({});
     // Ref to always hold latest refreshDeviceState for callbacks that can't include it in deps
     const refreshDeviceStateRef = useRef(null);
+    // Original timestamp of the message being replayed after a reconnect (null for live messages).
+    // Handlers read it through eventNow() so backfilled history keeps its real time.
+    const eventTimeRef = useRef(null);
+    const eventNow = useCallback(() => eventTimeRef.current ?? Date.now(), []);
+    // Geofence tracker state per robot — { [deviceId]: { [robotId]: state } } (see utils/geofence)
+    const geofenceRef = useRef({});
 
 
 
@@ -207,6 +301,7 @@ export function DeviceProvider({ children }) {
                 const response = await getStateDetails(selectedDeviceId);
 
                 if (response.status === 'Success' && response.data) {
+                    const state = normalizeDeviceState(response.data, { deviceId: selectedDeviceId });
 
                     // Update device state with API data
                     setDeviceData(prev => ({
@@ -215,10 +310,7 @@ export function DeviceProvider({ children }) {
                             ...prev[selectedDeviceId],
                             state: {
                                 ...prev[selectedDeviceId]?.state,
-                                ac_power: response.data.ac?.status ?? response.data.ac?.payload?.status ?? prev[selectedDeviceId]?.state?.ac_power,
-                                air_purifier: response.data.airPurifier?.status ?? response.data.airPurifier?.payload?.status ?? prev[selectedDeviceId]?.state?.air_purifier,
-                                status: response.data.status?.status ?? response.data.status?.payload?.status ?? prev[selectedDeviceId]?.state?.status,
-                                gateway_health: response.data.status?.gateway_health ?? prev[selectedDeviceId]?.state?.gateway_health
+                                ...state
                             },
                             lastUpdate: Date.now()
                         }
@@ -233,19 +325,152 @@ export function DeviceProvider({ children }) {
         fetchInitialState();
     }, [selectedDeviceId, isAuthenticated]);
 
+    // ===== REGISTRY =====
+    // Keep a ref of the latest registry for async callbacks, and cache it locally
+    const registryRef = useRef(registry);
+    useEffect(() => {
+        registryRef.current = registry;
+        saveCachedRegistry(registry);
+    }, [registry]);
+
+    // Load the registry from the JSON config file + State API once authenticated
+    useEffect(() => {
+        if (!isAuthenticated) return;
+        let cancelled = false;
+
+        loadFleetRegistry()
+            .then(loaded => {
+                if (cancelled) return;
+                const merged = mergeRegistries(registryRef.current, loaded);
+                setRegistry(merged);
+                // Fall back to the first active device if the selected one was retired elsewhere
+                const active = getActiveDevices(merged);
+                setSelectedDeviceId(prev => (active.some(d => d.id === prev) ? prev : active[0]?.id || prev));
+            })
+            .catch(err => console.error('[Device] Failed to load fleet registry:', err));
+
+        return () => { cancelled = true; };
+    }, [isAuthenticated]);
+
+    // Store a device record locally and publish it to the State API
+    const commitDeviceRecord = useCallback(async (record) => {
+        const next = normalizeDeviceRecord({ ...record, updatedAt: Date.now() });
+        const updated = registryRef.current.some(d => d.id === next.id)
+            ? registryRef.current.map(d => (d.id === next.id ? next : d))
+            : [...registryRef.current, next];
+        registryRef.current = updated;
+        setRegistry(updated);
+
+        if (next.retired) {
+            const active = getActiveDevices(updated);
+            setSelectedDeviceId(prev => (prev === next.id ? active[0]?.id || prev : prev));
+        }
+
+        await publishDeviceRecord(next);
+        return next;
+    }, []);
+
+    // Add or edit a device (name, zone, retired)
+    const saveRegistryDevice = useCallback((deviceId, changes) => {
+        const existing = registryRef.current.find(d => d.id === deviceId) || { id: deviceId, robots: [] };
+        return commitDeviceRecord({ ...existing, ...changes, id: deviceId });
+    }, [commitDeviceRecord]);
+
+    // Add or edit a robot on a device (name, type, zone, retired)
+    const saveRegistryRobot = useCallback((deviceId, robotId, changes) => {
+        const existing = registryRef.current.find(d => d.id === deviceId);
+        if (!existing) return Promise.reject(new Error(`Unknown device ${deviceId}`));
+
+        const current = existing.robots.find(r => r.id === robotId);
+        // Saving from Settings confirms a discovered robot, so drop the flag
+        const robot = normalizeRobotEntry({ ...(current || { id: robotId }), ...changes, id: robotId, discovered: false });
+        const robotList = current
+            ? existing.robots.map(r => (r.id === robotId ? robot : r))
+            : [...existing.robots, robot];
+        return commitDeviceRecord({ ...existing, robots: robotList });
+    }, [commitDeviceRecord]);
+
+    // Active registry robots for a device (used by Analysis and task fetches)
+    const getRegistryRobots = useCallback((deviceId) => getActiveRobots(registry, deviceId), [registry]);
+
+    // ===== FACILITY LAYOUTS =====
+    // Per-device floor plans (rooms, aisles, docks, no-go zones); devices without
+    // one use the bundled default. Stream handlers read the ref so geofences
+    // always use the layout of the device the message came from.
+    const [facilityLayouts, setFacilityLayouts] = useState(() => mergeLayouts(loadCachedLayouts()));
+    const layoutsRef = useRef(facilityLayouts);
+    useEffect(() => {
+        layoutsRef.current = facilityLayouts;
+        saveCachedLayouts(facilityLayouts);
+    }, [facilityLayouts]);
+
+    // Load layouts from the JSON config file + State API for every registry device
+    const registryDeviceKey = registry.map(d => d.id).join('|');
+    useEffect(() => {
+        if (!isAuthenticated) return;
+        let cancelled = false;
+
+        loadFacilityLayouts(registryDeviceKey.split('|').filter(Boolean))
+            .then(loaded => {
+                if (cancelled) return;
+                setFacilityLayouts(prev => mergeLayouts(prev, loaded));
+            })
+            .catch(err => console.error('[Device] Failed to load facility layouts:', err));
+
+        return () => { cancelled = true; };
+    }, [isAuthenticated, registryDeviceKey]);
+
+    const getFacilityLayout = useCallback((deviceId) => getDeviceLayout(facilityLayouts, deviceId), [facilityLayouts]);
+    const layoutFor = useCallback((deviceId) => getDeviceLayout(layoutsRef.current, deviceId), []);
+
+    // Store a device's layout locally and publish it to the State API
+    const saveFacilityLayout = useCallback(async (deviceId, layout) => {
+        const next = normalizeLayout({ ...layout, updatedAt: Date.now() });
+        if (!next) throw new Error('Layout is not valid');
+        const updated = { ...layoutsRef.current, [deviceId]: next };
+        layoutsRef.current = updated;
+        setFacilityLayouts(updated);
+        await publishLayout(deviceId, next);
+        return next;
+    }, []);
+
+    // ===== DISPATCH BACKLOG =====
+    // Orders the dispatcher could not place (no eligible robot, publish failed,
+    // or rejected by the robot), per device. Retried every DISPATCH_RETRY_MS.
+    const [dispatchBacklog, setDispatchBacklog] = useState(loadCachedBacklog);
+    const backlogRef = useRef(dispatchBacklog);
+    useEffect(() => {
+        backlogRef.current = dispatchBacklog;
+        saveCachedBacklog(dispatchBacklog);
+    }, [dispatchBacklog]);
+
+    // Add (or replace) an order in a device's backlog, keeping dispatch order
+    const addToBacklog = useCallback((deviceId, order) => {
+        setDispatchBacklog(prev => {
+            const list = (prev[deviceId] || []).filter(o => o.task_id !== order.task_id);
+            return { ...prev, [deviceId]: [...list, order].sort(compareOrders) };
+        });
+    }, []);
+
     // Get current device data
-    const currentDevice = DEVICES.find(d => d.id === selectedDeviceId);
+    const currentDevice = devices.find(d => d.id === selectedDeviceId);
     const currentDeviceData = deviceData[selectedDeviceId] || DEFAULT_DEVICE_STATE;
+    const currentLayout = getFacilityLayout(selectedDeviceId);
 
-    // Ensure currentRobots always contains registry robots (at least 5)
+    // Ensure currentRobots always contains the active registry robots; retired robots are hidden
     const currentRobots = useMemo(() => {
         const stateRobots = robots[selectedDeviceId] || {};
-        const registryRobots = getRobotsForDevice(selectedDeviceId);
+        const registryEntries = registry.find(d => d.id === selectedDeviceId)?.robots || [];
+        const retiredIds = new Set(registryEntries.filter(r => r.retired).map(r => r.id));
 
-        const merged = { ...stateRobots };
+        const merged = {};
+        Object.entries(stateRobots).forEach(([id, robot]) => {
+            if (!retiredIds.has(id)) merged[id] = robot;
+        });
 
-        // Ensure all registry robots are present
-        registryRobots.forEach(regRobot => {
+        // Ensure all registry robots are present and carry their latest name/type/zone
+        registryEntries.forEach(regRobot => {
+            if (regRobot.retired) return;
             if (!merged[regRobot.id]) {
                 merged[regRobot.id] = {
                     ...regRobot,
@@ -253,42 +478,176 @@ export function DeviceProvider({ children }) {
                     task: null,
                     lastUpdate: Date.now()
                 };
+            } else {
+                merged[regRobot.id] = {
+                    ...merged[regRobot.id],
+                    name: regRobot.name,
+                    type: regRobot.type,
+                    zone: regRobot.zone
+                };
             }
         });
 
         return merged;
-    }, [robots, selectedDeviceId]);
+    }, [robots, registry, selectedDeviceId]);
+
+    // The room a robot is in (geofence), or undefined
+    const robotRoom = useCallback((deviceId, robotId) => (
+        currentZones(geofenceRef.current[deviceId]?.[robotId]).find(z => z.kind === 'room')?.name
+    ), []);
+
+    // Add an alert (utils/alertGrouping.js): folded into the open incident with the same root cause —
+    // device, metric and the robot's room or spot — or opened as a new incident. Only new incidents
+    // count against the per-source rate limit; critical alerts and resolution notices always go through.
+    // Returns false when the alert was suppressed.
+    const alertRateRef = useRef({});
+    const [suppressedAlerts, setSuppressedAlerts] = useState({});
 
-    // Add alert with deduplication
     const addAlert = useCallback((alert) => {
-        setAlerts(prev => {
-            // Deduplicate by message within last 30 seconds
-            const isDuplicate = prev.some(
-                a => a.message === alert.message &&
-                    Date.now() - a.timestamp < 30000
-            );
+        const now = Date.now();
+        const entry = {
+            ...alert,
+            zone: alert.zone ?? (alert.robotId ? robotRoom(alert.deviceId, alert.robotId) : undefined),
+            timestamp: alert.timestamp ?? now
+        };
 
-            if (isDuplicate) return prev;
+        if (!findIncident(alertsRef.current, entry, now) && entry.type !== 'critical' && !entry.notice) {
+            const { state, allowed } = rateLimitSource(alertRateRef.current, alertSourceKey(entry), now);
+            alertRateRef.current = state;
+            if (!allowed) {
+                setSuppressedAlerts(prev => recordSuppressed(prev, entry, now));
+                return false;
+            }
+        }
 
-            const newAlert = {
-                ...alert,
-                id: `alert-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-                read: false
-            };
+        const id = `alert-${now}-${Math.random().toString(36).substr(2, 9)}`;
+        const fold = (list) => {
+            const incident = findIncident(list, entry, now);
+            // The updated incident moves to the top of the list
+            if (incident) return [joinIncident(incident, entry), ...list.filter(a => a !== incident)];
 
+            // Keep only last 50 incidents
+            return [openIncident(entry, id), ...list].slice(0, 50);
+        };
+        // Ahead of the render, so the next alert of a burst sees this one
+        alertsRef.current = fold(alertsRef.current);
+        setAlerts(fold);
+        return true;
+    }, [robotRoom]);
+
+    // ===== THRESHOLD PROFILES =====
+    // Device / room / robot-type overrides of the global thresholds (utils/thresholdProfiles.js). Every severity,
+    // alert rule and charging check resolves the effective thresholds of its device or robot through thresholdsFor.
+    const [thresholdProfiles, setThresholdProfiles] = useState(loadThresholdProfiles);
+    const thresholdProfilesRef = useRef(thresholdProfiles);
+
+    useEffect(() => {
+        thresholdProfilesRef.current = thresholdProfiles;
+        saveThresholdProfiles(thresholdProfiles);
+    }, [thresholdProfiles]);
+
+    // A device is in its registry zone; a robot in the room it is in (geofence), else its registry zone
+    const thresholdContext = useCallback((deviceId, robotId = null) => {
+        const device = registryRef.current.find(d => d.id === deviceId);
+        if (!robotId) return { deviceId, room: device?.zone };
+        const regRobot = device?.robots?.find(r => r.id === robotId);
+        return { deviceId, room: robotRoom(deviceId, robotId) || regRobot?.zone, robotType: regRobot?.type };
+    }, [robotRoom]);
+
+    const thresholdsFor = useCallback((deviceId, robotId = null) => (
+        resolveThresholds(thresholdProfilesRef.current, thresholdContext(deviceId, robotId))
+    ), [thresholdContext]);
+
+    const updateThresholdProfiles = useCallback((profiles) => {
+        setThresholdProfiles(profiles.map(normalizeThresholdProfile));
+    }, []);
 
+    // ===== ALERT RULES =====
+    // Configurable threshold alerts (utils/alertRules.js), evaluated on every normalised message.
+    // Alerts a rule raises carry its ruleKey and are marked resolved once the condition clears.
+    const [alertRules, setAlertRules] = useState(loadAlertRules);
+    const alertRulesRef = useRef(alertRules);
+    const alertRuleStateRef = useRef({});
 
-            // Keep only last 50 alerts
-            return [newAlert, ...prev].slice(0, 50);
+    useEffect(() => {
+        alertRulesRef.current = alertRules;
+        saveAlertRules(alertRules);
+    }, [alertRules]);
+
+    // `timestamp` is when the rules were evaluated — a replayed message's own time
+    const applyRuleEvents = useCallback((events, timestamp = Date.now()) => {
+        events.forEach(event => {
+            if (event.type === 'raise') {
+                const raised = addAlert({
+                    type: event.rule.severity,
+                    deviceId: event.deviceId,
+                    robotId: event.robotId || undefined,
+                    ruleId: event.rule.id,
+                    ruleKey: event.key,
+                    metric: event.rule.metric,
+                    location: Number.isFinite(event.values?.lat) ? { lat: event.values.lat, lng: event.values.lng } : undefined,
+                    message: formatRuleMessage(event.rule, event),
+                    timestamp
+                });
+                // Rate-limited — the rule is not firing, so it raises again while its condition holds
+                if (!raised) {
+                    alertRuleStateRef.current = {
+                        ...alertRuleStateRef.current,
+                        [event.key]: { ...alertRuleStateRef.current[event.key], active: false }
+                    };
+                }
+                return;
+            }
+            // An incident resolves once every rule condition grouped into it has cleared
+            setAlerts(prev => prev.map(a => {
+                const { incident, cleared } = releaseRuleKey(a, event.key);
+                return cleared ? resolveAlert(incident, { auto: true }, timestamp) : incident;
+            }));
+            addAlert({
+                type: 'info',
+                deviceId: event.deviceId,
+                robotId: event.robotId || undefined,
+                ruleId: event.rule.id,
+                notice: true,
+                message: formatRuleMessage(event.rule, { ...event, resolved: true }),
+                timestamp
+            });
         });
+    }, [addAlert]);
+
+    // Run the rules that watch one payload kind; robots are matched to zone-scoped rules by the rooms they are in.
+    // `ts` defaults to the message time — pass it when evaluating outside the handler (e.g. from a setTimeout).
+    const evaluateRules = useCallback((deviceId, robotId, kind, values, ts = eventNow()) => {
+        const zones = robotId ? currentZones(geofenceRef.current[deviceId]?.[robotId]).map(z => z.name) : [];
+        const { state, events } = evaluateAlertRules(
+            alertRulesRef.current, alertRuleStateRef.current,
+            { deviceId, robotId, kind, ts, values, zones },
+            thresholdsFor(deviceId, robotId)
+        );
+        alertRuleStateRef.current = state;
+        if (events.length) applyRuleEvents(events, ts);
+    }, [eventNow, applyRuleEvents, thresholdsFor]);
+
+    // "absent" rules and rules removed while their alert was active
+    useEffect(() => {
+        if (!isAuthenticated) return;
+        const sweep = () => {
+            const { state, events } = sweepAlertRules(alertRulesRef.current, alertRuleStateRef.current, Date.now());
+            alertRuleStateRef.current = state;
+            if (events.length) applyRuleEvents(events);
+        };
+        const interval = setInterval(sweep, ALERT_SWEEP_MS);
+        return () => clearInterval(interval);
+    }, [isAuthenticated, applyRuleEvents]);
+
+    const updateAlertRules = useCallback((rules) => {
+        setAlertRules(rules.map(normalizeAlertRule));
     }, []);
 
-    // Severity computation for environment values (used by UI to color values)
-    const computeEnvSeverity = useCallback((payload) => {
-        const thresholds = getThresholds();
-        const temp = payload.temperature ?? payload.temp ?? payload.ambient_temp;
-        const hum = payload.humidity ?? payload.ambient_hum;
-        const pressure = payload.pressure ?? payload.atmospheric_pressure;
+    // Severity computation for canonical environment values (used by UI to color values)
+    const computeEnvSeverity = useCallback((env, deviceId) => {
+        const thresholds = thresholdsFor(deviceId);
+        const { temperature: temp, humidity: hum, pressure } = env;
 
         const result = { temperature: 'good', humidity: 'good', pressure: 'good' };
 
@@ -304,33 +663,64 @@ export function DeviceProvider({ children }) {
             if (pressure > thresholds.pressure.max || pressure < thresholds.pressure.min) result.pressure = 'warning';
         }
         return result;
-    }, []);
+    }, [thresholdsFor]);
 
-    // Add environment datapoint to envHistory (bounded length)
-    const addEnvHistory = useCallback((deviceId, payload) => {
+    // Add canonical environment datapoint to envHistory (bounded length)
+    const addEnvHistory = useCallback((deviceId, env) => {
+        const ts = eventNow();
         setEnvHistory(prev => {
             const deviceSeries = prev[deviceId] ? [...prev[deviceId]] : [];
-            deviceSeries.unshift({ ts: Date.now(), temperature: payload.temperature ?? payload.temp ?? payload.ambient_temp ?? null, humidity: payload.humidity ?? payload.ambient_hum ?? null, pressure: payload.pressure ?? payload.atmospheric_pressure ?? null });
+            deviceSeries.unshift({ ts, temperature: env.temperature ?? null, humidity: env.humidity ?? null, pressure: env.pressure ?? null });
             if (deviceSeries.length > 500) deviceSeries.length = 500;
             return { ...prev, [deviceId]: deviceSeries };
         });
-    }, []);
+    }, [eventNow]);
 
     // Add robot metric datapoint to robotHistory (bounded length)
     const addRobotHistory = useCallback((deviceId, robotId, metric, value) => {
+        const ts = eventNow();
         setRobotHistory(prev => {
             const deviceObj = { ...(prev[deviceId] || {}) };
             const series = deviceObj[robotId] ? [...deviceObj[robotId]] : [];
-            series.unshift({ ts: Date.now(), metric, value });
+            series.unshift({ ts, metric, value });
             if (series.length > 500) series.length = 500;
             deviceObj[robotId] = series;
             return { ...prev, [deviceId]: deviceObj };
         });
+    }, [eventNow]);
+
+    // Append geofence events to a robot's zone timeline (bounded length)
+    const addZoneEvents = useCallback((deviceId, robotId, events) => {
+        if (events.length === 0) return;
+        setZoneTimeline(prev => {
+            const deviceObj = { ...(prev[deviceId] || {}) };
+            const series = [...[...events].reverse(), ...(deviceObj[robotId] || [])];
+            if (series.length > 200) series.length = 200;
+            deviceObj[robotId] = series;
+            return { ...prev, [deviceId]: deviceObj };
+        });
+    }, []);
+
+    // Store a measured discharge segment and the robot's latest learned rates
+    const recordBatterySegment = useCallback((deviceId, robotId, segment, model) => {
+        setBatteryStats(prev => {
+            const robotStats = prev[deviceId]?.[robotId] || {};
+            return {
+                ...prev,
+                [deviceId]: {
+                    ...prev[deviceId],
+                    [robotId]: {
+                        rates: { rate: model.rate, activeRate: model.activeRate, idleRate: model.idleRate },
+                        days: addSegmentToDays(robotStats.days || {}, segment)
+                    }
+                }
+            };
+        });
     }, []);
 
     // Compute robot severity (battery/temp) to help UI colorization
-    const computeRobotSeverity = useCallback((robot) => {
-        const thresholds = getThresholds();
+    const computeRobotSeverity = useCallback((robot, deviceId) => {
+        const thresholds = thresholdsFor(deviceId, robot?.id);
         const sev = { battery: 'good', temp: 'good' };
         const batt = robot?.status?.battery;
         const temp = robot?.environment?.temp;
@@ -347,30 +737,35 @@ export function DeviceProvider({ children }) {
             }
         }
         return sev;
-    }, []);
+    }, [thresholdsFor]);
 
     // Handle device temperature updates
     const handleTemperatureUpdate = useCallback((deviceId, payload) => {
+        const env = normalizeEnvironment(payload, { deviceId });
+        if (Object.keys(env).length === 0) return;
+        const eventTime = eventNow();
+        // Replayed (backfilled) readings update state/history but never drive live HVAC actions
+        const isReplay = eventTimeRef.current != null;
         setDeviceData(prev => ({
             ...prev,
             [deviceId]: {
                 ...prev[deviceId],
                 environment: {
                     ...prev[deviceId]?.environment,
-                    ambient_temp: payload.temperature ?? payload.temp ?? payload.ambient_temp ?? prev[deviceId]?.environment?.ambient_temp,
-                    ambient_hum: payload.humidity ?? payload.ambient_hum ?? prev[deviceId]?.environment?.ambient_hum,
-                    atmospheric_pressure: payload.pressure ?? payload.atmospheric_pressure ?? prev[deviceId]?.environment?.atmospheric_pressure
+                    ambient_temp: env.temperature ?? prev[deviceId]?.environment?.ambient_temp,
+                    ambient_hum: env.humidity ?? prev[deviceId]?.environment?.ambient_hum,
+                    atmospheric_pressure: env.pressure ?? prev[deviceId]?.environment?.atmospheric_pressure
                 },
-                lastUpdate: Date.now()
+                lastUpdate: eventTime
             }
         }));
 
         // Append to environment history for analysis
-        try { addEnvHistory(deviceId, payload); } catch (e) { /* ignore */ }
+        try { addEnvHistory(deviceId, env); } catch (e) { /* ignore */ }
 
         // Store computed severity flags in device state for UI coloring
         try {
-            const severity = computeEnvSeverity(payload);
+            const severity = computeEnvSeverity(env, deviceId);
             setDeviceData(prev => ({
                 ...prev,
                 [deviceId]: {
@@ -383,75 +778,11 @@ export function DeviceProvider({ children }) {
             }));
         } catch (e) { /* ignore */ }
 
-        // Get thresholds from localStorage
-        const thresholds = getThresholds();
-        const temp = payload.temperature ?? payload.temp ?? payload.ambient_temp;
+        // Threshold alerts come from the alert rules engine
+        evaluateRules(deviceId, null, 'environment', env);
 
-        // Check for temperature threshold violations
-        if (temp != null) {
-            if (temp > thresholds.temperature.critical) {
-                addAlert({
-                    type: 'critical',
-                    deviceId,
-                    message: `CRITICAL: Temperature at ${temp}°C exceeds ${thresholds.temperature.critical}°C`,
-                    timestamp: Date.now()
-                });
-            } else if (temp > thresholds.temperature.max) {
-                addAlert({
-                    type: 'warning',
-                    deviceId,
-                    message: `High temperature detected: ${temp}°C (max: ${thresholds.temperature.max}°C)`,
-                    timestamp: Date.now()
-                });
-            } else if (temp < thresholds.temperature.min) {
-                addAlert({
-                    type: 'warning',
-                    deviceId,
-                    message: `Low temperature detected: ${temp}°C (min: ${thresholds.temperature.min}°C)`,
-                    timestamp: Date.now()
-                });
-            }
-        }
-
-        // Check for humidity threshold violations
-        const humidity = payload.humidity ?? payload.ambient_hum;
-        if (humidity != null) {
-            if (humidity > thresholds.humidity.critical) {
-                addAlert({
-                    type: 'critical',
-                    deviceId,
-                    message: `CRITICAL: Humidity at ${humidity}% exceeds ${thresholds.humidity.critical}%`,
-                    timestamp: Date.now()
-                });
-            } else if (humidity > thresholds.humidity.max) {
-                addAlert({
-                    type: 'warning',
-                    deviceId,
-                    message: `High humidity detected: ${humidity}% (max: ${thresholds.humidity.max}%)`,
-                    timestamp: Date.now()
-                });
-            } else if (humidity < thresholds.humidity.min) {
-                addAlert({
-                    type: 'warning',
-                    deviceId,
-                    message: `Low humidity detected: ${humidity}% (min: ${thresholds.humidity.min}%)`,
-                    timestamp: Date.now()
-                });
-            }
-        }
-
-        // Check for pressure threshold violations
-        const pressure = payload.pressure ?? payload.atmospheric_pressure;
-        if (pressure != null) {
-            if (pressure > thresholds.pressure.max || pressure < thresholds.pressure.min) {
-                addAlert({
-                    type: 'warning',
-                    deviceId,
-                    message: `Abnormal pressure detected: ${pressure} hPa (range: ${thresholds.pressure.min}-${thresholds.pressure.max} hPa)`,
-                    timestamp: Date.now()
-                });
-            }
-        }
+        // Effective thresholds of this device (global settings + threshold profiles)
+        const thresholds = thresholdsFor(deviceId);
 
         // Auto-control logic: if system mode is AUTOMATIC, trigger AC / Air Purifier updates
         try {
@@ -459,12 +790,12 @@ export function DeviceProvider({ children }) {
             const parsed = saved ? JSON.parse(saved) : {};
             const mode = parsed.systemMode || 'MANUAL';
 
-            if (mode === 'AUTOMATIC') {
+            if (mode === 'AUTOMATIC' && !isReplay) {
                 // Throttle auto actions per device (critical = 10s, normal = 30s)
                 const now = Date.now();
                 const last = autoActionTimestamps.current[deviceId] || 0;
-                const tempVal = payload.temperature ?? payload.temp ?? payload.ambient_temp;
-                const humVal = payload.humidity ?? payload.ambient_hum;
+                const tempVal = env.temperature;
+                const humVal = env.humidity;
                 const isCritical = (tempVal != null && tempVal > thresholds.temperature.critical) ||
                                    (humVal != null && humVal > thresholds.humidity.critical);
                 const throttleMs = isCritical ? 10000 : 30000;
@@ -545,7 +876,7 @@ export function DeviceProvider({ children }) {
                     }
 
                     // Air Purifier control: activate when humidity exceeds max/critical or active alert
-                    const hasAlert = payload.alert || payload.active_alert;
+                    const hasAlert = normalizeDeviceState(payload, { silent: true }).active_alert;
                     if (humVal != null) {
                         if (humVal > thresholds.humidity.max || hasAlert) {
                             (async () => {
@@ -590,15 +921,15 @@ export function DeviceProvider({ children }) {
 
             // Manual mode advisory: notify the user to turn on AC / Air Purifier
             // Critical conditions use a shorter throttle (30s) for urgency; warnings use 60s
-            if (mode === 'MANUAL') {
+            if (mode === 'MANUAL' && !isReplay) {
                 const now = Date.now();
                 const currentAc = deviceData[deviceId]?.state?.ac_power;
                 const currentPurifier = deviceData[deviceId]?.state?.air_purifier;
                 const acIsOff = !currentAc || currentAc === 'OFF' || currentAc === 'INACTIVE';
                 const purifierIsOff = !currentPurifier || currentPurifier === 'OFF' || currentPurifier === 'INACTIVE';
 
-                const tempVal = payload.temperature ?? payload.temp ?? payload.ambient_temp;
-                const humVal = payload.humidity ?? payload.ambient_hum;
+                const tempVal = env.temperature;
+                const humVal = env.humidity;
 
                 // --- Temperature → AC advisory ---
                 if (tempVal != null && acIsOff) {
@@ -613,6 +944,7 @@ export function DeviceProvider({ children }) {
                         addAlert({
                             type: isTempCritical ? 'critical' : 'warning',
                             deviceId,
+                            metric: 'environment.temperature',
                             message: isTempCritical
                                 ? `CRITICAL — Temperature at ${tempVal}°C! Immediately turn ON the Air Condition (AC) from dashboard controls`
                                 : `Manual Mode: Temperature is ${tempVal}°C — please turn ON the Air Condition (AC) from dashboard controls`,
@@ -634,6 +966,7 @@ export function DeviceProvider({ children }) {
                         addAlert({
                             type: isHumCritical ? 'critical' : 'warning',
                             deviceId,
+                            metric: 'environment.humidity',
                             message: isHumCritical
                                 ? `CRITICAL — Humidity at ${humVal}%! Immediately turn ON the Air Purifier from dashboard controls`
                                 : `Manual Mode: Humidity is ${humVal}% — please turn ON the Air Purifier from dashboard controls`,
@@ -645,17 +978,19 @@ export function DeviceProvider({ children }) {
         } catch (err) {
             console.error('[AutoControl] Error evaluating automatic controls', err);
         }
-    }, [addAlert, addEnvHistory, computeEnvSeverity]);
+    }, [addAlert, addEnvHistory, computeEnvSeverity, eventNow, evaluateRules, thresholdsFor]);
 
     // Handle AC state updates
     const handleACUpdate = useCallback((deviceId, payload) => {
+        const { ac_power } = normalizeDeviceState(payload, { deviceId, silent: true });
+        if (ac_power == null) return;
         setDeviceData(prev => ({
             ...prev,
             [deviceId]: {
                 ...prev[deviceId],
                 state: {
                     ...prev[deviceId]?.state,
-                    ac_power: payload.status ?? payload.state ?? payload.ac_power ?? prev[deviceId]?.state?.ac_power
+                    ac_power
                 },
                 lastUpdate: Date.now()
             }
@@ -664,41 +999,46 @@ export function DeviceProvider({ children }) {
 
     // Handle device status updates
     const handleDeviceStatusUpdate = useCallback((deviceId, payload) => {
+        const state = normalizeDeviceState(payload, { deviceId });
+        const eventTime = eventNow();
         setDeviceData(prev => ({
             ...prev,
             [deviceId]: {
                 ...prev[deviceId],
                 state: {
                     ...prev[deviceId]?.state,
-                    status: payload.status ?? payload.state ?? prev[deviceId]?.state?.status,
-                    gateway_health: payload.gateway_health ?? payload.health ?? prev[deviceId]?.state?.gateway_health,
-                    wifi_rssi: payload.wifi_rssi ?? payload.rssi ?? prev[deviceId]?.state?.wifi_rssi,
-                    active_alert: payload.alert ?? payload.active_alert ?? prev[deviceId]?.state?.active_alert
+                    status: state.status ?? prev[deviceId]?.state?.status,
+                    gateway_health: state.gateway_health ?? prev[deviceId]?.state?.gateway_health,
+                    wifi_rssi: state.wifi_rssi ?? prev[deviceId]?.state?.wifi_rssi,
+                    active_alert: state.active_alert ?? prev[deviceId]?.state?.active_alert
                 },
-                lastUpdate: Date.now()
+                lastUpdate: eventTime
             }
         }));
 
         // Check for active alerts from status
-        if (payload.alert || payload.active_alert) {
+        if (state.active_alert) {
             addAlert({
                 type: 'critical',
                 deviceId,
-                message: payload.alert || payload.active_alert,
-                timestamp: Date.now()
+                message: state.active_alert,
+                timestamp: eventTime
             });
         }
-    }, [addAlert, computeRobotSeverity, addRobotHistory]);
+        evaluateRules(deviceId, null, 'deviceState', state);
+    }, [addAlert, computeRobotSeverity, addRobotHistory, eventNow, evaluateRules]);
 
     // Handle air purifier state updates
     const handleAirPurifierUpdate = useCallback((deviceId, payload) => {
+        const { air_purifier } = normalizeDeviceState(payload, { deviceId, silent: true });
+        if (air_purifier == null) return;
         setDeviceData(prev => ({
             ...prev,
             [deviceId]: {
                 ...prev[deviceId],
                 state: {
                     ...prev[deviceId]?.state,
-                    air_purifier: payload.status ?? payload.state ?? payload.air_purifier ?? prev[deviceId]?.state?.air_purifier
+                    air_purifier
                 },
                 lastUpdate: Date.now()
             }
@@ -719,6 +1059,9 @@ export function DeviceProvider({ children }) {
             }
         });
 
+        // Merge newly discovered robots into the registry (admin entries are left untouched)
+        setRegistry(prev => mergeDiscoveredRobots(prev, deviceId, robotIds));
+
         // Also update task summary if present
         if (payload.tasks || payload.task_summary) {
             setDeviceData(prev => ({
@@ -751,30 +1094,47 @@ export function DeviceProvider({ children }) {
                         location: { lat: null, lng: null, z: 0 },
                         heading: 0,
                         environment: { temp: null, humidity: null },
-                        status: { battery: null, load: null, state: 'READY' },
+                        status: { battery: null, load: null, state: serviceState(deviceId, robotId, 'READY') },
                         task: null,
                         lastUpdate: null
                     }
                 }
             };
         });
-    }, []);
+    }, [serviceState]);
 
     // Handle robot location updates
     const handleRobotLocationUpdate = useCallback((deviceId, robotId, payload) => {
+        const location = normalizeRobotLocation(payload, { deviceId, robotId });
+        if (Object.keys(location).length === 0) return;
+        const eventTime = eventNow();
+        // Replayed (backfilled) fixes update state/history at their own time but publish nothing to the backend
+        const isReplay = eventTimeRef.current != null;
+        const layout = layoutFor(deviceId);
+
+        // ===== GEOFENCES =====
+        // Zone membership (with hysteresis) drives task arrival below; events go to the zone timeline
+        let geofence = geofenceRef.current[deviceId]?.[robotId] || null;
+        let zoneEvents = [];
+        if (location.lat != null && location.lng != null) {
+            ({ state: geofence, events: zoneEvents } = updateGeofence(geofence, location.lat, location.lng, eventTime, layout));
+            geofenceRef.current[deviceId] = { ...geofenceRef.current[deviceId], [robotId]: geofence };
+            addZoneEvents(deviceId, robotId, zoneEvents);
+        }
+
         setRobots(prev => {
             const deviceRobots = prev[deviceId] || {};
             const existingRobot = deviceRobots[robotId] || {
                 id: robotId,
                 location: { lat: null, lng: null, z: 0 },
                 heading: 0,
-                status: { state: 'READY', battery: 100 },
+                status: { state: serviceState(deviceId, robotId, 'READY'), battery: 100 },
                 environment: { temp: null, humidity: null },
                 task: null
             };
 
-            const newLat = payload.lat ?? payload.latitude ?? (payload.location?.lat) ?? existingRobot.location?.lat;
-            const newLng = payload.lng ?? payload.longitude ?? (payload.location?.lng) ?? existingRobot.location?.lng;
+            const newLat = location.lat ?? existingRobot.location?.lat;
+            const newLng = location.lng ?? existingRobot.location?.lng;
 
             // Only log when location actually changes
             const prevLat = existingRobot.location?.lat;
@@ -790,125 +1150,96 @@ export function DeviceProvider({ children }) {
             const isBlocked = existingRobot.status?.state === 'BLOCKED' || currentTask?.paused;
 
             if (currentTask && currentTask.phase && currentTask.phase !== TASK_PHASES.COMPLETED && currentTask.phase !== TASK_PHASES.FAILED && !isBlocked) {
-                // Room names for geofence checking (fuzzy-matched via resolveRoom)
-                const rawSrcRoom = currentTask['initiate location'] || currentTask.source_name || null;
-                const rawDstRoom = currentTask.destination || currentTask.destination_name || null;
-                const srcResolved = resolveRoom(rawSrcRoom);
-                const dstResolved = resolveRoom(rawDstRoom);
-                const srcRoomName = srcResolved?.name ?? null;
-                const dstRoomName = dstResolved?.name ?? null;
-
-                // Resolve GPS — fall back to ROOMS center when explicit lat/lng missing
-                const srcCenter = srcResolved?.room.center ?? null;
-                const dstCenter = dstResolved?.room.center ?? null;
-                const srcLat = currentTask.source_lat ?? currentTask.src_lat ?? srcCenter?.lat ?? null;
-                const srcLng = currentTask.source_lng ?? currentTask.src_lng ?? srcCenter?.lng ?? null;
-                const dstLat = currentTask.destination_lat ?? currentTask.dest_lat ?? dstCenter?.lat ?? null;
-                const dstLng = currentTask.destination_lng ?? currentTask.dest_lng ?? dstCenter?.lng ?? null;
+                // Ordered stops with resolved rooms / coordinates (single-stop tasks: pickup + drop)
+                const stops = getTaskStops(currentTask, layout);
+                const stopIndex = currentStopIndex(currentTask, stops);
+                const stop = stops[stopIndex];
+                const stopTag = isMultiStopTask(currentTask) ? ` (stop ${stopIndex + 1}/${stops.length})` : '';
                 const phase = currentTask.phase;
 
-                // Helper: check if robot arrived at a target (room geofence OR distance threshold)
-                const hasArrived = (targetLat, targetLng, roomName) => {
+                // Helper: check if robot arrived at a stop — inside the room's geofence, or
+                // within ARRIVAL_THRESHOLD_M of ad-hoc coordinates that match no room
+                const hasArrived = (target, roomName) => {
                     if (newLat == null || newLng == null) return false;
-                    // 1. Room geofence check — if the room is known
-                    if (roomName && isInsideRoom(newLat, newLng, roomName)) return true;
-                    // 2. Haversine distance fallback
-                    if (targetLat != null && targetLng != null) {
-                        return haversineDistance(newLat, newLng, targetLat, targetLng) <= ARRIVAL_THRESHOLD_M;
+                    if (roomName) return isInZone(geofence, roomName);
+                    if (target) {
+                        return haversineDistance(newLat, newLng, target.lat, target.lng) <= ARRIVAL_THRESHOLD_M;
                     }
                     return false;
                 };
 
-                // --- Phase: EN_ROUTE_TO_SOURCE → check proximity to source ---
-                if (phase === TASK_PHASES.EN_ROUTE_TO_SOURCE && (srcLat != null || srcRoomName) && newLat != null && newLng != null) {
-                    const arrivedAtSource = hasArrived(srcLat, srcLng, srcRoomName);
-
-                    if (arrivedAtSource) {
-                        // Arrived at source — start PICKING_UP
-                        updatedTask = {
-                            ...currentTask,
-                            phase: TASK_PHASES.PICKING_UP,
-                            sourceArrivedAt: Date.now(),
-                            progress: 45
-                        };
-
+                // --- Travel phases: EN_ROUTE_TO_SOURCE / EN_ROUTE_TO_DESTINATION → check arrival at the current stop ---
+                if (isTravelPhase(phase) && stop && (stop.point || stop.room) && newLat != null && newLng != null) {
+                    if (hasArrived(stop.point, stop.room) && isChargeTask(currentTask)) {
+                        // Docked — the task stays DELIVERING while the robot charges; the
+                        // CHARGING monitor completes it once the battery reaches the resume level
+                        const docked = arriveAtStop(currentTask, stopIndex, eventTime, layout);
+                        updatedTask = { ...docked, progress: computePhaseProgress(docked, newLat, newLng, layout) };
                         addAlert({
                             type: 'info', deviceId, robotId,
-                            message: `📍 ${robotId} arrived at pickup: ${currentTask['initiate location'] || 'source'}`,
-                            timestamp: Date.now()
+                            message: `🔌 ${robotId} docked at ${stop.location || 'charging dock'} — charging`,
+                            timestamp: eventTime
                         });
-
-                        // Auto-advance: PICKING_UP → EN_ROUTE_TO_DESTINATION
-                        setTimeout(() => {
-                            setRobots(p => {
-                                const r = p[deviceId]?.[robotId];
-                                if (!r?.task || r.task.phase !== TASK_PHASES.PICKING_UP) return p;
-                                addAlert({
-                                    type: 'info', deviceId, robotId,
-                                    message: `🚚 ${robotId} picked up, heading to: ${currentTask.destination || 'destination'}`,
-                                    timestamp: Date.now()
-                                });
-                                return {
-                                    ...p,
-                                    [deviceId]: { ...p[deviceId], [robotId]: { ...r, task: { ...r.task, phase: TASK_PHASES.EN_ROUTE_TO_DESTINATION, pickedUpAt: Date.now(), progress: 50 } } }
-                                };
-                            });
-                        }, AUTO_ADVANCE_DELAY_MS);
-
-                    } else {
-                        // Update progress while en route
-                        const newProgress = computePhaseProgress(currentTask, newLat, newLng);
-                        if (newProgress !== currentTask.progress) {
-                            updatedTask = { ...currentTask, progress: newProgress };
-                        }
-                    }
-                }
-
-                // --- Phase: EN_ROUTE_TO_DESTINATION → check proximity to destination ---
-                else if (phase === TASK_PHASES.EN_ROUTE_TO_DESTINATION && (dstLat != null || dstRoomName) && newLat != null && newLng != null) {
-                    const arrivedAtDest = hasArrived(dstLat, dstLng, dstRoomName);
-
-                    if (arrivedAtDest) {
-                        // Arrived at destination — start DELIVERING
-                        updatedTask = {
-                            ...currentTask,
-                            phase: TASK_PHASES.DELIVERING,
-                            destinationArrivedAt: Date.now(),
-                            progress: 92
-                        };
+                    } else if (hasArrived(stop.point, stop.room)) {
+                        // Arrived — start PICKING_UP / DELIVERING at this stop
+                        const arrived = arriveAtStop(currentTask, stopIndex, eventTime, layout);
+                        updatedTask = { ...arrived, progress: computePhaseProgress(arrived, newLat, newLng, layout) };
+                        const isPickup = stop.type === STOP_TYPES.PICKUP;
+                        const isLastStop = stopIndex === stops.length - 1;
 
                         addAlert({
                             type: 'info', deviceId, robotId,
-                            message: `📍 ${robotId} arrived at destination: ${currentTask.destination || 'drop-off'}`,
-                            timestamp: Date.now()
+                            message: isPickup
+                                ? `📍 ${robotId} arrived at pickup: ${stop.location || 'source'}${stopTag}`
+                                : `📍 ${robotId} arrived at ${isLastStop ? 'destination' : 'drop-off'}: ${stop.location || 'drop-off'}${stopTag}`,
+                            timestamp: eventTime
                         });
 
-                        // Auto-advance: DELIVERING → COMPLETED
+                        // Auto-advance: on to the next stop, or COMPLETED after the last one.
+                        // A replayed arrival advances at its own time plus the delay.
                         setTimeout(() => {
+                            const leftAt = isReplay ? eventTime + AUTO_ADVANCE_DELAY_MS : Date.now();
                             setRobots(p => {
                                 const r = p[deviceId]?.[robotId];
-                                if (!r?.task || r.task.phase !== TASK_PHASES.DELIVERING) return p;
-                                const taskId = r.task.task_id || r.task.taskId || 'unknown';
+                                if (!r?.task || r.task.task_id !== currentTask.task_id || r.task.phase !== arrived.phase) return p;
+                                if (currentStopIndex(r.task, getTaskStops(r.task, layout)) !== stopIndex) return p;
+                                const { task: left, done } = leaveStop(r.task, stopIndex, leftAt, layout);
+
+                                if (!done) {
+                                    const nextStop = getTaskStops(left, layout)[stopIndex + 1];
+                                    addAlert({
+                                        type: 'info', deviceId, robotId,
+                                        message: `🚚 ${robotId} ${isPickup ? 'picked up' : 'dropped off'}, heading to: ${nextStop?.location || 'next stop'}`,
+                                        timestamp: leftAt
+                                    });
+                                    const progress = computePhaseProgress(left, r.location?.lat, r.location?.lng, layout);
+                                    return {
+                                        ...p,
+                                        [deviceId]: { ...p[deviceId], [robotId]: { ...r, task: { ...left, progress } } }
+                                    };
+                                }
 
+                                const taskId = r.task.task_id || 'unknown';
                                 addAlert({
                                     type: 'info', deviceId, robotId,
-                                    message: `✅ ${robotId} completed delivery ${taskId} (${currentTask['initiate location'] || '?'} → ${currentTask.destination || '?'})`,
-                                    timestamp: Date.now()
+                                    message: `✅ ${robotId} completed delivery ${taskId} (${taskRouteLabel(r.task)})`,
+                                    timestamp: leftAt
                                 });
 
-                                // Send completion to backend
-                                (async () => {
+                                // Send completion to backend (not for a replayed delivery — it happened while we were away)
+                                if (!isReplay) (async () => {
                                     try {
                                         await updateStateDetails(deviceId, `fleetMS/robots/${robotId}/task`, {
-                                            task_id: r.task.task_id || r.task.taskId,
+                                            task_id: r.task.task_id,
                                             task_type: 'Deliver',
                                             status: 'Completed',
                                             phase: TASK_PHASES.COMPLETED,
                                             progress: 100,
-                                            completedAt: new Date().toISOString(),
-                                            sourceArrivedAt: r.task.sourceArrivedAt ? new Date(r.task.sourceArrivedAt).toISOString() : null,
-                                            pickedUpAt: r.task.pickedUpAt ? new Date(r.task.pickedUpAt).toISOString() : null,
-                                            destinationArrivedAt: new Date().toISOString(),
+                                            completedAt: new Date(leftAt).toISOString(),
+                                            sourceArrivedAt: left.sourceArrivedAt ? new Date(left.sourceArrivedAt).toISOString() : null,
+                                            pickedUpAt: left.pickedUpAt ? new Date(left.pickedUpAt).toISOString() : null,
+                                            destinationArrivedAt: new Date(left.destinationArrivedAt ?? leftAt).toISOString(),
+                                            ...(left.stops ? { stops: left.stops, stopIndex } : {}),
                                             robotId
                                         });
                                         notifyTaskUpdate();
@@ -923,8 +1254,8 @@ export function DeviceProvider({ children }) {
                                         ...p[deviceId],
                                         [robotId]: {
                                             ...r,
-                                            task: { ...r.task, phase: TASK_PHASES.COMPLETED, status: 'Completed', progress: 100, completedAt: Date.now() },
-                                            status: { ...r.status, state: 'READY' }
+                                            task: { ...left, phase: TASK_PHASES.COMPLETED, status: 'Completed', progress: 100, completedAt: leftAt },
+                                            status: { ...r.status, state: serviceState(deviceId, robotId, 'READY') }
                                         }
                                     }
                                 };
@@ -941,18 +1272,18 @@ export function DeviceProvider({ children }) {
                                     if (queue.length > 0) {
                                         const [nextTask, ...remaining] = queue;
                                         setTimeout(() => {
-                                            handleRobotTaskUpdate(deviceId, robotId, { ...nextTask, status: 'Assigned', assignedAt: new Date().toISOString() });
+                                            handleRobotTaskUpdate(deviceId, robotId, dequeuedTask(nextTask));
                                             notifyTaskUpdate();
                                         }, 500);
                                         return {
                                             ...p,
-                                            [deviceId]: { ...p[deviceId], [robotId]: { ...r, task: null, taskQueue: remaining, status: { ...r.status, state: 'READY' } } }
+                                            [deviceId]: { ...p[deviceId], [robotId]: { ...r, task: null, taskQueue: remaining, status: { ...r.status, state: serviceState(deviceId, robotId, 'READY') } } }
                                         };
                                     }
 
                                     return {
                                         ...p,
-                                        [deviceId]: { ...p[deviceId], [robotId]: { ...r, task: null, status: { ...r.status, state: 'READY' } } }
+                                        [deviceId]: { ...p[deviceId], [robotId]: { ...r, task: null, status: { ...r.status, state: serviceState(deviceId, robotId, 'READY') } } }
                                     };
                                 });
                             }, 8000);
@@ -960,30 +1291,62 @@ export function DeviceProvider({ children }) {
 
                     } else {
                         // Update progress while en route
-                        const newProgress = computePhaseProgress(currentTask, newLat, newLng);
+                        const newProgress = computePhaseProgress(currentTask, newLat, newLng, layout);
                         if (newProgress !== currentTask.progress) {
                             updatedTask = { ...currentTask, progress: newProgress };
                         }
                     }
                 }
 
-                // --- PICKING_UP phase — no GPS action needed, auto-timers handle it ---
+                // --- PICKING_UP / DELIVERING — no GPS action needed, auto-timers handle them ---
             }
             // Legacy fallback: task without phase system
             else if (currentTask && !currentTask.phase && currentTask.status !== 'Completed' && currentTask.status !== 'completed') {
-                const legacyDstRoom = currentTask.destination || currentTask.destination_name || null;
-                const legacyDstResolved = resolveRoom(legacyDstRoom);
+                const legacyDstRoom = currentTask.destination || null;
+                const legacyDstResolved = resolveRoom(legacyDstRoom, layout);
                 const legacyDstCenter = legacyDstResolved?.room.center ?? null;
-                const dstLat = currentTask.destination_lat ?? currentTask.dest_lat ?? currentTask.end_lat ?? legacyDstCenter?.lat ?? null;
-                const dstLng = currentTask.destination_lng ?? currentTask.dest_lng ?? currentTask.end_lng ?? legacyDstCenter?.lng ?? null;
-                if (dstLat != null && dstLng != null && newLat != null && newLng != null) {
+                const dstLat = currentTask.destination_lat ?? legacyDstCenter?.lat ?? null;
+                const dstLng = currentTask.destination_lng ?? legacyDstCenter?.lng ?? null;
+                if (legacyDstResolved) {
+                    if (isInZone(geofence, legacyDstResolved.name)) {
+                        updatedTask = { ...currentTask, status: 'Completed', progress: 100, completedAt: eventTime };
+                    }
+                } else if (dstLat != null && dstLng != null && newLat != null && newLng != null) {
                     const dist = haversineDistance(newLat, newLng, dstLat, dstLng);
                     if (dist <= ARRIVAL_THRESHOLD_M) {
-                        updatedTask = { ...currentTask, status: 'Completed', progress: 100, completedAt: Date.now() };
+                        updatedTask = { ...currentTask, status: 'Completed', progress: 100, completedAt: eventTime };
                     }
                 }
             }
 
+            // Observed speed (smoothed over moving fixes) → route-based ETA for the active task
+            const hasFix = location.lat != null && location.lng != null;
+            const speedMps = hasFix
+                ? updateObservedSpeed(existingRobot.speedMps ?? null, existingRobot.lastFix ?? null, { lat: newLat, lng: newLng, ts: eventTime })
+                : existingRobot.speedMps ?? null;
+            if (updatedTask?.phase) {
+                const eta = estimateTaskEta(updatedTask, newLat, newLng, speedMps, layout);
+                updatedTask = {
+                    ...updatedTask,
+                    remainingM: eta?.remainingM ?? null,
+                    etaAt: eta?.etaMs != null ? eventTime + eta.etaMs : null
+                };
+            }
+
+            // Geofence alert rules (e.g. entering Maintenance without a task)
+            if (zoneEvents.length > 0) {
+                const hasTask = !!currentTask && currentTask.phase !== TASK_PHASES.COMPLETED && currentTask.phase !== TASK_PHASES.FAILED
+                    && currentTask.status !== 'Completed' && currentTask.status !== 'completed';
+                const triggered = zoneEvents.flatMap(event => matchGeofenceRules(event, { robotId, hasTask }));
+                if (triggered.length > 0) {
+                    setTimeout(() => {
+                        triggered.forEach(({ rule, message }) => {
+                            addAlert({ type: rule.type, deviceId, robotId, message, timestamp: eventTime });
+                        });
+                    }, 0);
+                }
+            }
+
             // ═══ COLLISION DETECTION (atomic — merged into location update) ═══
             // Build the updated robot with new location and phase changes
             const updatedThisRobot = {
@@ -991,26 +1354,38 @@ export function DeviceProvider({ children }) {
                 location: {
                     lat: newLat,
                     lng: newLng,
-                    z: payload.z ?? payload.altitude ?? existingRobot.location?.z
+                    z: location.z ?? existingRobot.location?.z
                 },
                 task: updatedTask,
-                heading: payload.heading ?? payload.orientation ?? existingRobot.heading,
-                lastUpdate: Date.now()
+                heading: location.heading ?? existingRobot.heading,
+                speedMps,
+                lastFix: hasFix ? { lat: newLat, lng: newLng, ts: eventTime } : existingRobot.lastFix,
+                lastUpdate: eventTime
             };
 
             // Check this robot against all other robots on the same device
             const collidingPairs = [];
+            let nearest = null;
             if (newLat != null && newLng != null) {
                 Object.entries(deviceRobots).forEach(([otherId, otherRobot]) => {
                     if (otherId === robotId) return;
                     if (!otherRobot?.location?.lat || !otherRobot?.location?.lng) return;
                     const dist = haversineDistance(newLat, newLng, otherRobot.location.lat, otherRobot.location.lng);
+                    if (!nearest || dist < nearest.distance) nearest = { otherId, distance: dist };
                     if (dist <= COLLISION_THRESHOLD_M) {
                         collidingPairs.push({ otherId, distance: dist.toFixed(2) });
                     }
                 });
             }
 
+            // Location rules (collision risk, speed, silence) see the fix plus the nearest robot
+            setTimeout(() => evaluateRules(deviceId, robotId, 'robotLocation', {
+                ...location,
+                speed: speedMps,
+                nearestRobotM: nearest ? Number(nearest.distance.toFixed(2)) : null,
+                nearestRobotId: nearest?.otherId ?? null
+            }, eventTime), 0);
+
             // Start with a copy of all device robots
             const updatedDeviceRobots = { ...deviceRobots };
 
@@ -1024,7 +1399,7 @@ export function DeviceProvider({ children }) {
                 updatedThisRobot.status = {
                     ...existingRobot.status,
                     state: 'BLOCKED',
-                    blockedAt: existingRobot.status?.state === 'BLOCKED' ? existingRobot.status.blockedAt : Date.now(),
+                    blockedAt: existingRobot.status?.state === 'BLOCKED' ? existingRobot.status.blockedAt : eventTime,
                     blockedBy: nearbyIds
                 };
                 updatedThisRobot.task = updatedTask
@@ -1033,19 +1408,14 @@ export function DeviceProvider({ children }) {
 
                 // Do NOT modify the other robots — they continue undisturbed
 
-                // Throttled side-effects (alerts + IoT) — max once per 30s per robot pair
+                // Throttled IoT side-effect — max once per 30s per robot pair, live fixes only (the alert comes from the rules engine)
                 const pairKey = [robotId, ...nearbyIds].sort().join('|');
                 const now = Date.now();
                 const lastAlertTime = collisionAlertThrottle.current[pairKey] || 0;
-                if (now - lastAlertTime > 30000) {
+                if (!isReplay && now - lastAlertTime > 30000) {
                     collisionAlertThrottle.current[pairKey] = now;
                     const pairNames = nearbyIds.join(', ');
                     setTimeout(() => {
-                        addAlert({
-                            type: 'critical', deviceId, robotId,
-                            message: `🚨 COLLISION RISK: ${robotId} is within ${collidingPairs[0].distance}m of ${pairNames}. ${robotId} blocked until path is clear.`,
-                            timestamp: Date.now()
-                        });
                         (async () => {
                             try {
                                 await updateStateDetails(deviceId, 'fleetMS/collision', {
@@ -1087,12 +1457,7 @@ export function DeviceProvider({ children }) {
                         ? { ...updatedTask, paused: false, pausedReason: null }
                         : null;
 
-                    setTimeout(() => {
-                        addAlert({
-                            type: 'info', deviceId, robotId,
-                            message: `✅ Collision resolved: ${robotId} path cleared. Resuming operations.`,
-                            timestamp: Date.now()
-                        });
+                    if (!isReplay) setTimeout(() => {
                         (async () => {
                             try {
                                 await updateStateDetails(deviceId, 'fleetMS/collision', {
@@ -1119,10 +1484,13 @@ export function DeviceProvider({ children }) {
                 updatedThisRobot.status = updatedTask?.phase === TASK_PHASES.COMPLETED
                     ? { ...existingRobot.status, state: 'READY' }
                     : updatedTask?.phase && updatedTask.phase !== TASK_PHASES.ASSIGNED
-                        ? { ...existingRobot.status, state: 'ACTIVE' }
+                        ? { ...existingRobot.status, state: isDocked({ task: updatedTask }) ? 'CHARGING' : 'ACTIVE' }
                         : (payload.status ? { ...existingRobot.status, ...payload.status } : existingRobot.status);
             }
 
+            // A robot with an open work order stays in MAINTENANCE while it moves or collides
+            if (updatedThisRobot.status) updatedThisRobot.status = { ...updatedThisRobot.status, state: serviceState(deviceId, robotId, updatedThisRobot.status.state) };
+
             updatedDeviceRobots[robotId] = updatedThisRobot;
 
             return {
@@ -1132,22 +1500,23 @@ export function DeviceProvider({ children }) {
         });
 
         // Append location to robot history (keep simple lat,lng object)
-        try { addRobotHistory(deviceId, robotId, 'location', { lat: payload.lat ?? payload.latitude ?? payload.location?.lat, lng: payload.lng ?? payload.longitude ?? payload.location?.lng }); } catch (e) { /* ignore */ }
-    }, [addAlert, addRobotHistory, notifyTaskUpdate]);
+        try { addRobotHistory(deviceId, robotId, 'location', { lat: location.lat, lng: location.lng }); } catch (e) { /* ignore */ }
+        recordUsage(deviceId, robotId, { ts: eventTime, lat: location.lat, lng: location.lng });
+    }, [addAlert, addRobotHistory, addZoneEvents, notifyTaskUpdate, eventNow, layoutFor, recordUsage, evaluateRules, serviceState]);
 
-    // Handle robot temperature updates
     // Handle robot temperature updates
     const handleRobotTempUpdate = useCallback((deviceId, robotId, payload) => {
-        // Unwrap payload if nested (though routeStreamData does this, sometimes structure varies)
-        const data = payload.payload || payload;
-        const temp = data.temperature ?? data.temp;
+        const data = normalizeRobotTemp(payload, { deviceId, robotId });
+        if (Object.keys(data).length === 0) return;
+        const eventTime = eventNow();
+        const temp = data.temperature;
         setRobots(prev => {
             const deviceRobots = prev[deviceId] || {};
             const existingRobot = deviceRobots[robotId] || {
                 id: robotId,
                 location: { lat: null, lng: null, z: 0 },
                 heading: 0,
-                status: { state: 'READY', battery: 100 },
+                status: { state: serviceState(deviceId, robotId, 'READY'), battery: 100 },
                 environment: { temp: null, humidity: null },
                 task: null
             };
@@ -1159,11 +1528,11 @@ export function DeviceProvider({ children }) {
                     temp: temp ?? existingRobot.environment?.temp,
                     humidity: data.humidity ?? existingRobot.environment?.humidity
                 },
-                lastUpdate: Date.now()
+                lastUpdate: eventTime
             };
 
             // attach computed severity for UI coloring
-            const sev = computeRobotSeverity(updatedRobot);
+            const sev = computeRobotSeverity(updatedRobot, deviceId);
             updatedRobot.severity = sev;
 
             // return new state
@@ -1179,22 +1548,19 @@ export function DeviceProvider({ children }) {
         // Append to robot history for analysis
         try { addRobotHistory(deviceId, robotId, 'temp', temp); } catch (e) { /* ignore */ }
 
-        // Check for robot temperature threshold
-        if (temp != null && temp > 40) {
-            addAlert({
-                type: 'warning',
-                deviceId,
-                robotId,
-                message: `Robot ${robotId} overheating: ${temp}°C`,
-                timestamp: Date.now()
-            });
-        }
-    }, [addAlert, computeRobotSeverity, addRobotHistory]);
+        // Overheating alerts come from the alert rules engine
+        evaluateRules(deviceId, robotId, 'robotTemp', data);
+    }, [computeRobotSeverity, addRobotHistory, eventNow, evaluateRules, serviceState]);
 
 
 
     // Handle robot status updates
     const handleRobotStatusUpdate = useCallback((deviceId, robotId, payload) => {
+        const status = normalizeRobotStatus(payload, { deviceId, robotId });
+        const eventTime = eventNow();
+        if (status.state) recordUsage(deviceId, robotId, { ts: eventTime, state: status.state });
+        // A robot with an open work order stays in MAINTENANCE whatever it reports
+        const state = serviceState(deviceId, robotId, status.state);
         // Ensure robot is registered
         setRobots(prev => {
             if (!prev[deviceId]?.[robotId]) {
@@ -1207,9 +1573,9 @@ export function DeviceProvider({ children }) {
                             location: { lat: 0, lng: 0, z: 0 },
                             heading: 0,
                             environment: { temp: null, humidity: null },
-                            status: { battery: null, load: null, state: 'UNKNOWN' },
+                            status: { battery: null, load: null, state: serviceState(deviceId, robotId, 'UNKNOWN') },
                             task: null,
-                            lastUpdate: Date.now()
+                            lastUpdate: eventTime
                         }
                     }
                 };
@@ -1225,24 +1591,16 @@ export function DeviceProvider({ children }) {
                     ...prev[deviceId]?.[robotId],
                     status: {
                         ...prev[deviceId]?.[robotId]?.status,
-                        load: payload.load ?? prev[deviceId]?.[robotId]?.status?.load,
-                        state: payload.state ?? payload.status ?? prev[deviceId]?.[robotId]?.status?.state
+                        load: status.load ?? prev[deviceId]?.[robotId]?.status?.load,
+                        state: state ?? prev[deviceId]?.[robotId]?.status?.state
                     },
-                    lastUpdate: Date.now()
+                    lastUpdate: eventTime
                 }
             }
         }));
 
-        // Check for obstacle detection
-        if (payload.obstacle_detected || payload.obstacle) {
-            addAlert({
-                type: 'critical',
-                deviceId,
-                robotId,
-                message: `Robot ${robotId} obstacle detected!`,
-                timestamp: Date.now()
-            });
-        }
+        // Obstacle alerts come from the alert rules engine
+        evaluateRules(deviceId, robotId, 'robotStatus', status);
 
         // compute severity and append status to robot history
         try {
@@ -1253,23 +1611,24 @@ export function DeviceProvider({ children }) {
                     ...r,
                     status: {
                         ...r.status,
-                        load: payload.load ?? r.status?.load,
-                        state: payload.state ?? payload.status ?? r.status?.state
+                        load: status.load ?? r.status?.load,
+                        state: state ?? r.status?.state
                     },
-                    lastUpdate: Date.now()
+                    lastUpdate: eventTime
                 };
-                updated.severity = computeRobotSeverity(updated);
+                updated.severity = computeRobotSeverity(updated, deviceId);
 
-                // also push a small status history entry
-                try { addRobotHistory(deviceId, robotId, 'status', updated.status.state); } catch (e) { /* ignore */ }
+                // also push a small status history entry (read back by services/trackHistory)
+                try { addRobotHistory(deviceId, robotId, 'status', { state: updated.status.state, obstacle: status.obstacle }); } catch (e) { /* ignore */ }
 
                 return { ...prev, [deviceId]: { ...deviceRobots, [robotId]: updated } };
             });
         } catch (e) { /* ignore */ }
-    }, [addAlert, computeRobotSeverity, addRobotHistory]);
+    }, [computeRobotSeverity, addRobotHistory, eventNow, recordUsage, evaluateRules, serviceState]);
 
     // Handle robot battery updates
     const handleRobotBatteryUpdate = useCallback((deviceId, robotId, payload) => {
+        const eventTime = eventNow();
         // Ensure robot is registered
         setRobots(prev => {
             if (!prev[deviceId]?.[robotId]) {
@@ -1282,9 +1641,9 @@ export function DeviceProvider({ children }) {
                             location: { lat: 0, lng: 0, z: 0 },
                             heading: 0,
                             environment: { temp: null, humidity: null },
-                            status: { battery: null, load: null, state: 'UNKNOWN' },
+                            status: { battery: null, load: null, state: serviceState(deviceId, robotId, 'UNKNOWN') },
                             task: null,
-                            lastUpdate: Date.now()
+                            lastUpdate: eventTime
                         }
                     }
                 };
@@ -1292,7 +1651,7 @@ export function DeviceProvider({ children }) {
             return prev;
         });
 
-        const battery = payload.battery ?? payload.level ?? payload.percentage;
+        const { battery } = normalizeRobotBattery(payload, { deviceId, robotId });
 
         setRobots(prev => {
             const deviceRobots = prev[deviceId] || {};
@@ -1301,21 +1660,32 @@ export function DeviceProvider({ children }) {
                 location: { lat: 0, lng: 0, z: 0 },
                 heading: 0,
                 environment: { temp: null, humidity: null },
-                status: { battery: null, load: null, state: 'UNKNOWN' },
+                status: { battery: null, load: null, state: serviceState(deviceId, robotId, 'UNKNOWN') },
                 task: null
             };
 
+            // Learn the discharge rate (new robots start from the rates saved last session)
+            const task = existingRobot.task;
+            const busy = (!!task && task.phase !== TASK_PHASES.COMPLETED && task.phase !== TASK_PHASES.FAILED)
+                || ['ACTIVE', 'MOVING'].includes(existingRobot.status?.state);
+            const { model: batteryModel, segment } = updateBatteryModel(
+                existingRobot.batteryModel || { ...batteryStatsRef.current[deviceId]?.[robotId]?.rates, anchor: null },
+                { ts: eventTime, pct: battery, active: busy, charging: existingRobot.status?.state === 'CHARGING' }
+            );
+            if (segment) setTimeout(() => recordBatterySegment(deviceId, robotId, segment, batteryModel), 0);
+
             const updatedRobot = {
                 ...existingRobot,
                 status: {
                     ...existingRobot.status,
                     battery: battery ?? existingRobot.status?.battery
                 },
-                lastUpdate: Date.now()
+                batteryModel,
+                lastUpdate: eventTime
             };
 
             // attach computed severity
-            updatedRobot.severity = computeRobotSeverity(updatedRobot);
+            updatedRobot.severity = computeRobotSeverity(updatedRobot, deviceId);
 
             return {
                 ...prev,
@@ -1329,69 +1699,55 @@ export function DeviceProvider({ children }) {
         // Append to robot history for analysis
         try { addRobotHistory(deviceId, robotId, 'battery', battery); } catch (e) { /* ignore */ }
 
-        // Get thresholds from localStorage
-        const thresholds = getThresholds();
-
-        // Check for low battery
-        if (battery != null) {
-            if (battery <= thresholds.battery.critical) {
-                addAlert({
-                    type: 'critical',
-                    deviceId,
-                    robotId,
-                    message: `CRITICAL: Robot ${robotId} battery at ${battery}%`,
-                    timestamp: Date.now()
-                });
-            } else if (battery <= thresholds.battery.low) {
-                addAlert({
-                    type: 'warning',
-                    deviceId,
-                    robotId,
-                    message: `Robot ${robotId} low battery: ${battery}%`,
-                    timestamp: Date.now()
-                });
-            }
-        }
-    }, [addAlert]);
+        // Low battery alerts come from the alert rules engine
+        if (battery != null) evaluateRules(deviceId, robotId, 'robotBattery', { battery });
+    }, [eventNow, recordBatterySegment, evaluateRules, serviceState]);
 
-    // Handle robot task updates (both stream and state)
-    const handleRobotTaskUpdate = useCallback((deviceId, robotId, payload) => {
-        // ── Record task to persistent local history ──────────────────────
-        if (payload && typeof payload === 'object' && payload.status !== 'cleared') {
-            const taskId = payload.task_id || payload.taskId || payload.id;
-            if (taskId) {
-                const history = taskHistoryRef.current;
-                if (!history[deviceId]) history[deviceId] = {};
-                if (!history[deviceId][robotId]) history[deviceId][robotId] = [];
-
-                const robotTasks = history[deviceId][robotId];
-                const existingIdx = robotTasks.findIndex(t => (t.task_id || t.taskId) === taskId);
-
-                const entry = {
-                    ...payload,
-                    robotId,
-                    task_type: payload.task_type || 'Deliver',
-                    timestamp: payload.timestamp || payload.assignedAt || Date.now(),
-                    recordedAt: existingIdx >= 0 ? robotTasks[existingIdx].recordedAt : Date.now(),
-                    lastUpdated: Date.now(),
-                };
+    // Record a task to the persistent local history (read by Analysis)
+    const recordTaskHistory = useCallback((deviceId, robotId, task) => {
+        const eventTime = eventNow();
+        const taskId = task.task_id;
+        if (taskId) {
+            const history = taskHistoryRef.current;
+            if (!history[deviceId]) history[deviceId] = {};
+            if (!history[deviceId][robotId]) history[deviceId][robotId] = [];
 
-                if (existingIdx >= 0) {
-                    // Merge — keep original recordedAt, update everything else
-                    robotTasks[existingIdx] = { ...robotTasks[existingIdx], ...entry };
-                } else {
-                    robotTasks.push(entry);
-                }
+            const robotTasks = history[deviceId][robotId];
+            const existingIdx = robotTasks.findIndex(t => (t.task_id || t.taskId) === taskId);
 
-                // Trim entries older than 7 days to prevent unbounded growth
-                const cutoff = Date.now() - 7 * 24 * 60 * 60 * 1000;
-                history[deviceId][robotId] = robotTasks.filter(
-                    t => (t.lastUpdated || t.recordedAt || 0) > cutoff
-                );
+            const entry = {
+                ...task,
+                robotId,
+                task_type: task.task_type || 'Deliver',
+                timestamp: task.timestamp || task.assignedAt || eventTime,
+                recordedAt: existingIdx >= 0 ? robotTasks[existingIdx].recordedAt : eventTime,
+                lastUpdated: eventTime,
+            };
 
-                try { localStorage.setItem('fabrix_task_history', JSON.stringify(history)); } catch { /* ignore quota errors */ }
+            if (existingIdx >= 0) {
+                // Merge — keep original recordedAt, update everything else
+                robotTasks[existingIdx] = { ...robotTasks[existingIdx], ...entry };
+            } else {
+                robotTasks.push(entry);
             }
+
+            // Trim entries older than 7 days to prevent unbounded growth
+            const cutoff = Date.now() - 7 * 24 * 60 * 60 * 1000;
+            history[deviceId][robotId] = robotTasks.filter(
+                t => (t.lastUpdated || t.recordedAt || 0) > cutoff
+            );
+
+            try { localStorage.setItem('fabrix_task_history', JSON.stringify(history)); } catch { /* ignore quota errors */ }
         }
+    }, [eventNow]);
+
+    // Handle robot task updates (both stream and state)
+    const handleRobotTaskUpdate = useCallback((deviceId, robotId, payload) => {
+        const eventTime = eventNow();
+        // Canonical task fields — a bare string payload carries no task details
+        const task = payload && typeof payload === 'object' ? normalizeRobotTask(payload, { deviceId, robotId }) : null;
+
+        if (task && task.status !== 'cleared') recordTaskHistory(deviceId, robotId, task);
 
         // ── Update live robot state ──────────────────────────────────────
         // Ensure robot is registered
@@ -1401,15 +1757,36 @@ export function DeviceProvider({ children }) {
             const currentRobot = prev[deviceId][robotId];
             const currentQueue = currentRobot.taskQueue || [];
 
-            // Normalize task data — always treat as Deliver
-            let taskData = payload;
-            if (typeof payload === 'string') {
-                taskData = { task_type: 'Deliver' };
-            } else if (typeof payload === 'object') {
-                taskData = {
-                    ...payload,
-                    task_type: 'Deliver',
-                    task_id: payload.task_id || payload.taskId || null,
+            // Always treat as Deliver, except charge tasks (services/chargeManager)
+            const taskData = task
+                ? { ...task, task_type: isChargeTask(task) ? CHARGE_TASK_TYPE : 'Deliver', task_id: task.task_id || null }
+                : { task_type: 'Deliver' };
+
+            // Robot refused the task or it was cancelled — drop it from the robot
+            // (rejected dispatcher orders are re-queued below)
+            if (isRejectedStatus(taskData.status) || isCancelledStatus(taskData.status)) {
+                if (currentRobot.task?.task_id === taskData.task_id) {
+                    const [nextTask, ...remaining] = currentQueue;
+                    if (nextTask) {
+                        setTimeout(() => {
+                            handleRobotTaskUpdate(deviceId, robotId, dequeuedTask(nextTask));
+                        }, 500);
+                    }
+                    return {
+                        ...prev,
+                        [deviceId]: {
+                            ...prev[deviceId],
+                            [robotId]: { ...currentRobot, task: null, taskQueue: remaining, status: { ...currentRobot.status, state: serviceState(deviceId, robotId, 'READY') }, lastUpdate: eventTime }
+                        }
+                    };
+                }
+                if (!currentQueue.some(t => t.task_id === taskData.task_id)) return prev;
+                return {
+                    ...prev,
+                    [deviceId]: {
+                        ...prev[deviceId],
+                        [robotId]: { ...currentRobot, taskQueue: currentQueue.filter(t => t.task_id !== taskData.task_id), lastUpdate: eventTime }
+                    }
                 };
             }
 
@@ -1420,13 +1797,13 @@ export function DeviceProvider({ children }) {
                     const [nextTask, ...remaining] = currentQueue;
                     // Schedule the next task to start after a brief delay
                     setTimeout(() => {
-                        handleRobotTaskUpdate(deviceId, robotId, { ...nextTask, status: 'Assigned' });
+                        handleRobotTaskUpdate(deviceId, robotId, dequeuedTask(nextTask));
                     }, 500);
                     return {
                         ...prev,
                         [deviceId]: {
                             ...prev[deviceId],
-                            [robotId]: { ...currentRobot, task: null, taskQueue: remaining, status: { ...currentRobot.status, state: 'READY' }, lastUpdate: Date.now() }
+                            [robotId]: { ...currentRobot, task: null, taskQueue: remaining, status: { ...currentRobot.status, state: serviceState(deviceId, robotId, 'READY') }, lastUpdate: eventTime }
                         }
                     };
                 }
@@ -1434,31 +1811,47 @@ export function DeviceProvider({ children }) {
                     ...prev,
                     [deviceId]: {
                         ...prev[deviceId],
-                        [robotId]: { ...currentRobot, task: null, taskQueue: [], status: { ...currentRobot.status, state: 'READY' }, lastUpdate: Date.now() }
+                        [robotId]: { ...currentRobot, task: null, taskQueue: [], status: { ...currentRobot.status, state: serviceState(deviceId, robotId, 'READY') }, lastUpdate: eventTime }
                     }
                 };
             }
 
-            // Preserve existing phase data if this is an incremental update (same taskId)
+            // Preserve existing phase data if this is an incremental update (same taskId);
+            // a resumed task carries its own from before it was paused
             const existingTask = currentRobot.task;
-            const incomingTaskId = taskData.task_id || taskData.taskId;
-            const existingTaskId = existingTask?.task_id || existingTask?.taskId;
+            const incomingTaskId = taskData.task_id;
+            const existingTaskId = existingTask?.task_id;
             const isSameTask = existingTask && incomingTaskId && incomingTaskId === existingTaskId;
 
-            // ── Queue logic: if robot is busy with a different task, queue the new one ──
+            // ── Queue logic: if robot is busy with a different task, queue the new one by priority ──
+            // An URGENT task instead preempts a travelling task, which is paused back into the queue
+            let taskQueue = currentQueue;
             if (existingTask && !isSameTask && incomingTaskId) {
                 const existingPhase = existingTask.phase;
                 const isExistingActive = existingPhase && existingPhase !== TASK_PHASES.COMPLETED;
-                if (isExistingActive) {
+                if (isExistingActive && canPreempt(taskData, existingTask)) {
+                    const paused = pauseTask(existingTask, taskData);
+                    taskQueue = insertByPriority(currentQueue.filter(t => t.task_id !== incomingTaskId), paused, { ahead: true });
+                    setTimeout(() => {
+                        recordTaskHistory(deviceId, robotId, paused);
+                        addAlert({
+                            type: 'info',
+                            deviceId,
+                            robotId,
+                            message: `⏸️ ${robotId} paused ${existingTaskId} at ${PHASE_LABELS[existingPhase] || existingPhase} for ${PRIORITY_LABELS[normalizePriority(taskData.priority)]} task ${incomingTaskId}`,
+                            timestamp: eventTime
+                        });
+                    }, 0);
+                } else if (isExistingActive) {
                     // Don't queue duplicates
-                    const alreadyQueued = currentQueue.some(t => (t.task_id || t.taskId) === incomingTaskId);
+                    const alreadyQueued = currentQueue.some(t => t.task_id === incomingTaskId);
                     if (!alreadyQueued) {
-                        const updatedQueue = [...currentQueue, { ...taskData, status: 'Assigned', assignedAt: Date.now() }];
+                        const updatedQueue = insertByPriority(currentQueue, { ...taskData, status: 'Assigned', assignedAt: eventTime });
                         return {
                             ...prev,
                             [deviceId]: {
                                 ...prev[deviceId],
-                                [robotId]: { ...currentRobot, taskQueue: updatedQueue, lastUpdate: Date.now() }
+                                [robotId]: { ...currentRobot, taskQueue: updatedQueue, lastUpdate: eventTime }
                             }
                         };
                     }
@@ -1490,23 +1883,24 @@ export function DeviceProvider({ children }) {
             const assignedAtLat = isSameTask ? (existingTask.assignedAtLat ?? (posIsValid ? rawLat : null)) : (posIsValid ? rawLat : null);
             const assignedAtLng = isSameTask ? (existingTask.assignedAtLng ?? (posIsValid ? rawLng : null)) : (posIsValid ? rawLng : null);
 
+            const phaseTimes = isSameTask ? existingTask : (taskData.status === TASK_STATUS.RESUMED ? taskData : {});
             const mergedTask = {
                 ...(isSameTask ? existingTask : {}),
                 ...taskData,
                 phase,
                 assignedAtLat,
                 assignedAtLng,
-                assignedAt: isSameTask ? (existingTask.assignedAt ?? taskData.assignedAt ?? new Date().toISOString()) : (taskData.assignedAt ?? new Date().toISOString()),
+                assignedAt: isSameTask ? (existingTask.assignedAt ?? taskData.assignedAt ?? new Date(eventTime).toISOString()) : (taskData.assignedAt ?? new Date(eventTime).toISOString()),
                 // Preserve timestamps from existing task
-                sourceArrivedAt: isSameTask ? existingTask.sourceArrivedAt : null,
-                pickedUpAt: isSameTask ? existingTask.pickedUpAt : null,
-                destinationArrivedAt: isSameTask ? existingTask.destinationArrivedAt : null,
-                deliveredAt: isSameTask ? existingTask.deliveredAt : null,
-                completedAt: isCompletedIncoming ? (taskData.completedAt || Date.now()) : (isSameTask ? existingTask.completedAt : null),
+                sourceArrivedAt: phaseTimes.sourceArrivedAt ?? null,
+                pickedUpAt: phaseTimes.pickedUpAt ?? null,
+                destinationArrivedAt: phaseTimes.destinationArrivedAt ?? null,
+                deliveredAt: phaseTimes.deliveredAt ?? null,
+                completedAt: isCompletedIncoming ? (taskData.completedAt || eventTime) : (isSameTask ? existingTask.completedAt : null),
             };
 
             // Compute initial progress
-            mergedTask.progress = computePhaseProgress(mergedTask, currentRobot.location?.lat, currentRobot.location?.lng);
+            mergedTask.progress = computePhaseProgress(mergedTask, currentRobot.location?.lat, currentRobot.location?.lng, layoutFor(deviceId));
 
             // If newly assigned, auto-advance after a tick
             if (phase === TASK_PHASES.ASSIGNED) {
@@ -1515,13 +1909,9 @@ export function DeviceProvider({ children }) {
                         const r = p[deviceId]?.[robotId];
                         if (!r?.task || r.task.phase !== TASK_PHASES.ASSIGNED) return p;
 
-                        // Determine if source coords are available (explicit or from room name)
-                        const srcRoom = r.task['initiate location'] || r.task.source_name;
-                        const srcResolved = srcRoom ? resolveRoom(srcRoom) : null;
-                        const hasSrc = (r.task.source_lat ?? r.task.src_lat ?? srcResolved?.room.center?.lat) != null;
-
-                        const nextPhase = hasSrc ? TASK_PHASES.EN_ROUTE_TO_SOURCE : TASK_PHASES.EN_ROUTE_TO_DESTINATION;
-                        const progress = computePhaseProgress({ ...r.task, phase: nextPhase }, r.location?.lat, r.location?.lng);
+                        // Head for the first stop (the source, or straight to the destination without one)
+                        const nextPhase = travelPhaseFor(getTaskStops(r.task, layoutFor(deviceId))[0]);
+                        const progress = computePhaseProgress({ ...r.task, phase: nextPhase }, r.location?.lat, r.location?.lng, layoutFor(deviceId));
                         return {
                             ...p,
                             [deviceId]: { ...p[deviceId], [robotId]: { ...r, task: { ...r.task, phase: nextPhase, progress }, lastUpdate: Date.now() } }
@@ -1537,17 +1927,28 @@ export function DeviceProvider({ children }) {
                     [robotId]: {
                         ...currentRobot,
                         task: mergedTask,
-                        taskQueue: currentQueue,
-                        status: { ...currentRobot.status, state: phase === TASK_PHASES.COMPLETED ? 'READY' : 'ACTIVE' },
-                        lastUpdate: Date.now()
+                        taskQueue,
+                        status: { ...currentRobot.status, state: serviceState(deviceId, robotId, phase === TASK_PHASES.COMPLETED ? 'READY' : 'ACTIVE') },
+                        lastUpdate: eventTime
                     }
                 }
             };
         });
 
+        // ── Dispatched orders a robot rejects go back to the fleet backlog ──
+        if (task?.dispatched && task.task_id && isRejectedStatus(task.status)) {
+            addToBacklog(deviceId, orderFromTask(task, robotId));
+            addAlert({
+                type: 'warning',
+                deviceId,
+                robotId,
+                message: `📦 ${robotId} rejected order ${task.task_id} — returned to the backlog`,
+                timestamp: eventTime
+            });
+        }
+
         // ── Auto-dequeue: if task just completed, start next queued task after brief delay ──
-        if (payload && typeof payload === 'object' &&
-            (payload.status === 'Completed' || payload.status === 'completed' || payload.phase === TASK_PHASES.COMPLETED)) {
+        if (task && (task.status === 'Completed' || task.status === 'completed' || task.phase === TASK_PHASES.COMPLETED)) {
             setTimeout(() => {
                 setRobots(p => {
                     const r = p[deviceId]?.[robotId];
@@ -1559,7 +1960,7 @@ export function DeviceProvider({ children }) {
                     const [nextTask, ...remaining] = r.taskQueue;
                     // Schedule the next queued task
                     setTimeout(() => {
-                        handleRobotTaskUpdate(deviceId, robotId, { ...nextTask, status: 'Assigned', assignedAt: Date.now() });
+                        handleRobotTaskUpdate(deviceId, robotId, dequeuedTask(nextTask));
                     }, 100);
                     return {
                         ...p,
@@ -1568,7 +1969,7 @@ export function DeviceProvider({ children }) {
                 });
             }, 2000); // 2s delay before picking up next task
         }
-    }, []);
+    }, [eventNow, layoutFor, recordTaskHistory, addToBacklog, addAlert, serviceState]);
 
     // Handle robot online/offline status updates
     // Payload format: {"robot-status": "online" | "offline", "robotId": "R-001"}
@@ -1606,6 +2007,7 @@ export function DeviceProvider({ children }) {
     // Clear all alerts
     const clearAllAlerts = useCallback(() => {
         setAlerts([]);
+        setSuppressedAlerts({});
     }, []);
 
     // Mark a specific alert as read
@@ -1618,175 +2020,352 @@ export function DeviceProvider({ children }) {
         setAlerts(prev => prev.map(a => ({ ...a, read: true })));
     }, []);
 
-    // Manage WebSocket Connection & Routing
+    // ===== ALERT LIFECYCLE =====
+    // Acknowledge / assign / snooze / resolve (utils/alertLifecycle.js). Every alert is mirrored into a
+    // persisted history that outlives the 50 live alerts and clearing; the Alerts page computes TTA / TTR from it.
+    const [alertHistory, setAlertHistory] = useState(loadAlertHistory);
+
+    useEffect(() => {
+        alertsRef.current = alerts;
+        setAlertHistory(prev => mergeAlertHistory(prev, alerts));
+    }, [alerts]);
+
+    useEffect(() => {
+        const timeout = setTimeout(() => saveAlertHistory(alertHistory), 500);
+        return () => clearTimeout(timeout);
+    }, [alertHistory]);
+
+    // Apply a lifecycle step to one live alert; `step` throws on invalid input before anything changes
+    const updateAlertLifecycle = useCallback((alertId, step) => {
+        const alert = alertsRef.current.find(a => a.id === alertId);
+        if (!alert) throw new Error('This alert is no longer in the live list');
+        step(alert);
+        setAlerts(prev => prev.map(a => (a.id === alertId ? step(a) : a)));
+    }, []);
+
+    const acknowledgeAlertById = useCallback((alertId, { by, comment } = {}) => {
+        const now = Date.now();
+        updateAlertLifecycle(alertId, a => acknowledgeAlert(a, { by, comment }, now));
+        saveOperatorName(by);
+    }, [updateAlertLifecycle]);
+
+    const assignAlertById = useCallback((alertId, assignee, by = '') => {
+        const now = Date.now();
+        updateAlertLifecycle(alertId, a => assignAlert(a, assignee, now, by));
+    }, [updateAlertLifecycle]);
+
+    const snoozeAlertById = useCallback((alertId, minutes, by = '') => {
+        const now = Date.now();
+        updateAlertLifecycle(alertId, a => snoozeAlert(a, minutes, now, by));
+    }, [updateAlertLifecycle]);
+
+    const resolveAlertById = useCallback((alertId, { by, comment } = {}) => {
+        const now = Date.now();
+        updateAlertLifecycle(alertId, a => resolveAlert(a, { by, comment }, now));
+    }, [updateAlertLifecycle]);
+
+    const clearAlertHistory = useCallback(() => {
+        setAlertHistory(mergeAlertHistory([], alertsRef.current));
+    }, []);
+
+    // ===== ESCALATION & NOTIFICATIONS =====
+    // Outbound channels and escalation policies (services/notifier.js). An alert covered by a policy notifies
+    // each tier once it is due and still unacknowledged; the tiers reached are recorded on the alert.
+    const [notificationSettings, setNotificationSettings] = useState(loadNotificationSettings);
+    const notificationSettingsRef = useRef(notificationSettings);
+    const escalatingRef = useRef(new Set()); // alertId|policyId|tier sends in flight, done this session or waiting to retry
+
+    useEffect(() => {
+        notificationSettingsRef.current = notificationSettings;
+        saveNotificationSettings(notificationSettings);
+    }, [notificationSettings]);
+
+    const runEscalations = useCallback(() => {
+        const settings = notificationSettingsRef.current;
+        const now = Date.now();
+        alertsRef.current.forEach(alert => {
+            const policy = policyFor(settings.policies, alert);
+            dueTiers(alert, policy, now).forEach(tierIndex => {
+                const key = `${alert.id}|${policy.id}|${tierIndex}`;
+                if (escalatingRef.current.has(key)) return;
+                escalatingRef.current.add(key);
+                const channels = tierChannels(settings, policy, tierIndex);
+                notifyChannels(channels, alert, { policy: policy.name, tier: tierIndex + 1 }, settings.quietHours)
+                    .then(results => {
+                        // Nothing delivered (quiet hours, failed webhook …) — leave the tier due for the next check
+                        if (!tierDelivered(results)) {
+                            setTimeout(() => escalatingRef.current.delete(key), ESCALATION_CHECK_MS);
+                            return;
+                        }
+                        setAlerts(prev => prev.map(a => (a.id === alert.id ? markEscalated(a, policy, tierIndex, results) : a)));
+                    });
+            });
+        });
+    }, []);
+
+    // New alerts notify their first tier straight away; later tiers are picked up by the periodic check
     useEffect(() => {
         if (!isAuthenticated) return;
+        runEscalations();
+    }, [alerts, isAuthenticated, runEscalations]);
 
-        const deviceId = selectedDeviceId;
+    useEffect(() => {
+        if (!isAuthenticated) return;
+        const interval = setInterval(runEscalations, ESCALATION_CHECK_MS);
+        return () => clearInterval(interval);
+    }, [isAuthenticated, runEscalations]);
 
-        // Data Routing Logic
-        const routeStreamData = (payload) => {
-            let effectivePayload = payload;
-            let topicPath = payload.topicSuffix || payload.topic || '';
+    const updateNotificationSettings = useCallback((settings) => {
+        setNotificationSettings(normalizeNotificationSettings(settings));
+    }, []);
 
-            if (payload.payload && typeof payload.payload === 'object') {
-                effectivePayload = payload.payload;
-            }
+    // Data Routing Logic — shared by every device subscription
+    const routeStreamData = useCallback((deviceId, payload) => {
+        let effectivePayload = payload;
+        let topicPath = payload.topicSuffix || payload.topic || '';
 
-            // 1. Device Environment Updates (Strict Topic Check)
-            if (topicPath === 'fleetMS/temperature' ||
-                topicPath === 'fleetMS/humidity' ||
-                topicPath === 'fleetMS/pressure' ||
-                topicPath === 'fleetMS/environment' ||
-                topicPath === 'fleetMS/env') {
-                // Accept full environment payloads (temperature, humidity, pressure)
-                handleTemperatureUpdate(deviceId, effectivePayload);
+        if (payload.payload && typeof payload.payload === 'object') {
+            effectivePayload = payload.payload;
+        }
+
+        // 1. Device Environment Updates (Strict Topic Check)
+        if (topicPath === 'fleetMS/temperature' ||
+            topicPath === 'fleetMS/humidity' ||
+            topicPath === 'fleetMS/pressure' ||
+            topicPath === 'fleetMS/environment' ||
+            topicPath === 'fleetMS/env') {
+            // Accept full environment payloads (temperature, humidity, pressure)
+            handleTemperatureUpdate(deviceId, effectivePayload);
+            return;
+        }
+
+        // 2. Robot Updates (Flexible Pattern Matching)
+        // Pattern: fleetMS/robots/<robotId>[/<metric>]
+        // Matches "robots/R-001" AND "robots/R-001/temperature"
+        const robotMatch = topicPath.match(/robots\/([^/]+)(?:\/(.+))?$/);
+
+        if (robotMatch) {
+            const robotId = robotMatch[1];
+            const metricFromTopic = robotMatch[2]; // undefined if no suffix
+
+            // Helper to dispatch based on metric or payload keys
+            const dispatchRobotUpdate = (metric, data) => {
+                switch (metric) {
+                    case 'temperature':
+                    case 'temp':
+                        handleRobotTempUpdate(deviceId, robotId, data);
+                        break;
+                    case 'battery':
+                        handleRobotBatteryUpdate(deviceId, robotId, data);
+                        break;
+                    case 'location':
+                        handleRobotLocationUpdate(deviceId, robotId, data);
+                        break;
+                    case 'status':
+                    case 'state':
+                        handleRobotStatusUpdate(deviceId, robotId, data);
+                        break;
+                    case 'task':
+                        handleRobotTaskUpdate(deviceId, robotId, data);
+                        break;
+                    default:
+                        // Unknown robot metric — skip silently
+                        break;
+                }
+            };
+
+            // Case A: Metric is in validity topic (e.g. .../temperature)
+            if (metricFromTopic) {
+                dispatchRobotUpdate(metricFromTopic, effectivePayload);
                 return;
             }
 
-            // 2. Robot Updates (Flexible Pattern Matching)
-            // Pattern: fleetMS/robots/<robotId>[/<metric>]
-            // Matches "robots/R-001" AND "robots/R-001/temperature"
-            const robotMatch = topicPath.match(/robots\/([^/]+)(?:\/(.+))?$/);
-
-            if (robotMatch) {
-                const robotId = robotMatch[1];
-                const metricFromTopic = robotMatch[2]; // undefined if no suffix
-
-                // Helper to dispatch based on metric or payload keys
-                const dispatchRobotUpdate = (metric, data) => {
-                    switch (metric) {
-                        case 'temperature':
-                        case 'temp':
-                            handleRobotTempUpdate(deviceId, robotId, data);
-                            break;
-                        case 'battery':
-                            handleRobotBatteryUpdate(deviceId, robotId, data);
-                            break;
-                        case 'location':
-                            handleRobotLocationUpdate(deviceId, robotId, data);
-                            break;
-                        case 'status':
-                        case 'state':
-                            handleRobotStatusUpdate(deviceId, robotId, data);
-                            break;
-                        case 'task':
-                            handleRobotTaskUpdate(deviceId, robotId, data);
-                            break;
-                        default:
-                            // Unknown robot metric — skip silently
-                            break;
-                    }
-                };
+            // Case B: No metric in topic, infer from payload keys
+            // Process status first so UI shows connectivity/state immediately,
+            // then store sensor values into history and UI.
+            if (hasPayloadFields('robotStatus', effectivePayload)) {
+                dispatchRobotUpdate('status', effectivePayload);
+            }
+            if (hasPayloadFields('robotTemp', effectivePayload)) {
+                dispatchRobotUpdate('temperature', effectivePayload);
+            }
+            if (hasPayloadFields('robotBattery', effectivePayload)) {
+                dispatchRobotUpdate('battery', effectivePayload);
+            }
+            if (hasPayloadFields('robotLocation', effectivePayload)) {
+                dispatchRobotUpdate('location', effectivePayload);
+            }
+            if (effectivePayload.task !== undefined) {
+                dispatchRobotUpdate('task', effectivePayload);
+            }
+            return;
+        }
 
-                // Case A: Metric is in validity topic (e.g. .../temperature)
-                if (metricFromTopic) {
-                    dispatchRobotUpdate(metricFromTopic, effectivePayload);
-                    return;
+        // 3. Fallback / legacy routing (if no specific topic matches, try to infer from payload)
+        // This ensures robust handling if topic is missing or different
+        if (effectivePayload.robots !== undefined || effectivePayload.robotId !== undefined) {
+            // Discovery or direct payload update
+            if (effectivePayload.robots) {
+                handleRobotsDiscovery(deviceId, effectivePayload);
+            } else if (effectivePayload.robotId) {
+                // Routing based on payload content + robotId presence
+                const rId = effectivePayload.robotId;
+                if (effectivePayload['robot-status'] !== undefined) {
+                    handleRobotOnlineStatus(deviceId, rId, effectivePayload['robot-status']);
                 }
-
-                // Case B: No metric in topic, infer from payload keys
-                // Process status first so UI shows connectivity/state immediately,
-                // then store sensor values into history and UI.
-                if (effectivePayload.status !== undefined || effectivePayload.state !== undefined) {
-                    dispatchRobotUpdate('status', effectivePayload);
+                if (hasPayloadFields('robotLocation', effectivePayload)) {
+                    handleRobotLocationUpdate(deviceId, rId, effectivePayload);
                 }
-                if (effectivePayload.temperature !== undefined || effectivePayload.temp !== undefined) {
-                    dispatchRobotUpdate('temperature', effectivePayload);
+                if (hasPayloadFields('robotTemp', effectivePayload) && effectivePayload.ambient_temp === undefined) {
+                    handleRobotTempUpdate(deviceId, rId, effectivePayload);
                 }
-                if (effectivePayload.battery !== undefined || effectivePayload.level !== undefined) {
-                    dispatchRobotUpdate('battery', effectivePayload);
+                if (hasPayloadFields('robotStatus', effectivePayload)) {
+                    handleRobotStatusUpdate(deviceId, rId, effectivePayload);
                 }
-                if (effectivePayload.lat !== undefined || effectivePayload.lng !== undefined || effectivePayload.location !== undefined) {
-                    dispatchRobotUpdate('location', effectivePayload);
+                if (hasPayloadFields('robotBattery', effectivePayload)) {
+                    handleRobotBatteryUpdate(deviceId, rId, effectivePayload);
                 }
-                if (effectivePayload.task !== undefined) {
-                    dispatchRobotUpdate('task', effectivePayload);
+                if (effectivePayload.task !== undefined || effectivePayload.tasks !== undefined) {
+                    handleRobotTaskUpdate(deviceId, rId, effectivePayload);
                 }
-                return;
             }
+        } else if (!topicPath) {
+            // Only attempt to guess device env data if NO topic path was present to avoid double handling
+            if (hasPayloadFields('environment', effectivePayload)) {
+                handleTemperatureUpdate(deviceId, effectivePayload);
+            }
+        }
 
-            // 3. Fallback / legacy routing (if no specific topic matches, try to infer from payload)
-            // This ensures robust handling if topic is missing or different
-            if (effectivePayload.robots !== undefined || effectivePayload.robotId !== undefined) {
-                // Discovery or direct payload update
-                if (effectivePayload.robots) {
-                    handleRobotsDiscovery(deviceId, effectivePayload);
-                } else if (effectivePayload.robotId) {
-                    // Routing based on payload content + robotId presence
-                    const rId = effectivePayload.robotId;
-                    if (effectivePayload.lat !== undefined || effectivePayload.location !== undefined) {
-                        handleRobotLocationUpdate(deviceId, rId, effectivePayload.location || effectivePayload);
-                    }
-                    if (effectivePayload.temperature !== undefined && !effectivePayload.ambient_temp) {
-                        handleRobotTempUpdate(deviceId, rId, effectivePayload);
-                    }
-                    if (effectivePayload.status !== undefined || effectivePayload.state !== undefined) {
-                        handleRobotStatusUpdate(deviceId, rId, effectivePayload);
-                    }
-                    if (effectivePayload.battery !== undefined || effectivePayload.level !== undefined) {
-                        handleRobotBatteryUpdate(deviceId, rId, effectivePayload);
-                    }
-                    if (effectivePayload.task !== undefined || effectivePayload.tasks !== undefined) {
-                        handleRobotTaskUpdate(deviceId, rId, effectivePayload);
-                    }
-                }
-            } else if (!topicPath) {
-                // Only attempt to guess device env data if NO topic path was present to avoid double handling
-                if (effectivePayload.ambient_temp !== undefined || effectivePayload.temperature !== undefined) {
-                    handleTemperatureUpdate(deviceId, effectivePayload);
+        // Always check for device status / alerts in any payload
+        handleDeviceStatusUpdate(deviceId, effectivePayload);
+    }, [handleTemperatureUpdate, handleDeviceStatusUpdate, handleRobotsDiscovery, handleRobotLocationUpdate, handleRobotTempUpdate, handleRobotStatusUpdate, handleRobotBatteryUpdate, handleRobotTaskUpdate, handleRobotOnlineStatus]);
+
+    const routeStateData = useCallback((deviceId, payload) => {
+        if (payload.ac_power !== undefined || payload.ac !== undefined) {
+            handleACUpdate(deviceId, payload);
+        }
+        if (payload.air_purifier !== undefined || payload.airPurifier !== undefined) {
+            handleAirPurifierUpdate(deviceId, payload);
+        }
+        if (payload.robotId && payload.task !== undefined) {
+            handleRobotTaskUpdate(deviceId, payload.robotId, payload);
+        }
+        handleDeviceStatusUpdate(deviceId, payload);
+    }, [handleACUpdate, handleAirPurifierUpdate, handleRobotTaskUpdate, handleDeviceStatusUpdate]);
+
+    // ===== RECONNECT BACKFILL =====
+    // Last-seen message time per topic: { [deviceId]: { [topic]: ms } }
+    const lastSeenRef = useRef({});
+    // When the socket dropped (null while connected / before the first connect)
+    const disconnectedAtRef = useRef(null);
+    // Live messages held back while a device is being backfilled: { [deviceId]: payload[] }
+    const backfillQueueRef = useRef({});
+    // Latest backfill runner for the connection listeners registered once per session
+    const backfillRef = useRef(null);
+
+    const recordSeen = useCallback((deviceId, payload) => {
+        const topic = getMessageTopic(payload) || '*';
+        const ts = getMessageTime(payload) ?? Date.now();
+        const deviceSeen = lastSeenRef.current[deviceId] || (lastSeenRef.current[deviceId] = {});
+        if (!deviceSeen[topic] || ts > deviceSeen[topic]) deviceSeen[topic] = ts;
+    }, []);
+
+    // Entry point for live stream messages — buffered while the device is replaying its gap
+    const handleLiveStream = useCallback((deviceId, payload) => {
+        const queue = backfillQueueRef.current[deviceId];
+        if (queue) {
+            queue.push(payload);
+            return;
+        }
+        recordSeen(deviceId, payload);
+        routeStreamData(deviceId, payload);
+    }, [recordSeen, routeStreamData]);
+
+    // Fetch what a device published while disconnected and replay it in order, then flush live messages
+    const backfillDevice = useCallback(async (deviceId, since) => {
+        if (backfillQueueRef.current[deviceId]) return;
+        backfillQueueRef.current[deviceId] = [];
+        try {
+            const missed = await fetchMissedStream(deviceId, lastSeenRef.current[deviceId] || {}, since);
+            missed.forEach(message => {
+                eventTimeRef.current = getMessageTime(message);
+                try {
+                    recordSeen(deviceId, message);
+                    routeStreamData(deviceId, message);
+                } finally {
+                    eventTimeRef.current = null;
                 }
-            }
+            });
+        } catch (err) {
+            console.error(`[Device] Backfill failed for ${deviceId}:`, err);
+        } finally {
+            const buffered = backfillQueueRef.current[deviceId] || [];
+            delete backfillQueueRef.current[deviceId];
+            buffered.forEach(payload => {
+                recordSeen(deviceId, payload);
+                routeStreamData(deviceId, payload);
+            });
+        }
+    }, [recordSeen, routeStreamData]);
 
-            // Always check for device status / alerts in any payload
-            handleDeviceStatusUpdate(deviceId, effectivePayload);
-        };
+    useEffect(() => {
+        backfillRef.current = backfillDevice;
+    }, [backfillDevice]);
 
-        const routeStateData = (payload) => {
-            if (payload.ac_power !== undefined || payload.ac !== undefined) {
-                handleACUpdate(deviceId, payload);
-            }
-            if (payload.air_purifier !== undefined || payload.airPurifier !== undefined) {
-                handleAirPurifierUpdate(deviceId, payload);
-            }
-            if (payload.robotId && payload.task !== undefined) {
-                handleRobotTaskUpdate(deviceId, payload.robotId, payload);
-            }
-            handleDeviceStatusUpdate(deviceId, payload);
-        };
+    // Manage the shared WebSocket connection (one STOMP client for the whole fleet)
+    useEffect(() => {
+        if (!isAuthenticated) return;
 
-        const client = connectWebSocket(
-            deviceId,
-            routeStreamData,
-            routeStateData,
-            () => {
+        connectFleet({
+            onConnected: () => {
                 setIsConnected(true);
                 setConnectionError(null);
+
+                // Reconnect — fill the gap for every subscribed device
+                const since = disconnectedAtRef.current;
+                disconnectedAtRef.current = null;
+                if (since != null && backfillRef.current) {
+                    getSubscribedDevices().forEach(deviceId => backfillRef.current(deviceId, since));
+                }
             },
-            () => {
+            onDisconnected: () => {
                 setIsConnected(false);
+                if (disconnectedAtRef.current == null) disconnectedAtRef.current = Date.now();
             }
-        );
+        });
 
         return () => {
-
-            client.deactivate();
+            disconnectFleet();
             setIsConnected(false);
+            disconnectedAtRef.current = null;
         };
-    }, [isAuthenticated, selectedDeviceId, handleTemperatureUpdate, handleACUpdate, handleDeviceStatusUpdate, handleAirPurifierUpdate, handleRobotsDiscovery, handleRobotLocationUpdate, handleRobotTempUpdate, handleRobotStatusUpdate, handleRobotBatteryUpdate, handleRobotTaskUpdate, handleRobotOnlineStatus]);
+    }, [isAuthenticated]);
+
+    // Subscribe every known device so data stays live regardless of which one is selected
+    useEffect(() => {
+        if (!isAuthenticated) return;
+
+        const unsubscribers = devices.map(device => subscribeDevice(
+            device.id,
+            (payload) => handleLiveStream(device.id, payload),
+            (payload) => routeStateData(device.id, payload)
+        ));
+
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }, [isAuthenticated, devices, handleLiveStream, routeStateData]);
 
     // Poll robot topics every 10s to ensure status updates from topic `fleetMS/robots/<robotId>` are applied
     // IMPORTANT: Only apply data that is NEWER than the robot's last update to avoid overwriting
     // live WebSocket/MQTTX updates with stale poll results.
+    // Covers every device that has discovered robots, not just the selected one.
     useEffect(() => {
-        if (!isAuthenticated || !selectedDeviceId) return;
+        if (!isAuthenticated) return;
 
         let cancelled = false;
 
-        const pollOnce = async () => {
+        const pollDevice = async (deviceId, deviceRobots) => {
             try {
-                const deviceRobots = robots[selectedDeviceId] || {};
-                const robotIds = Object.keys(deviceRobots);
+                const robotIds = Object.keys(deviceRobots || {});
                 if (robotIds.length === 0) return;
 
                 // small time window (last 2 minutes) to capture recent messages
@@ -1795,7 +2374,7 @@ export function DeviceProvider({ children }) {
                 await Promise.all(robotIds.map(async (robotId) => {
                     if (cancelled) return;
                     try {
-                        const res = await getTopicStreamData(selectedDeviceId, `fleetMS/robots/${robotId}`, startTime, endTime, '0', '5', { silent: true });
+                        const res = await getTopicStreamData(deviceId, `fleetMS/robots/${robotId}`, startTime, endTime, '0', '5', { silent: true });
                         if (res?.status === 'Success' && Array.isArray(res.data) && res.data.length > 0) {
                             // Use most recent message
                             const latest = res.data.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
@@ -1811,17 +2390,17 @@ export function DeviceProvider({ children }) {
                             // Dispatch updates based on payload keys — but NOT location
                             // Location is handled exclusively via live WebSocket/stream to
                             // prevent position flickering from stale poll results.
-                            if (payload.temperature !== undefined || payload.temp !== undefined) {
-                                handleRobotTempUpdate(selectedDeviceId, robotId, payload);
+                            if (hasPayloadFields('robotTemp', payload)) {
+                                handleRobotTempUpdate(deviceId, robotId, payload);
                             }
-                            if (payload.battery !== undefined || payload.level !== undefined) {
-                                handleRobotBatteryUpdate(selectedDeviceId, robotId, payload);
+                            if (hasPayloadFields('robotBattery', payload)) {
+                                handleRobotBatteryUpdate(deviceId, robotId, payload);
                             }
-                            if (payload.status !== undefined || payload.state !== undefined || payload.obstacle !== undefined) {
-                                handleRobotStatusUpdate(selectedDeviceId, robotId, payload);
+                            if (hasPayloadFields('robotStatus', payload)) {
+                                handleRobotStatusUpdate(deviceId, robotId, payload);
                             }
                             if (payload.task !== undefined || payload.tasks !== undefined) {
-                                handleRobotTaskUpdate(selectedDeviceId, robotId, payload.task ?? payload);
+                                handleRobotTaskUpdate(deviceId, robotId, payload.task ?? payload);
                             }
                         }
                     } catch (e) {
@@ -1833,47 +2412,56 @@ export function DeviceProvider({ children }) {
             }
         };
 
+        const pollOnce = () => Promise.all(
+            Object.entries(robots).map(([deviceId, deviceRobots]) => pollDevice(deviceId, deviceRobots))
+        );
+
         // start immediate then interval
         pollOnce();
         const id = setInterval(pollOnce, 10000);
         return () => { cancelled = true; clearInterval(id); };
-    }, [isAuthenticated, selectedDeviceId, robots, handleRobotTempUpdate, handleRobotBatteryUpdate, handleRobotStatusUpdate, handleRobotTaskUpdate]);
+    }, [isAuthenticated, robots, handleRobotTempUpdate, handleRobotBatteryUpdate, handleRobotStatusUpdate, handleRobotTaskUpdate]);
 
     // ===== TIMEOUT DETECTION =====
     // Periodically check if any robot with an active task hasn't received a location update for 5 min → mark FAILED
+    // Runs across every device so background sites time out the same way as the selected one.
     const TASK_TIMEOUT_MS = 5 * 60 * 1000;
     useEffect(() => {
-        if (!selectedDeviceId) return;
         const interval = setInterval(() => {
             setRobots(prev => {
-                const deviceRobots = prev[selectedDeviceId];
-                if (!deviceRobots) return prev;
                 let changed = false;
-                const updated = { ...deviceRobots };
-                Object.entries(deviceRobots).forEach(([rId, robot]) => {
-                    const task = robot?.task;
-                    if (!task?.phase) return;
-                    if (task.phase === TASK_PHASES.COMPLETED || task.phase === TASK_PHASES.FAILED) return;
-                    const lastUpdate = robot.lastUpdate || 0;
-                    if (Date.now() - lastUpdate > TASK_TIMEOUT_MS) {
+                const next = { ...prev };
+                Object.entries(prev).forEach(([deviceId, deviceRobots]) => {
+                    let deviceChanged = false;
+                    const updated = { ...deviceRobots };
+                    Object.entries(deviceRobots || {}).forEach(([rId, robot]) => {
+                        const task = robot?.task;
+                        if (!task?.phase) return;
+                        if (task.phase === TASK_PHASES.COMPLETED || task.phase === TASK_PHASES.FAILED) return;
+                        const lastUpdate = robot.lastUpdate || 0;
+                        if (Date.now() - lastUpdate > TASK_TIMEOUT_MS) {
+                            deviceChanged = true;
+                            updated[rId] = {
+                                ...robot,
+                                task: { ...task, phase: TASK_PHASES.FAILED, failedAt: Date.now(), previousPhase: task.phase }
+                            };
+                            addAlert({
+                                type: 'warning', deviceId, robotId: rId,
+                                message: `⚠️ ${rId} delivery timed out during ${PHASE_LABELS[task.phase] || task.phase} — no updates for 5 min`,
+                                timestamp: Date.now()
+                            });
+                        }
+                    });
+                    if (deviceChanged) {
                         changed = true;
-                        updated[rId] = {
-                            ...robot,
-                            task: { ...task, phase: TASK_PHASES.FAILED, failedAt: Date.now(), previousPhase: task.phase }
-                        };
-                        addAlert({
-                            type: 'warning', deviceId: selectedDeviceId, robotId: rId,
-                            message: `⚠️ ${rId} delivery timed out during ${PHASE_LABELS[task.phase] || task.phase} — no updates for 5 min`,
-                            timestamp: Date.now()
-                        });
+                        next[deviceId] = updated;
                     }
                 });
-                if (!changed) return prev;
-                return { ...prev, [selectedDeviceId]: updated };
+                return changed ? next : prev;
             });
         }, 60000);
         return () => clearInterval(interval);
-    }, [selectedDeviceId, addAlert]);
+    }, [addAlert]);
 
     // Note: Robot subscriptions removed - all data comes through main STREAM/STATE topics
 
@@ -1889,16 +2477,14 @@ export function DeviceProvider({ children }) {
             const response = await getStateDetails(selectedDeviceId);
 
             if (response.status === 'Success' && response.data) {
+                const state = normalizeDeviceState(response.data, { deviceId: selectedDeviceId });
                 setDeviceData(prev => ({
                     ...prev,
                     [selectedDeviceId]: {
                         ...prev[selectedDeviceId],
                         state: {
                             ...prev[selectedDeviceId]?.state,
-                            ac_power: response.data.ac?.status ?? response.data.ac?.payload?.status ?? prev[selectedDeviceId]?.state?.ac_power,
-                            air_purifier: response.data.airPurifier?.status ?? response.data.airPurifier?.payload?.status ?? prev[selectedDeviceId]?.state?.air_purifier,
-                            status: response.data.status?.status ?? response.data.status?.payload?.status ?? prev[selectedDeviceId]?.state?.status,
-                            gateway_health: response.data.status?.gateway_health ?? prev[selectedDeviceId]?.state?.gateway_health
+                            ...state
                         },
                         lastUpdate: Date.now()
                     }
@@ -1918,9 +2504,604 @@ export function DeviceProvider({ children }) {
         handleRobotTaskUpdate(selectedDeviceId, robotId, taskPayload);
     }, [selectedDeviceId, handleRobotTaskUpdate]);
 
+    // ===== DISPATCHER =====
+    // Latest robots for async dispatch (the backlog timer outlives renders)
+    const robotsRef = useRef(robots);
+    useEffect(() => {
+        robotsRef.current = robots;
+    }, [robots]);
+
+    // Live, non-retired robots of a device without an open work order — the dispatcher's candidates
+    const dispatchCandidates = useCallback((deviceId) => {
+        const entries = registryRef.current.find(d => d.id === deviceId)?.robots || [];
+        const retiredIds = new Set(entries.filter(r => r.retired).map(r => r.id));
+        const deviceLog = maintenanceRef.current[deviceId] || {};
+        return Object.values(robotsRef.current[deviceId] || {})
+            .filter(r => !retiredIds.has(r.id) && !openWorkOrderOf(deviceLog[r.id]));
+    }, []);
+
+    // Pick a robot for an order and publish the task to it.
+    // Resolves to { robotId } on success or { robotId: null, reason } when the order must wait.
+    const assignOrder = useCallback(async (deviceId, order, extraLoad = {}) => {
+        const { robotId, reason } = selectRobot(dispatchCandidates(deviceId), order, {
+            layout: layoutFor(deviceId),
+            extraLoad,
+            batteryFor: robot => thresholdsFor(deviceId, robot.id).battery
+        });
+        if (!robotId) return { robotId: null, reason };
+
+        const attempt = { ...order, attempts: (order.attempts || 0) + 1 };
+        try {
+            const payload = await publishOrder(deviceId, robotId, attempt);
+            handleRobotTaskUpdate(deviceId, robotId, payload);
+            notifyTaskUpdate();
+            return { robotId };
+        } catch (err) {
+            console.error(`[Dispatch] Failed to publish ${order.task_id} to ${robotId}:`, err);
+            return { robotId: null, reason: `Failed to send to ${robotId}` };
+        }
+    }, [dispatchCandidates, layoutFor, thresholdsFor, handleRobotTaskUpdate, notifyTaskUpdate]);
+
+    // Create a Deliver order on the selected device and dispatch it (or backlog it).
+    // Throws when the order itself is invalid (missing/identical rooms, bad deadline).
+    const dispatchOrder = useCallback(async (input) => {
+        const deviceId = selectedDeviceId;
+        const order = createOrder(input, layoutFor(deviceId));
+        const result = await assignOrder(deviceId, order);
+        if (!result.robotId) addToBacklog(deviceId, { ...order, reason: result.reason });
+        return { order, ...result };
+    }, [selectedDeviceId, layoutFor, assignOrder, addToBacklog]);
+
+    // Try every backlog order of a device once, most urgent first
+    const drainingRef = useRef(false);
+    const drainBacklog = useCallback(async (deviceId) => {
+        if (drainingRef.current) return;
+        drainingRef.current = true;
+        try {
+            // Tasks handed out in this pass are not in robot state yet
+            const extraLoad = {};
+            for (const order of [...(backlogRef.current[deviceId] || [])].sort(compareOrders)) {
+                // Removed from the backlog while an earlier order was being sent
+                if (!backlogRef.current[deviceId]?.some(o => o.task_id === order.task_id)) continue;
+                const { robotId, reason } = await assignOrder(deviceId, order, extraLoad);
+                setDispatchBacklog(prev => {
+                    const list = prev[deviceId] || [];
+                    if (!list.some(o => o.task_id === order.task_id)) return prev;
+                    const next = robotId
+                        ? list.filter(o => o.task_id !== order.task_id)
+                        : list.map(o => (o.task_id === order.task_id ? { ...o, reason } : o));
+                    return { ...prev, [deviceId]: next };
+                });
+                if (robotId) extraLoad[robotId] = (extraLoad[robotId] || 0) + 1;
+            }
+        } finally {
+            drainingRef.current = false;
+        }
+    }, [assignOrder]);
+
+    // Retry the backlog periodically while logged in
+    useEffect(() => {
+        if (!isAuthenticated) return;
+        const interval = setInterval(() => {
+            Object.keys(backlogRef.current).forEach(deviceId => {
+                if (backlogRef.current[deviceId]?.length) drainBacklog(deviceId);
+            });
+        }, DISPATCH_RETRY_MS);
+        return () => clearInterval(interval);
+    }, [isAuthenticated, drainBacklog]);
+
+    // Drop an order from a device's backlog
+    const removeBacklogOrder = useCallback((deviceId, taskId) => {
+        setDispatchBacklog(prev => ({ ...prev, [deviceId]: (prev[deviceId] || []).filter(o => o.task_id !== taskId) }));
+    }, []);
+
+    // ===== TASK QUEUE MANAGEMENT =====
+    // Used by the Tasks page. Queues are dashboard-side (see handleRobotTaskUpdate),
+    // so reordering is local; cancel and move publish to the robots' task topics.
+
+    // Find a task on a robot — its active task or a queued one
+    const findRobotTask = useCallback((deviceId, robotId, taskId) => {
+        const robot = robotsRef.current[deviceId]?.[robotId];
+        if (!robot) return null;
+        if (robot.task?.task_id === taskId) return robot.task;
+        return (robot.taskQueue || []).find(t => t.task_id === taskId) || null;
+    }, []);
+
+    // Move a queued task to a new position in its robot's queue
+    const reorderTaskQueue = useCallback((deviceId, robotId, taskId, toIndex) => {
+        setRobots(prev => {
+            const robot = prev[deviceId]?.[robotId];
+            const queue = [...(robot?.taskQueue || [])];
+            const from = queue.findIndex(t => t.task_id === taskId);
+            if (from < 0) return prev;
+            const [task] = queue.splice(from, 1);
+            queue.splice(Math.max(0, Math.min(toIndex, queue.length)), 0, task);
+            return {
+                ...prev,
+                [deviceId]: { ...prev[deviceId], [robotId]: { ...robot, taskQueue: queue, lastUpdate: Date.now() } }
+            };
+        });
+    }, []);
+
+    // Cancel a task: publish TASK_STATUS.CANCELLED to the robot, then drop it locally.
+    // A failed publish throws and leaves the task where it was.
+    // Without a robotId the task is a backlog order and is simply removed.
+    const cancelTask = useCallback(async (deviceId, robotId, taskId) => {
+        if (!robotId) {
+            removeBacklogOrder(deviceId, taskId);
+            return;
+        }
+        const task = findRobotTask(deviceId, robotId, taskId);
+        if (!task) return;
+
+        const payload = {
+            ...orderFields(task),
+            robotId,
+            status: TASK_STATUS.CANCELLED,
+            cancelledAt: new Date().toISOString()
+        };
+        await updateStateDetails(deviceId, `fleetMS/robots/${robotId}/task`, payload);
+        handleRobotTaskUpdate(deviceId, robotId, payload);
+        notifyTaskUpdate();
+    }, [findRobotTask, removeBacklogOrder, handleRobotTaskUpdate, notifyTaskUpdate]);
+
+    // Hand a task to another robot. The old robot gets a cancel; the new one the
+    // order as a fresh dispatched task (queued behind its current work). If the cancel
+    // cannot be sent the task stays on the old robot.
+    // Without a fromRobotId the task comes from the backlog.
+    const moveTask = useCallback(async (deviceId, taskId, fromRobotId, toRobotId) => {
+        if (fromRobotId === toRobotId) return;
+        const task = fromRobotId
+            ? findRobotTask(deviceId, fromRobotId, taskId)
+            : (backlogRef.current[deviceId] || []).find(o => o.task_id === taskId);
+        if (!task) return;
+
+        const order = orderFields(task);
+        if (fromRobotId) await cancelTask(deviceId, fromRobotId, taskId);
+        else removeBacklogOrder(deviceId, taskId);
+
+        try {
+            const payload = await publishOrder(deviceId, toRobotId, { ...order, attempts: order.attempts + 1 });
+            handleRobotTaskUpdate(deviceId, toRobotId, payload);
+            notifyTaskUpdate();
+        } catch (err) {
+            // Keep the order rather than lose it between robots
+            addToBacklog(deviceId, { ...order, reason: `Failed to send to ${toRobotId}` });
+            throw err;
+        }
+    }, [findRobotTask, cancelTask, removeBacklogOrder, addToBacklog, handleRobotTaskUpdate, notifyTaskUpdate]);
+
+    // ===== TASK SLA =====
+    // Completion-time targets per route / priority (utils/taskSla.js). Active tasks on
+    // every device are checked every SLA_CHECK_MS; each task alerts once when it turns
+    // AT_RISK and once when it is BREACHED.
+    const [slaTargets, setSlaTargets] = useState(loadSlaTargets);
+    const slaTargetsRef = useRef(slaTargets);
+    useEffect(() => {
+        slaTargetsRef.current = slaTargets;
+        saveSlaTargets(slaTargets);
+    }, [slaTargets]);
+
+    // `${deviceId}/${taskId}` → last SLA status alerted
+    const slaAlertedRef = useRef({});
+
+    const updateSlaTargets = useCallback((targets) => {
+        setSlaTargets(normalizeSlaTargets(targets));
+    }, []);
+
+    useEffect(() => {
+        if (!isAuthenticated) return;
+        const checkSla = () => {
+            const now = Date.now();
+            const alerted = {};
+            Object.entries(robotsRef.current).forEach(([deviceId, deviceRobots]) => {
+                Object.entries(deviceRobots || {}).forEach(([robotId, robot]) => {
+                    const task = robot?.task;
+                    if (!task?.task_id || task.phase === TASK_PHASES.COMPLETED) return;
+                    const sla = evaluateSla(task, slaTargetsRef.current, now);
+                    if (!sla || sla.status === SLA_STATUS.ON_TRACK) return;
+
+                    const key = `${deviceId}/${task.task_id}`;
+                    const previous = slaAlertedRef.current[key];
+                    alerted[key] = previous === SLA_STATUS.BREACHED ? previous : sla.status;
+                    if (previous === sla.status || previous === SLA_STATUS.BREACHED) return;
+
+                    const due = new Date(sla.dueAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+                    const eta = task.etaAt ? `, ETA ${new Date(task.etaAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : '';
+                    addAlert(sla.status === SLA_STATUS.BREACHED
+                        ? {
+                            type: 'critical', deviceId, robotId,
+                            message: `⏰ ${robotId} task ${task.task_id} missed its SLA (${taskRouteLabel(task)}, due ${due})`,
+                            timestamp: now
+                        }
+                        : {
+                            type: 'warning', deviceId, robotId,
+                            message: `⏱️ ${robotId} task ${task.task_id} is at risk of missing its SLA (due ${due}${eta})`,
+                            timestamp: now
+                        });
+                });
+            });
+            // Forget tasks that finished or left the fleet
+            slaAlertedRef.current = alerted;
+        };
+        checkSla();
+        const id = setInterval(checkSla, SLA_CHECK_MS);
+        return () => clearInterval(id);
+    }, [isAuthenticated, addAlert]);
+
+    // ===== BATTERY FORECAST =====
+    // Warn once per robot and workload when the learned active discharge rate says the
+    // battery will drop below critical before its active task and queue are done.
+    const batteryWarnedRef = useRef({});
+    useEffect(() => {
+        if (!isAuthenticated) return;
+        const checkWork = () => {
+            const warned = {};
+            Object.entries(robotsRef.current).forEach(([deviceId, deviceRobots]) => {
+                Object.entries(deviceRobots || {}).forEach(([robotId, robot]) => {
+                    // Robots already sent to charge are handled by the CHARGING monitor
+                    if (chargeTaskOf(robot)) return;
+                    const plan = workForecast(robot, thresholdsFor(deviceId, robotId).battery, layoutFor(deviceId));
+                    if (!plan || plan.canFinish) return;
+                    const key = `${deviceId}/${robotId}`;
+                    const workload = [robot.task?.task_id, ...(robot.taskQueue || []).map(t => t.task_id)].join(',');
+                    warned[key] = workload;
+                    if (batteryWarnedRef.current[key] === workload) return;
+                    addAlert({
+                        type: 'warning', deviceId, robotId,
+                        message: `🔋 ${robotId} may not finish ${plan.tasks} task(s) on its battery — needs ~${Math.ceil(plan.requiredPct)}%, has ${robot.status?.battery}%`,
+                        timestamp: Date.now()
+                    });
+                });
+            });
+            batteryWarnedRef.current = warned;
+        };
+        checkWork();
+        const id = setInterval(checkWork, SLA_CHECK_MS);
+        return () => clearInterval(id);
+    }, [isAuthenticated, addAlert, layoutFor, thresholdsFor]);
+
+    // ===== CHARGING =====
+    // Sends robots that are low, predicted low or cannot finish their queue to the nearest
+    // free dock (services/chargeManager.js), and completes the charge task once a docked
+    // robot reaches the resume level. Checked every CHARGE_CHECK_MS while logged in.
+    const [chargingSettings, setChargingSettings] = useState(loadChargingSettings);
+    const chargingSettingsRef = useRef(chargingSettings);
+    useEffect(() => {
+        chargingSettingsRef.current = chargingSettings;
+        saveChargingSettings(chargingSettings);
+    }, [chargingSettings]);
+
+    // `${deviceId}/${robotId}` of charge tasks (or their completions) being sent / robots warned about full docks
+    const chargePendingRef = useRef({});
+    const noDockWarnedRef = useRef({});
+
+    const updateChargingSettings = useCallback((settings) => {
+        setChargingSettings(normalizeChargingSettings(settings));
+    }, []);
+
+    // Who is at (or heading to) each dock of a device
+    const getDockOccupancy = useCallback(
+        (deviceId) => dockOccupancy(Object.values(robots[deviceId] || {}), getDeviceLayout(facilityLayouts, deviceId)),
+        [robots, facilityLayouts]
+    );
+
+    // Queued tasks go back to the backlog first when the robot cannot finish them —
+    // each only once its cancel is sent, so the robot and the backlog never both hold it
+    const sendToCharge = useCallback(async (deviceId, robot, dock, need) => {
+        const robotId = robot.id;
+        const key = `${deviceId}/${robotId}`;
+        chargePendingRef.current[key] = true;
+        try {
+            if (need.reason === CHARGE_REASONS.QUEUE) {
+                for (const task of (robot.taskQueue || []).filter(t => !isChargeTask(t))) {
+                    await cancelTask(deviceId, robotId, task.task_id);
+                    addToBacklog(deviceId, { ...orderFields(task), reason: `Returned by ${robotId} (charging)` });
+                }
+            }
+            const payload = await publishChargeTask(deviceId, robotId, dock, need);
+            handleRobotTaskUpdate(deviceId, robotId, payload);
+            notifyTaskUpdate();
+            addAlert({
+                type: 'info', deviceId, robotId,
+                message: `🔌 ${robotId} sent to charge at ${dock.name} (${need.battery}%, ${CHARGE_REASON_LABELS[need.reason]})`,
+                timestamp: Date.now()
+            });
+        } catch (err) {
+            console.error(`[Charging] Failed to send ${robotId} to ${dock.name}:`, err);
+            addAlert({
+                type: 'warning', deviceId, robotId,
+                message: `Failed to send ${robotId} to charge at ${dock.name}`,
+                timestamp: Date.now()
+            });
+        } finally {
+            delete chargePendingRef.current[key];
+        }
+    }, [addToBacklog, cancelTask, handleRobotTaskUpdate, notifyTaskUpdate, addAlert]);
+
+    // Complete a docked robot's charge task — it is back in service. The dock is freed only once the
+    // completion is sent; if it cannot be, the robot stays docked and the next check retries.
+    const releaseFromDock = useCallback(async (deviceId, robot) => {
+        const robotId = robot.id;
+        const key = `${deviceId}/${robotId}`;
+        const payload = {
+            task_id: robot.task.task_id,
+            task_type: CHARGE_TASK_TYPE,
+            destination: robot.task.destination,
+            destination_lat: robot.task.destination_lat ?? null,
+            destination_lng: robot.task.destination_lng ?? null,
+            dock_id: robot.task.dock_id,
+            robotId,
+            status: TASK_STATUS.COMPLETED,
+            phase: TASK_PHASES.COMPLETED,
+            progress: 100,
+            completedAt: new Date().toISOString()
+        };
+        chargePendingRef.current[key] = true;
+        try {
+            await updateStateDetails(deviceId, `fleetMS/robots/${robotId}/task`, payload);
+            handleRobotTaskUpdate(deviceId, robotId, payload);
+            notifyTaskUpdate();
+            addAlert({
+                type: 'info', deviceId, robotId,
+                message: `✅ ${robotId} charged to ${robot.status?.battery}% — back in service`,
+                timestamp: Date.now()
+            });
+        } catch (err) {
+            console.error(`[Charging] Failed to send charge completion for ${robotId}:`, err);
+        } finally {
+            delete chargePendingRef.current[key];
+        }
+    }, [handleRobotTaskUpdate, notifyTaskUpdate, addAlert]);
+
+    useEffect(() => {
+        if (!isAuthenticated) return;
+        const checkCharging = () => {
+            const settings = chargingSettingsRef.current;
+            const warned = {};
+            Object.keys(robotsRef.current).forEach(deviceId => {
+                const layout = layoutFor(deviceId);
+                const robotList = dispatchCandidates(deviceId);
+                const occupancy = dockOccupancy(robotList, layout);
+                robotList.forEach(robot => {
+                    const key = `${deviceId}/${robot.id}`;
+                    if (chargePendingRef.current[key]) return;
+                    if (isDocked(robot)) {
+                        if (Number(robot.status?.battery) >= settings.resumeLevel) releaseFromDock(deviceId, robot);
+                        return;
+                    }
+                    if (!settings.enabled) return;
+
+                    const need = chargeNeed(robot, thresholdsFor(deviceId, robot.id).battery, settings, layout);
+                    if (!need) return;
+                    const dock = nearestFreeDock(robot, layout, occupancy);
+                    if (!dock) {
+                        warned[key] = true;
+                        if (noDockWarnedRef.current[key]) return;
+                        addAlert({
+                            type: 'warning', deviceId, robotId: robot.id,
+                            message: `🔋 ${robot.id} needs a charge (${need.battery}%) but no charging dock is free`,
+                            timestamp: Date.now()
+                        });
+                        return;
+                    }
+                    occupancy[dock.id] = { robotId: robot.id, state: 'reserved' };
+                    sendToCharge(deviceId, robot, dock, need);
+                });
+            });
+            noDockWarnedRef.current = warned;
+        };
+        checkCharging();
+        const id = setInterval(checkCharging, CHARGE_CHECK_MS);
+        return () => clearInterval(id);
+    }, [isAuthenticated, addAlert, layoutFor, dispatchCandidates, sendToCharge, releaseFromDock, thresholdsFor]);
+
+    // ===== MAINTENANCE =====
+    // Work orders take a robot out of service (services/maintenanceLog.js): its tasks go back
+    // to the backlog, it is held in MAINTENANCE and dispatchCandidates skips it until the
+    // work order is closed. Usage meters are flushed to state every MAINTENANCE_FLUSH_MS.
+    useEffect(() => {
+        const id = setInterval(() => {
+            if (!maintenanceDirtyRef.current) return;
+            maintenanceDirtyRef.current = false;
+            setMaintenance(maintenanceRef.current);
+        }, MAINTENANCE_FLUSH_MS);
+        return () => clearInterval(id);
+    }, []);
+
+    const commitMaintenanceRecord = useCallback((deviceId, robotId, record) => {
+        maintenanceRef.current = {
+            ...maintenanceRef.current,
+            [deviceId]: { ...maintenanceRef.current[deviceId], [robotId]: record }
+        };
+        maintenanceDirtyRef.current = false;
+        setMaintenance(maintenanceRef.current);
+    }, []);
+
+    const setRobotState = useCallback((deviceId, robotId, state) => {
+        setRobots(prev => {
+            const robot = prev[deviceId]?.[robotId];
+            if (!robot) return prev;
+            return {
+                ...prev,
+                [deviceId]: { ...prev[deviceId], [robotId]: { ...robot, status: { ...robot.status, state }, lastUpdate: Date.now() } }
+            };
+        });
+    }, []);
+
+    // Open a work order and take the robot out of service.
+    // Throws (with nothing changed) when the work order is invalid or cannot be published.
+    const openRobotWorkOrder = useCallback(async (deviceId, robotId, input) => {
+        const { record, order } = openWorkOrder(maintenanceRef.current[deviceId]?.[robotId] || null, input);
+        await publishWorkOrder(deviceId, robotId, order);
+        commitMaintenanceRecord(deviceId, robotId, record);
+
+        // Queued work first — cancelling the active task would start the next one.
+        // Any task that has not finished counts as active, whatever its status says.
+        const robot = robotsRef.current[deviceId]?.[robotId];
+        const active = robot?.task && robot.task.phase !== TASK_PHASES.COMPLETED && robot.task.phase !== TASK_PHASES.FAILED ? robot.task : null;
+        for (const task of [...(robot?.taskQueue || []), ...(active ? [active] : [])]) {
+            try {
+                await cancelTask(deviceId, robotId, task.task_id);
+            } catch (err) {
+                console.error(`[Maintenance] Failed to cancel ${task.task_id} on ${robotId}:`, err);
+                continue;
+            }
+            // Back to the backlog only once the robot has been told to drop it
+            if (!isChargeTask(task)) {
+                addToBacklog(deviceId, { ...orderFields(task), reason: `Returned by ${robotId} (maintenance)` });
+            }
+        }
+        setRobotState(deviceId, robotId, 'MAINTENANCE');
+        addAlert({
+            type: 'info', deviceId, robotId,
+            message: `🔧 ${robotId} out of service — ${WORK_ORDER_TYPE_LABELS[order.type]} (${order.id})`,
+            timestamp: Date.now()
+        });
+        return order;
+    }, [commitMaintenanceRecord, addToBacklog, cancelTask, setRobotState, addAlert]);
+
+    // Close a robot's open work order and return it to service
+    const closeRobotWorkOrder = useCallback(async (deviceId, robotId, notes) => {
+        const { record, order } = closeWorkOrder(maintenanceRef.current[deviceId]?.[robotId] || null, notes);
+        await publishWorkOrder(deviceId, robotId, order);
+        commitMaintenanceRecord(deviceId, robotId, record);
+        setRobotState(deviceId, robotId, 'READY');
+        addAlert({
+            type: 'info', deviceId, robotId,
+            message: `✅ ${robotId} back in service — ${order.id} closed`,
+            timestamp: Date.now()
+        });
+        return order;
+    }, [commitMaintenanceRecord, setRobotState, addAlert]);
+
+    // Set a robot's service intervals (null goes back to the defaults)
+    const updateServiceIntervals = useCallback((deviceId, robotId, intervals) => {
+        const current = maintenanceRef.current[deviceId]?.[robotId];
+        commitMaintenanceRecord(deviceId, robotId, { ...(current || emptyRecord()), intervals: intervals ? normalizeIntervals(intervals) : null });
+    }, [commitMaintenanceRecord]);
+
+    // ===== TASK SCHEDULER =====
+    // One-off and recurring Deliver tasks per device (services/taskScheduler.js).
+    // Due runs are sent every SCHEDULER_TICK_MS while logged in.
+    const [schedules, setSchedules] = useState(loadCachedSchedules);
+    const [scheduleRuns, setScheduleRuns] = useState(loadCachedScheduleRuns);
+    const schedulesRef = useRef(schedules);
+    useEffect(() => {
+        schedulesRef.current = schedules;
+        saveCachedSchedules(schedules);
+    }, [schedules]);
+    useEffect(() => {
+        saveCachedScheduleRuns(scheduleRuns);
+    }, [scheduleRuns]);
+
+    const updateSchedule = useCallback((deviceId, scheduleId, update) => {
+        setSchedules(prev => ({
+            ...prev,
+            [deviceId]: (prev[deviceId] || []).map(s => (s.id === scheduleId ? update(s) : s))
+        }));
+    }, []);
+
+    const recordScheduleRun = useCallback((deviceId, run) => {
+        setScheduleRuns(prev => ({ ...prev, [deviceId]: [run, ...(prev[deviceId] || [])].slice(0, SCHEDULE_RUN_LIMIT) }));
+    }, []);
+
+    // Add a schedule to the selected device. Throws when the route or rule is invalid.
+    const addSchedule = useCallback((input) => {
+        const schedule = createSchedule(input);
+        setSchedules(prev => ({ ...prev, [selectedDeviceId]: [...(prev[selectedDeviceId] || []), schedule] }));
+        return schedule;
+    }, [selectedDeviceId]);
+
+    const removeSchedule = useCallback((deviceId, scheduleId) => {
+        setSchedules(prev => ({ ...prev, [deviceId]: (prev[deviceId] || []).filter(s => s.id !== scheduleId) }));
+    }, []);
+
+    const setScheduleActive = useCallback((deviceId, scheduleId, enabled) => {
+        updateSchedule(deviceId, scheduleId, s => setScheduleEnabled(s, enabled));
+    }, [updateSchedule]);
+
+    const skipNextRun = useCallback((deviceId, scheduleId) => {
+        updateSchedule(deviceId, scheduleId, toggleSkipNext);
+    }, [updateSchedule]);
+
+    // Send one run: to the schedule's robot, or through the dispatcher; backlog it otherwise
+    const fireSchedule = useCallback(async (deviceId, schedule, dueAt) => {
+        const order = scheduleOrder(schedule, layoutFor(deviceId));
+        let result;
+        if (schedule.robotId) {
+            try {
+                const payload = await publishOrder(deviceId, schedule.robotId, { ...order, attempts: 1 });
+                handleRobotTaskUpdate(deviceId, schedule.robotId, payload);
+                notifyTaskUpdate();
+                result = { robotId: schedule.robotId };
+            } catch (err) {
+                console.error(`[Scheduler] Failed to send ${order.task_id} to ${schedule.robotId}:`, err);
+                result = { robotId: null, reason: `Failed to send to ${schedule.robotId}` };
+            }
+        } else {
+            result = await assignOrder(deviceId, order);
+        }
+        if (!result.robotId) addToBacklog(deviceId, { ...order, reason: result.reason });
+
+        recordScheduleRun(deviceId, makeRun(schedule, dueAt, result.robotId ? RUN_STATUS.SENT : RUN_STATUS.BACKLOG, {
+            taskId: order.task_id,
+            robotId: result.robotId,
+            reason: result.reason || null
+        }));
+    }, [layoutFor, handleRobotTaskUpdate, notifyTaskUpdate, assignOrder, addToBacklog, recordScheduleRun]);
+
+    // Settle every due run: advance the schedules first so a slow send is never fired twice
+    const runDueSchedules = useCallback(() => {
+        const now = Date.now();
+        const due = [];
+        const next = {};
+        Object.entries(schedulesRef.current).forEach(([deviceId, list]) => {
+            next[deviceId] = list.map(schedule => {
+                const settled = settleDueRun(schedule, now);
+                if (!settled) return schedule;
+                due.push({ deviceId, ...settled });
+                return settled.schedule;
+            });
+        });
+        if (due.length === 0) return;
+        schedulesRef.current = next;
+        setSchedules(next);
+
+        due.forEach(({ deviceId, dueAt, outcome, schedule }) => {
+            if (outcome === 'fire') {
+                fireSchedule(deviceId, schedule, dueAt).catch(err => {
+                    // Invalid route (e.g. a room removed from the layout)
+                    recordScheduleRun(deviceId, makeRun(schedule, dueAt, RUN_STATUS.BACKLOG, { reason: err.message }));
+                });
+            } else {
+                recordScheduleRun(deviceId, makeRun(schedule, dueAt, outcome, {
+                    reason: outcome === RUN_STATUS.MISSED ? 'Dashboard was not running' : 'Skipped by operator'
+                }));
+            }
+        });
+    }, [fireSchedule, recordScheduleRun]);
+
+    useEffect(() => {
+        if (!isAuthenticated) return;
+        runDueSchedules();
+        const interval = setInterval(runDueSchedules, SCHEDULER_TICK_MS);
+        return () => clearInterval(interval);
+    }, [isAuthenticated, runDueSchedules]);
+
     // History getters for Analysis page
     const getEnvHistory = useCallback((deviceId) => envHistory[deviceId] || [], [envHistory]);
     const getRobotHistory = useCallback((deviceId, robotId) => (robotHistory[deviceId] && robotHistory[deviceId][robotId]) || [], [robotHistory]);
+    // Effective thresholds for the UI; recreated when the profiles change so consumers re-render
+    const explainEffectiveThresholds = useCallback((deviceId, robotId = null) => (
+        explainThresholds(thresholdProfiles, thresholdContext(deviceId, robotId))
+    ), [thresholdProfiles, thresholdContext]);
+
+    const getEffectiveThresholds = useCallback((deviceId, robotId = null) => (
+        explainEffectiveThresholds(deviceId, robotId).thresholds
+    ), [explainEffectiveThresholds]);
+
+    const getZoneTimeline = useCallback((deviceId, robotId) => zoneTimeline[deviceId]?.[robotId] || [], [zoneTimeline]);
 
     // Fetch robot tasks from API using /user/get-state-details/device/topic
     // This fetches task data for all robots from the topic fleetMS/robots/<robotId>/task
@@ -1930,7 +3111,7 @@ export function DeviceProvider({ children }) {
 
 
         const deviceRobots = Object.keys(robots[selectedDeviceId] || {});
-        const registryRobots = getRobotsForDevice(selectedDeviceId);
+        const registryRobots = getActiveRobots(registry, selectedDeviceId);
 
         // Combine robots from state and registry
         const allRobotIds = [...new Set([...deviceRobots, ...registryRobots.map(r => r.id)])];
@@ -1948,14 +3129,7 @@ export function DeviceProvider({ children }) {
                 const response = await getTopicStateDetails(selectedDeviceId, `fleetMS/robots/${robotId}/task`);
 
                 if (response?.status === 'Success' && response.data) {
-                    let taskData = response.data;
-
-                    // Unwrap nested payload if present
-                    if (taskData.payload) {
-                        taskData = typeof taskData.payload === 'string'
-                            ? JSON.parse(taskData.payload)
-                            : taskData.payload;
-                    }
+                    const taskData = normalizeRobotTask(response.data, { deviceId: selectedDeviceId, robotId });
 
                     taskMap[robotId] = {
                         robotId,
@@ -1981,7 +3155,7 @@ export function DeviceProvider({ children }) {
 
 
         return taskMap;
-    }, [selectedDeviceId, robots, handleRobotTaskUpdate]);
+    }, [selectedDeviceId, robots, registry, handleRobotTaskUpdate]);
 
     // Automatically fetch robot tasks when device selection changes (ensures tasks load on refresh)
     useEffect(() => {
@@ -1994,7 +3168,7 @@ export function DeviceProvider({ children }) {
             (async () => {
                 try {
                     const deviceRobots = Object.keys(robots[selectedDeviceId] || {});
-                    const registryRobots = getRobotsForDevice(selectedDeviceId);
+                    const registryRobots = getActiveRobots(registryRef.current, selectedDeviceId);
                     const allRobotIds = [...new Set([...deviceRobots, ...registryRobots.map(r => r.id)])];
 
                     if (allRobotIds.length === 0) {
@@ -2009,13 +3183,7 @@ export function DeviceProvider({ children }) {
                             const response = await getTopicStateDetails(selectedDeviceId, `fleetMS/robots/${robotId}/task`);
 
                             if (response?.status === 'Success' && response.data) {
-                                let taskData = response.data;
-
-                                if (taskData.payload) {
-                                    taskData = typeof taskData.payload === 'string'
-                                        ? JSON.parse(taskData.payload)
-                                        : taskData.payload;
-                                }
+                                const taskData = normalizeRobotTask(response.data, { deviceId: selectedDeviceId, robotId });
 
                                 taskMap[robotId] = {
                                     robotId,
@@ -2056,7 +3224,7 @@ export function DeviceProvider({ children }) {
         const fetchedTask = deviceTasks[robotId];
 
         if (fetchedTask) {
-            const status = fetchedTask.status || fetchedTask.state;
+            const status = fetchedTask.status;
             if (isActiveTaskStatus(status)) {
                 return true;
             }
@@ -2065,7 +3233,7 @@ export function DeviceProvider({ children }) {
         // Also check the robot's current task state in context
         const robot = robots[selectedDeviceId]?.[robotId];
         if (robot?.task) {
-            const taskStatus = robot.task.status || robot.task.state;
+            const taskStatus = robot.task.status;
             // Check if task is active (not completed/failed/cancelled)
             if (isActiveTaskStatus(taskStatus)) {
                 return true;
@@ -2081,13 +3249,13 @@ export function DeviceProvider({ children }) {
         const deviceTasks = fetchedRobotTasks[selectedDeviceId] || {};
         const fetchedTask = deviceTasks[robotId];
 
-        if (fetchedTask && isActiveTaskStatus(fetchedTask.status || fetchedTask.state)) {
+        if (fetchedTask && isActiveTaskStatus(fetchedTask.status)) {
             return fetchedTask;
         }
 
         // Check robot's current task state in context
         const robot = robots[selectedDeviceId]?.[robotId];
-        if (robot?.task && isActiveTaskStatus(robot.task.status || robot.task.state)) {
+        if (robot?.task && isActiveTaskStatus(robot.task.status)) {
             return robot.task;
         }
 
@@ -2100,7 +3268,15 @@ export function DeviceProvider({ children }) {
         connectionError,
 
         // Device management
-        devices: DEVICES,
+        devices,
+        registry,
+        saveRegistryDevice,
+        saveRegistryRobot,
+        getRegistryRobots,
+        facilityLayouts,
+        currentLayout,
+        getFacilityLayout,
+        saveFacilityLayout,
         selectedDeviceId,
         setSelectedDeviceId,
         currentDevice,
@@ -2114,14 +3290,31 @@ export function DeviceProvider({ children }) {
         robotHistory,
         getEnvHistory,
         getRobotHistory,
+        zoneTimeline,
+        getZoneTimeline,
 
         // Alerts
-        alerts,
+        alerts,               // Live incidents (newest first); `count` / `children` hold the grouped alerts
         addAlert,
         clearAlert,
         clearAllAlerts,
+        suppressedAlerts,     // Alerts dropped by the per-source rate limit: { [source]: { count, lastAt, lastMessage } }
         markAlertRead,
         markAllAlertsRead,
+        acknowledgeAlertById, // (alertId, { by, comment }) — throws without a name
+        assignAlertById,      // (alertId, assignee, by) — empty assignee unassigns
+        snoozeAlertById,      // (alertId, minutes, by) — 0 ends the snooze
+        resolveAlertById,     // (alertId, { by, comment }) — manual resolve
+        alertHistory,         // Persisted alert history (newest first) for TTA / TTR stats
+        clearAlertHistory,    // Drop the history except the live alerts
+        notificationSettings, // Channels, escalation policies and quiet hours (Settings → Notifications)
+        updateNotificationSettings, // Replace the notification settings (normalised, persisted)
+        thresholdProfiles,    // Device / room / robot-type threshold overrides (Settings → Threshold Profiles)
+        updateThresholdProfiles, // Replace the threshold profiles (normalised, persisted)
+        getEffectiveThresholds, // (deviceId, robotId?) — global thresholds with the matching profiles applied
+        explainEffectiveThresholds, // (deviceId, robotId?) — { thresholds, profiles, sources } for display
+        alertRules,           // Configurable alert rules (Settings → Alert Rules)
+        updateAlertRules,     // Replace the alert rules (normalised, persisted)
 
         // Robot management
         registerRobot,
@@ -2137,7 +3330,44 @@ export function DeviceProvider({ children }) {
         isRobotBusy,          // Check if robot has an active task
         getRobotActiveTask,   // Get robot's current active task
         fetchedRobotTasks,    // Cached fetched tasks by device
-        getLocalTaskHistory   // Persistent local task history for all allocated tasks
+        getLocalTaskHistory,  // Persistent local task history for all allocated tasks
+
+        // Dispatcher (automatic robot selection + fleet backlog)
+        dispatchOrder,        // Create a Deliver order and assign the best robot
+        dispatchBacklog,      // Orders waiting for a robot, by device
+        drainBacklog,         // Retry a device's backlog now
+        removeBacklogOrder,   // Drop an order from the backlog
+
+        // Task queue management (Tasks page)
+        reorderTaskQueue,     // Reorder a robot's queued tasks
+        moveTask,             // Hand a task to another robot
+        cancelTask,           // Cancel a task (publishes TASK_STATUS.CANCELLED)
+
+        // Task scheduler (Schedule page)
+        schedules,            // One-off / recurring schedules, by device
+        scheduleRuns,         // Runs the scheduler fired, skipped or missed, by device
+        addSchedule,          // Create a schedule on the selected device
+        removeSchedule,       // Delete a schedule
+        setScheduleActive,    // Pause / resume a schedule
+        skipNextRun,          // Skip (or un-skip) a schedule's next run
+
+        // Task SLAs (Settings, fleet cards, Analysis report)
+        slaTargets,           // Completion-time targets per priority / route
+        updateSlaTargets,     // Replace and persist the SLA targets
+
+        // Battery analytics (learned rates on each robot's batteryModel)
+        batteryStats,         // Saved rates + per-day discharge totals, by device and robot
+
+        // Automatic charging (Settings, maps, fleet cards)
+        chargingSettings,     // { enabled, resumeLevel, lookaheadMinutes }
+        updateChargingSettings, // Replace and persist the charging settings
+        getDockOccupancy,     // dockId → { robotId, state } for a device
+
+        // Maintenance (Maintenance page, fleet cards)
+        maintenance,          // Usage meters, intervals and work orders, by device and robot
+        openRobotWorkOrder,   // Open a work order — the robot goes into MAINTENANCE
+        closeRobotWorkOrder,  // Close it — the robot is back in service
+        updateServiceIntervals // Per-robot service intervals (null = defaults)
     };
 
     return (
@@ -14,6 +14,7 @@ import api, {
   updateStateDetails,
 } from "../services/api";
 import { generateTaskId } from "../utils/telemetryMath";
+import { normalizePriority } from "../utils/taskPriority";
 
 export function useApi() {
   // ═══════════════════════════════════════════════════════════════════════
@@ -187,7 +188,7 @@ export function useApi() {
         task_id: taskId,
         source: task.source,
         destination: task.destination,
-        priority: task.priority || "NORMAL",
+        priority: normalizePriority(task.priority),
         timestamp: new Date().toISOString(),
       };
 
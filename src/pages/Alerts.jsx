@@ -0,0 +1,245 @@
+/**
+ * @module Alerts
+ * @description Alert handling. Live alerts move active → acknowledged →
+ * resolved — automatically when an alert rule's condition clears, or by hand —
+ * and can be assigned to an operator or snoozed (see utils/alertLifecycle.js).
+ * Every alert is kept in a persisted history, listed here by state with its
+ * handling trail, and the mean time to acknowledge / resolve is computed from it.
+ * Alerts with a common root cause are grouped into incidents and noisy sources
+ * are rate-limited (see utils/alertGrouping.js); both are summarised here.
+ */
+import { useState, useEffect } from 'react';
+import { History, Layers, Timer, Trash2 } from 'lucide-react';
+import { useDevice } from '../contexts/DeviceContext';
+import AlertsPanel from '../components/dashboard/AlertsPanel';
+import {
+    ALERT_STATE_LABELS,
+    ALERT_FILTERS,
+    alertState,
+    alertStats,
+    countAlertStates,
+    filterAlerts,
+    formatAlertDuration
+} from '../utils/alertLifecycle';
+import { INCIDENT_WINDOW_MS, SOURCE_RATE_LIMIT, incidentStats } from '../utils/alertGrouping';
+
+const FILTER_LABELS = { all: 'All', ...ALERT_STATE_LABELS };
+
+const HISTORY_ROWS = 100;
+
+const formatDateTime = (ts) => (ts ? new Date(ts).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) : '—');
+
+function Alerts() {
+    const { alertHistory, clearAlertHistory, suppressedAlerts } = useDevice();
+
+    const [filter, setFilter] = useState('all');
+    const [now, setNow] = useState(() => Date.now());
+
+    // Snoozes run out on their own
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), 30 * 1000);
+        return () => clearInterval(interval);
+    }, []);
+
+    const stats = alertStats(alertHistory);
+    const counts = countAlertStates(alertHistory, now);
+    const rows = filterAlerts(alertHistory, filter, now);
+    const grouping = incidentStats(alertHistory);
+    const suppressed = Object.entries(suppressedAlerts).sort((a, b) => b[1].count - a[1].count);
+
+    const handleClearHistory = () => {
+        if (!window.confirm('Clear the alert history? Live alerts are kept.')) return;
+        clearAlertHistory();
+    };
+
+    return (
+        <div className="analysis-page" style={{ maxWidth: '100%', minHeight: '100%' }}>
+            <div className="analysis-header">
+                <div>
+                    <h1 className="analysis-title">Alerts</h1>
+                    <p className="analysis-subtitle">
+                        {stats.open} open critical / warning alert(s) — {stats.total} in history
+                    </p>
+                </div>
+            </div>
+
+            {/* Handling stats */}
+            <div className="analysis-fleet-section">
+                <div className="analysis-fleet-header">
+                    <h2 className="analysis-fleet-title">
+                        <Timer size={16} className="tasks-lane__icon" />
+                        Response Times
+                        <span className="analysis-fleet-count">critical and warning alerts</span>
+                    </h2>
+                </div>
+                <div className="analysis-kpi-tiles">
+                    {[
+                        { label: 'Mean time to acknowledge', value: formatAlertDuration(stats.mttaMs), sub: `${stats.acknowledged} acknowledged` },
+                        { label: 'Mean time to resolve', value: formatAlertDuration(stats.mttrMs), sub: `${stats.resolved} resolved` },
+                        { label: 'Resolved automatically', value: stats.autoResolved, sub: `${stats.resolved - stats.autoResolved} by hand` },
+                        { label: 'Open', value: stats.open, sub: `of ${stats.total}` }
+                    ].map(tile => (
+                        <div key={tile.label} className="analysis-kpi-tile">
+                            <span className="analysis-kpi-tile__label">{tile.label}</span>
+                            <span className="analysis-kpi-tile__value">{tile.value}</span>
+                            {tile.sub && <span className="analysis-kpi-tile__sub">{tile.sub}</span>}
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            {/* Grouping and rate limiting */}
+            <div className="analysis-fleet-section">
+                <div className="analysis-fleet-header">
+                    <h2 className="analysis-fleet-title">
+                        <Layers size={16} className="tasks-lane__icon" />
+                        Storm Suppression
+                        <span className="analysis-fleet-count">
+                            grouped within {INCIDENT_WINDOW_MS / 60000} min — max {SOURCE_RATE_LIMIT.max} alerts per source per {SOURCE_RATE_LIMIT.windowMs / 1000} s
+                        </span>
+                    </h2>
+                </div>
+                <div className="analysis-kpi-tiles">
+                    {[
+                        { label: 'Incidents', value: grouping.incidents, sub: `${grouping.grouped} with grouped alerts` },
+                        { label: 'Alerts received', value: grouping.alerts, sub: `${grouping.alerts - grouping.incidents} folded into incidents` },
+                        { label: 'Suppressed', value: suppressed.reduce((sum, [, s]) => sum + s.count, 0), sub: `${suppressed.length} source(s) this session` }
+                    ].map(tile => (
+                        <div key={tile.label} className="analysis-kpi-tile">
+                            <span className="analysis-kpi-tile__label">{tile.label}</span>
+                            <span className="analysis-kpi-tile__value">{tile.value}</span>
+                            {tile.sub && <span className="analysis-kpi-tile__sub">{tile.sub}</span>}
+                        </div>
+                    ))}
+                </div>
+                {suppressed.length > 0 && (
+                    <div className="analysis-table-wrap diagnostics-table-wrap">
+                        <table className="analysis-table">
+                            <thead>
+                                <tr>
+                                    <th>Source</th>
+                                    <th>Suppressed</th>
+                                    <th>Last</th>
+                                    <th>Last message</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {suppressed.map(([source, entry]) => (
+                                    <tr key={source}>
+                                        <td>{source.replace('|', ' • ')}</td>
+                                        <td>{entry.count}</td>
+                                        <td>{formatDateTime(entry.lastAt)}</td>
+                                        <td>{entry.lastMessage}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            {/* Live alerts */}
+            <div className="analysis-fleet-section">
+                <AlertsPanel />
+            </div>
+
+            {/* History */}
+            <div className="analysis-fleet-section">
+                <div className="analysis-fleet-header">
+                    <h2 className="analysis-fleet-title">
+                        <History size={16} className="tasks-lane__icon" />
+                        Alert History
+                        <span className="analysis-fleet-count">{rows.length} alert(s)</span>
+                    </h2>
+                    <button className="analysis-export-btn" onClick={handleClearHistory} disabled={alertHistory.length === 0}>
+                        <Trash2 size={14} />
+                        Clear history
+                    </button>
+                </div>
+                <div className="alerts-filter">
+                    {ALERT_FILTERS.map(f => (
+                        <button
+                            key={f}
+                            onClick={() => setFilter(f)}
+                            className={`alerts-filter__btn ${filter === f ? 'alerts-filter__btn--active' : ''}`}
+                        >
+                            {FILTER_LABELS[f]} ({counts[f]})
+                        </button>
+                    ))}
+                </div>
+                <div className="analysis-table-wrap diagnostics-table-wrap">
+                    {rows.length === 0 ? (
+                        <p className="diagnostics-empty">No alerts.</p>
+                    ) : (
+                        <table className="analysis-table">
+                            <thead>
+                                <tr>
+                                    <th>Raised</th>
+                                    <th>Severity</th>
+                                    <th>Alert</th>
+                                    <th>Count</th>
+                                    <th>Source</th>
+                                    <th>State</th>
+                                    <th>Acknowledged</th>
+                                    <th>Assigned</th>
+                                    <th>Resolved</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rows.slice(0, HISTORY_ROWS).map(alert => {
+                                    const state = alertState(alert, now);
+                                    return (
+                                        <tr key={alert.id}>
+                                            <td>{formatDateTime(alert.timestamp)}</td>
+                                            <td>{alert.type}</td>
+                                            <td>{alert.message}</td>
+                                            <td>
+                                                {alert.count || 1}
+                                                {alert.count > 1 && <div className="diagnostics-muted">last {formatDateTime(alert.lastAt)}</div>}
+                                            </td>
+                                            <td>
+                                                {alert.robotIds?.length > 1
+                                                    ? `${alert.deviceId} • ${alert.robotIds.join(', ')}`
+                                                    : alert.robotId ? `${alert.deviceId} • ${alert.robotId}` : alert.deviceId}
+                                                {alert.zone && <div className="diagnostics-muted">{alert.zone}</div>}
+                                            </td>
+                                            <td><span className={`alerts-state alerts-state--${state}`}>{ALERT_STATE_LABELS[state]}</span></td>
+                                            <td>
+                                                {alert.acknowledgedAt ? (
+                                                    <>
+                                                        {alert.acknowledgedBy}
+                                                        <div className="diagnostics-muted">
+                                                            after {formatAlertDuration(alert.acknowledgedAt - alert.timestamp)}
+                                                            {alert.ackComment && ` — ${alert.ackComment}`}
+                                                        </div>
+                                                    </>
+                                                ) : '—'}
+                                            </td>
+                                            <td>{alert.assignee || '—'}</td>
+                                            <td>
+                                                {alert.resolved ? (
+                                                    <>
+                                                        {alert.resolution === 'auto' ? 'Automatically' : alert.resolvedBy || 'By hand'}
+                                                        <div className="diagnostics-muted">
+                                                            after {formatAlertDuration((alert.resolvedAt || alert.timestamp) - alert.timestamp)}
+                                                            {alert.resolveComment && ` — ${alert.resolveComment}`}
+                                                        </div>
+                                                    </>
+                                                ) : '—'}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    )}
+                    {rows.length > HISTORY_ROWS && (
+                        <p className="diagnostics-muted">Showing the latest {HISTORY_ROWS} of {rows.length}.</p>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default Alerts;
@@ -1,10 +1,12 @@
 /**
  * @module Analysis
  * @description Fleet intelligence and analysis page. Displays historical
- * environment charts, robot sensor bar charts, fleet insight cards,
- * and per-robot task history with phase tracking.
+ * environment charts, robot sensor bar charts, fleet insight cards, fleet
+ * KPIs (utilisation, throughput, cycle time, distance, BLOCKED time), battery
+ * health (learned discharge rates, capacity fade), the task SLA compliance
+ * report, and per-robot task history with phase tracking.
  */
-import { useState, useCallback, useMemo, useEffect } from 'react';
+import { useState, useCallback, useMemo, useEffect, useRef } from 'react';
 import {
     Download,
     RefreshCw,
@@ -25,7 +27,11 @@ import {
     BarChart2,
     LineChart as LineChartIcon,
     ListChecks,
-    Gauge
+    Gauge,
+    MapPin,
+    Timer,
+    Activity,
+    BatteryCharging
 } from 'lucide-react';
 import {
     LineChart,
@@ -41,9 +47,59 @@ import {
 } from 'recharts';
 import { useDevice } from '../contexts/DeviceContext';
 import { getDeviceStreamData, getTopicStreamData, getDeviceStateDetails, updateStateDetails, getTimeRange } from '../services/api';
-import { getRobotsForDevice } from '../config/robotRegistry';
-import { TASK_PHASES, PHASE_LABELS, PHASE_COLORS, computePhaseProgress, findRoomAtPoint, ROOMS } from '../utils/telemetryMath';
+import { TASK_PHASES, PHASE_LABELS, PHASE_COLORS, computePhaseProgress, findRoomAtPoint, ROOMS, STOP_TYPES, isMultiStopTask } from '../utils/telemetryMath';
+import { ZONE_EVENTS } from '../utils/geofence';
+import { TASK_PRIORITY, TASK_STATUS } from '../config/robotRegistry';
+import { PRIORITY_LABELS, normalizePriority } from '../utils/taskPriority';
+import { SLA_STATUS, SLA_STATUS_LABELS, evaluateSla, summarizeSla } from '../utils/taskSla';
+import { KPI_STATES, KPI_STATE_LABELS, KPI_STATE_COLORS, cycleTimeStats, completedTasks, kpiTrend, robotKpis } from '../utils/fleetKpis';
+import { learnBatteryModel, rateFor, weeklyCapacity } from '../utils/batteryModel';
+import { fetchFleetBattery, fetchFleetStatus, fetchFleetTracks } from '../services/trackHistory';
+import { CHARGE_TASK_TYPE } from '../services/chargeManager';
 import { getThresholds as getThresholdsShared } from '../utils/thresholds';
+import { unwrapPayload, normalizeEnvironment, normalizeRobotBattery, normalizeRobotTemp, normalizeRobotTask } from '../utils/payloadSchema';
+
+// Task history entry → the task shape utils/taskSla.js evaluates
+function slaTaskOf(row) {
+    return {
+        assignedAt: row.allocatedAt ?? row.startTime,
+        completedAt: row.completionTime,
+        task_type: row.rawTaskType,
+        phase: row.phase,
+        status: row.status,
+        'initiate location': row.sourceLocation,
+        destination: row.destinationLocation,
+        priority: row.priority,
+        deadline: row.deadline
+    };
+}
+
+// Completed task history entry → the phase timestamps utils/fleetKpis.js reads
+// (charge tasks never count as completed deliveries)
+function kpiTaskOf(row) {
+    const completed = row.rawTaskType !== CHARGE_TASK_TYPE && (row.phase === TASK_PHASES.COMPLETED || row.status === 'Completed');
+    return {
+        assignedAt: row.allocatedAt ?? row.startTime,
+        sourceArrivedAt: row.sourceArrivedAt,
+        pickedUpAt: row.pickedUpAt,
+        destinationArrivedAt: row.destinationArrivedAt,
+        completedAt: completed ? row.completionTime : null
+    };
+}
+
+// "1.2 km" / "340 m"
+function formatDistance(m) {
+    return m >= 1000 ? `${(m / 1000).toFixed(1)} km` : `${Math.round(m)} m`;
+}
+
+// Compact duration for the zone timeline, e.g. "45s", "12m 5s", "2h 10m"
+function formatDwell(ms) {
+    const secs = Math.floor(ms / 1000);
+    if (secs < 60) return `${secs}s`;
+    const mins = Math.floor(secs / 60);
+    if (mins < 60) return `${mins}m ${secs % 60}s`;
+    return `${Math.floor(mins / 60)}h ${mins % 60}m`;
+}
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Export Modal Component
@@ -302,7 +358,7 @@ function ExportModal({ isOpen, onClose, onExport, deviceId, chartData, chartRobo
 // ─────────────────────────────────────────────────────────────────────────────
 
 function Analysis() {
-    const { selectedDeviceId, currentRobots, taskUpdateVersion, fetchRobotTasks, getLocalTaskHistory } = useDevice();
+    const { selectedDeviceId, currentRobots, currentLayout, taskUpdateVersion, fetchRobotTasks, getLocalTaskHistory, getRegistryRobots, getZoneTimeline, slaTargets, robotHistory, batteryStats } = useDevice();
 
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState(null);
@@ -371,7 +427,7 @@ function Analysis() {
     }, [currentRobots, robotSensorData]);
 
     // Get robots for current device
-    const deviceRobots = useMemo(() => getRobotsForDevice(selectedDeviceId), [selectedDeviceId]);
+    const deviceRobots = useMemo(() => getRegistryRobots(selectedDeviceId), [getRegistryRobots, selectedDeviceId]);
 
     // Fetch robot task data from HTTP (STATE and STREAM for discovery)
     const fetchRobotData = useCallback(async () => {
@@ -429,12 +485,7 @@ function Analysis() {
 
                             if (robotId) {
                                 // Unwrap { payload: ... } envelope from state API
-                                let taskData = typeof value === 'string' ? JSON.parse(value) : value;
-                                if (taskData?.payload) {
-                                    taskData = typeof taskData.payload === 'string'
-                                        ? JSON.parse(taskData.payload)
-                                        : taskData.payload;
-                                }
+                                const taskData = normalizeRobotTask(value, { deviceId: selectedDeviceId, robotId, silent: true });
 
                                 if (!robotMap[robotId]) {
                                     robotMap[robotId] = { robotId: robotId };
@@ -442,11 +493,11 @@ function Analysis() {
 
                                 robotMap[robotId] = {
                                     ...robotMap[robotId],
-                                    taskId: taskData.taskId || taskData.task_id || '-',
+                                    taskId: taskData.task_id || '-',
                                     taskName: 'Deliver',
                                     status: taskData.status || 'Assigned',
-                                    location: taskData['initiate location'] || taskData.source_name || taskData.location || '-',
-                                    destination: taskData.destination || taskData.destination_name || '-',
+                                    location: taskData['initiate location'] || '-',
+                                    destination: taskData.destination || '-',
                                     priority: taskData.priority || 'Normal'
                                 };
                             }
@@ -496,22 +547,24 @@ function Analysis() {
                         getTopicStreamData(selectedDeviceId, `fleetMS/robots/${robotId}/temperature`, startTime, endTime, '0', '100', { silent: true }).catch(() => null)
                     ]);
 
-                    // Helper to get latest value from valid response
-                    const getLatest = (res) => {
+                    // Helper to get the latest canonical value of `field` from a per-metric topic
+                    const getLatest = (res, normalize, field) => {
                         if (res?.status === 'Success' && res.data?.length > 0) {
                             // Sort by timestamp desc
                             const sorted = res.data.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
                             const latest = sorted[0];
-                            try {
-                                const payload = JSON.parse(latest.payload || '{}');
-                                return payload.value ?? payload.battery ?? payload.temperature ?? payload.temp ?? payload;
-                            } catch (e) { return 0; }
+                            // Per-metric topics may carry a bare scalar or { value }
+                            const parsed = unwrapPayload(latest.payload);
+                            const data = parsed && typeof parsed === 'object'
+                                ? ('value' in parsed ? { [field]: parsed.value } : parsed)
+                                : { [field]: parsed };
+                            return normalize(data, { deviceId: selectedDeviceId, robotId, silent: true })[field] ?? null;
                         }
                         return null;
                     };
 
-                    const batVal = getLatest(batRes);
-                    const tempVal = getLatest(tempRes);
+                    const batVal = getLatest(batRes, normalizeRobotBattery, 'battery');
+                    const tempVal = getLatest(tempRes, normalizeRobotTemp, 'temperature');
 
                     if (batVal !== null) sensorDataMap[robotId].battery = Number(batVal);
                     if (tempVal !== null) sensorDataMap[robotId].temp = Number(tempVal);
@@ -533,10 +586,117 @@ function Analysis() {
     // Selected robot history state
     const [selectedRobotForHistory, setSelectedRobotForHistory] = useState(deviceRobots[0]?.id || (deviceRobots[0] && deviceRobots[0].id) || null);
     const [robotChartData, setRobotChartData] = useState([]);
+    const zoneTimeline = getZoneTimeline(selectedDeviceId, selectedRobotForHistory);
     const [activeRobotMetrics, setActiveRobotMetrics] = useState({ battery: true, temp: true });
     // Task history state (last 24 hours) – keyed per robot
     const [robotTaskMap, setRobotTaskMap] = useState({}); // { [robotId]: TaskEntry[] }
     const [historyLoading, setHistoryLoading] = useState(false);
+    // Fleet KPIs — status / location tracks over the selected timeRange, fetched on demand
+    const [kpiData, setKpiData] = useState(null); // { since, until, statusTracks, tracks, batteryTracks }
+    const [kpiLoading, setKpiLoading] = useState(false);
+    // Latest live history for merging into the fetched tracks (changes on every fix)
+    const robotHistoryRef = useRef(robotHistory);
+    useEffect(() => {
+        robotHistoryRef.current = robotHistory;
+    }, [robotHistory]);
+
+    const fetchKpiData = useCallback(async () => {
+        if (!selectedDeviceId || !deviceRobots.length) return;
+        setKpiLoading(true);
+        try {
+            const { startTime, endTime } = getTimeRange(timeRange);
+            const since = new Date(startTime).getTime();
+            const until = new Date(endTime).getTime();
+            const robotIds = deviceRobots.map(r => r.id);
+            const live = robotHistoryRef.current?.[selectedDeviceId] || {};
+            const statusTracks = await fetchFleetStatus(selectedDeviceId, robotIds, since, until, live);
+            const tracks = await fetchFleetTracks(selectedDeviceId, robotIds, since, until, live);
+            const batteryTracks = await fetchFleetBattery(selectedDeviceId, robotIds, since, until, live);
+            setKpiData({ since, until, statusTracks, tracks, batteryTracks });
+        } catch (err) {
+            console.error('[Analysis] KPI data fetch failed:', err);
+        } finally {
+            setKpiLoading(false);
+        }
+    }, [selectedDeviceId, deviceRobots, timeRange]);
+
+    useEffect(() => {
+        fetchKpiData();
+    }, [fetchKpiData]);
+
+    const fleetKpis = useMemo(() => {
+        if (!kpiData) return null;
+        const robotIds = deviceRobots.map(r => r.id);
+        const tasksByRobot = Object.fromEntries(
+            Object.entries(robotTaskMap).map(([robotId, rows]) => [robotId, rows.map(kpiTaskOf)])
+        );
+        const input = { robotIds, tasksByRobot, ...kpiData };
+        const robots = robotKpis(input);
+        const done = completedTasks(Object.values(tasksByRobot).flat(), kpiData.since, kpiData.until);
+        const active = robots.reduce((sum, r) => sum + r.states.active, 0);
+        const tracked = robots.reduce((sum, r) => sum + r.states.trackedMs, 0);
+        const cycle = cycleTimeStats(done);
+        return {
+            robots,
+            cycle,
+            trend: kpiTrend(input).map(b => ({
+                ...b,
+                time: new Date(b.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+                utilisation: b.utilisation != null ? Math.round(b.utilisation) : null,
+                deliveriesPerHour: Number(b.deliveriesPerHour.toFixed(1)),
+                blockedMin: Number(b.blockedMin.toFixed(1))
+            })),
+            utilisation: tracked > 0 ? (active / tracked) * 100 : null,
+            deliveries: done.length,
+            deliveriesPerHour: done.length / (Math.max(kpiData.until - kpiData.since, 1) / 3600000),
+            medianCycleMs: cycle[cycle.length - 1].medianMs,
+            distanceM: robots.reduce((sum, r) => sum + r.distanceM, 0),
+            blockedMs: robots.reduce((sum, r) => sum + r.blockedMs, 0)
+        };
+    }, [kpiData, robotTaskMap, deviceRobots]);
+
+    // Battery health per robot: rates learned live and from the battery stream over
+    // timeRange, plus the weekly runtime-per-charge trend from the saved daily totals
+    const streamBatteryRates = useMemo(() => Object.fromEntries(
+        Object.entries(kpiData?.batteryTracks || {}).map(([robotId, track]) => [
+            robotId,
+            learnBatteryModel(track, kpiData.statusTracks?.[robotId]).model?.rate ?? null
+        ])
+    ), [kpiData]);
+
+    const batteryHealth = useMemo(() => {
+        const deviceStats = batteryStats?.[selectedDeviceId] || {};
+        const robots = deviceRobots.map(r => {
+            const weeks = weeklyCapacity(deviceStats[r.id]?.days);
+            const liveModel = currentRobots?.[r.id]?.batteryModel || deviceStats[r.id]?.rates || null;
+            return {
+                robotId: r.id,
+                name: r.name || r.id,
+                activeRate: rateFor(liveModel, true),
+                idleRate: rateFor(liveModel, false),
+                streamRate: streamBatteryRates[r.id] ?? null,
+                weeks,
+                capacityPct: weeks.length > 1 ? weeks[weeks.length - 1].capacityPct : null
+            };
+        });
+        // One row per week, one column per robot (capacity % of its first week)
+        const weekKeys = [...new Set(robots.flatMap(r => r.weeks.map(w => w.week)))].sort();
+        const trend = weekKeys.map(week => {
+            const row = { week: new Date(`${week}T00:00:00`).toLocaleDateString([], { month: 'short', day: 'numeric' }) };
+            robots.forEach(r => {
+                const w = r.weeks.find(x => x.week === week);
+                row[r.robotId] = w?.capacityPct != null ? Math.round(w.capacityPct) : null;
+            });
+            return row;
+        });
+        return { robots, trend };
+    }, [batteryStats, selectedDeviceId, deviceRobots, streamBatteryRates, currentRobots]);
+
+    // SLA compliance of the completed tasks in the history, by route and by priority
+    const slaReport = useMemo(
+        () => summarizeSla(Object.values(robotTaskMap).flat().map(slaTaskOf), slaTargets),
+        [robotTaskMap, slaTargets]
+    );
     const [expandedRobots, setExpandedRobots] = useState({}); // { [robotId]: bool }
     const [robotStatusFilter, setRobotStatusFilter] = useState({}); // { [robotId]: 'all'|'completed'|... }
 
@@ -559,10 +719,10 @@ function Analysis() {
                 if (res.status === 'Success' && Array.isArray(res.data)) {
                     res.data.forEach(record => {
                         try {
-                            const payload = JSON.parse(record.payload || '{}');
+                            const context = { deviceId: selectedDeviceId, robotId: selectedRobotForHistory, silent: true };
                             const timestamp = record.timestamp;
-                            const batt = payload.battery ?? payload.level ?? payload.batteryLevel ?? null;
-                            const temp = payload.temperature ?? payload.temp ?? null;
+                            const batt = normalizeRobotBattery(record.payload, context).battery ?? null;
+                            const temp = normalizeRobotTemp(record.payload, context).temperature ?? null;
 
                             if (!dataByTimestamp[timestamp]) dataByTimestamp[timestamp] = { timestamp, battery: null, temp: null };
                             if (batt !== null) dataByTimestamp[timestamp].battery = Number(batt);
@@ -596,21 +756,6 @@ function Analysis() {
         fetchRobotHistory();
     }, [fetchRobotHistory]);
 
-    // Deep-unwrap a raw value that may be nested as stringified JSON or { payload: ... } objects
-    const deepUnwrapPayload = useCallback((raw) => {
-        let obj = raw;
-        for (let i = 0; i < 5; i++) {
-            if (typeof obj === 'string') {
-                try { obj = JSON.parse(obj); } catch { return obj; }
-            } else if (obj && typeof obj === 'object' && 'payload' in obj && obj.payload !== undefined) {
-                obj = obj.payload;
-            } else {
-                break;
-            }
-        }
-        return obj;
-    }, []);
-
     // Format raw task type codes like "MOVE_FOUP" → "Move Foup", "pickup" → "Pickup"
     const formatTaskName = useCallback((raw) => {
         if (!raw) return null;
@@ -645,12 +790,13 @@ function Analysis() {
     const parseTaskPayload = useCallback((rawPayload, robotId, robotInfo, cutoff, source) => {
         if (!rawPayload) return null;
 
-        // Deep-unwrap any string / nested { payload } wrapping
-        const payloadObj = deepUnwrapPayload(rawPayload);
-        if (!payloadObj || typeof payloadObj !== 'object') return null;
+        // Canonical task fields (unwraps string / nested { payload } envelopes).
+        // History re-reads data the live pipeline already validated, so rejections stay silent.
+        const task = normalizeRobotTask(rawPayload, { deviceId: selectedDeviceId, robotId, silent: true });
+        if (Object.keys(task).length === 0) return null;
 
         // Extract allocated timestamp — ONLY from assignedAt (set when task is allocated from Settings)
-        const rawAllocatedTs = payloadObj.assignedAt || null;
+        const rawAllocatedTs = task.assignedAt || null;
         let allocatedAt = null;
         if (rawAllocatedTs) {
             allocatedAt = typeof rawAllocatedTs === 'number'
@@ -660,7 +806,7 @@ function Analysis() {
         }
 
         // General timestamp for dedup/sorting (use allocatedAt or fallback)
-        const possibleTs = rawAllocatedTs || payloadObj.recordedAt || payloadObj.timestamp || payloadObj.time || payloadObj.updatedAt || null;
+        const possibleTs = rawAllocatedTs || task.recordedAt || task.timestamp || task.time || task.updatedAt || null;
         let ts = Date.now();
         if (possibleTs) {
             ts = typeof possibleTs === 'number'
@@ -669,20 +815,22 @@ function Analysis() {
         }
         if (ts < cutoff) return null;
 
-        const progress = Number(payloadObj.progress ?? payloadObj.percent ?? payloadObj.progress_pct ?? NaN);
-        const startTs = (payloadObj.start_time || payloadObj.started_at || payloadObj.startAt || payloadObj.start || payloadObj.assignedAt)
-            ? new Date(payloadObj.start_time || payloadObj.started_at || payloadObj.startAt || payloadObj.start || payloadObj.assignedAt).getTime() : null;
-        const completionTs = (payloadObj.completion_time || payloadObj.completed_at || payloadObj.completedAt || payloadObj.end)
-            ? new Date(payloadObj.completion_time || payloadObj.completed_at || payloadObj.completedAt || payloadObj.end).getTime() : null;
-        const elapsedMs = payloadObj.elapsed_ms || payloadObj.elapsed || (completionTs && startTs ? completionTs - startTs : null);
+        const progress = Number(task.progress ?? NaN);
+        const startTs = (task.start_time || task.assignedAt) ? new Date(task.start_time || task.assignedAt).getTime() : null;
+        const completionTs = task.completedAt ? new Date(task.completedAt).getTime() : null;
+        const elapsedMs = task.elapsed_ms || (completionTs && startTs ? completionTs - startTs : null);
 
         // Extract phase (new task tracking system)
-        const phase = payloadObj.phase || null;
+        const phase = task.phase || null;
 
         // Resolve status — prefer phase label if available, else raw status
-        let rawStatus = payloadObj.status || payloadObj.state || null;
+        let rawStatus = task.status || null;
+        // Paused for an URGENT task — the phase is where it will resume
+        const paused = rawStatus === TASK_STATUS.PREEMPTED;
         let status;
-        if (phase && PHASE_LABELS[phase]) {
+        if (paused) {
+            status = 'Paused';
+        } else if (phase && PHASE_LABELS[phase]) {
             status = PHASE_LABELS[phase];
         } else if (!rawStatus) {
             status = completionTs ? 'Completed' : startTs ? 'In Progress' : 'Assigned';
@@ -690,30 +838,22 @@ function Analysis() {
             status = normalizeStatus(rawStatus, phase);
         }
 
-        const srcLat = payloadObj.source_lat ?? payloadObj.src_lat ?? payloadObj.sourceLat ?? payloadObj.start_lat ?? payloadObj.startLat ?? payloadObj.origin?.lat ?? payloadObj.source?.lat ?? payloadObj.start?.lat;
-        const srcLng = payloadObj.source_lng ?? payloadObj.src_lng ?? payloadObj.sourceLng ?? payloadObj.start_lng ?? payloadObj.startLng ?? payloadObj.origin?.lng ?? payloadObj.source?.lng ?? payloadObj.start?.lng;
-        const dstLat = payloadObj.destination_lat ?? payloadObj.dest_lat ?? payloadObj.destinationLat ?? payloadObj.end_lat ?? payloadObj.endLat ?? payloadObj.destination?.lat ?? payloadObj.end?.lat;
-        const dstLng = payloadObj.destination_lng ?? payloadObj.dest_lng ?? payloadObj.destinationLng ?? payloadObj.end_lng ?? payloadObj.endLng ?? payloadObj.destination?.lng ?? payloadObj.end?.lng;
-
-        const sourceLocationName = payloadObj['initiate location'] || payloadObj.source_name || payloadObj.sourceName || payloadObj.origin_name || payloadObj.start_name
-            || (typeof payloadObj.source === 'string' ? payloadObj.source : null) || (typeof payloadObj.origin === 'string' ? payloadObj.origin : null);
-        const destLocationName = payloadObj.destination_name || payloadObj.destinationName || payloadObj.dest_name || payloadObj.end_name
-            || (typeof payloadObj.destination === 'string' ? payloadObj.destination : null);
-
-        // Task type is always Deliver now
-        const rawTaskName = 'Deliver';
-
-        // Resolve task ID
-        const taskId = payloadObj.taskId || payloadObj.task_id || payloadObj.id || null;
+        // Task type is always Deliver now, apart from automatic charge tasks
+        const rawTaskName = task.task_type === CHARGE_TASK_TYPE ? CHARGE_TASK_TYPE : 'Deliver';
 
         return {
-            robotId: payloadObj.robotId || payloadObj.robot || robotId,
+            robotId: task.robotId || robotId,
             robotName: robotInfo.name || robotId,
-            taskId,
+            taskId: task.task_id || null,
             taskName: formatTaskName(rawTaskName),
             rawTaskType: rawTaskName,
             phase,
             status,
+            paused,
+            priority: normalizePriority(task.priority),
+            deadline: task.deadline ?? null,
+            // { at, byTaskId, phase, progress, resumedAt?, pausedMs? } per pause (utils/taskPriority)
+            preemptions: Array.isArray(task.preemptions) ? task.preemptions : [],
             timestamp: ts,
             allocatedAt: allocatedAt,
             progress: Number.isFinite(Number(progress)) ? Number(progress) : (phase === TASK_PHASES.COMPLETED ? 100 : phase === TASK_PHASES.ASSIGNED ? 0 : status === 'Completed' ? 100 : null),
@@ -721,17 +861,27 @@ function Analysis() {
             completionTime: completionTs,
             elapsedMs,
             source,
-            sourceLocation: sourceLocationName,
-            destinationLocation: destLocationName,
-            source_lat: srcLat, source_lng: srcLng,
-            destination_lat: dstLat, destination_lng: dstLng,
+            sourceLocation: task['initiate location'] || null,
+            destinationLocation: task.destination || null,
+            source_lat: task.source_lat, source_lng: task.source_lng,
+            destination_lat: task.destination_lat, destination_lng: task.destination_lng,
+            // Multi-stop tasks: ordered stops with their own arrival / completion times
+            stops: isMultiStopTask(task)
+                ? task.stops.map(st => ({
+                    type: st.type,
+                    location: st.location ?? st.room ?? null,
+                    arrivedAt: st.arrivedAt ? new Date(st.arrivedAt).getTime() : null,
+                    completedAt: st.completedAt ? new Date(st.completedAt).getTime() : null,
+                }))
+                : null,
+            stopIndex: Number(task.stopIndex) || 0,
             // Phase timestamps
-            sourceArrivedAt: payloadObj.sourceArrivedAt ? new Date(payloadObj.sourceArrivedAt).getTime() : null,
-            pickedUpAt: payloadObj.pickedUpAt ? new Date(payloadObj.pickedUpAt).getTime() : null,
-            destinationArrivedAt: payloadObj.destinationArrivedAt ? new Date(payloadObj.destinationArrivedAt).getTime() : null,
-            deliveredAt: payloadObj.deliveredAt ? new Date(payloadObj.deliveredAt).getTime() : null,
+            sourceArrivedAt: task.sourceArrivedAt ? new Date(task.sourceArrivedAt).getTime() : null,
+            pickedUpAt: task.pickedUpAt ? new Date(task.pickedUpAt).getTime() : null,
+            destinationArrivedAt: task.destinationArrivedAt ? new Date(task.destinationArrivedAt).getTime() : null,
+            deliveredAt: task.deliveredAt ? new Date(task.deliveredAt).getTime() : null,
         };
-    }, [deepUnwrapPayload, formatTaskName, normalizeStatus]);
+    }, [selectedDeviceId, formatTaskName, normalizeStatus]);
 
     // Fetch per-robot task history (last 24 hours) from both STATE and STREAM
     const fetchTaskHistory = useCallback(async () => {
@@ -781,7 +931,7 @@ function Analysis() {
                             // Build a combined object with record metadata + payload content
                             let payloadObj;
                             try { payloadObj = JSON.parse(record.payload || '{}'); } catch { payloadObj = record.payload; }
-                            // Deep-unwrap is handled inside parseTaskPayload
+                            // Unwrapping is handled inside parseTaskPayload
                             // Inject record-level timestamp if payload doesn't have one
                             if (typeof payloadObj === 'object' && payloadObj && !payloadObj.timestamp && record.timestamp) {
                                 payloadObj.timestamp = record.timestamp;
@@ -804,7 +954,7 @@ function Analysis() {
                     // Enrich live task with real-time progress from GPS position
                     const liveTask = { ...robot.task };
                     if (liveTask.phase && robot.location?.lat != null && robot.location?.lng != null) {
-                        liveTask.progress = computePhaseProgress(liveTask, robot.location.lat, robot.location.lng);
+                        liveTask.progress = computePhaseProgress(liveTask, robot.location.lat, robot.location.lng, currentLayout);
                     }
                     const entry = parseTaskPayload(liveTask, robotId, robotInfo, cutoff, 'live');
                     if (entry) {
@@ -857,7 +1007,14 @@ function Analysis() {
                         // Merge live progress into existing entry if source is older
                         const existing = byKey[key];
                         if (entry.source === 'live' || (entry.progress != null && existing.progress == null)) {
-                            byKey[key] = { ...existing, progress: entry.progress, phase: entry.phase || existing.phase, status: entry.status || existing.status };
+                            byKey[key] = {
+                                ...existing, progress: entry.progress, phase: entry.phase || existing.phase, status: entry.status || existing.status,
+                                stops: entry.stops || existing.stops, stopIndex: entry.stops ? entry.stopIndex : existing.stopIndex
+                            };
+                        }
+                        // Keep the preemption history from whichever copy recorded it
+                        if (entry.preemptions.length > byKey[key].preemptions.length) {
+                            byKey[key] = { ...byKey[key], preemptions: entry.preemptions };
                         }
                     }
                 });
@@ -880,7 +1037,7 @@ function Analysis() {
         } finally {
             setHistoryLoading(false);
         }
-    }, [selectedDeviceId, deviceRobots, currentRobots, parseTaskPayload, getLocalTaskHistory]);
+    }, [selectedDeviceId, deviceRobots, currentRobots, currentLayout, parseTaskPayload, getLocalTaskHistory]);
 
     // Delete a task: clear the robot's task topic by sending an empty payload
     const handleDeleteTask = useCallback(async (robotId, taskEntry) => {
@@ -937,11 +1094,11 @@ function Analysis() {
             if (envRes.status === 'Success' && Array.isArray(envRes.data)) {
                 envRes.data.forEach(record => {
                     try {
-                        const payload = JSON.parse(record.payload || '{}');
+                        const env = normalizeEnvironment(record.payload, { deviceId: selectedDeviceId, silent: true });
                         const timestamp = record.timestamp;
-                        const temp = payload.temperature ?? payload.temp ?? payload.ambient_temp ?? null;
-                        const humidity = payload.humidity ?? payload.ambient_hum ?? null;
-                        const pressure = payload.pressure ?? payload.atmospheric_pressure ?? null;
+                        const temp = env.temperature ?? null;
+                        const humidity = env.humidity ?? null;
+                        const pressure = env.pressure ?? null;
 
                         if (!dataByTimestamp[timestamp]) dataByTimestamp[timestamp] = { timestamp, temp: null, humidity: null, pressure: null };
                         if (temp !== null) dataByTimestamp[timestamp].temp = Number(temp);
@@ -1276,7 +1433,7 @@ function Analysis() {
         if (s?.includes('at source') || s?.includes('picking') || s?.includes('at destination') || s?.includes('delivering')) return { background: '#FEF3C7', color: '#92400E' };
         if (s?.includes('assigned') || s?.includes('pending') || s?.includes('queued') || s?.includes('scheduled')) return { background: '#E0E7FF', color: '#4F46E5' };
         if (s?.includes('failed') || s?.includes('error') || s?.includes('aborted') || s?.includes('cancelled')) return { background: '#FEE2E2', color: '#991B1B' };
-        if (s?.includes('stalled')) return { background: '#FEF3C7', color: '#B45309' };
+        if (s?.includes('stalled') || s?.includes('paused')) return { background: '#FEF3C7', color: '#B45309' };
         if (s?.includes('ready') || s?.includes('idle')) return { background: '#E0E7FF', color: '#3730A3' };
         if (s?.includes('warning') || s?.includes('low')) return { background: '#FEF3C7', color: '#92400E' };
         return { background: '#F3F4F6', color: '#6B7280' };
@@ -1477,6 +1634,320 @@ function Analysis() {
                 </div>
             </div>
 
+            {/* Zone Timeline — geofence events for the selected robot */}
+            <div className="analysis-chart-card" id="zone-timeline-card">
+                <div className="analysis-chart-header">
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                        <span className="analysis-chart-title">
+                            <MapPin size={16} style={{ display: 'inline', verticalAlign: 'middle', marginRight: '6px' }} />
+                            Zone Timeline
+                        </span>
+                        <span className="text-muted-dark">
+                            Rooms and no-go zones {deviceRobots.find(r => r.id === selectedRobotForHistory)?.name || selectedRobotForHistory || 'the selected robot'} entered and left this session
+                        </span>
+                    </div>
+                </div>
+                <div className="analysis-table-wrap analysis-zone-timeline">
+                    <table className="analysis-table">
+                        <thead>
+                            <tr>
+                                <th>Time</th>
+                                <th>Event</th>
+                                <th>Zone</th>
+                                <th>Time in zone</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {zoneTimeline.length === 0 ? (
+                                <tr>
+                                    <td colSpan="4" style={{ textAlign: 'center', padding: '24px', color: '#9CA3AF' }}>
+                                        No zone events yet
+                                    </td>
+                                </tr>
+                            ) : zoneTimeline.map((event, idx) => (
+                                <tr key={`${event.ts}-${event.zoneId}-${event.type}-${idx}`} className="analysis-table-row">
+                                    <td style={{ whiteSpace: 'nowrap' }}>
+                                        {new Date(event.ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: true })}
+                                    </td>
+                                    <td>{ZONE_EVENTS[event.type] || event.type}</td>
+                                    <td style={{ color: event.kind === 'nogo' ? '#DC2626' : 'inherit', fontWeight: event.kind === 'nogo' ? 600 : 'normal' }}>
+                                        {event.zone}{event.kind === 'nogo' ? ' (no-go)' : ''}
+                                    </td>
+                                    <td>{event.dwellMs != null ? formatDwell(event.dwellMs) : '—'}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            {/* Fleet KPIs — utilisation, throughput, cycle time, distance and BLOCKED time over timeRange */}
+            <div className="analysis-chart-card" id="fleet-kpi-card">
+                <div className="analysis-chart-header">
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                        <span className="analysis-chart-title">
+                            <Activity size={16} style={{ display: 'inline', verticalAlign: 'middle', marginRight: '6px' }} />
+                            Fleet KPIs
+                        </span>
+                        <span className="text-muted-dark">
+                            Status and location streams plus task history over the last {timeRange}
+                        </span>
+                    </div>
+                    <button className="analysis-export-btn" onClick={fetchKpiData} disabled={kpiLoading} aria-label="Refresh KPIs">
+                        {kpiLoading ? <Loader2 size={14} className="animate-spin" /> : <RefreshCw size={14} />}
+                    </button>
+                </div>
+
+                {!fleetKpis ? (
+                    <div className="analysis-loading-state">
+                        {kpiLoading ? 'Loading KPI data...' : 'No KPI data for this device'}
+                    </div>
+                ) : (
+                    <>
+                        <div className="analysis-kpi-tiles">
+                            {[
+                                { label: 'Fleet utilisation', value: fleetKpis.utilisation != null ? `${fleetKpis.utilisation.toFixed(0)}%` : '—' },
+                                { label: 'Deliveries / hour', value: fleetKpis.deliveriesPerHour.toFixed(1), sub: `${fleetKpis.deliveries} completed` },
+                                { label: 'Median cycle time', value: fleetKpis.medianCycleMs != null ? formatDwell(fleetKpis.medianCycleMs) : '—' },
+                                { label: 'Distance travelled', value: formatDistance(fleetKpis.distanceM) },
+                                { label: 'Time BLOCKED', value: formatDwell(fleetKpis.blockedMs) }
+                            ].map(tile => (
+                                <div key={tile.label} className="analysis-kpi-tile">
+                                    <span className="analysis-kpi-tile__label">{tile.label}</span>
+                                    <span className="analysis-kpi-tile__value">{tile.value}</span>
+                                    {tile.sub && <span className="analysis-kpi-tile__sub">{tile.sub}</span>}
+                                </div>
+                            ))}
+                        </div>
+
+                        <div className="analysis-kpi-charts">
+                            <div className="analysis-kpi-chart">
+                                <ResponsiveContainer width="100%" height="100%">
+                                    <BarChart data={fleetKpis.trend} margin={{ top: 10, right: 10, left: 0, bottom: 5 }}>
+                                        <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#F3F4F6" />
+                                        <XAxis dataKey="time" axisLine={false} tickLine={false} tick={{ fontSize: 11, fill: '#9CA3AF' }} />
+                                        <YAxis axisLine={false} tickLine={false} tick={{ fontSize: 11, fill: '#9CA3AF' }} allowDecimals={false} />
+                                        <Tooltip contentStyle={{ borderRadius: '12px', border: 'none', boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)' }} />
+                                        <Legend />
+                                        <Bar dataKey="deliveries" fill="#2563EB" radius={[4, 4, 0, 0]} name="Deliveries" />
+                                    </BarChart>
+                                </ResponsiveContainer>
+                            </div>
+                            <div className="analysis-kpi-chart">
+                                <ResponsiveContainer width="100%" height="100%">
+                                    <LineChart data={fleetKpis.trend} margin={{ top: 10, right: 30, left: 0, bottom: 5 }}>
+                                        <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#F3F4F6" />
+                                        <XAxis dataKey="time" axisLine={false} tickLine={false} tick={{ fontSize: 11, fill: '#9CA3AF' }} />
+                                        <YAxis yAxisId="left" axisLine={false} tickLine={false} tick={{ fontSize: 11, fill: '#22C55E' }} unit="%" domain={[0, 100]} />
+                                        <YAxis yAxisId="right" orientation="right" axisLine={false} tickLine={false} tick={{ fontSize: 11, fill: '#7C3AED' }} unit="m" />
+                                        <Tooltip contentStyle={{ borderRadius: '12px', border: 'none', boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)' }} />
+                                        <Legend />
+                                        <Line yAxisId="left" type="monotone" dataKey="utilisation" stroke={KPI_STATE_COLORS.active} strokeWidth={2} dot={false} connectNulls name="Utilisation %" />
+                                        <Line yAxisId="right" type="monotone" dataKey="blockedMin" stroke={KPI_STATE_COLORS.blocked} strokeWidth={2} dot={false} name="Blocked (min)" />
+                                    </LineChart>
+                                </ResponsiveContainer>
+                            </div>
+                        </div>
+
+                        <div className="analysis-sla-grid">
+                            <div className="analysis-table-wrap">
+                                <table className="analysis-table">
+                                    <thead>
+                                        <tr>
+                                            <th>Robot</th>
+                                            <th>Time split</th>
+                                            <th>Utilisation</th>
+                                            <th>Deliveries</th>
+                                            <th>Per hour</th>
+                                            <th>Median cycle</th>
+                                            <th>Distance</th>
+                                            <th>Blocked</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {fleetKpis.robots.map(r => (
+                                            <tr key={r.robotId} className="analysis-table-row">
+                                                <td style={{ fontWeight: 600 }}>{deviceRobots.find(d => d.id === r.robotId)?.name || r.robotId}</td>
+                                                <td>
+                                                    <div
+                                                        className="analysis-kpi-split"
+                                                        title={[...KPI_STATES, 'untracked'].map(k => `${KPI_STATE_LABELS[k]}: ${formatDwell(r.states[k])}`).join('\n')}
+                                                    >
+                                                        {[...KPI_STATES, 'untracked'].map(k => (r.states[k] > 0 && (
+                                                            <div key={k} style={{ flex: r.states[k], background: KPI_STATE_COLORS[k] }} />
+                                                        )))}
+                                                    </div>
+                                                </td>
+                                                <td>{r.states.utilisation != null ? `${r.states.utilisation.toFixed(0)}%` : '—'}</td>
+                                                <td>{r.deliveries}</td>
+                                                <td>{r.deliveriesPerHour.toFixed(1)}</td>
+                                                <td>{r.medianCycleMs != null ? formatDwell(r.medianCycleMs) : '—'}</td>
+                                                <td>{formatDistance(r.distanceM)}</td>
+                                                <td style={{ color: r.blockedMs > 0 ? KPI_STATE_COLORS.blocked : 'inherit' }}>{formatDwell(r.blockedMs)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                                <div className="analysis-kpi-legend">
+                                    {[...KPI_STATES, 'untracked'].map(k => (
+                                        <span key={k}><i style={{ background: KPI_STATE_COLORS[k] }} />{KPI_STATE_LABELS[k]}</span>
+                                    ))}
+                                </div>
+                            </div>
+                            <div className="analysis-table-wrap">
+                                <table className="analysis-table">
+                                    <thead>
+                                        <tr>
+                                            <th>Cycle phase</th>
+                                            <th>Tasks</th>
+                                            <th>Median</th>
+                                            <th>p95</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {fleetKpis.cycle.map(c => (
+                                            <tr key={c.phase} className="analysis-table-row" style={c.phase === 'TOTAL' ? { fontWeight: 600 } : undefined}>
+                                                <td>{c.label}</td>
+                                                <td>{c.count}</td>
+                                                <td>{c.medianMs != null ? formatDwell(c.medianMs) : '—'}</td>
+                                                <td>{c.p95Ms != null ? formatDwell(c.p95Ms) : '—'}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    </>
+                )}
+            </div>
+
+            {/* Battery Health — learned discharge rates and capacity fade over weeks */}
+            <div className="analysis-chart-card" id="battery-health-card">
+                <div className="analysis-chart-header">
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                        <span className="analysis-chart-title">
+                            <BatteryCharging size={16} style={{ display: 'inline', verticalAlign: 'middle', marginRight: '6px' }} />
+                            Battery Health
+                        </span>
+                        <span className="text-muted-dark">
+                            Runtime per full charge by week, as % of each robot's first recorded week — a falling line is capacity fade
+                        </span>
+                    </div>
+                </div>
+
+                {batteryHealth.trend.length > 1 ? (
+                    <div className="analysis-kpi-chart">
+                        <ResponsiveContainer width="100%" height="100%">
+                            <LineChart data={batteryHealth.trend} margin={{ top: 10, right: 30, left: 0, bottom: 5 }}>
+                                <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#F3F4F6" />
+                                <XAxis dataKey="week" axisLine={false} tickLine={false} tick={{ fontSize: 11, fill: '#9CA3AF' }} />
+                                <YAxis axisLine={false} tickLine={false} tick={{ fontSize: 11, fill: '#9CA3AF' }} unit="%" domain={['auto', 'auto']} />
+                                <Tooltip contentStyle={{ borderRadius: '12px', border: 'none', boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)' }} />
+                                <Legend />
+                                {batteryHealth.robots.map((r, i) => (
+                                    <Line
+                                        key={r.robotId}
+                                        type="monotone"
+                                        dataKey={r.robotId}
+                                        name={r.name}
+                                        stroke={['#7C3AED', '#2563EB', '#059669', '#D97706', '#DC2626', '#0891B2'][i % 6]}
+                                        strokeWidth={2}
+                                        connectNulls
+                                    />
+                                ))}
+                            </LineChart>
+                        </ResponsiveContainer>
+                    </div>
+                ) : (
+                    <div className="analysis-loading-state">
+                        Capacity trend appears after two weeks of recorded discharge
+                    </div>
+                )}
+
+                <div className="analysis-table-wrap">
+                    <table className="analysis-table">
+                        <thead>
+                            <tr>
+                                <th>Robot</th>
+                                <th>Working rate</th>
+                                <th>Idle rate</th>
+                                <th>Stream rate ({timeRange})</th>
+                                <th>Weeks recorded</th>
+                                <th>Capacity vs first week</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {batteryHealth.robots.map(r => {
+                                const rate = (v) => (v != null ? `${v.toFixed(1)}%/h` : '—');
+                                return (
+                                    <tr key={r.robotId} className="analysis-table-row">
+                                        <td style={{ fontWeight: 600 }}>{r.name}</td>
+                                        <td>{rate(r.activeRate)}</td>
+                                        <td>{rate(r.idleRate)}</td>
+                                        <td>{rate(r.streamRate)}</td>
+                                        <td>{r.weeks.length}</td>
+                                        <td style={{ fontWeight: 600, color: r.capacityPct == null ? 'inherit' : r.capacityPct >= 90 ? '#059669' : r.capacityPct >= 80 ? '#D97706' : '#DC2626' }}>
+                                            {r.capacityPct != null ? `${r.capacityPct.toFixed(0)}%` : '—'}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            {/* SLA Compliance — completed tasks in the task history against their targets */}
+            <div className="analysis-chart-card" id="sla-report-card">
+                <div className="analysis-chart-header">
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                        <span className="analysis-chart-title">
+                            <Timer size={16} style={{ display: 'inline', verticalAlign: 'middle', marginRight: '6px' }} />
+                            SLA Compliance
+                        </span>
+                        <span className="text-muted-dark">
+                            {slaReport.overall.total > 0
+                                ? `${slaReport.overall.met} of ${slaReport.overall.total} completed tasks met their target (${slaReport.overall.compliance.toFixed(0)}%)`
+                                : 'No completed tasks in the task history yet'}
+                        </span>
+                    </div>
+                </div>
+                {slaReport.overall.total > 0 && (
+                    <div className="analysis-sla-grid">
+                        {[{ title: 'By route', groups: slaReport.byRoute }, { title: 'By priority', groups: slaReport.byPriority }].map(({ title, groups }) => (
+                            <div key={title} className="analysis-table-wrap">
+                                <table className="analysis-table">
+                                    <thead>
+                                        <tr>
+                                            <th>{title}</th>
+                                            <th>Tasks</th>
+                                            <th>Met</th>
+                                            <th>Breached</th>
+                                            <th>Compliance</th>
+                                            <th>Avg time / target</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {groups.map(g => (
+                                            <tr key={g.key} className="analysis-table-row">
+                                                <td>{PRIORITY_LABELS[g.key] || g.label}</td>
+                                                <td>{g.total}</td>
+                                                <td style={{ color: '#059669' }}>{g.met}</td>
+                                                <td style={{ color: g.breached > 0 ? '#DC2626' : 'inherit', fontWeight: g.breached > 0 ? 600 : 'normal' }}>{g.breached}</td>
+                                                <td style={{ fontWeight: 600, color: g.compliance >= 95 ? '#059669' : g.compliance >= 80 ? '#D97706' : '#DC2626' }}>
+                                                    {g.compliance.toFixed(0)}%
+                                                </td>
+                                                <td>{formatDwell(g.avgElapsedMs)} / {formatDwell(g.avgTargetMs)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
 {/* Per-Robot Task History Tables (last 24 hours) */}
             <div className="analysis-task-section">
                 <div className="analysis-task-section__header">
@@ -1639,7 +2110,11 @@ function Analysis() {
                                                         };
                                                         const src = formatLoc(row.sourceLocation, row.source_lat, row.source_lng);
                                                         const dst = formatLoc(row.destinationLocation, row.destination_lat, row.destination_lng);
-                                                        const route = src && dst ? `${src} → ${dst}` : (src ? `From: ${src}` : dst ? `To: ${dst}` : '—');
+                                                        const route = row.stops
+                                                            ? row.stops.map(st => st.location || '?').join(' → ')
+                                                            : src && dst ? `${src} → ${dst}` : (src ? `From: ${src}` : dst ? `To: ${dst}` : '—');
+                                                        const isFinished = row.phase === TASK_PHASES.COMPLETED || row.status === 'Completed';
+                                                        const rowSla = evaluateSla(slaTaskOf(row), slaTargets);
 
                                                         const progressVal = row.progress;
                                                         const progressColor = progressVal >= 100 ? '#059669' : progressVal >= 50 ? '#2563EB' : progressVal > 0 ? '#D97706' : '#9CA3AF';
@@ -1685,6 +2160,11 @@ function Analysis() {
                                                                             {row.rawTaskType}
                                                                         </span>
                                                                     )}
+                                                                    {row.priority && row.priority !== TASK_PRIORITY.NORMAL && (
+                                                                        <span className={`settings-dispatch-priority settings-dispatch-priority--${row.priority.toLowerCase()}`} style={{ marginLeft: '4px' }}>
+                                                                            {PRIORITY_LABELS[row.priority]}
+                                                                        </span>
+                                                                    )}
                                                                 </td>
                                                                 <td style={{ fontFamily: 'monospace' }}>
                                                                     {row.taskId ? (
@@ -1696,14 +2176,32 @@ function Analysis() {
                                                                     )}
                                                                 </td>
                                                                 <td>
-                                                                    <span className="analysis-status-badge" style={getStatusStyle(row.status, row.phase)}>
+                                                                    <span className="analysis-status-badge" style={getStatusStyle(row.status, row.paused ? null : row.phase)}>
                                                                         {row.status}
                                                                     </span>
+                                                                    {row.preemptions?.length > 0 && (
+                                                                        <div
+                                                                            style={{ fontSize: '10px', color: '#B45309', marginTop: '2px' }}
+                                                                            title={row.preemptions.map(p =>
+                                                                                `${new Date(p.at).toLocaleTimeString()} — paused by ${p.byTaskId || '?'} at ${PHASE_LABELS[p.phase] || p.phase || '?'}${p.progress != null ? ` (${p.progress}%)` : ''}${p.pausedMs != null ? `, resumed after ${formatElapsed(p.pausedMs)}` : ''}`
+                                                                            ).join('\n')}
+                                                                        >
+                                                                            ⏸ Preempted ×{row.preemptions.length}
+                                                                        </div>
+                                                                    )}
                                                                     {row.elapsedMs && (
                                                                         <div style={{ fontSize: '10px', color: '#9CA3AF', marginTop: '2px' }}>
                                                                             {formatElapsed(row.elapsedMs)}
                                                                         </div>
                                                                     )}
+                                                                    {rowSla && (rowSla.status === SLA_STATUS.MET || rowSla.status === SLA_STATUS.BREACHED) && (
+                                                                        <div
+                                                                            style={{ fontSize: '10px', fontWeight: 600, marginTop: '2px', color: rowSla.status === SLA_STATUS.MET ? '#059669' : '#DC2626' }}
+                                                                            title={`Target ${formatElapsed(rowSla.targetMs)} (${rowSla.basis})`}
+                                                                        >
+                                                                            {SLA_STATUS_LABELS[rowSla.status]}
+                                                                        </div>
+                                                                    )}
                                                                 </td>
                                                                 <td>
                                                                     {progressVal != null ? (
@@ -1717,6 +2215,7 @@ function Analysis() {
                                                                             {row.phase && PHASE_LABELS[row.phase] && row.phase !== TASK_PHASES.COMPLETED && row.phase !== TASK_PHASES.ASSIGNED && (
                                                                                 <div style={{ fontSize: '9px', color: '#6B7280', marginTop: '2px', whiteSpace: 'nowrap' }}>
                                                                                     {PHASE_LABELS[row.phase]}
+                                                                                    {row.stops && ` · Stop ${Math.min(row.stopIndex + 1, row.stops.length)}/${row.stops.length}`}
                                                                                 </div>
                                                                             )}
                                                                         </div>
@@ -1726,6 +2225,26 @@ function Analysis() {
                                                                 </td>
                                                                 <td style={{ maxWidth: '200px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={route !== '—' ? route : undefined}>
                                                                     {route}
+                                                                    {row.stops && (
+                                                                        <div style={{ marginTop: '2px' }}>
+                                                                            {row.stops.map((st, i) => {
+                                                                                const done = st.completedAt != null || isFinished;
+                                                                                const current = !done && i === row.stopIndex;
+                                                                                return (
+                                                                                    <div
+                                                                                        key={i}
+                                                                                        style={{ fontSize: '10px', color: done ? '#059669' : current ? '#2563EB' : '#9CA3AF', overflow: 'hidden', textOverflow: 'ellipsis' }}
+                                                                                        title={[
+                                                                                            st.arrivedAt && `Arrived ${new Date(st.arrivedAt).toLocaleTimeString()}`,
+                                                                                            st.completedAt && `Left ${new Date(st.completedAt).toLocaleTimeString()}`
+                                                                                        ].filter(Boolean).join(' · ') || undefined}
+                                                                                    >
+                                                                                        {done ? '✓' : current ? '●' : '○'} {i + 1}. {st.type === STOP_TYPES.PICKUP ? 'Pickup' : 'Drop'} — {st.location || '?'}
+                                                                                    </div>
+                                                                                );
+                                                                            })}
+                                                                        </div>
+                                                                    )}
                                                                 </td>
                                                                 <td>
                                                                     <span className="analysis-source-badge" style={{ background: sourceBadge.bg, color: sourceBadge.color }}>
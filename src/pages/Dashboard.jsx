@@ -16,31 +16,57 @@ import {
 } from 'lucide-react';
 import { useDevice } from '../contexts/DeviceContext';
 import { toggleAC, setAirPurifier } from '../services/api';
-import { TASK_PHASES, PHASE_LABELS, PHASE_COLORS, FACILITY_BOUNDS as SHARED_FACILITY_BOUNDS, gpsToPercent as sharedGpsToPercent, percentToGps as sharedPercentToGps } from '../utils/telemetryMath';
+import { TASK_PHASES, PHASE_LABELS, PHASE_COLORS, compileLayout, currentStopIndex, getTaskStops, gpsToPercent, percentToGps, planRoute } from '../utils/telemetryMath';
+import { ALERT_STATES, alertState } from '../utils/alertLifecycle';
+import { THRESHOLD_RANGES } from '../utils/thresholds';
 
 // Fab Map Component
 function FabMap() {
-    const { currentRobots } = useDevice();
+    const { currentRobots, currentLayout, selectedDeviceId, getDockOccupancy } = useDevice();
     const [selectedRobot, setSelectedRobot] = useState(null);
     const [clickedCoords, setClickedCoords] = useState(null); // { lat, lng, x, y }
     const mapRef = useRef(null);
 
     const robots = Object.values(currentRobots || {});
 
-    // Zone definitions
+    // Rooms and no-go zones from the device's facility layout, drawn as their
+    // bounding box clipped to the polygon
+    const toZone = (shape, type) => {
+        const pts = shape.points.map(p => gpsToPercent(p.lat, p.lng, currentLayout));
+        const xs = pts.map(p => p.xPercent);
+        const ys = pts.map(p => p.yPercent);
+        const left = Math.min(...xs);
+        const top = Math.min(...ys);
+        const width = Math.max(...xs) - left || 1;
+        const height = Math.max(...ys) - top || 1;
+        const clip = pts
+            .map(p => `${((p.xPercent - left) / width) * 100}% ${((p.yPercent - top) / height) * 100}%`)
+            .join(', ');
+        return { id: shape.id, name: shape.name, type, left: `${left}%`, top: `${top}%`, width: `${width}%`, height: `${height}%`, clipPath: `polygon(${clip})` };
+    };
+    const plan = compileLayout(currentLayout);
     const zones = [
-        { id: 'cleanroom-a', name: 'Cleanroom A', left: '5%', top: '5%', width: '35%', height: '40%', type: 'cleanroom' },
-        { id: 'cleanroom-b', name: 'Cleanroom B', left: '45%', top: '5%', width: '30%', height: '40%', type: 'cleanroom' },
-        { id: 'loading', name: 'Loading Bay', left: '5%', top: '55%', width: '25%', height: '35%', type: 'loading' },
-        { id: 'storage', name: 'Storage', left: '35%', top: '55%', width: '25%', height: '35%', type: 'storage' },
-        { id: 'maintenance', name: 'Maintenance', left: '65%', top: '55%', width: '25%', height: '25%', type: 'storage' },
-        { id: 'parking', name: 'Reset Position (Ready)', left: '65%', top: '82%', width: '25%', height: '10%', type: 'reset' },
+        ...plan.roomList.map(room => toZone(room, room.type)),
+        ...plan.noGoZones.map(zone => toZone(zone, 'nogo')),
     ];
-
-    // Use shared facility bounds and GPS conversion from telemetryMath (single source of truth)
-    const FACILITY_BOUNDS = SHARED_FACILITY_BOUNDS;
-    const gpsToPercent = (lat, lng) => sharedGpsToPercent(lat, lng);
-    const percentToGps = (xPercent, yPercent) => sharedPercentToGps(xPercent, yPercent);
+    const dockOccupants = getDockOccupancy(selectedDeviceId);
+    const docks = plan.docks.map(dock => ({ ...dock, ...gpsToPercent(dock.lat, dock.lng, currentLayout), occupant: dockOccupants[dock.id] || null }));
+
+    // Active task legs, planned along the aisles, as percent polylines
+    const routes = robots.flatMap(robot => {
+        const task = robot.task;
+        if (!task?.phase || task.phase === TASK_PHASES.COMPLETED || task.phase === TASK_PHASES.FAILED) return [];
+        if (robot.location?.lat == null || robot.location?.lng == null) return [];
+        const stops = getTaskStops(task, currentLayout);
+        const target = stops[currentStopIndex(task, stops)]?.point;
+        if (!target) return [];
+        const { points } = planRoute({ lat: robot.location.lat, lng: robot.location.lng }, target, currentLayout);
+        const path = points.map(p => {
+            const { xPercent, yPercent } = gpsToPercent(p.lat, p.lng, currentLayout);
+            return `${xPercent},${yPercent}`;
+        }).join(' ');
+        return [{ robotId: robot.id, path }];
+    });
 
     // Handle map click to show coordinates
     const handleMapClick = (e) => {
@@ -55,7 +81,7 @@ function FabMap() {
         const yPercent = (y / rect.height) * 100;
 
         // Convert to GPS
-        const { lat, lng } = percentToGps(xPercent, yPercent);
+        const { lat, lng } = percentToGps(xPercent, yPercent, currentLayout);
 
         setClickedCoords({
             lat: lat,
@@ -126,6 +152,7 @@ function FabMap() {
                             top: zone.top,
                             width: zone.width,
                             height: zone.height,
+                            clipPath: zone.clipPath,
                         }}
                         onClick={(e) => e.stopPropagation()} // Don't trigger map click
                     >
@@ -133,6 +160,25 @@ function FabMap() {
                     </div>
                 ))}
 
+                {/* Charging docks */}
+                {docks.map(dock => (
+                    <div
+                        key={dock.id}
+                        className={`fab-dock${dock.occupant ? ` fab-dock--${dock.occupant.state}` : ''}`}
+                        style={{ left: `${dock.xPercent}%`, top: `${dock.yPercent}%` }}
+                        title={dock.occupant ? `${dock.name}: ${dock.occupant.robotId} (${dock.occupant.state})` : `${dock.name}: free`}
+                    />
+                ))}
+
+                {/* Task routes */}
+                {routes.length > 0 && (
+                    <svg className="fab-routes" viewBox="0 0 100 100" preserveAspectRatio="none">
+                        {routes.map(route => (
+                            <polyline key={route.robotId} points={route.path} />
+                        ))}
+                    </svg>
+                )}
+
                 {/* Clicked Position Marker & Tooltip */}
                 {clickedCoords && (
                     <>
@@ -197,7 +243,7 @@ function FabMap() {
                         const lat = Number(robot.location.lat);
                         const lng = Number(robot.location.lng);
                         if (!isNaN(lat) && !isNaN(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
-                            const p = gpsToPercent(lat, lng);
+                            const p = gpsToPercent(lat, lng, currentLayout);
                             x = p.xPercent;
                             y = p.yPercent;
                         } else {
@@ -297,6 +343,15 @@ function FabMap() {
                                 </span>
                             </div>
                         )}
+                        {selectedRobot.task?.etaAt != null && selectedRobot.task.phase !== TASK_PHASES.COMPLETED && (
+                            <div className="robot-tooltip-row">
+                                <span className="label">ETA:</span>
+                                <span className="value">
+                                    {new Date(selectedRobot.task.etaAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                    {selectedRobot.task.remainingM != null && ` (${selectedRobot.task.remainingM} m left)`}
+                                </span>
+                            </div>
+                        )}
                         {/* Show ready-for-assignment indicator when no active task */}
                         {!selectedRobot.task && selectedRobot.status?.state === 'READY' && (
                             <div className="robot-tooltip-row">
@@ -321,82 +376,47 @@ function FabMap() {
 
 // Status Card Component
 function StatusCard() {
-    const { currentDeviceData, selectedDeviceId, isConnected, currentDevice } = useDevice();
+    const { currentDeviceData, selectedDeviceId, isConnected, currentDevice, getEffectiveThresholds } = useDevice();
 
     const env = currentDeviceData?.environment || {};
 
-    // Normalize metric keys and status/color helpers
+    // Metric lookup (device environment is stored in canonical form) and status/color helpers
     const getMetricValue = (key) => {
-        if (key === 'temperature') return env.temperature ?? env.ambient_temp ?? env.temp ?? env.ambientTemp ?? null;
-        if (key === 'humidity') return env.humidity ?? env.ambient_hum ?? env.hum ?? env.ambientHum ?? null;
-        if (key === 'pressure') return env.pressure ?? env.atmospheric_pressure ?? env.atm_pressure ?? env.atmosphericPressure ?? null;
+        if (key === 'temperature') return env.ambient_temp ?? null;
+        if (key === 'humidity') return env.ambient_hum ?? null;
+        if (key === 'pressure') return env.atmospheric_pressure ?? null;
         return null;
     };
 
+    // Bands around the device's effective thresholds (global settings + threshold profiles)
+    const thresholds = getEffectiveThresholds(selectedDeviceId);
+
     const getTemperatureStatus = (temp) => {
         if (temp == null) return 'normal';
-        // Try to read user settings from localStorage
-        try {
-            const raw = localStorage.getItem('fabrix_settings');
-            if (raw) {
-                const s = JSON.parse(raw);
-                const t = s.temperature || {};
-                const min = typeof t.min === 'number' ? t.min : 20;
-                const max = typeof t.max === 'number' ? t.max : 40;
-                // Critical when outside configured range
-                if (temp > max || temp < min) return 'critical';
-                // Warning when within 3 degrees of either bound
-                if (temp > (max - 3) || temp < (min + 3)) return 'warning';
-                return 'normal';
-            }
-        } catch (e) {
-            console.warn('[Dashboard] Failed to parse settings for temperature status', e);
-        }
-        // Fallback to original thresholds
-        if (temp > 28) return 'critical';
-        if (temp > 25) return 'warning';
+        const { min, max } = thresholds.temperature;
+        // Critical when outside configured range
+        if (temp > max || temp < min) return 'critical';
+        // Warning when within 3 degrees of either bound
+        if (temp > (max - 3) || temp < (min + 3)) return 'warning';
         return 'normal';
     };
 
     const getHumidityStatus = (hum) => {
         if (hum == null) return 'normal';
-        try {
-            const raw = localStorage.getItem('fabrix_settings');
-            if (raw) {
-                const s = JSON.parse(raw);
-                const h = s.humidity || {};
-                const min = typeof h.min === 'number' ? h.min : 30;
-                const max = typeof h.max === 'number' ? h.max : 60;
-                if (hum > max || hum < min) return 'critical';
-                if (hum > (max - 5) || hum < (min + 5)) return 'warning';
-                return 'normal';
-            }
-        } catch (e) {
-            console.warn('[Dashboard] Failed to parse settings for humidity status', e);
-        }
-        if (hum > 60 || hum < 30) return 'critical';
-        if (hum > 55 || hum < 35) return 'warning';
+        const { min, max } = thresholds.humidity;
+        if (hum > max || hum < min) return 'critical';
+        if (hum > (max - 5) || hum < (min + 5)) return 'warning';
         return 'normal';
     };
 
     const getPressureStatus = (p) => {
         if (p == null) return 'normal';
-        try {
-            const raw = localStorage.getItem('fabrix_settings');
-            if (raw) {
-                const s = JSON.parse(raw);
-                const pr = s.pressure || {};
-                // If user provided reasonable hPa values, use them; otherwise fallback to hardcoded logic
-                if (typeof pr.min === 'number' && typeof pr.max === 'number') {
-                    const min = pr.min;
-                    const max = pr.max;
-                    if (p > max || p < min) return 'critical';
-                    if (p > (max - 10) || p < (min + 10)) return 'warning';
-                    return 'normal';
-                }
-            }
-        } catch (e) {
-            console.warn('[Dashboard] Failed to parse settings for pressure status', e);
+        const { min, max } = thresholds.pressure;
+        // Use the configured range when it is in hPa; otherwise fall back to the standard atmosphere band
+        if (min >= THRESHOLD_RANGES.pressure.absMin) {
+            if (p > max || p < min) return 'critical';
+            if (p > (max - 10) || p < (min + 10)) return 'warning';
+            return 'normal';
         }
         if (p < 980 || p > 1050) return 'critical';
         if (p < 990 || p > 1040) return 'warning';
@@ -451,7 +471,10 @@ function StatusCard() {
 function AlertsCard() {
     const { alerts } = useDevice();
 
-    const activeAlerts = alerts.slice(0, 3);
+    // Open alerts only — snoozed and resolved ones are on the Alerts page
+    const activeAlerts = alerts
+        .filter(a => [ALERT_STATES.ACTIVE, ALERT_STATES.ACKNOWLEDGED].includes(alertState(a)))
+        .slice(0, 3);
 
     return (
         <div className="alerts-card">
@@ -464,6 +487,7 @@ function AlertsCard() {
                 activeAlerts.map(alert => (
                     <div key={alert.id} className={`alert-item ${alert.type}`}>
                         {alert.message}
+                        {alert.count > 1 && <span className="alerts-count">×{alert.count}</span>}
                     </div>
                 ))
             ) : (
@@ -617,7 +641,7 @@ function ControlToggles() {
 
 // Notice shown in Manual mode suggesting toggles to enable
 function ManualModeNotice() {
-    const { currentDeviceData } = useDevice();
+    const { currentDeviceData, selectedDeviceId, getEffectiveThresholds } = useDevice();
     const env = currentDeviceData?.environment || {};
 
     let saved = {};
@@ -626,12 +650,12 @@ function ManualModeNotice() {
         if (savedRaw) saved = JSON.parse(savedRaw);
     } catch { /* corrupt settings — use defaults */ }
     const mode = saved.systemMode || 'MANUAL';
-    const thresholds = saved.thresholds || { temperature: { min: 18, max: 28, critical: 44 }, humidity: { min: 30, max: 60, critical: 85 } };
+    const thresholds = getEffectiveThresholds(selectedDeviceId);
 
     if (mode !== 'MANUAL') return null;
 
-    const temp = env.ambient_temp ?? env.temperature ?? env.temp;
-    const hum = env.ambient_hum ?? env.humidity ?? env.hum;
+    const temp = env.ambient_temp;
+    const hum = env.ambient_hum;
     const deviceState = currentDeviceData?.state || {};
     const acIsOff = !deviceState.ac_power || deviceState.ac_power === 'OFF' || deviceState.ac_power === 'INACTIVE';
     const purifierIsOff = !deviceState.air_purifier || deviceState.air_purifier === 'OFF' || deviceState.air_purifier === 'INACTIVE';
@@ -766,6 +790,11 @@ function RobotDetails() {
                                 <div style={{ width: `${Math.min(progress, 100)}%`, height: '100%', background: colors.color, borderRadius: '2px', transition: 'width 0.5s ease' }} />
                             </div>
                             <span style={{ fontSize: '9px', fontWeight: '600', color: colors.color }}>{progress}%</span>
+                            {task.etaAt != null && (
+                                <span style={{ fontSize: '9px', color: '#6B7280' }}>
+                                    ETA {new Date(task.etaAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                </span>
+                            )}
                         </div>
                     )}
                 </div>
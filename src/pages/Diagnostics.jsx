@@ -0,0 +1,409 @@
+/**
+ * @module Diagnostics
+ * @description Connection health page. Shows broker status, reconnect and
+ * heartbeat counters, per-gateway and per-robot message rates, API error
+ * counts, rejected telemetry payloads and the connection event log, so an
+ * operator can tell whether the broker, a gateway or a single robot has gone
+ * quiet. The full snapshot can be exported as JSON for support.
+ */
+import { useState, useEffect, useMemo } from 'react';
+import {
+    Activity,
+    Download,
+    RefreshCw,
+    Wifi,
+    WifiOff,
+    HeartPulse,
+    AlertCircle,
+    Trash2
+} from 'lucide-react';
+import { useDevice } from '../contexts/DeviceContext';
+import { getDiagnosticsSnapshot, resetDiagnostics } from '../services/diagnostics';
+
+/** How often the page re-reads the diagnostics snapshot. */
+const REFRESH_MS = 2000;
+
+/** A gateway or robot with no message for this long is reported silent. */
+const SILENT_AFTER_MS = 60 * 1000;
+
+const VERDICT_STYLES = {
+    ok: { background: '#DCFCE7', color: '#16A34A' },
+    robot: { background: '#FEF3C7', color: '#B45309' },
+    gateway: { background: '#FEE2E2', color: '#991B1B' },
+    broker: { background: '#FEE2E2', color: '#991B1B' },
+    unknown: { background: '#F3F4F6', color: '#6B7280' }
+};
+
+const EVENT_COLORS = {
+    connected: '#16A34A',
+    disconnected: '#DC2626',
+    'broker-error': '#DC2626',
+    'socket-error': '#DC2626',
+    'heartbeat-miss': '#D97706',
+    'reconnect-scheduled': '#D97706',
+    connecting: '#6B7280'
+};
+
+/** "12s ago" / "3m ago" style age, relative to the snapshot time. */
+function formatAge(at, now) {
+    if (!at) return '—';
+    const seconds = Math.max(0, Math.round((now - at) / 1000));
+    if (seconds < 60) return `${seconds}s ago`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    return `${Math.floor(seconds / 3600)}h ago`;
+}
+
+function StatCard({ title, value, sub, color, icon: Icon }) {
+    return (
+        <div className="analysis-insight-card" style={{ borderColor: `${color}20` }}>
+            <div className="analysis-insight-card__bg-icon" style={{ color }}>
+                {Icon && <Icon size={80} />}
+            </div>
+            <p className="analysis-insight-card__label">{title}</p>
+            <h3 className="analysis-insight-card__value">{value}</h3>
+            <p className="analysis-insight-card__sub">{sub}</p>
+        </div>
+    );
+}
+
+function Diagnostics() {
+    const { devices, getRegistryRobots } = useDevice();
+    const [snapshot, setSnapshot] = useState(getDiagnosticsSnapshot);
+
+    useEffect(() => {
+        const id = setInterval(() => setSnapshot(getDiagnosticsSnapshot()), REFRESH_MS);
+        return () => clearInterval(id);
+    }, []);
+
+    // Ages are computed against the snapshot time so render stays pure
+    const now = Date.parse(snapshot.generatedAt);
+    const { connection, api, rejected } = snapshot;
+
+    const gatewayRows = useMemo(() => {
+        const byId = new Map(snapshot.devices.map(d => [d.deviceId, d]));
+        return devices.map(device => ({
+            ...device,
+            stats: byId.get(device.id) || null
+        }));
+    }, [devices, snapshot.devices]);
+
+    // Per-robot verdict: the first layer that has gone quiet is the culprit
+    const robotRows = useMemo(() => {
+        const byKey = new Map(snapshot.robots.map(r => [`${r.deviceId}|${r.robotId}`, r]));
+        const gatewayLastAt = new Map(snapshot.devices.map(d => [d.deviceId, d.lastAt]));
+
+        return devices.flatMap(device => getRegistryRobots(device.id)
+            .map(robot => {
+                const stats = byKey.get(`${device.id}|${robot.id}`) || null;
+                const gatewayAt = gatewayLastAt.get(device.id);
+                let verdict = 'ok';
+                if (!connection.connected) verdict = 'broker';
+                else if (!gatewayAt || now - gatewayAt > SILENT_AFTER_MS) verdict = 'gateway';
+                else if (!stats?.lastAt || now - stats.lastAt > SILENT_AFTER_MS) verdict = 'robot';
+                return { deviceId: device.id, robot, stats, verdict };
+            }));
+    }, [devices, getRegistryRobots, snapshot.robots, snapshot.devices, connection.connected, now]);
+
+    const verdictLabel = {
+        ok: 'OK',
+        robot: 'Robot silent',
+        gateway: 'Gateway silent',
+        broker: 'Broker down'
+    };
+
+    const handleRefresh = () => setSnapshot(getDiagnosticsSnapshot());
+
+    const handleReset = () => {
+        resetDiagnostics();
+        setSnapshot(getDiagnosticsSnapshot());
+    };
+
+    const handleExport = () => {
+        const data = getDiagnosticsSnapshot();
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `FMS_diagnostics_${data.generatedAt.replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+    };
+
+    const apiStatuses = Object.entries(api.byStatus).sort((a, b) => b[1] - a[1]);
+    const apiEndpoints = Object.entries(api.byEndpoint).sort((a, b) => b[1] - a[1]).slice(0, 10);
+    const recentEvents = [...connection.events].reverse().slice(0, 50);
+    const recentRejected = [...rejected.recent].reverse().slice(0, 20);
+
+    return (
+        <div className="analysis-page" style={{ maxWidth: '100%', minHeight: '100%' }}>
+            <div className="analysis-header">
+                <div>
+                    <h1 className="analysis-title">Connection Diagnostics</h1>
+                    <p className="analysis-subtitle">
+                        Broker, gateway and API health since {new Date(snapshot.sessionStartedAt).toLocaleTimeString()}
+                    </p>
+                </div>
+                <div className="analysis-controls">
+                    <button className="analysis-export-btn" onClick={handleRefresh} aria-label="Refresh">
+                        <RefreshCw size={14} />
+                    </button>
+                    <button className="analysis-export-btn" onClick={handleReset}>
+                        <Trash2 size={14} /> Reset
+                    </button>
+                    <button className="analysis-export-btn analysis-export-btn--primary" onClick={handleExport}>
+                        <Download size={14} /> Export JSON
+                    </button>
+                </div>
+            </div>
+
+            {/* Summary */}
+            <div className="analysis-insight-row">
+                <StatCard
+                    title="Broker"
+                    value={connection.connected ? 'Connected' : 'Disconnected'}
+                    sub={connection.connected
+                        ? `Up for ${formatAge(connection.connectedSince, now).replace(' ago', '')}`
+                        : `Last drop ${formatAge(connection.lastDisconnectAt, now)}`}
+                    color={connection.connected ? '#22C55E' : '#EF4444'}
+                    icon={connection.connected ? Wifi : WifiOff}
+                />
+                <StatCard
+                    title="Reconnects"
+                    value={connection.reconnectAttempts}
+                    sub={`${connection.disconnects} disconnects · ${connection.connects} connects`}
+                    color="#7C3AED"
+                    icon={RefreshCw}
+                />
+                <StatCard
+                    title="Heartbeat Misses"
+                    value={connection.heartbeatMisses}
+                    sub={`${connection.brokerErrors} broker errors`}
+                    color="#D97706"
+                    icon={HeartPulse}
+                />
+                <StatCard
+                    title="API Errors"
+                    value={api.totalErrors}
+                    sub={apiStatuses.length ? `Most common: ${apiStatuses[0][0]}` : 'No failed requests'}
+                    color={api.totalErrors > 0 ? '#EF4444' : '#059669'}
+                    icon={AlertCircle}
+                />
+            </div>
+
+            {/* Gateways */}
+            <div className="analysis-fleet-section diagnostics-section">
+                <div className="analysis-fleet-header">
+                    <h2 className="analysis-fleet-title">
+                        Gateways
+                        <span className="analysis-fleet-count">{gatewayRows.length} devices</span>
+                    </h2>
+                </div>
+                <div className="analysis-table-wrap diagnostics-table-wrap">
+                    <table className="analysis-table">
+                        <thead>
+                            <tr>
+                                <th>Device</th>
+                                <th>Messages</th>
+                                <th>Msgs / min</th>
+                                <th>Last Message</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {gatewayRows.map(({ id, name, stats }) => (
+                                <tr key={id}>
+                                    <td><strong>{name}</strong> <span className="diagnostics-muted">{id}</span></td>
+                                    <td>{stats?.count ?? 0}</td>
+                                    <td>{stats?.perMinute ?? 0}</td>
+                                    <td>{formatAge(stats?.lastAt, now)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            {/* Robots */}
+            <div className="analysis-fleet-section diagnostics-section">
+                <div className="analysis-fleet-header">
+                    <h2 className="analysis-fleet-title">
+                        Robots
+                        <span className="analysis-fleet-count">silent after {SILENT_AFTER_MS / 1000}s</span>
+                    </h2>
+                </div>
+                <div className="analysis-table-wrap diagnostics-table-wrap">
+                    <table className="analysis-table">
+                        <thead>
+                            <tr>
+                                <th>Robot</th>
+                                <th>Device</th>
+                                <th>Messages</th>
+                                <th>Last Message</th>
+                                <th>Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {robotRows.map(({ deviceId, robot, stats, verdict }) => (
+                                <tr key={`${deviceId}:${robot.id}`}>
+                                    <td><strong>{robot.name}</strong> <span className="diagnostics-muted">{robot.id}</span></td>
+                                    <td>{deviceId}</td>
+                                    <td>{stats?.count ?? 0}</td>
+                                    <td>{formatAge(stats?.lastAt, now)}</td>
+                                    <td>
+                                        <span className="analysis-status-badge" style={VERDICT_STYLES[verdict] || VERDICT_STYLES.unknown}>
+                                            {verdictLabel[verdict]}
+                                        </span>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            {/* Topics */}
+            <div className="analysis-fleet-section diagnostics-section">
+                <div className="analysis-fleet-header">
+                    <h2 className="analysis-fleet-title">
+                        Topics
+                        <span className="analysis-fleet-count">{snapshot.topics.length} active</span>
+                    </h2>
+                </div>
+                <div className="analysis-table-wrap diagnostics-table-wrap">
+                    {snapshot.topics.length === 0 ? (
+                        <p className="diagnostics-empty">No messages received yet.</p>
+                    ) : (
+                        <table className="analysis-table">
+                            <thead>
+                                <tr>
+                                    <th>Device</th>
+                                    <th>Topic</th>
+                                    <th>Messages</th>
+                                    <th>Msgs / min</th>
+                                    <th>Last Message</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {snapshot.topics.map(t => (
+                                    <tr key={`${t.deviceId}|${t.topic}`}>
+                                        <td>{t.deviceId}</td>
+                                        <td className="diagnostics-mono">{t.topic}</td>
+                                        <td>{t.count}</td>
+                                        <td>{t.perMinute}</td>
+                                        <td>{formatAge(t.lastAt, now)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            </div>
+
+            {/* Payloads rejected by the schema layer */}
+            <div className="analysis-fleet-section diagnostics-section">
+                <div className="analysis-fleet-header">
+                    <h2 className="analysis-fleet-title">
+                        Rejected Payloads
+                        <span className="analysis-fleet-count">
+                            {rejected.total} total
+                            {Object.entries(rejected.byKind).map(([kind, count]) => ` · ${kind} ${count}`).join('')}
+                        </span>
+                    </h2>
+                </div>
+                <div className="analysis-table-wrap diagnostics-table-wrap">
+                    {rejected.total === 0 ? (
+                        <p className="diagnostics-empty">Every payload matched its schema.</p>
+                    ) : (
+                        <table className="analysis-table">
+                            <thead>
+                                <tr>
+                                    <th>Time</th>
+                                    <th>Schema</th>
+                                    <th>Source</th>
+                                    <th>Problem</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {recentRejected.map((entry, i) => (
+                                    <tr key={`${entry.time}-${i}`}>
+                                        <td>{new Date(entry.time).toLocaleTimeString()}</td>
+                                        <td>{entry.kind}</td>
+                                        <td>{[entry.deviceId, entry.robotId].filter(Boolean).join(' / ') || '—'}</td>
+                                        <td className="diagnostics-mono">{entry.reasons.join('; ')}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            </div>
+
+            {/* API errors + event log */}
+            <div className="diagnostics-grid">
+                <div className="analysis-fleet-section diagnostics-section">
+                    <div className="analysis-fleet-header">
+                        <h2 className="analysis-fleet-title">
+                            API Errors
+                            <span className="analysis-fleet-count">{api.totalErrors} total</span>
+                        </h2>
+                    </div>
+                    <div className="analysis-table-wrap diagnostics-table-wrap">
+                        {api.totalErrors === 0 ? (
+                            <p className="diagnostics-empty">No failed API requests.</p>
+                        ) : (
+                            <table className="analysis-table">
+                                <thead>
+                                    <tr>
+                                        <th>Endpoint</th>
+                                        <th>Errors</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {apiStatuses.map(([status, count]) => (
+                                        <tr key={`status-${status}`}>
+                                            <td><strong>Status {status}</strong></td>
+                                            <td>{count}</td>
+                                        </tr>
+                                    ))}
+                                    {apiEndpoints.map(([url, count]) => (
+                                        <tr key={`url-${url}`}>
+                                            <td className="diagnostics-mono">{url}</td>
+                                            <td>{count}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </div>
+                </div>
+
+                <div className="analysis-fleet-section diagnostics-section">
+                    <div className="analysis-fleet-header">
+                        <h2 className="analysis-fleet-title">
+                            Event Log
+                            <span className="analysis-fleet-count">latest {recentEvents.length}</span>
+                        </h2>
+                    </div>
+                    <div className="analysis-table-wrap diagnostics-table-wrap diagnostics-log">
+                        {recentEvents.length === 0 ? (
+                            <p className="diagnostics-empty">No connection events yet.</p>
+                        ) : (
+                            <ul className="diagnostics-log__list">
+                                {recentEvents.map((event, i) => (
+                                    <li key={`${event.time}-${i}`} className="diagnostics-log__item">
+                                        <Activity size={12} style={{ color: EVENT_COLORS[event.type] || '#6B7280' }} />
+                                        <span className="diagnostics-log__time">{new Date(event.time).toLocaleTimeString()}</span>
+                                        <span className="diagnostics-log__type">{event.type}</span>
+                                        {event.detail && <span className="diagnostics-muted">{event.detail}</span>}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default Diagnostics;
@@ -0,0 +1,449 @@
+/**
+ * @module Maintenance
+ * @description Robot maintenance logbook. Each robot's odometer and operating
+ * hours are built up from its location and status streams and compared with
+ * its service intervals (distance, operating hours, days since the last
+ * service) — see services/maintenanceLog.js. Operators open a work order to
+ * take a robot out of service (its tasks go back to the dispatch backlog and
+ * it stays in MAINTENANCE) and close it to return the robot; closing a
+ * scheduled service restarts the intervals. The history of work orders can be
+ * exported as CSV.
+ */
+import { useState, useEffect, useMemo } from 'react';
+import {
+    Wrench,
+    ChevronDown,
+    Gauge,
+    History,
+    Download,
+    CheckCircle,
+    AlertCircle,
+    Save
+} from 'lucide-react';
+import { useDevice } from '../contexts/DeviceContext';
+import {
+    DEFAULT_SERVICE_INTERVALS,
+    SERVICE_STATUS,
+    SERVICE_STATUS_LABELS,
+    WORK_ORDER_TYPES,
+    WORK_ORDER_TYPE_LABELS,
+    intervalsOf,
+    maintenanceCsv,
+    openWorkOrderOf,
+    serviceStatus
+} from '../services/maintenanceLog';
+
+const EMPTY_FORM = {
+    robotId: '',
+    type: WORK_ORDER_TYPES.SERVICE,
+    technician: '',
+    description: ''
+};
+
+const SERVICE_BADGES = {
+    [SERVICE_STATUS.OK]: 'analysis-status-badge--completed',
+    [SERVICE_STATUS.DUE_SOON]: 'maintenance-badge--due',
+    [SERVICE_STATUS.OVERDUE]: 'maintenance-badge--overdue'
+};
+
+const INTERVAL_FIELDS = [
+    { key: 'distanceKm', label: 'Distance (km)' },
+    { key: 'operatingHours', label: 'Operating hours' },
+    { key: 'days', label: 'Days' }
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const formatDateTime = (ts) => (ts ? new Date(ts).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) : '—');
+
+function Maintenance() {
+    const {
+        selectedDeviceId,
+        currentRobots,
+        maintenance,
+        openRobotWorkOrder,
+        closeRobotWorkOrder,
+        updateServiceIntervals
+    } = useDevice();
+
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [intervalRobotId, setIntervalRobotId] = useState('');
+    const [intervalDraft, setIntervalDraft] = useState(DEFAULT_SERVICE_INTERVALS);
+    const [busyRobotId, setBusyRobotId] = useState(null);
+    const [message, setMessage] = useState(null);
+    const [now, setNow] = useState(() => Date.now());
+
+    // Keep "days since service" current
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), 60 * 1000);
+        return () => clearInterval(interval);
+    }, []);
+
+    const robots = Object.values(currentRobots || {});
+    const deviceLog = useMemo(() => maintenance[selectedDeviceId] || {}, [maintenance, selectedDeviceId]);
+
+    const rows = robots.map(robot => {
+        const record = deviceLog[robot.id];
+        return { robot, record, service: serviceStatus(record, now), workOrder: openWorkOrderOf(record) };
+    });
+    const inMaintenance = rows.filter(r => r.workOrder).length;
+    const due = rows.filter(r => !r.workOrder && r.service.status !== SERVICE_STATUS.OK).length;
+
+    const history = useMemo(() => Object.entries(deviceLog)
+        .flatMap(([robotId, record]) => (record.workOrders || []).map(order => ({ robotId, order })))
+        .sort((a, b) => b.order.openedAt - a.order.openedAt), [deviceLog]);
+
+    const showMessage = (type, text, ms = 3500) => {
+        setMessage({ type, text });
+        setTimeout(() => setMessage(null), ms);
+    };
+
+    const updateForm = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+
+    const selectIntervalRobot = (robotId) => {
+        setIntervalRobotId(robotId);
+        setIntervalDraft(intervalsOf(deviceLog[robotId]));
+    };
+
+    const handleOpen = async () => {
+        if (!form.robotId) {
+            showMessage('error', 'Choose a robot for the work order');
+            return;
+        }
+        setBusyRobotId(form.robotId);
+        try {
+            const order = await openRobotWorkOrder(selectedDeviceId, form.robotId, form);
+            showMessage('success', `${order.id} opened — ${form.robotId} is out of service`);
+            setForm(EMPTY_FORM);
+        } catch (err) {
+            // Already open, or the work order could not be published — nothing changed
+            showMessage('error', err.message || 'Failed to open the work order');
+        } finally {
+            setBusyRobotId(null);
+        }
+    };
+
+    const handleClose = async (robotId, workOrder) => {
+        const notes = window.prompt(`Close ${workOrder.id} and return ${robotId} to service? Notes (optional):`, '');
+        if (notes == null) return;
+        setBusyRobotId(robotId);
+        try {
+            await closeRobotWorkOrder(selectedDeviceId, robotId, notes);
+            showMessage('success', `${workOrder.id} closed — ${robotId} is back in service`);
+        } catch (err) {
+            showMessage('error', err.message || 'Failed to close the work order');
+        } finally {
+            setBusyRobotId(null);
+        }
+    };
+
+    const handleSaveIntervals = () => {
+        if (!intervalRobotId) {
+            showMessage('error', 'Choose a robot to set intervals for');
+            return;
+        }
+        if (INTERVAL_FIELDS.some(f => intervalDraft[f.key] !== '' && !(Number(intervalDraft[f.key]) >= 0))) {
+            showMessage('error', 'Intervals must be 0 (off) or more');
+            return;
+        }
+        updateServiceIntervals(selectedDeviceId, intervalRobotId, intervalDraft);
+        showMessage('success', `Service intervals saved for ${intervalRobotId}`);
+    };
+
+    const handleResetIntervals = () => {
+        if (!intervalRobotId) return;
+        updateServiceIntervals(selectedDeviceId, intervalRobotId, null);
+        setIntervalDraft(DEFAULT_SERVICE_INTERVALS);
+        showMessage('success', `${intervalRobotId} uses the default intervals`);
+    };
+
+    const handleExport = () => {
+        const blob = new Blob(['\uFEFF' + maintenanceCsv(deviceLog)], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `FMS_${selectedDeviceId || 'device'}_maintenance_${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+    };
+
+    return (
+        <div className="analysis-page" style={{ maxWidth: '100%', minHeight: '100%' }}>
+            <div className="analysis-header">
+                <div>
+                    <h1 className="analysis-title">Maintenance</h1>
+                    <p className="analysis-subtitle">
+                        {robots.length} robot(s) on {selectedDeviceId} — {inMaintenance} in maintenance, {due} due for service
+                    </p>
+                </div>
+            </div>
+
+            {/* Service status */}
+            <div className="analysis-fleet-section">
+                <div className="analysis-fleet-header">
+                    <h2 className="analysis-fleet-title">
+                        <Gauge size={16} className="tasks-lane__icon" />
+                        Service Status
+                    </h2>
+                </div>
+                <div className="analysis-table-wrap diagnostics-table-wrap">
+                    {rows.length === 0 ? (
+                        <p className="diagnostics-empty">No robots on this device.</p>
+                    ) : (
+                        <table className="analysis-table">
+                            <thead>
+                                <tr>
+                                    <th>Robot</th>
+                                    <th>Odometer</th>
+                                    <th>Operating hours</th>
+                                    <th>Last service</th>
+                                    <th>Since last service</th>
+                                    <th>Status</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rows.map(({ robot, record, service, workOrder }) => (
+                                    <tr key={robot.id}>
+                                        <td style={{ fontWeight: '600', color: '#1F2937' }}>{robot.name || robot.id}</td>
+                                        <td>{((record?.odometerM || 0) / 1000).toFixed(2)} km</td>
+                                        <td>{((record?.operatingMs || 0) / HOUR_MS).toFixed(1)} h</td>
+                                        <td>{record?.lastService ? formatDateTime(record.lastService.at) : <span className="diagnostics-muted">Never</span>}</td>
+                                        <td>
+                                            {service.items.length === 0 ? (
+                                                <span className="diagnostics-muted">No intervals</span>
+                                            ) : service.items.map(item => (
+                                                <div key={item.key} className={item.pct >= 100 ? 'maintenance-interval--over' : ''}>
+                                                    {item.label}: {item.used.toFixed(1)} / {item.limit} ({Math.round(item.pct)}%)
+                                                </div>
+                                            ))}
+                                        </td>
+                                        <td>
+                                            {workOrder ? (
+                                                <span className="analysis-status-badge analysis-status-badge--progress">In maintenance</span>
+                                            ) : (
+                                                <span className={`analysis-status-badge ${SERVICE_BADGES[service.status]}`}>
+                                                    {SERVICE_STATUS_LABELS[service.status]}
+                                                </span>
+                                            )}
+                                        </td>
+                                        <td>
+                                            <div className="tasks-actions">
+                                                {workOrder ? (
+                                                    <button
+                                                        className="analysis-export-btn"
+                                                        onClick={() => handleClose(robot.id, workOrder)}
+                                                        disabled={busyRobotId === robot.id}
+                                                    >
+                                                        <CheckCircle size={14} />
+                                                        Close {workOrder.id}
+                                                    </button>
+                                                ) : (
+                                                    <button
+                                                        className="analysis-export-btn"
+                                                        onClick={() => updateForm('robotId', robot.id)}
+                                                        title="Fill in a work order for this robot"
+                                                    >
+                                                        <Wrench size={14} />
+                                                        Work order
+                                                    </button>
+                                                )}
+                                            </div>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            </div>
+
+            {/* New work order */}
+            <div className="analysis-fleet-section">
+                <div className="analysis-fleet-header">
+                    <h2 className="analysis-fleet-title">
+                        <Wrench size={16} className="tasks-lane__icon" />
+                        Open Work Order
+                    </h2>
+                </div>
+
+                <div className="schedule-form">
+                    <div>
+                        <label className="settings-field-label">Robot</label>
+                        <div className="settings-select-wrap">
+                            <select value={form.robotId} onChange={(e) => updateForm('robotId', e.target.value)} className="settings-select">
+                                <option value="">Select</option>
+                                {rows.filter(r => !r.workOrder).map(({ robot }) => (
+                                    <option key={robot.id} value={robot.id}>{robot.name || robot.id}</option>
+                                ))}
+                            </select>
+                            <ChevronDown size={14} className="settings-select-icon" />
+                        </div>
+                    </div>
+
+                    <div>
+                        <label className="settings-field-label">Type</label>
+                        <div className="settings-select-wrap">
+                            <select value={form.type} onChange={(e) => updateForm('type', e.target.value)} className="settings-select">
+                                {Object.values(WORK_ORDER_TYPES).map(t => <option key={t} value={t}>{WORK_ORDER_TYPE_LABELS[t]}</option>)}
+                            </select>
+                            <ChevronDown size={14} className="settings-select-icon" />
+                        </div>
+                    </div>
+
+                    <div className="schedule-form__wide">
+                        <label className="settings-field-label">Technician (optional)</label>
+                        <input
+                            type="text"
+                            value={form.technician}
+                            onChange={(e) => updateForm('technician', e.target.value)}
+                            className="settings-input"
+                        />
+                    </div>
+
+                    <div className="schedule-form__wide">
+                        <label className="settings-field-label">Description</label>
+                        <input
+                            type="text"
+                            value={form.description}
+                            onChange={(e) => updateForm('description', e.target.value)}
+                            placeholder="e.g. Replace drive wheel, check brakes"
+                            className="settings-input"
+                        />
+                    </div>
+
+                    <div className="settings-btn-row settings-dispatch-actions">
+                        <button onClick={handleOpen} className="settings-assign-btn" disabled={busyRobotId != null}>
+                            <Wrench size={14} />
+                            Take out of service
+                        </button>
+                        <button onClick={() => setForm(EMPTY_FORM)} className="settings-clear-btn">
+                            Clear
+                        </button>
+                    </div>
+                </div>
+                <p className="settings-layout-hint">
+                    The robot's active and queued tasks go back to the dispatch backlog and it is not dispatched until the work order is closed.
+                </p>
+
+                {message && (
+                    <div className={`settings-message ${message.type === 'error' ? 'settings-message--error' : 'settings-message--success'}`}>
+                        {message.type === 'error' ? <AlertCircle size={18} /> : <CheckCircle size={18} />}
+                        {message.text}
+                    </div>
+                )}
+            </div>
+
+            {/* Service intervals */}
+            <div className="analysis-fleet-section">
+                <div className="analysis-fleet-header">
+                    <h2 className="analysis-fleet-title">
+                        <Gauge size={16} className="tasks-lane__icon" />
+                        Service Intervals
+                        <span className="analysis-fleet-count">0 turns an interval off</span>
+                    </h2>
+                </div>
+                <div className="schedule-form">
+                    <div>
+                        <label className="settings-field-label">Robot</label>
+                        <div className="settings-select-wrap">
+                            <select value={intervalRobotId} onChange={(e) => selectIntervalRobot(e.target.value)} className="settings-select">
+                                <option value="">Select</option>
+                                {robots.map(robot => <option key={robot.id} value={robot.id}>{robot.name || robot.id}</option>)}
+                            </select>
+                            <ChevronDown size={14} className="settings-select-icon" />
+                        </div>
+                    </div>
+                    {INTERVAL_FIELDS.map(field => (
+                        <div key={field.key}>
+                            <label className="settings-field-label">{field.label}</label>
+                            <input
+                                type="number"
+                                min="0"
+                                value={intervalDraft[field.key]}
+                                onChange={(e) => setIntervalDraft(prev => ({ ...prev, [field.key]: e.target.value }))}
+                                className="settings-input"
+                                disabled={!intervalRobotId}
+                            />
+                        </div>
+                    ))}
+                    <div className="settings-btn-row settings-dispatch-actions">
+                        <button onClick={handleSaveIntervals} className="settings-assign-btn" disabled={!intervalRobotId}>
+                            <Save size={14} />
+                            Save intervals
+                        </button>
+                        <button onClick={handleResetIntervals} className="settings-clear-btn" disabled={!intervalRobotId}>
+                            Use defaults
+                        </button>
+                    </div>
+                </div>
+            </div>
+
+            {/* History */}
+            <div className="analysis-fleet-section">
+                <div className="analysis-fleet-header">
+                    <h2 className="analysis-fleet-title">
+                        <History size={16} className="tasks-lane__icon" />
+                        Maintenance History
+                        <span className="analysis-fleet-count">{history.length} work order(s)</span>
+                    </h2>
+                    <button className="analysis-export-btn" onClick={handleExport} disabled={history.length === 0}>
+                        <Download size={14} />
+                        Export CSV
+                    </button>
+                </div>
+                <div className="analysis-table-wrap diagnostics-table-wrap">
+                    {history.length === 0 ? (
+                        <p className="diagnostics-empty">No work orders yet.</p>
+                    ) : (
+                        <table className="analysis-table">
+                            <thead>
+                                <tr>
+                                    <th>Opened</th>
+                                    <th>Work order</th>
+                                    <th>Robot</th>
+                                    <th>Type</th>
+                                    <th>Description</th>
+                                    <th>Technician</th>
+                                    <th>Closed</th>
+                                    <th>Status</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {history.map(({ robotId, order }) => (
+                                    <tr key={order.id}>
+                                        <td>{formatDateTime(order.openedAt)}</td>
+                                        <td style={{ fontFamily: 'monospace' }}>{order.id}</td>
+                                        <td>{robotId}</td>
+                                        <td>{WORK_ORDER_TYPE_LABELS[order.type] || order.type}</td>
+                                        <td>
+                                            {order.description || <span className="diagnostics-muted">—</span>}
+                                            {order.notes && <div className="diagnostics-muted">{order.notes}</div>}
+                                        </td>
+                                        <td>{order.technician || '—'}</td>
+                                        <td>
+                                            {formatDateTime(order.closedAt)}
+                                            {order.closedAt && (
+                                                <div className="diagnostics-muted">
+                                                    {((order.closedAt - order.openedAt) / HOUR_MS).toFixed(1)} h out of service
+                                                </div>
+                                            )}
+                                        </td>
+                                        <td>
+                                            <span className={`analysis-status-badge ${order.status === 'open' ? 'analysis-status-badge--progress' : 'analysis-status-badge--completed'}`}>
+                                                {order.status === 'open' ? 'Open' : 'Closed'}
+                                            </span>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default Maintenance;
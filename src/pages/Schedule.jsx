@@ -0,0 +1,506 @@
+/**
+ * @module Schedule
+ * @description Scheduled and recurring Deliver tasks. Operators add one-off
+ * runs for a future time, shift runs ("every N minutes from 06:00 to 14:00")
+ * or cron rules; the scheduler in DeviceContext sends each run as a task
+ * (services/taskScheduler.js). The page shows the schedules with their next
+ * run and a skip-next toggle, a week calendar of upcoming and past runs, and
+ * the history of runs the scheduler fired, skipped or missed.
+ */
+import { useState, useEffect, useMemo } from 'react';
+import {
+    CalendarClock,
+    ChevronDown,
+    ChevronLeft,
+    ChevronRight,
+    Plus,
+    SkipForward,
+    Pause,
+    Play,
+    Trash2,
+    History,
+    AlertCircle,
+    CheckCircle
+} from 'lucide-react';
+import { useDevice } from '../contexts/DeviceContext';
+import { TASK_PRIORITY } from '../config/robotRegistry';
+import { PRIORITY_LEVELS, PRIORITY_LABELS } from '../utils/taskPriority';
+import { getTaskLocations } from '../utils/telemetryMath';
+import {
+    SCHEDULE_TYPES,
+    SCHEDULE_TYPE_LABELS,
+    RUN_STATUS,
+    WEEKDAY_LABELS,
+    describeRule,
+    upcomingRuns
+} from '../services/taskScheduler';
+
+/** Runs listed per calendar day before collapsing into "+N more". */
+const CALENDAR_DAY_LIMIT = 12;
+
+/** Calendar weeks start on Monday; WEEKDAY_LABELS is Sunday-first. */
+const CALENDAR_DAYS = [1, 2, 3, 4, 5, 6, 0];
+
+const EMPTY_FORM = {
+    name: '',
+    source: '',
+    destination: '',
+    robotId: '',
+    priority: TASK_PRIORITY.NORMAL,
+    type: 'interval',
+    at: '',
+    everyMinutes: '30',
+    shiftStart: '06:00',
+    shiftEnd: '14:00',
+    days: [1, 2, 3, 4, 5],
+    cron: ''
+};
+
+const RUN_BADGES = {
+    [RUN_STATUS.SENT]: { label: 'Sent', className: 'analysis-status-badge--completed' },
+    [RUN_STATUS.BACKLOG]: { label: 'Backlog', className: 'analysis-status-badge--progress' },
+    [RUN_STATUS.SKIPPED]: { label: 'Skipped', className: 'analysis-status-badge--idle' },
+    [RUN_STATUS.MISSED]: { label: 'Missed', className: 'schedule-badge--missed' }
+};
+
+const formatTime = (ts) => new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+const formatDateTime = (ts) => (ts ? new Date(ts).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) : '—');
+
+/** Local midnight `days` days after Monday of the week containing `ts`, `offset` weeks on. */
+const weekDayStart = (ts, offset, days = 0) => {
+    const d = new Date(ts);
+    d.setHours(0, 0, 0, 0);
+    d.setDate(d.getDate() - ((d.getDay() + 6) % 7) + offset * 7 + days);
+    return d.getTime();
+};
+
+function Schedule() {
+    const {
+        selectedDeviceId,
+        currentLayout,
+        currentRobots,
+        schedules,
+        scheduleRuns,
+        addSchedule,
+        removeSchedule,
+        setScheduleActive,
+        skipNextRun
+    } = useDevice();
+
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [message, setMessage] = useState(null);
+    const [weekOffset, setWeekOffset] = useState(0);
+    const [now, setNow] = useState(() => Date.now());
+
+    // Keep "next run" and the calendar's past/future split current
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), 30 * 1000);
+        return () => clearInterval(interval);
+    }, []);
+
+    const locations = getTaskLocations(currentLayout);
+    const robots = Object.values(currentRobots || {});
+    const deviceSchedules = useMemo(() => schedules[selectedDeviceId] || [], [schedules, selectedDeviceId]);
+    const runs = useMemo(() => scheduleRuns[selectedDeviceId] || [], [scheduleRuns, selectedDeviceId]);
+
+    const weekStart = weekDayStart(now, weekOffset);
+    const weekEnd = weekDayStart(now, weekOffset, 7);
+
+    // Calendar entries per day: fired runs before now, planned runs after
+    const calendar = useMemo(() => {
+        const entries = [
+            ...runs
+                .filter(run => run.dueAt >= weekStart && run.dueAt < weekEnd)
+                .map(run => ({ key: `run-${run.scheduleId}-${run.dueAt}`, at: run.dueAt, name: run.name, status: run.status })),
+            ...deviceSchedules.flatMap(schedule =>
+                upcomingRuns(schedule, Math.max(weekStart, now), weekEnd).map(at => ({
+                    key: `plan-${schedule.id}-${at}`,
+                    at,
+                    name: schedule.name,
+                    status: at === schedule.skipAt ? RUN_STATUS.SKIPPED : null
+                }))
+            )
+        ].sort((a, b) => a.at - b.at);
+
+        return CALENDAR_DAYS.map((_, i) => {
+            const start = weekDayStart(weekStart, 0, i);
+            const end = weekDayStart(weekStart, 0, i + 1);
+            return { start, end, entries: entries.filter(e => e.at >= start && e.at < end) };
+        });
+    }, [runs, deviceSchedules, weekStart, weekEnd, now]);
+
+    const showMessage = (type, text, ms = 3500) => {
+        setMessage({ type, text });
+        setTimeout(() => setMessage(null), ms);
+    };
+
+    const updateForm = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+
+    const toggleDay = (day) => {
+        setForm(prev => ({
+            ...prev,
+            days: prev.days.includes(day) ? prev.days.filter(d => d !== day) : [...prev.days, day]
+        }));
+    };
+
+    const handleAdd = () => {
+        if (!selectedDeviceId) {
+            showMessage('error', 'No device selected for sync.');
+            return;
+        }
+        try {
+            const { type, at, everyMinutes, shiftStart, shiftEnd, days, cron, ...route } = form;
+            const schedule = addSchedule({ ...route, rule: { type, at, everyMinutes, shiftStart, shiftEnd, days, cron } });
+            showMessage('success', schedule.nextRunAt
+                ? `Scheduled "${schedule.name}" — first run ${formatDateTime(schedule.nextRunAt)}`
+                : `Scheduled "${schedule.name}"`);
+            setForm(prev => ({ ...EMPTY_FORM, type: prev.type }));
+        } catch (err) {
+            // Invalid route or rule — nothing was created
+            showMessage('error', err.message);
+        }
+    };
+
+    const handleRemove = (schedule) => {
+        if (!window.confirm(`Delete schedule "${schedule.name}"? Tasks it already sent are not affected.`)) return;
+        removeSchedule(selectedDeviceId, schedule.id);
+    };
+
+    return (
+        <div className="analysis-page" style={{ maxWidth: '100%', minHeight: '100%' }}>
+            <div className="analysis-header">
+                <div>
+                    <h1 className="analysis-title">Task Schedule</h1>
+                    <p className="analysis-subtitle">
+                        {deviceSchedules.length} schedule(s) on {selectedDeviceId} — one-off and recurring deliveries
+                    </p>
+                </div>
+            </div>
+
+            {/* New schedule */}
+            <div className="analysis-fleet-section">
+                <div className="analysis-fleet-header">
+                    <h2 className="analysis-fleet-title">
+                        <Plus size={16} className="tasks-lane__icon" />
+                        New Schedule
+                    </h2>
+                </div>
+
+                <div className="schedule-form">
+                    <div>
+                        <label className="settings-field-label">Name (optional)</label>
+                        <input
+                            type="text"
+                            value={form.name}
+                            onChange={(e) => updateForm('name', e.target.value)}
+                            placeholder="e.g. Morning restock"
+                            className="settings-input"
+                        />
+                    </div>
+
+                    {[{ k: 'source', l: 'Initiate Location' }, { k: 'destination', l: 'Destination' }].map(f => (
+                        <div key={f.k}>
+                            <label className="settings-field-label">{f.l}</label>
+                            <div className="settings-select-wrap">
+                                <select value={form[f.k]} onChange={(e) => updateForm(f.k, e.target.value)} className="settings-select">
+                                    <option value="">Select</option>
+                                    {locations.map(name => <option key={name} value={name}>{name}</option>)}
+                                </select>
+                                <ChevronDown size={14} className="settings-select-icon" />
+                            </div>
+                        </div>
+                    ))}
+
+                    <div>
+                        <label className="settings-field-label">Robot</label>
+                        <div className="settings-select-wrap">
+                            <select value={form.robotId} onChange={(e) => updateForm('robotId', e.target.value)} className="settings-select">
+                                <option value="">Auto (dispatcher)</option>
+                                {robots.map(robot => <option key={robot.id} value={robot.id}>{robot.name || robot.id}</option>)}
+                            </select>
+                            <ChevronDown size={14} className="settings-select-icon" />
+                        </div>
+                    </div>
+
+                    <div>
+                        <label className="settings-field-label">Priority</label>
+                        <div className="settings-select-wrap">
+                            <select value={form.priority} onChange={(e) => updateForm('priority', e.target.value)} className="settings-select">
+                                {PRIORITY_LEVELS.map(p => <option key={p} value={p}>{PRIORITY_LABELS[p]}</option>)}
+                            </select>
+                            <ChevronDown size={14} className="settings-select-icon" />
+                        </div>
+                    </div>
+
+                    <div>
+                        <label className="settings-field-label">Repeat</label>
+                        <div className="settings-select-wrap">
+                            <select value={form.type} onChange={(e) => updateForm('type', e.target.value)} className="settings-select">
+                                {SCHEDULE_TYPES.map(t => <option key={t} value={t}>{SCHEDULE_TYPE_LABELS[t]}</option>)}
+                            </select>
+                            <ChevronDown size={14} className="settings-select-icon" />
+                        </div>
+                    </div>
+
+                    {form.type === 'once' && (
+                        <div>
+                            <label className="settings-field-label">Run at</label>
+                            <input
+                                type="datetime-local"
+                                value={form.at}
+                                onChange={(e) => updateForm('at', e.target.value)}
+                                className="settings-input"
+                            />
+                        </div>
+                    )}
+
+                    {form.type === 'interval' && (
+                        <>
+                            <div>
+                                <label className="settings-field-label">Every (minutes)</label>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={form.everyMinutes}
+                                    onChange={(e) => updateForm('everyMinutes', e.target.value)}
+                                    className="settings-input"
+                                />
+                            </div>
+                            <div>
+                                <label className="settings-field-label">Shift start</label>
+                                <input type="time" value={form.shiftStart} onChange={(e) => updateForm('shiftStart', e.target.value)} className="settings-input" />
+                            </div>
+                            <div>
+                                <label className="settings-field-label">Shift end</label>
+                                <input type="time" value={form.shiftEnd} onChange={(e) => updateForm('shiftEnd', e.target.value)} className="settings-input" />
+                            </div>
+                            <div className="schedule-form__wide">
+                                <label className="settings-field-label">Days (none = every day)</label>
+                                <div className="schedule-days">
+                                    {CALENDAR_DAYS.map(day => (
+                                        <label key={day} className={`schedule-day ${form.days.includes(day) ? 'schedule-day--on' : ''}`}>
+                                            <input type="checkbox" checked={form.days.includes(day)} onChange={() => toggleDay(day)} />
+                                            {WEEKDAY_LABELS[day]}
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+                        </>
+                    )}
+
+                    {form.type === 'cron' && (
+                        <div className="schedule-form__wide">
+                            <label className="settings-field-label">Cron (minute hour day month weekday)</label>
+                            <input
+                                type="text"
+                                value={form.cron}
+                                onChange={(e) => updateForm('cron', e.target.value)}
+                                placeholder="*/30 6-13 * * 1-5"
+                                className="settings-input schedule-cron-input"
+                            />
+                        </div>
+                    )}
+
+                    <div className="settings-btn-row settings-dispatch-actions">
+                        <button onClick={handleAdd} className="settings-assign-btn">
+                            <CalendarClock size={14} />
+                            Add schedule
+                        </button>
+                        <button onClick={() => setForm(EMPTY_FORM)} className="settings-clear-btn">
+                            Clear
+                        </button>
+                    </div>
+                </div>
+
+                {message && (
+                    <div className={`settings-message ${message.type === 'error' ? 'settings-message--error' : 'settings-message--success'}`}>
+                        {message.type === 'error' ? <AlertCircle size={18} /> : <CheckCircle size={18} />}
+                        {message.text}
+                    </div>
+                )}
+            </div>
+
+            {/* Schedules */}
+            <div className="analysis-fleet-section">
+                <div className="analysis-fleet-header">
+                    <h2 className="analysis-fleet-title">
+                        <CalendarClock size={16} className="tasks-lane__icon" />
+                        Schedules
+                    </h2>
+                </div>
+                <div className="analysis-table-wrap diagnostics-table-wrap">
+                    {deviceSchedules.length === 0 ? (
+                        <p className="diagnostics-empty">No schedules yet.</p>
+                    ) : (
+                        <table className="analysis-table">
+                            <thead>
+                                <tr>
+                                    <th>Name</th>
+                                    <th>Route</th>
+                                    <th>Robot</th>
+                                    <th>Rule</th>
+                                    <th>Next run</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {deviceSchedules.map(schedule => {
+                                    const skipping = schedule.skipAt != null && schedule.skipAt === schedule.nextRunAt;
+                                    return (
+                                        <tr key={schedule.id} className={schedule.enabled ? '' : 'schedule-row--paused'}>
+                                            <td>
+                                                <div style={{ fontWeight: '600', color: '#1F2937' }}>{schedule.name}</div>
+                                                {schedule.priority !== TASK_PRIORITY.NORMAL && (
+                                                    <span className={`settings-dispatch-priority settings-dispatch-priority--${schedule.priority.toLowerCase()}`}>
+                                                        {PRIORITY_LABELS[schedule.priority]}
+                                                    </span>
+                                                )}
+                                            </td>
+                                            <td>{schedule.source} → {schedule.destination}</td>
+                                            <td>{schedule.robotId || <span className="diagnostics-muted">Auto</span>}</td>
+                                            <td>{describeRule(schedule.rule)}</td>
+                                            <td>
+                                                {!schedule.enabled ? (
+                                                    <span className="diagnostics-muted">Paused</span>
+                                                ) : schedule.nextRunAt == null ? (
+                                                    <span className="diagnostics-muted">Finished</span>
+                                                ) : (
+                                                    <>
+                                                        <span className={skipping ? 'schedule-skipped' : ''}>{formatDateTime(schedule.nextRunAt)}</span>
+                                                        {skipping && <div className="diagnostics-muted">will be skipped</div>}
+                                                    </>
+                                                )}
+                                            </td>
+                                            <td>
+                                                <div className="tasks-actions">
+                                                    <button
+                                                        className="analysis-export-btn"
+                                                        onClick={() => skipNextRun(selectedDeviceId, schedule.id)}
+                                                        disabled={!schedule.enabled || schedule.nextRunAt == null}
+                                                        title={skipping ? 'Run the next occurrence after all' : 'Skip only the next occurrence'}
+                                                    >
+                                                        <SkipForward size={14} />
+                                                        {skipping ? 'Unskip' : 'Skip next'}
+                                                    </button>
+                                                    <button
+                                                        className="analysis-export-btn"
+                                                        onClick={() => setScheduleActive(selectedDeviceId, schedule.id, !schedule.enabled)}
+                                                    >
+                                                        {schedule.enabled ? <Pause size={14} /> : <Play size={14} />}
+                                                        {schedule.enabled ? 'Pause' : 'Resume'}
+                                                    </button>
+                                                    <button
+                                                        className="analysis-export-btn tasks-btn--danger"
+                                                        onClick={() => handleRemove(schedule)}
+                                                        title="Delete schedule"
+                                                    >
+                                                        <Trash2 size={14} />
+                                                    </button>
+                                                </div>
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            </div>
+
+            {/* Week calendar */}
+            <div className="analysis-fleet-section">
+                <div className="analysis-fleet-header">
+                    <h2 className="analysis-fleet-title">
+                        Calendar
+                        <span className="analysis-fleet-count">
+                            {new Date(weekStart).toLocaleDateString([], { dateStyle: 'medium' })} – {new Date(weekEnd - 1).toLocaleDateString([], { dateStyle: 'medium' })}
+                        </span>
+                    </h2>
+                    <div className="tasks-actions">
+                        <button className="analysis-export-btn" onClick={() => setWeekOffset(w => w - 1)} aria-label="Previous week">
+                            <ChevronLeft size={14} />
+                        </button>
+                        <button className="analysis-export-btn" onClick={() => setWeekOffset(0)} disabled={weekOffset === 0}>
+                            This week
+                        </button>
+                        <button className="analysis-export-btn" onClick={() => setWeekOffset(w => w + 1)} aria-label="Next week">
+                            <ChevronRight size={14} />
+                        </button>
+                    </div>
+                </div>
+                <div className="schedule-calendar">
+                    {calendar.map(({ start, end, entries }, i) => {
+                        const isToday = now >= start && now < end;
+                        return (
+                            <div key={start} className={`schedule-calendar__day ${isToday ? 'schedule-calendar__day--today' : ''}`}>
+                                <div className="schedule-calendar__date">
+                                    {WEEKDAY_LABELS[CALENDAR_DAYS[i]]} {new Date(start).getDate()}
+                                </div>
+                                {entries.slice(0, CALENDAR_DAY_LIMIT).map(entry => (
+                                    <div
+                                        key={entry.key}
+                                        className={`schedule-calendar__item ${entry.at < now ? 'schedule-calendar__item--past' : ''} ${entry.status === RUN_STATUS.SKIPPED || entry.status === RUN_STATUS.MISSED ? 'schedule-skipped' : ''}`}
+                                        title={entry.status ? `${entry.name} — ${RUN_BADGES[entry.status].label}` : entry.name}
+                                    >
+                                        <span className="schedule-calendar__time">{formatTime(entry.at)}</span> {entry.name}
+                                    </div>
+                                ))}
+                                {entries.length > CALENDAR_DAY_LIMIT && (
+                                    <div className="diagnostics-muted">+{entries.length - CALENDAR_DAY_LIMIT} more</div>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+
+            {/* Run history */}
+            <div className="analysis-fleet-section">
+                <div className="analysis-fleet-header">
+                    <h2 className="analysis-fleet-title">
+                        <History size={16} className="tasks-lane__icon" />
+                        Run History
+                        <span className="analysis-fleet-count">{runs.length} run(s)</span>
+                    </h2>
+                </div>
+                <div className="analysis-table-wrap diagnostics-table-wrap">
+                    {runs.length === 0 ? (
+                        <p className="diagnostics-empty">The scheduler has not fired yet.</p>
+                    ) : (
+                        <table className="analysis-table">
+                            <thead>
+                                <tr>
+                                    <th>Due</th>
+                                    <th>Fired</th>
+                                    <th>Schedule</th>
+                                    <th>Task</th>
+                                    <th>Robot</th>
+                                    <th>Result</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {runs.map(run => (
+                                    <tr key={`${run.scheduleId}-${run.dueAt}-${run.firedAt}`}>
+                                        <td>{formatDateTime(run.dueAt)}</td>
+                                        <td>{formatDateTime(run.firedAt)}</td>
+                                        <td>{run.name}</td>
+                                        <td style={{ fontFamily: 'monospace' }}>{run.taskId || '—'}</td>
+                                        <td>{run.robotId || '—'}</td>
+                                        <td>
+                                            <span className={`analysis-status-badge ${RUN_BADGES[run.status]?.className || ''}`}>
+                                                {RUN_BADGES[run.status]?.label || run.status}
+                                            </span>
+                                            {run.reason && <div className="diagnostics-muted">{run.reason}</div>}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default Schedule;
@@ -1,7 +1,7 @@
 /**
  * @module Settings
- * @description Settings page for device thresholds, system mode (Manual/Auto),
- * and robot task allocation. Persists settings to localStorage and
+ * @description Settings page for device thresholds and threshold profiles, system mode (Manual/Auto),
+ * robot task allocation, automatic order dispatch, and fleet registry administration. Persists settings to localStorage and
  * syncs task assignments to the backend via the State API.
  */
 import { useState, useEffect, useRef } from 'react';
@@ -17,14 +17,26 @@ import {
     Loader2
 } from 'lucide-react';
 import { useDevice } from '../contexts/DeviceContext';
+import FleetRegistryPanel from '../components/settings/FleetRegistryPanel';
+import DispatchPanel from '../components/settings/DispatchPanel';
+import SlaPanel from '../components/settings/SlaPanel';
+import ChargingPanel from '../components/settings/ChargingPanel';
+import AlertRulesPanel from '../components/settings/AlertRulesPanel';
+import NotificationsPanel from '../components/settings/NotificationsPanel';
+import ThresholdProfilesPanel from '../components/settings/ThresholdProfilesPanel';
+import FacilityLayoutEditor from '../components/settings/FacilityLayoutEditor';
 import { updateStateDetails } from '../services/api';
-import { ROOM_CENTERS, generateTaskId } from '../utils/telemetryMath';
+import { generateTaskId, getRoomCenter, getTaskLocations } from '../utils/telemetryMath';
+import { PRIORITY_LEVELS, PRIORITY_LABELS, normalizePriority, isUrgent } from '../utils/taskPriority';
 import {
     getThresholds as getThresholdsShared,
     getTemperatureStatus,
     getHumidityStatus,
-    getPressureStatus
+    getPressureStatus,
+    thresholdsFromSettings,
+    THRESHOLD_RANGES
 } from '../utils/thresholds';
+import { registryContexts, validateThresholdProfiles } from '../utils/thresholdProfiles';
 
 // Default thresholds
 const DEFAULT_SETTINGS = {
@@ -37,13 +49,8 @@ const DEFAULT_SETTINGS = {
 };
 
 // ── Validation Rules ──────────────────────────────────────────────
-const VALIDATION_RULES = {
-    temperature: { absMin: -50, absMax: 100, unit: '°C' },
-    humidity:    { absMin: 0,   absMax: 100, unit: '%' },
-    pressure:    { absMin: 300, absMax: 1100, unit: 'hPa' },
-    battery:     { absMin: 0,   absMax: 100, unit: '%' },
-    robotTemp:   { absMin: -20, absMax: 120, unit: '°C' },
-};
+// Shared with threshold profile validation (utils/thresholds.js)
+const VALIDATION_RULES = THRESHOLD_RANGES;
 
 /**
  * Validate all device/threshold settings.
@@ -148,17 +155,6 @@ const saveSettingsToStorage = (settings) => {
     }
 };
 
-// Options — single Deliver task type (no dropdown needed)
-const LOCATION_OPTIONS = ['Select', 'Cleanroom A', 'Cleanroom B', 'Loading Bay', 'Storage', 'Maintenance'];
-
-// Room center coordinates from telemetryMath.js (derived from FabMap SVG zone geometry)
-const LOCATION_COORDS = ROOM_CENTERS;
-
-const getLocationCoordinates = (name) => {
-    if (!name) return null;
-    return LOCATION_COORDS[name] || null;
-};
-
 function Settings() {
     // 1. Context Access
     // Ensure selectedDeviceId is available from context for API calls
@@ -172,7 +168,11 @@ function Settings() {
         notifyTaskUpdate,
         fetchRobotTasks,     // Fetch robot tasks from API
         isRobotBusy,         // Check if robot has active task
-        getRobotActiveTask   // Get robot's current active task
+        getRobotActiveTask,  // Get robot's current active task
+        currentLayout,       // Facility layout of the selected device (task locations)
+        registry,            // Devices and robots — contexts for threshold profile validation
+        thresholdProfiles,   // Device / room / robot-type threshold overrides
+        explainEffectiveThresholds // Selected device's thresholds with its profiles applied
     } = useDevice();
 
     // 2. Local State
@@ -196,13 +196,19 @@ function Settings() {
     const currentValues = (currentDeviceData && currentDeviceData.environment) || {};
     // `currentRobots` is an object map in context — coerce to array for UI iteration
     const connectedRobots = Array.isArray(currentRobots) ? currentRobots : Object.values(currentRobots || {});
+    // Task locations are the selected device's layout rooms (single Deliver task type, no dropdown needed)
+    const locationOptions = ['Select', ...getTaskLocations(currentLayout)];
+    const getLocationCoordinates = (name) => (name ? getRoomCenter(name, currentLayout) : null);
+
+    // Thresholds that apply to the selected device (global + its device / room profiles)
+    const effective = explainEffectiveThresholds(selectedDeviceId);
 
-    // Helper: normalize environment metric keys (supports different payload shapes)
+    // Helper: environment metric lookup (device environment is stored in canonical form)
     const getMetricValue = (key) => {
         const env = currentValues || {};
-        if (key === 'temperature') return env.temperature ?? env.ambient_temp ?? env.temp ?? env.ambientTemp ?? null;
-        if (key === 'humidity') return env.humidity ?? env.ambient_hum ?? env.hum ?? env.ambientHum ?? null;
-        if (key === 'pressure') return env.pressure ?? env.atmospheric_pressure ?? env.atm_pressure ?? env.atmosphericPressure ?? null;
+        if (key === 'temperature') return env.ambient_temp ?? null;
+        if (key === 'humidity') return env.ambient_hum ?? null;
+        if (key === 'pressure') return env.atmospheric_pressure ?? null;
         return null;
     };
 
@@ -268,27 +274,15 @@ function Settings() {
             return;
         }
 
-        // Build the thresholds object used by DeviceContext for severity computation
-        const thresholds = {
-            temperature: {
-                min: Number(settings.temperature.min),
-                max: Number(settings.temperature.max),
-                critical: Number(settings.temperature.max) + 4,
-            },
-            humidity: {
-                min: Number(settings.humidity.min),
-                max: Number(settings.humidity.max),
-                critical: Number(settings.humidity.max) + 15,
-            },
-            pressure: {
-                min: Number(settings.pressure.min),
-                max: Number(settings.pressure.max),
-            },
-            battery: {
-                low: Number(settings.battery.min),
-                critical: Number(settings.battery.critical ?? 10),
-            },
-        };
+        // Build the thresholds object used by DeviceContext for severity computation. Threshold profiles
+        // inherit from these values — every device and robot must still resolve consistently
+        const thresholds = thresholdsFromSettings(settings);
+        const profileError = validateThresholdProfiles(thresholdProfiles, thresholds, registryContexts(registry, thresholdProfiles));
+        if (profileError) {
+            setDeviceSaveMessage({ type: 'error', text: `Conflicts with a threshold profile — ${profileError}` });
+            setTimeout(() => setDeviceSaveMessage(null), 6000);
+            return;
+        }
 
         saveSettingsToStorage({ ...settings, thresholds });
 
@@ -425,13 +419,13 @@ function Settings() {
                         let status = 'normal';
                         if (card.key === 'temperature') {
                             formatted = raw != null ? `${Number(raw).toFixed(1)}°C` : '-- °C';
-                            status = getTemperatureStatus(raw);
+                            status = getTemperatureStatus(raw, effective.thresholds);
                         } else if (card.key === 'humidity') {
                             formatted = raw != null ? `${Number(raw).toFixed(1)}%` : '-- %';
-                            status = getHumidityStatus(raw);
+                            status = getHumidityStatus(raw, effective.thresholds);
                         } else if (card.key === 'pressure') {
                             formatted = raw != null ? `${raw} hPa` : '-- hPa';
-                            status = getPressureStatus(raw);
+                            status = getPressureStatus(raw, effective.thresholds);
                         }
 
                         return (
@@ -440,6 +434,12 @@ function Settings() {
                                     <h3 className="settings-threshold-card__title">{card.title}</h3>
                                     <p className="settings-threshold-subtitle">Current: <span style={{ ...getValueColorStyle(status), fontWeight: '600' }}>{formatted}</span></p>
                                     <p className="settings-threshold-range">Range: {card.rule.absMin} – {card.rule.absMax} {card.rule.unit}</p>
+                                    {(effective.sources[`${card.key}.min`] || effective.sources[`${card.key}.max`]) && (
+                                        <p className="settings-threshold-range">
+                                            This device now: {effective.thresholds[card.key].min} – {effective.thresholds[card.key].max} {card.rule.unit}
+                                            {' '}({[...new Set([effective.sources[`${card.key}.min`], effective.sources[`${card.key}.max`]].filter(Boolean))].join(', ')})
+                                        </p>
+                                    )}
                                 </div>
                                 <div className="settings-input-grid" style={card.fields.length === 1 ? { gridTemplateColumns: '1fr' } : undefined}>
                                     {card.fields.map(f => {
@@ -572,6 +572,9 @@ function Settings() {
                 </div>
             </div>
 
+            {/* Device / room / robot-type threshold overrides */}
+            <ThresholdProfilesPanel />
+
             {/* Robot Settings Section */}
             <div className="settings-section settings-section--fleet">
                 <div className="settings-fleet-header">
@@ -613,6 +616,8 @@ function Settings() {
                             // Check if robot is busy with an active task
                             const isBusy = isRobotBusy ? isRobotBusy(robotId) : false;
                             const activeTask = getRobotActiveTask ? getRobotActiveTask(robotId) : null;
+                            // URGENT tasks may be assigned to a busy robot — they preempt or jump the queue
+                            const isBlocked = isBusy && !isUrgent(robotSettings);
 
                             return (
                                 <div
@@ -636,11 +641,11 @@ function Settings() {
                                     {isBusy && activeTask && (
                                         <div className="settings-task-info">
                                             <div className="settings-task-info__title">
-                                                Delivering — {activeTask.task_id || activeTask.taskId || 'In Progress'}
+                                                Delivering — {activeTask.task_id || 'In Progress'}
                                             </div>
                                             {activeTask.destination && (
                                                 <div className="settings-task-info__route">
-                                                    {activeTask['initiate location'] || activeTask.source || '?'} → {typeof activeTask.destination === 'string' ? activeTask.destination : 'Destination'}
+                                                    {activeTask['initiate location'] || '?'} → {typeof activeTask.destination === 'string' ? activeTask.destination : 'Destination'}
                                                 </div>
                                             )}
                                         </div>
@@ -659,10 +664,10 @@ function Settings() {
                                             <select
                                                 value={robotSettings.source || ''}
                                                 onChange={(e) => updateRobotSetting(robotId, 'source', e.target.value)}
-                                                disabled={isBusy}
+                                                disabled={isBlocked}
                                                 className="settings-select"
                                             >
-                                                {LOCATION_OPTIONS.map(opt => <option key={opt} value={opt === 'Select' ? '' : opt}>{opt}</option>)}
+                                                {locationOptions.map(opt => <option key={opt} value={opt === 'Select' ? '' : opt}>{opt}</option>)}
                                             </select>
                                             <ChevronDown size={14} className="settings-select-icon" />
                                         </div>
@@ -674,10 +679,24 @@ function Settings() {
                                             <select
                                                 value={robotSettings.destination || ''}
                                                 onChange={(e) => updateRobotSetting(robotId, 'destination', e.target.value)}
-                                                disabled={isBusy}
+                                                disabled={isBlocked}
                                                 className="settings-select"
                                             >
-                                                {LOCATION_OPTIONS.map(opt => <option key={opt} value={opt === 'Select' ? '' : opt}>{opt}</option>)}
+                                                {locationOptions.map(opt => <option key={opt} value={opt === 'Select' ? '' : opt}>{opt}</option>)}
+                                            </select>
+                                            <ChevronDown size={14} className="settings-select-icon" />
+                                        </div>
+                                    </div>
+
+                                    <div>
+                                        <label className="settings-field-label">Priority</label>
+                                        <div className="settings-select-wrap">
+                                            <select
+                                                value={normalizePriority(robotSettings.priority)}
+                                                onChange={(e) => updateRobotSetting(robotId, 'priority', e.target.value)}
+                                                className="settings-select"
+                                            >
+                                                {PRIORITY_LEVELS.map(p => <option key={p} value={p}>{PRIORITY_LABELS[p]}</option>)}
                                             </select>
                                             <ChevronDown size={14} className="settings-select-icon" />
                                         </div>
@@ -686,10 +705,10 @@ function Settings() {
                                     {/* Assign/Clear buttons directly below Destination */}
                                     <div className="settings-btn-row">
                                         <button
-                                            disabled={isBusy}
+                                            disabled={isBlocked}
                                             onClick={async () => {
                                                 // Check if robot is busy before assigning
-                                                if (isBusy) {
+                                                if (isBlocked) {
                                                     setRobotSaveMessage({
                                                         type: 'error',
                                                         text: `${displayId} is busy with an active task. Please wait until the current task is completed.`
@@ -739,7 +758,8 @@ function Settings() {
                                                         source_lat: srcCoords?.lat ?? null,
                                                         source_lng: srcCoords?.lng ?? null,
                                                         destination_lat: dstCoords?.lat ?? null,
-                                                        destination_lng: dstCoords?.lng ?? null
+                                                        destination_lng: dstCoords?.lng ?? null,
+                                                        priority: normalizePriority(config.priority)
                                                     };
 
                                                     // Optimistic local update
@@ -760,15 +780,16 @@ function Settings() {
                                                 }
                                             }}
                                             className="settings-assign-btn"
-                                            title={isBusy ? 'Robot is busy with an active task' : 'Assign task to robot'}
+                                            title={isBlocked ? 'Robot is busy with an active task' : isBusy ? 'Pause the active task and run this URGENT task first' : 'Assign task to robot'}
                                         >
-                                            {isBusy ? 'Busy' : 'Assign'}
+                                            {isBlocked ? 'Busy' : isBusy ? 'Preempt' : 'Assign'}
                                         </button>
                                         <button
                                             onClick={() => {
                                                 // Clear robot-specific settings
                                                 updateRobotSetting(robotId, 'source', '');
                                                 updateRobotSetting(robotId, 'destination', '');
+                                                updateRobotSetting(robotId, 'priority', '');
                                                 setRobotSaveMessage({ type: 'success', text: `Cleared settings for ${displayId}` });
                                                 setTimeout(() => setRobotSaveMessage(null), 2000);
                                             }}
@@ -792,6 +813,27 @@ function Settings() {
                     )}
                 </div>
             </div>
+
+            {/* Automatic dispatch + fleet backlog */}
+            <DispatchPanel />
+
+            {/* Task SLA targets */}
+            <SlaPanel />
+
+            {/* Automatic charging + dock occupancy */}
+            <ChargingPanel />
+
+            {/* Configurable alert rules */}
+            <AlertRulesPanel />
+
+            {/* Outbound notifications + escalation policies */}
+            <NotificationsPanel />
+
+            {/* Fleet Registry Admin */}
+            <FleetRegistryPanel />
+
+            {/* Facility Layout Editor */}
+            <FacilityLayoutEditor />
         </div>
     );
 }
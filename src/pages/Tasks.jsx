@@ -0,0 +1,400 @@
+/**
+ * @module Tasks
+ * @description Fleet task queue page. Lists every pending, assigned and
+ * in-progress task on the selected device — each robot's running task, the
+ * dashboard-side queue behind it, and the dispatcher backlog. Queued tasks can
+ * be dragged to reorder them or dropped on another robot to move them; tasks
+ * can be cancelled (TASK_STATUS.CANCELLED is published to the robot) one at a
+ * time or in bulk.
+ */
+import { useState } from 'react';
+import {
+    ArrowUp,
+    ArrowDown,
+    GripVertical,
+    X,
+    ClipboardList,
+    Inbox,
+    AlertCircle,
+    CheckCircle,
+    Loader2
+} from 'lucide-react';
+import { useDevice } from '../contexts/DeviceContext';
+import { TASK_STATUS } from '../config/robotRegistry';
+import { robotLoad } from '../services/dispatcher';
+import { PRIORITY_LABELS, normalizePriority } from '../utils/taskPriority';
+import { PHASE_LABELS, PHASE_COLORS, TASK_PHASES, isMultiStopTask, taskRouteLabel } from '../utils/telemetryMath';
+import { isChargeTask } from '../services/chargeManager';
+
+/** Selection / drag key for the backlog lane. */
+const BACKLOG = 'backlog';
+
+const formatDeadline = (ts) => (ts ? new Date(ts).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) : '—');
+
+/** Row key used for selection — a task id is only unique within its lane. */
+const rowKey = (laneId, taskId) => `${laneId}|${taskId}`;
+
+function Tasks() {
+    const {
+        currentRobots,
+        selectedDeviceId,
+        dispatchBacklog,
+        reorderTaskQueue,
+        moveTask,
+        cancelTask
+    } = useDevice();
+
+    const [selected, setSelected] = useState(() => new Set());
+    const [bulkTarget, setBulkTarget] = useState('');
+    const [drag, setDrag] = useState(null);           // { laneId, taskId }
+    const [dropLane, setDropLane] = useState(null);
+    const [message, setMessage] = useState(null);
+    const [isBusy, setIsBusy] = useState(false);
+
+    const robots = Object.values(currentRobots || {});
+
+    // One lane per robot (running task first, then its queue) plus the backlog
+    const lanes = [
+        ...robots.map(robot => {
+            const running = robotLoad({ task: robot.task }) > 0 ? [{ task: robot.task, queued: false }] : [];
+            const queued = (robot.taskQueue || []).map(task => ({ task, queued: true }));
+            return { id: robot.id, robotId: robot.id, robot, rows: [...running, ...queued] };
+        }),
+        {
+            id: BACKLOG,
+            robotId: null,
+            robot: null,
+            rows: (dispatchBacklog[selectedDeviceId] || []).map(task => ({ task, queued: true }))
+        }
+    ];
+    const laneById = Object.fromEntries(lanes.map(lane => [lane.id, lane]));
+    const totalTasks = lanes.reduce((sum, lane) => sum + lane.rows.length, 0);
+
+    // Drop selections for tasks that finished or moved since they were picked
+    const selectedRows = lanes.flatMap(lane =>
+        lane.rows.filter(row => selected.has(rowKey(lane.id, row.task.task_id))).map(row => ({ lane, row }))
+    );
+
+    const showMessage = (type, text, ms = 3500) => {
+        setMessage({ type, text });
+        setTimeout(() => setMessage(null), ms);
+    };
+
+    // Run one or more task actions, reporting the first failure
+    const runAction = async (action, successText) => {
+        setIsBusy(true);
+        try {
+            await action();
+            showMessage('success', successText);
+        } catch (err) {
+            console.error('[Tasks] Task action failed:', err);
+            showMessage('error', `${successText} locally, but syncing to the server failed`, 5000);
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const toggleSelected = (laneId, taskId) => {
+        setSelected(prev => {
+            const next = new Set(prev);
+            const key = rowKey(laneId, taskId);
+            if (next.has(key)) next.delete(key);
+            else next.add(key);
+            return next;
+        });
+    };
+
+    const toggleLane = (lane) => {
+        const keys = lane.rows.map(row => rowKey(lane.id, row.task.task_id));
+        setSelected(prev => {
+            const next = new Set(prev);
+            const allSelected = keys.every(key => next.has(key));
+            keys.forEach(key => (allSelected ? next.delete(key) : next.add(key)));
+            return next;
+        });
+    };
+
+    // ── Single-task actions ──
+    const handleCancel = (lane, taskId) => {
+        runAction(() => cancelTask(selectedDeviceId, lane.robotId, taskId), `Cancelled ${taskId}`);
+    };
+
+    const handleMove = (lane, taskId, toRobotId) => {
+        if (!toRobotId || toRobotId === lane.robotId) return;
+        runAction(() => moveTask(selectedDeviceId, taskId, lane.robotId, toRobotId), `Moved ${taskId} to ${toRobotId}`);
+    };
+
+    const handleShift = (lane, taskId, delta) => {
+        const queueIndex = (lane.robot.taskQueue || []).findIndex(t => t.task_id === taskId);
+        reorderTaskQueue(selectedDeviceId, lane.robotId, taskId, queueIndex + delta);
+    };
+
+    // ── Bulk actions ──
+    const handleBulkCancel = () => {
+        if (!window.confirm(`Cancel ${selectedRows.length} task(s)? Robots will be told to stop them.`)) return;
+        runAction(async () => {
+            for (const { lane, row } of selectedRows) {
+                await cancelTask(selectedDeviceId, lane.robotId, row.task.task_id);
+            }
+            setSelected(new Set());
+        }, `Cancelled ${selectedRows.length} task(s)`);
+    };
+
+    const handleBulkMove = () => {
+        const rows = selectedRows.filter(({ lane }) => lane.robotId !== bulkTarget);
+        if (!bulkTarget || rows.length === 0) return;
+        runAction(async () => {
+            for (const { lane, row } of rows) {
+                await moveTask(selectedDeviceId, row.task.task_id, lane.robotId, bulkTarget);
+            }
+            setSelected(new Set());
+        }, `Moved ${rows.length} task(s) to ${bulkTarget}`);
+    };
+
+    // ── Drag and drop ──
+    // Dropping on a row of the same robot reorders its queue; dropping anywhere
+    // on another robot's lane moves the task there (to the end of its queue).
+    const handleDragStart = (e, lane, row) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', row.task.task_id);
+        setDrag({ laneId: lane.id, taskId: row.task.task_id });
+    };
+
+    const handleDragEnd = () => {
+        setDrag(null);
+        setDropLane(null);
+    };
+
+    const handleDropOnRow = (e, lane, row) => {
+        if (!drag || drag.laneId !== lane.id || !lane.robotId || !row.queued) return;
+        e.preventDefault();
+        e.stopPropagation();
+        const targetIndex = (lane.robot.taskQueue || []).findIndex(t => t.task_id === row.task.task_id);
+        reorderTaskQueue(selectedDeviceId, lane.robotId, drag.taskId, targetIndex);
+        handleDragEnd();
+    };
+
+    const handleDropOnLane = (e, lane) => {
+        e.preventDefault();
+        const from = drag && laneById[drag.laneId];
+        handleDragEnd();
+        if (!from || from.id === lane.id || !lane.robotId) return;
+        handleMove(from, drag.taskId, lane.robotId);
+    };
+
+    const renderStatus = (task) => {
+        const phase = task.phase;
+        if (task.status === TASK_STATUS.PREEMPTED) {
+            // Paused for an URGENT task — resumes at this phase
+            return (
+                <span className="analysis-status-badge analysis-status-badge--idle" title={`Resumes at ${PHASE_LABELS[task.resumePhase] || task.resumePhase}`}>
+                    Paused
+                </span>
+            );
+        }
+        if (phase && PHASE_LABELS[phase]) {
+            const colors = PHASE_COLORS[phase];
+            return (
+                <span className="analysis-status-badge" style={{ background: colors.bg, color: colors.color }}>
+                    {isChargeTask(task) && phase === TASK_PHASES.DELIVERING ? '🔌 Charging' : PHASE_LABELS[phase]}
+                    {isMultiStopTask(task) && ` · stop ${(Number(task.stopIndex) || 0) + 1}/${task.stops.length}`}
+                </span>
+            );
+        }
+        return <span className="analysis-status-badge analysis-status-badge--assigned">{task.status || 'Pending'}</span>;
+    };
+
+    return (
+        <div className="analysis-page" style={{ maxWidth: '100%', minHeight: '100%' }}>
+            <div className="analysis-header">
+                <div>
+                    <h1 className="analysis-title">Task Queues</h1>
+                    <p className="analysis-subtitle">
+                        {totalTasks} open task(s) on {selectedDeviceId} — drag to reorder, drop on another robot to move
+                    </p>
+                </div>
+                {isBusy && <Loader2 size={18} className="animate-spin" />}
+            </div>
+
+            {/* Bulk actions */}
+            {selectedRows.length > 0 && (
+                <div className="tasks-bulk-bar">
+                    <span className="tasks-bulk-bar__count">{selectedRows.length} selected</span>
+                    <div className="settings-select-wrap tasks-bulk-bar__select">
+                        <select value={bulkTarget} onChange={(e) => setBulkTarget(e.target.value)} className="settings-select">
+                            <option value="">Move to…</option>
+                            {robots.map(robot => <option key={robot.id} value={robot.id}>{robot.name || robot.id}</option>)}
+                        </select>
+                    </div>
+                    <button onClick={handleBulkMove} disabled={isBusy || !bulkTarget} className="analysis-export-btn">
+                        Move
+                    </button>
+                    <button onClick={handleBulkCancel} disabled={isBusy} className="analysis-export-btn tasks-btn--danger">
+                        <X size={14} /> Cancel
+                    </button>
+                    <button onClick={() => setSelected(new Set())} className="analysis-export-btn">
+                        Clear selection
+                    </button>
+                </div>
+            )}
+
+            {message && (
+                <div className={`settings-message ${message.type === 'error' ? 'settings-message--error' : 'settings-message--success'}`}>
+                    {message.type === 'error' ? <AlertCircle size={18} /> : <CheckCircle size={18} />}
+                    {message.text}
+                </div>
+            )}
+
+            {lanes.map(lane => {
+                const isBacklog = lane.id === BACKLOG;
+                if (isBacklog && lane.rows.length === 0) return null;
+                const laneKeys = lane.rows.map(row => rowKey(lane.id, row.task.task_id));
+                const laneSelected = laneKeys.length > 0 && laneKeys.every(key => selected.has(key));
+
+                return (
+                    <div
+                        key={lane.id}
+                        className={`analysis-fleet-section tasks-lane ${dropLane === lane.id ? 'tasks-lane--drop' : ''}`}
+                        onDragOver={(e) => {
+                            if (!drag || isBacklog || drag.laneId === lane.id) return;
+                            e.preventDefault();
+                            setDropLane(lane.id);
+                        }}
+                        onDragLeave={() => setDropLane(prev => (prev === lane.id ? null : prev))}
+                        onDrop={(e) => handleDropOnLane(e, lane)}
+                    >
+                        <div className="analysis-fleet-header">
+                            <h2 className="analysis-fleet-title">
+                                {isBacklog ? <Inbox size={16} className="tasks-lane__icon" /> : <ClipboardList size={16} className="tasks-lane__icon" />}
+                                {isBacklog ? 'Dispatch Backlog' : (lane.robot.name || lane.robotId)}
+                                <span className="analysis-fleet-count">
+                                    {isBacklog
+                                        ? `${lane.rows.length} waiting for a robot`
+                                        : `${lane.robotId} · ${lane.robot.status?.state || 'Unknown'} · ${lane.rows.length} task(s)`}
+                                </span>
+                            </h2>
+                        </div>
+
+                        <div className="analysis-table-wrap diagnostics-table-wrap">
+                            {lane.rows.length === 0 ? (
+                                <p className="diagnostics-empty">No tasks — drop one here to assign it.</p>
+                            ) : (
+                                <table className="analysis-table tasks-table">
+                                    <thead>
+                                        <tr>
+                                            <th>
+                                                <input
+                                                    type="checkbox"
+                                                    checked={laneSelected}
+                                                    onChange={() => toggleLane(lane)}
+                                                    aria-label="Select all tasks in this lane"
+                                                />
+                                            </th>
+                                            <th>#</th>
+                                            <th>Task</th>
+                                            <th>Route</th>
+                                            <th>Status</th>
+                                            <th>Priority</th>
+                                            <th>Deadline</th>
+                                            <th>Actions</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {lane.rows.map((row, i) => {
+                                            const { task } = row;
+                                            const queueIndex = isBacklog ? -1 : (lane.robot.taskQueue || []).findIndex(t => t.task_id === task.task_id);
+                                            const queueLength = lane.robot?.taskQueue?.length || 0;
+
+                                            return (
+                                                <tr
+                                                    key={task.task_id}
+                                                    className={`tasks-row ${drag?.taskId === task.task_id ? 'tasks-row--dragging' : ''} ${row.queued ? '' : 'tasks-row--active'}`}
+                                                    draggable={!isBusy}
+                                                    onDragStart={(e) => handleDragStart(e, lane, row)}
+                                                    onDragEnd={handleDragEnd}
+                                                    onDragOver={(e) => {
+                                                        if (drag?.laneId === lane.id && row.queued && !isBacklog) e.preventDefault();
+                                                    }}
+                                                    onDrop={(e) => handleDropOnRow(e, lane, row)}
+                                                >
+                                                    <td>
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={selected.has(rowKey(lane.id, task.task_id))}
+                                                            onChange={() => toggleSelected(lane.id, task.task_id)}
+                                                            aria-label={`Select ${task.task_id}`}
+                                                        />
+                                                    </td>
+                                                    <td className="tasks-row__handle">
+                                                        <GripVertical size={14} />
+                                                        {row.queued ? (isBacklog ? i + 1 : queueIndex + 1) : '▶'}
+                                                    </td>
+                                                    <td><strong>{task.task_id}</strong></td>
+                                                    <td>{isChargeTask(task) ? `Charge at ${task.destination}` : taskRouteLabel(task)}</td>
+                                                    <td>{isBacklog ? <span className="diagnostics-muted">{task.reason || 'Waiting'}</span> : renderStatus(task)}</td>
+                                                    <td>
+                                                        <span className={`settings-dispatch-priority settings-dispatch-priority--${normalizePriority(task.priority).toLowerCase()}`}>
+                                                            {PRIORITY_LABELS[normalizePriority(task.priority)]}
+                                                        </span>
+                                                    </td>
+                                                    <td>{formatDeadline(task.deadline)}</td>
+                                                    <td>
+                                                        <div className="tasks-actions">
+                                                            {queueIndex >= 0 && (
+                                                                <>
+                                                                    <button
+                                                                        className="analysis-expand-btn"
+                                                                        onClick={() => handleShift(lane, task.task_id, -1)}
+                                                                        disabled={queueIndex === 0}
+                                                                        aria-label="Move up"
+                                                                    >
+                                                                        <ArrowUp size={14} />
+                                                                    </button>
+                                                                    <button
+                                                                        className="analysis-expand-btn"
+                                                                        onClick={() => handleShift(lane, task.task_id, 1)}
+                                                                        disabled={queueIndex === queueLength - 1}
+                                                                        aria-label="Move down"
+                                                                    >
+                                                                        <ArrowDown size={14} />
+                                                                    </button>
+                                                                </>
+                                                            )}
+                                                            <select
+                                                                value=""
+                                                                onChange={(e) => handleMove(lane, task.task_id, e.target.value)}
+                                                                disabled={isBusy}
+                                                                className="tasks-move-select"
+                                                                aria-label={`Move ${task.task_id} to robot`}
+                                                            >
+                                                                <option value="">Move to…</option>
+                                                                {robots.filter(r => r.id !== lane.robotId).map(r => (
+                                                                    <option key={r.id} value={r.id}>{r.name || r.id}</option>
+                                                                ))}
+                                                            </select>
+                                                            <button
+                                                                className="analysis-expand-btn tasks-btn--danger"
+                                                                onClick={() => handleCancel(lane, task.task_id)}
+                                                                disabled={isBusy}
+                                                                aria-label={`Cancel ${task.task_id}`}
+                                                                title="Cancel task"
+                                                            >
+                                                                <X size={14} />
+                                                            </button>
+                                                        </div>
+                                                    </td>
+                                                </tr>
+                                            );
+                                        })}
+                                    </tbody>
+                                </table>
+                            )}
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+export default Tasks;
@@ -9,6 +9,7 @@
 
 import axios from "axios";
 import { getToken, refreshSession, login as reLogin } from "./authService";
+import { recordApiError } from "./diagnostics";
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
 
@@ -82,11 +83,12 @@ api.interceptors.response.use(
       }
     }
 
-    // Logging (debounced)
+    // Diagnostics counts every failure (silent ones included); logging is debounced
     try {
+      const status = error.response?.status || "Network";
+      const url = error.config?.url || "unknown";
+      recordApiError(status, url);
       if (!error.config?._silent) {
-        const status = error.response?.status || "Network";
-        const url = error.config?.url || "unknown";
         const key = `${status}:${url}`;
         const now = Date.now();
         if (
@@ -180,11 +182,19 @@ export async function getTopicStreamData(
  * 3. Fetch current state details for a SPECIFIC topic
  * POST /get-state-details/device/topic
  */
-export async function getTopicStateDetails(deviceId, topic) {
-  const response = await api.post("/get-state-details/device/topic", {
-    deviceId,
-    topic,
-  });
+export async function getTopicStateDetails(
+  deviceId,
+  topic,
+  { silent = false } = {},
+) {
+  const response = await api.post(
+    "/get-state-details/device/topic",
+    {
+      deviceId,
+      topic,
+    },
+    { _silent: silent },
+  );
   return response.data;
 }
 
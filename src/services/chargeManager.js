@@ -0,0 +1,254 @@
+/**
+ * Charge Manager
+ *
+ * Sends robots to the charging docks of the facility layout. DeviceContext
+ * checks every robot every CHARGE_CHECK_MS; a robot needs a charge when:
+ *   - it is idle and its battery is at or below thresholds.battery.low
+ *   - it is idle and the learned idle discharge rate (utils/batteryModel)
+ *     puts it below thresholds.battery.low within `lookaheadMinutes`
+ *   - it is busy and workForecast says its active task and queue cannot be
+ *     finished on the battery left
+ *
+ * The robot gets a "Charge" task to the nearest free dock (by aisle route),
+ * published to `fleetMS/robots/{id}/task` like any other task. It runs as a
+ * single drop at the dock: on arrival the task stays in DELIVERING while the
+ * robot charges (status CHARGING), and is completed when the battery reaches
+ * `resumeLevel`. A busy robot's queued tasks go back to the dispatch backlog
+ * first; the charge task is URGENT (preempts a travelling task) when the
+ * active task alone cannot be finished, else HIGH (runs after it).
+ *
+ * Docks are occupied by robots charging at or heading to them, and by any
+ * robot within DOCK_RADIUS_M. Settings (on/off, resume level, look-ahead) are
+ * saved to localStorage `fabrix_charging_settings`.
+ *
+ * @module chargeManager
+ */
+import { updateStateDetails } from "./api";
+import { TASK_PRIORITY } from "../config/robotRegistry";
+import { compileLayout, haversineDistance, planRoute, TASK_PHASES } from "../utils/telemetryMath";
+import { forecastBattery, workForecast } from "../utils/batteryModel";
+
+const STORAGE_KEY = "fabrix_charging_settings";
+
+/** task_type of the tasks this module creates. */
+export const CHARGE_TASK_TYPE = "Charge";
+
+/** How often DeviceContext checks for robots that need a charge. */
+export const CHARGE_CHECK_MS = 15 * 1000;
+
+/** A robot this close to a dock occupies it. */
+export const DOCK_RADIUS_M = 3;
+
+export const CHARGE_REASONS = {
+  LOW: "low",
+  PREDICTED: "predicted",
+  QUEUE: "queue",
+};
+
+export const CHARGE_REASON_LABELS = {
+  [CHARGE_REASONS.LOW]: "battery low",
+  [CHARGE_REASONS.PREDICTED]: "battery low soon",
+  [CHARGE_REASONS.QUEUE]: "not enough for its queue",
+};
+
+export const DEFAULT_CHARGING_SETTINGS = {
+  enabled: true,
+  resumeLevel: 90, // % at which a charging robot returns to service
+  lookaheadMinutes: 10, // idle robots predicted to reach the low threshold within this go early
+};
+
+/** Robot states that are never sent to charge. */
+const SKIP_STATES = ["CHARGING", "ERROR", "MAINTENANCE", "STOPPED", "OFFLINE", "BLOCKED"];
+
+let chargeCounter = 0;
+
+// ── Settings ─────────────────────────────────────────────────────
+
+/**
+ * Fill in defaults and clamp values.
+ * @returns {{enabled: boolean, resumeLevel: number, lookaheadMinutes: number}}
+ */
+export function normalizeChargingSettings(raw) {
+  const resume = Number(raw?.resumeLevel);
+  const lookahead = Number(raw?.lookaheadMinutes);
+  return {
+    enabled: raw?.enabled ?? DEFAULT_CHARGING_SETTINGS.enabled,
+    resumeLevel: Number.isFinite(resume) && resume > 0 && resume <= 100 ? resume : DEFAULT_CHARGING_SETTINGS.resumeLevel,
+    lookaheadMinutes: Number.isFinite(lookahead) && lookahead >= 0 ? lookahead : DEFAULT_CHARGING_SETTINGS.lookaheadMinutes,
+  };
+}
+
+// ── Charge tasks ─────────────────────────────────────────────────
+
+export function isChargeTask(task) {
+  return task?.task_type === CHARGE_TASK_TYPE;
+}
+
+/** The robot's charge task — active or queued — if it has one. */
+export function chargeTaskOf(robot) {
+  const active = robot?.task;
+  if (isChargeTask(active) && active.phase !== TASK_PHASES.COMPLETED && active.phase !== TASK_PHASES.FAILED) return active;
+  return (robot?.taskQueue || []).find(isChargeTask) || null;
+}
+
+/** Whether a robot is parked at its dock, charging under a charge task. */
+export function isDocked(robot) {
+  return isChargeTask(robot?.task) && robot.task.phase === TASK_PHASES.DELIVERING;
+}
+
+/** Whether a robot has an unfinished active task or anything queued. */
+function hasWork(robot) {
+  const task = robot?.task;
+  const active = task && task.phase !== TASK_PHASES.COMPLETED && task.phase !== TASK_PHASES.FAILED && !/^(completed|failed|cancelled)$/i.test(task.status || "");
+  return !!active || (robot?.taskQueue?.length || 0) > 0;
+}
+
+function robotState(robot) {
+  const state = robot?.status?.state ?? robot?.status;
+  return typeof state === "string" ? state.toUpperCase() : "";
+}
+
+/**
+ * Whether (and why) a robot should be sent to charge now.
+ *
+ * @param {object} robot - live robot from DeviceContext
+ * @param {{low: number, critical: number}} battery - thresholds.battery
+ * @param {object} settings - from normalizeChargingSettings
+ * @param {object} [layout]
+ * @returns {{reason: string, battery: number, urgent: boolean}|null}
+ *          `urgent` when the active task alone cannot be finished
+ */
+export function chargeNeed(robot, battery, settings, layout) {
+  const pct = Number(robot?.status?.battery);
+  const offline = (robot?.["robot-status"] || robot?.robotStatus) === "offline";
+  if (!Number.isFinite(pct) || offline || SKIP_STATES.includes(robotState(robot)) || chargeTaskOf(robot)) return null;
+  if (pct >= settings.resumeLevel) return null;
+
+  if (!hasWork(robot)) {
+    if (pct <= battery.low) return { reason: CHARGE_REASONS.LOW, battery: pct, urgent: true };
+    const forecast = forecastBattery(pct, robot.batteryModel, battery, false);
+    if (forecast && forecast.toLowMs <= settings.lookaheadMinutes * 60 * 1000) {
+      return { reason: CHARGE_REASONS.PREDICTED, battery: pct, urgent: true };
+    }
+    return null;
+  }
+
+  const plan = workForecast(robot, battery, layout);
+  if (!plan || plan.canFinish) return null;
+  const activeOnly = workForecast({ ...robot, taskQueue: [] }, battery, layout);
+  return { reason: CHARGE_REASONS.QUEUE, battery: pct, urgent: !!activeOnly && !activeOnly.canFinish };
+}
+
+/**
+ * Task payload sending a robot to a dock — a single drop at the dock's coordinates.
+ * @param {{id: string, name: string, lat: number, lng: number}} dock
+ * @param {{reason: string, urgent: boolean}} need - from chargeNeed
+ */
+export function buildChargeTask(robotId, dock, need, now = Date.now()) {
+  chargeCounter += 1;
+  return {
+    task_id: `CHG-${now.toString(36)}-${chargeCounter}`,
+    task_type: CHARGE_TASK_TYPE,
+    destination: dock.name,
+    destination_lat: dock.lat,
+    destination_lng: dock.lng,
+    dock_id: dock.id,
+    charge_reason: need.reason,
+    priority: need.urgent ? TASK_PRIORITY.URGENT : TASK_PRIORITY.HIGH,
+    robotId,
+    status: "Assigned",
+    assignedAt: new Date(now).toISOString(),
+  };
+}
+
+// ── Docks ────────────────────────────────────────────────────────
+
+/**
+ * Who occupies each dock of a layout.
+ *
+ * @param {Array<object>} robots - the device's live robots
+ * @param {object} [layout]
+ * @returns {Object<string, {robotId: string, state: "charging"|"reserved"|"present"}>}
+ *          dockId → occupant; free docks are absent
+ */
+export function dockOccupancy(robots, layout) {
+  const docks = compileLayout(layout).docks;
+  const occupancy = {};
+  (robots || []).forEach((robot) => {
+    const task = chargeTaskOf(robot);
+    if (task?.dock_id) {
+      occupancy[task.dock_id] = { robotId: robot.id, state: isDocked(robot) ? "charging" : "reserved" };
+    }
+  });
+  (robots || []).forEach((robot) => {
+    const { lat, lng } = robot?.location || {};
+    if (lat == null || lng == null) return;
+    docks.forEach((dock) => {
+      if (occupancy[dock.id]) return;
+      if (haversineDistance(lat, lng, dock.lat, dock.lng) <= DOCK_RADIUS_M) {
+        occupancy[dock.id] = { robotId: robot.id, state: "present" };
+      }
+    });
+  });
+  return occupancy;
+}
+
+/**
+ * The free dock with the shortest aisle route from the robot (the first free
+ * dock when the robot has no position).
+ * @returns {object|null} Dock from the layout
+ */
+export function nearestFreeDock(robot, layout, occupancy = {}) {
+  const free = compileLayout(layout).docks.filter((dock) => !occupancy[dock.id] || occupancy[dock.id].robotId === robot?.id);
+  const { lat, lng } = robot?.location || {};
+  if (lat == null || lng == null) return free[0] || null;
+  let best = null;
+  free.forEach((dock) => {
+    const distanceM = planRoute({ lat, lng }, { lat: dock.lat, lng: dock.lng }, layout).distanceM;
+    if (!best || distanceM < best.distanceM) best = { dock, distanceM };
+  });
+  return best?.dock || null;
+}
+
+/**
+ * Publish a charge task to the robot's task topic.
+ * @returns {Promise<object>} The payload that was sent
+ */
+export async function publishChargeTask(deviceId, robotId, dock, need, now = Date.now()) {
+  const payload = buildChargeTask(robotId, dock, need, now);
+  await updateStateDetails(deviceId, `fleetMS/robots/${robotId}/task`, payload);
+  return payload;
+}
+
+// ── Local cache ──────────────────────────────────────────────────
+
+export function loadChargingSettings() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return normalizeChargingSettings(raw ? JSON.parse(raw) : null);
+  } catch {
+    return normalizeChargingSettings(null);
+  }
+}
+
+export function saveChargingSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.error("[Charging] Failed to save settings:", e);
+  }
+}
+
+export default {
+  normalizeChargingSettings,
+  isChargeTask,
+  chargeTaskOf,
+  isDocked,
+  chargeNeed,
+  buildChargeTask,
+  dockOccupancy,
+  nearestFreeDock,
+  publishChargeTask,
+  loadChargingSettings,
+  saveChargingSettings,
+};
@@ -0,0 +1,258 @@
+/**
+ * Connection Diagnostics — in-memory health log for the broker, gateways and API.
+ *
+ * Collects, without React involvement:
+ *   - STOMP lifecycle events (connect / disconnect / errors / reconnect attempts)
+ *   - heartbeat misses reported by the STOMP client's debug output
+ *   - message counts and rates per device topic
+ *   - API error counts (fed from the axios response interceptor)
+ *   - telemetry payloads rejected by the schema layer (utils/payloadSchema)
+ *
+ * The Diagnostics page polls getDiagnosticsSnapshot(); the snapshot is plain
+ * JSON so it can be exported when a site reports a problem.
+ *
+ * @module diagnostics
+ */
+
+/** Max lifecycle events kept (oldest dropped first). */
+const MAX_EVENTS = 200;
+
+/** Max recent API errors kept. */
+const MAX_API_ERRORS = 50;
+
+/** Max recent rejected payloads kept. */
+const MAX_REJECTED = 50;
+
+/** Window used for message-rate calculation. */
+export const RATE_WINDOW_MS = 60 * 1000;
+
+// ── Internal state ───────────────────────────────────────────────
+
+const state = {
+  startedAt: Date.now(),
+  events: [],
+  counters: {
+    connects: 0,
+    disconnects: 0,
+    reconnectAttempts: 0,
+    heartbeatMisses: 0,
+    brokerErrors: 0,
+  },
+  connectedSince: null,
+  lastDisconnectAt: null,
+  /** key `${deviceId}|${topic}` → { deviceId, topic, count, lastAt, recent: number[] } */
+  topics: new Map(),
+  api: {
+    total: 0,
+    byStatus: {},
+    byEndpoint: {},
+    recent: [],
+  },
+  rejected: {
+    total: 0,
+    byKind: {},
+    recent: [],
+  },
+};
+
+// ── Recorders ────────────────────────────────────────────────────
+
+/**
+ * Record a connection lifecycle event.
+ * @param {"connecting"|"connected"|"disconnected"|"broker-error"|"socket-error"|"heartbeat-miss"|"reconnect-scheduled"} type
+ * @param {string} [detail]
+ */
+export function recordConnectionEvent(type, detail = "") {
+  const now = Date.now();
+  state.events.push({ type, detail, time: now });
+  if (state.events.length > MAX_EVENTS) state.events.shift();
+
+  switch (type) {
+    case "connected":
+      state.counters.connects += 1;
+      state.connectedSince = now;
+      break;
+    case "disconnected":
+      // Close + error callbacks can both fire for one drop — count it once
+      if (state.connectedSince != null) {
+        state.counters.disconnects += 1;
+        state.lastDisconnectAt = now;
+      }
+      state.connectedSince = null;
+      break;
+    case "broker-error":
+      state.counters.brokerErrors += 1;
+      break;
+    case "heartbeat-miss":
+      state.counters.heartbeatMisses += 1;
+      break;
+    case "reconnect-scheduled":
+      state.counters.reconnectAttempts += 1;
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Translate the STOMP client's debug strings into lifecycle events.
+ * Only the lines we care about are recorded; frame dumps are ignored.
+ * @param {string} line - Message passed to the Client `debug` callback
+ */
+export function recordStompDebug(line) {
+  if (typeof line !== "string") return;
+  if (line.startsWith("Opening Web Socket")) {
+    recordConnectionEvent("connecting");
+  } else if (line.startsWith("did not receive server activity")) {
+    recordConnectionEvent("heartbeat-miss", line);
+  } else if (line.startsWith("STOMP: scheduling reconnection")) {
+    recordConnectionEvent("reconnect-scheduled", line);
+  }
+}
+
+/**
+ * Count one inbound message for a device topic.
+ * @param {string} deviceId
+ * @param {string} topic - topicSuffix of the message ("state" for state frames without one)
+ */
+export function recordMessage(deviceId, topic) {
+  const now = Date.now();
+  const key = `${deviceId}|${topic || "unknown"}`;
+  let entry = state.topics.get(key);
+  if (!entry) {
+    entry = { deviceId, topic: topic || "unknown", count: 0, lastAt: null, recent: [] };
+    state.topics.set(key, entry);
+  }
+  entry.count += 1;
+  entry.lastAt = now;
+  entry.recent.push(now);
+  // Keep only the rate window
+  while (entry.recent.length && now - entry.recent[0] > RATE_WINDOW_MS) {
+    entry.recent.shift();
+  }
+}
+
+/**
+ * Count one failed API request (called from the axios response interceptor).
+ * @param {number|string} status - HTTP status or "Network"
+ * @param {string} url
+ */
+export function recordApiError(status, url) {
+  const key = String(status);
+  state.api.total += 1;
+  state.api.byStatus[key] = (state.api.byStatus[key] || 0) + 1;
+  state.api.byEndpoint[url] = (state.api.byEndpoint[url] || 0) + 1;
+  state.api.recent.push({ status: key, url, time: Date.now() });
+  if (state.api.recent.length > MAX_API_ERRORS) state.api.recent.shift();
+}
+
+/**
+ * Count one telemetry payload whose fields failed schema validation.
+ * @param {string} kind - Schema name (e.g. "environment", "robotBattery")
+ * @param {string[]} reasons - One entry per rejected field
+ * @param {{deviceId?: string, robotId?: string, topic?: string}} [context]
+ */
+export function recordRejectedMessage(kind, reasons, context = {}) {
+  state.rejected.total += 1;
+  state.rejected.byKind[kind] = (state.rejected.byKind[kind] || 0) + 1;
+  state.rejected.recent.push({
+    kind,
+    reasons,
+    deviceId: context.deviceId || null,
+    robotId: context.robotId || null,
+    topic: context.topic || null,
+    time: Date.now(),
+  });
+  if (state.rejected.recent.length > MAX_REJECTED) state.rejected.recent.shift();
+}
+
+// ── Snapshot ─────────────────────────────────────────────────────
+
+/**
+ * Plain-JSON snapshot of everything collected so far.
+ * Per-device and per-robot "last message" figures are derived from topic stats
+ * so the caller can tell a silent gateway from a silent robot.
+ *
+ * @returns {object}
+ */
+export function getDiagnosticsSnapshot() {
+  const now = Date.now();
+
+  const topics = Array.from(state.topics.values())
+    .map((t) => ({
+      deviceId: t.deviceId,
+      topic: t.topic,
+      count: t.count,
+      perMinute: t.recent.filter((ts) => now - ts <= RATE_WINDOW_MS).length,
+      lastAt: t.lastAt,
+    }))
+    .sort((a, b) => a.deviceId.localeCompare(b.deviceId) || a.topic.localeCompare(b.topic));
+
+  const devices = {};
+  const robots = {};
+  topics.forEach((t) => {
+    const device = devices[t.deviceId] || (devices[t.deviceId] = { deviceId: t.deviceId, count: 0, perMinute: 0, lastAt: null });
+    device.count += t.count;
+    device.perMinute += t.perMinute;
+    device.lastAt = Math.max(device.lastAt || 0, t.lastAt || 0) || null;
+
+    const robotMatch = t.topic.match(/robots\/([^/]+)/);
+    if (robotMatch) {
+      const key = `${t.deviceId}|${robotMatch[1]}`;
+      const robot = robots[key] || (robots[key] = { deviceId: t.deviceId, robotId: robotMatch[1], count: 0, lastAt: null });
+      robot.count += t.count;
+      robot.lastAt = Math.max(robot.lastAt || 0, t.lastAt || 0) || null;
+    }
+  });
+
+  return {
+    generatedAt: new Date(now).toISOString(),
+    sessionStartedAt: new Date(state.startedAt).toISOString(),
+    connection: {
+      connected: state.connectedSince != null,
+      connectedSince: state.connectedSince,
+      lastDisconnectAt: state.lastDisconnectAt,
+      ...state.counters,
+      events: [...state.events],
+    },
+    devices: Object.values(devices),
+    robots: Object.values(robots),
+    topics,
+    api: {
+      totalErrors: state.api.total,
+      byStatus: { ...state.api.byStatus },
+      byEndpoint: { ...state.api.byEndpoint },
+      recent: [...state.api.recent],
+    },
+    rejected: {
+      total: state.rejected.total,
+      byKind: { ...state.rejected.byKind },
+      recent: [...state.rejected.recent],
+    },
+  };
+}
+
+/**
+ * Forget everything collected (keeps the current connection flag).
+ */
+export function resetDiagnostics() {
+  state.startedAt = Date.now();
+  state.events = [];
+  Object.keys(state.counters).forEach((k) => {
+    state.counters[k] = 0;
+  });
+  state.lastDisconnectAt = null;
+  state.topics.clear();
+  state.api = { total: 0, byStatus: {}, byEndpoint: {}, recent: [] };
+  state.rejected = { total: 0, byKind: {}, recent: [] };
+}
+
+export default {
+  recordConnectionEvent,
+  recordStompDebug,
+  recordMessage,
+  recordApiError,
+  recordRejectedMessage,
+  getDiagnosticsSnapshot,
+  resetDiagnostics,
+};
@@ -0,0 +1,359 @@
+/**
+ * Task Dispatcher
+ *
+ * Turns Deliver orders (source, destination, priority, deadline) into robot
+ * tasks without the operator picking a robot. For each order every robot of
+ * the device is scored and the cheapest eligible one gets the task, published
+ * to `fleetMS/robots/{id}/task` like a manual Settings assignment.
+ *
+ * Eligibility:
+ *   - not offline, and not in ERROR / BLOCKED / CHARGING / MAINTENANCE
+ *   - not heading to (or waiting for) a charge — see chargeManager
+ *   - battery above thresholds.battery.critical
+ *   - fewer than DISPATCH_MAX_QUEUE tasks (active + queued)
+ *   - has not already rejected the order
+ *
+ * Score (metres-equivalent, lower wins):
+ *   distance to source (haversine; facility span without a GPS fix)
+ *   + DISPATCH_QUEUE_PENALTY_M per task already on the robot
+ *   + DISPATCH_LOW_BATTERY_PENALTY_M when battery is below thresholds.battery.low
+ *   + DISPATCH_BATTERY_WEIGHT_M per % of battery used
+ *
+ * Orders no robot can take, that fail to publish, or that a robot rejects
+ * wait in the device's backlog (localStorage `fabrix_dispatch_backlog`) and
+ * are retried by DeviceContext.
+ *
+ * @module dispatcher
+ */
+import { updateStateDetails } from "./api";
+import { chargeTaskOf } from "./chargeManager";
+import {
+  STOP_TYPES,
+  TASK_PHASES,
+  facilitySpanM,
+  generateTaskId,
+  getRoomCenter,
+  haversineDistance,
+} from "../utils/telemetryMath";
+import { getThresholds } from "../utils/thresholds";
+import { normalizePriority, priorityRank } from "../utils/taskPriority";
+
+const STORAGE_KEY = "fabrix_dispatch_backlog";
+
+/** Robots with this many tasks (active + queued) take no more orders. */
+export const DISPATCH_MAX_QUEUE = 3;
+
+/** Cost of each task already on a robot, in metres of travel. */
+export const DISPATCH_QUEUE_PENALTY_M = 50;
+
+/** Extra cost for a robot below the low-battery threshold. */
+export const DISPATCH_LOW_BATTERY_PENALTY_M = 200;
+
+/** Cost per % of battery used, so fuller robots win close calls. */
+export const DISPATCH_BATTERY_WEIGHT_M = 1;
+
+/** How often DeviceContext retries the backlog. */
+export const DISPATCH_RETRY_MS = 15 * 1000;
+
+/** Robot states that cannot take new work. */
+const UNAVAILABLE_STATES = ["ERROR", "BLOCKED", "CHARGING", "MAINTENANCE", "STOPPED", "OFFLINE"];
+
+/** Task statuses a robot uses to refuse a dispatched order. */
+const REJECTED_STATUSES = ["rejected", "declined", "refused"];
+
+// ── Helpers ──────────────────────────────────────────────────────
+
+function robotState(robot) {
+  const state = robot?.status?.state ?? robot?.status;
+  return typeof state === "string" ? state.toUpperCase() : "";
+}
+
+/** Battery %, or null when unknown. Live robots keep it in `status`; older shapes at the top level. */
+function batteryLevel(robot) {
+  const raw = robot?.status?.battery ?? robot?.battery;
+  const level = raw == null || raw === "" ? NaN : Number(raw);
+  return Number.isFinite(level) ? level : null;
+}
+
+function hasFix(robot) {
+  const lat = robot?.location?.lat;
+  const lng = robot?.location?.lng;
+  // Null / 0,0 defaults are not a real position
+  return lat != null && lng != null && (Math.abs(lat) > 1 || Math.abs(lng) > 1);
+}
+
+/** Active task (if still running) plus everything queued behind it. */
+export function robotLoad(robot) {
+  const task = robot?.task;
+  const finished =
+    !task ||
+    task.phase === TASK_PHASES.COMPLETED ||
+    task.phase === TASK_PHASES.FAILED ||
+    /^(completed|failed|cancelled)$/i.test(task.status || "");
+  const active = finished ? 0 : 1;
+  return active + (robot?.taskQueue?.length || 0);
+}
+
+/** Whether a robot's task status means it refused the task. */
+export function isRejectedStatus(status) {
+  return REJECTED_STATUSES.includes(String(status || "").toLowerCase());
+}
+
+/** Whether a task status means an operator cancelled it. */
+export function isCancelledStatus(status) {
+  return /^cancell?ed$/i.test(String(status || ""));
+}
+
+/** Backlog order: priority, then earliest deadline, then oldest. */
+export function compareOrders(a, b) {
+  const pa = priorityRank(a.priority);
+  const pb = priorityRank(b.priority);
+  if (pa !== pb) return pa - pb;
+  const da = a.deadline ?? Infinity;
+  const db = b.deadline ?? Infinity;
+  if (da !== db) return da - db;
+  return (a.createdAt || 0) - (b.createdAt || 0);
+}
+
+// ── Orders ───────────────────────────────────────────────────────
+
+/** A stop as stored on an order: type, room and room coordinates. */
+function orderStop({ type, location }, layout) {
+  const point = getRoomCenter(location, layout);
+  return { type, location, lat: point?.lat ?? null, lng: point?.lng ?? null };
+}
+
+/**
+ * Build a Deliver order from the dispatch form.
+ *
+ * With `via` stops the order becomes a multi-stop task: `stops` lists the
+ * pickup at `source`, each via stop in order, then the drop at `destination`.
+ *
+ * @param {{source: string, destination: string, via?: Array<{type: string, location: string}>, priority?: string, deadline?: number|string|null}} input
+ *        priority: one of TASK_PRIORITY (NORMAL by default); via: intermediate STOP_TYPES pickups/drops
+ * @param {object} [layout] - facility layout used to resolve room coordinates
+ * @param {number} [now=Date.now()]
+ * @returns {object} Order with `task_id`, room names/coordinates, `stops` (multi-stop only), `priority`, `deadline` (ms or null)
+ * @throws {Error} When source or destination is missing or identical, or a via stop is incomplete
+ */
+export function createOrder({ source, destination, via = [], priority, deadline = null }, layout, now = Date.now()) {
+  if (!source) throw new Error("Select a source");
+  if (!destination) throw new Error("Select a destination");
+  if (source === destination && via.length === 0) throw new Error("Source and destination cannot be the same");
+  via.forEach((stop, i) => {
+    if (!Object.values(STOP_TYPES).includes(stop?.type)) throw new Error(`Stop ${i + 1} needs a type`);
+    if (!stop.location) throw new Error(`Select a room for stop ${i + 1}`);
+  });
+
+  const deadlineMs = deadline == null || deadline === "" ? null : new Date(deadline).getTime();
+  if (deadlineMs != null && !Number.isFinite(deadlineMs)) throw new Error("Deadline is not a valid date");
+
+  const src = getRoomCenter(source, layout);
+  const dst = getRoomCenter(destination, layout);
+  const stops =
+    via.length > 0
+      ? [
+          orderStop({ type: STOP_TYPES.PICKUP, location: source }, layout),
+          ...via.map((stop) => orderStop(stop, layout)),
+          orderStop({ type: STOP_TYPES.DROP, location: destination }, layout),
+        ]
+      : null;
+  return {
+    task_id: generateTaskId(),
+    task_type: "Deliver",
+    "initiate location": source,
+    destination,
+    source_lat: src?.lat ?? null,
+    source_lng: src?.lng ?? null,
+    destination_lat: dst?.lat ?? null,
+    destination_lng: dst?.lng ?? null,
+    ...(stops ? { stops } : {}),
+    priority: normalizePriority(priority),
+    deadline: deadlineMs,
+    createdAt: now,
+    attempts: 0,
+    rejectedBy: [],
+    reason: null,
+  };
+}
+
+/**
+ * Task payload for the robot's task topic — the Settings "Assign" shape plus
+ * the dispatch fields (`dispatched`, `priority`, `deadline`, `attempts`, `rejectedBy`).
+ */
+export function buildTaskPayload(order, robotId, now = Date.now()) {
+  const { reason: _reason, ...fields } = order;
+  return {
+    ...fields,
+    robotId,
+    status: "Assigned",
+    assignedAt: new Date(now).toISOString(),
+    deadline: order.deadline != null ? new Date(order.deadline).toISOString() : null,
+    dispatched: true,
+  };
+}
+
+/**
+ * The order part of a robot task — route (and stops), priority, deadline and
+ * dispatch history, without phase/progress — so it can be sent to another robot.
+ * @param {object} task - task payload or live robot task
+ */
+export function orderFields(task, now = Date.now()) {
+  const deadline = task.deadline != null ? new Date(task.deadline).getTime() : null;
+  return {
+    task_id: task.task_id,
+    task_type: "Deliver",
+    "initiate location": task["initiate location"],
+    destination: task.destination,
+    source_lat: task.source_lat ?? null,
+    source_lng: task.source_lng ?? null,
+    destination_lat: task.destination_lat ?? null,
+    destination_lng: task.destination_lng ?? null,
+    // Stops go back to their unvisited form; the next robot starts from the first one
+    ...(Array.isArray(task.stops) && task.stops.length > 0
+      ? { stops: task.stops.map(({ type, location, lat, lng }) => ({ type, location, lat: lat ?? null, lng: lng ?? null })) }
+      : {}),
+    priority: normalizePriority(task.priority),
+    deadline: Number.isFinite(deadline) ? deadline : null,
+    createdAt: Number(task.createdAt) || now,
+    attempts: Number(task.attempts) || 0,
+    rejectedBy: Array.isArray(task.rejectedBy) ? task.rejectedBy : [],
+    reason: null,
+  };
+}
+
+/**
+ * Turn a task payload a robot rejected back into a backlog order.
+ * @param {object} task - normalised task payload
+ * @param {string} robotId - the robot that rejected it
+ */
+export function orderFromTask(task, robotId, now = Date.now()) {
+  const order = orderFields(task, now);
+  return {
+    ...order,
+    attempts: order.attempts || 1,
+    rejectedBy: [...new Set([...order.rejectedBy, robotId])],
+    reason: `Rejected by ${robotId}`,
+  };
+}
+
+// ── Robot selection ──────────────────────────────────────────────
+
+/**
+ * Score one robot for an order.
+ *
+ * @param {object} robot - live robot from DeviceContext
+ * @param {object} order
+ * @param {object} [options]
+ * @param {{low: number, critical: number}} [options.battery] - defaults to getThresholds().battery
+ * @param {object} [options.layout] - facility layout (distance fallback without a fix)
+ * @param {number} [options.extraLoad=0] - tasks handed to the robot that are not in its state yet
+ * @returns {{robotId: string, eligible: boolean, score: number, distanceM: number|null, load: number, battery: number|null, reason: string|null}}
+ */
+export function scoreRobot(robot, order, { battery = getThresholds().battery, layout, extraLoad = 0 } = {}) {
+  const robotId = robot.id;
+  const level = batteryLevel(robot);
+  const load = robotLoad(robot) + extraLoad;
+  const state = robotState(robot);
+  const offline = (robot["robot-status"] || robot.robotStatus) === "offline";
+
+  let reason = null;
+  if (offline) reason = "offline";
+  else if (UNAVAILABLE_STATES.includes(state)) reason = state.toLowerCase();
+  else if (chargeTaskOf(robot)) reason = "going to charge";
+  else if (level != null && level <= battery.critical) reason = `battery ${level}%`;
+  else if (load >= DISPATCH_MAX_QUEUE) reason = `${load} tasks queued`;
+  else if (order.rejectedBy?.includes(robotId)) reason = "rejected this order";
+
+  const distanceM =
+    hasFix(robot) && order.source_lat != null && order.source_lng != null
+      ? haversineDistance(robot.location.lat, robot.location.lng, order.source_lat, order.source_lng)
+      : null;
+
+  let score = (distanceM ?? facilitySpanM(layout)) + load * DISPATCH_QUEUE_PENALTY_M;
+  if (level != null) {
+    score += (100 - level) * DISPATCH_BATTERY_WEIGHT_M;
+    if (level < battery.low) score += DISPATCH_LOW_BATTERY_PENALTY_M;
+  }
+
+  return { robotId, eligible: reason == null, score, distanceM, load, battery: level, reason };
+}
+
+/**
+ * Pick the best robot for an order.
+ *
+ * @param {Array<object>} robots - the device's live robots
+ * @param {object} order
+ * @param {object} [options] - as scoreRobot, with `extraLoad` as robotId → count
+ * @param {(robot: object) => {low: number, critical: number}} [options.batteryFor] - each robot's
+ *        effective battery thresholds (threshold profiles); defaults to getThresholds().battery
+ * @returns {{robotId: string|null, candidates: Array<object>, reason: string|null}}
+ *          Candidates are sorted best first; `reason` explains an empty pick
+ */
+export function selectRobot(robots, order, { extraLoad = {}, batteryFor, layout } = {}) {
+  const globalBattery = batteryFor ? null : getThresholds().battery;
+  const candidates = (robots || [])
+    .filter((robot) => robot?.id)
+    .map((robot) => scoreRobot(robot, order, {
+      battery: batteryFor ? batteryFor(robot) : globalBattery,
+      layout,
+      extraLoad: extraLoad[robot.id] || 0,
+    }))
+    .sort((a, b) => Number(b.eligible) - Number(a.eligible) || a.score - b.score);
+
+  const best = candidates[0];
+  if (best?.eligible) return { robotId: best.robotId, candidates, reason: null };
+
+  const reason =
+    candidates.length === 0
+      ? "No robots on this device"
+      : `No robot available (${candidates.map((c) => `${c.robotId}: ${c.reason}`).join(", ")})`;
+  return { robotId: null, candidates, reason };
+}
+
+/**
+ * Publish an order to the chosen robot's task topic.
+ * @returns {Promise<object>} The payload that was sent
+ */
+export async function publishOrder(deviceId, robotId, order, now = Date.now()) {
+  const payload = buildTaskPayload(order, robotId, now);
+  await updateStateDetails(deviceId, `fleetMS/robots/${robotId}/task`, payload);
+  return payload;
+}
+
+// ── Local cache ──────────────────────────────────────────────────
+
+/** deviceId → backlog orders. */
+export function loadCachedBacklog() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveCachedBacklog(backlog) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(backlog));
+  } catch (e) {
+    console.error("[Dispatch] Failed to cache backlog:", e);
+  }
+}
+
+export default {
+  robotLoad,
+  isRejectedStatus,
+  isCancelledStatus,
+  compareOrders,
+  createOrder,
+  buildTaskPayload,
+  orderFields,
+  orderFromTask,
+  scoreRobot,
+  selectRobot,
+  publishOrder,
+  loadCachedBacklog,
+  saveCachedBacklog,
+};
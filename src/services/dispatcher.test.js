@@ -0,0 +1,63 @@
+import { describe, expect, it } from "vitest";
+import { scoreRobot, selectRobot } from "./dispatcher";
+import { normalizeThresholdProfile, resolveThresholds } from "../utils/thresholdProfiles";
+import { DEFAULT_THRESHOLDS } from "../utils/thresholds";
+
+const BATTERY = { low: 20, critical: 10 };
+const ORDER = { task_id: "order-1", rejectedBy: [] };
+
+/** A live robot as DeviceContext keeps it: battery and state under `status`. */
+const liveRobot = (id, battery) => ({ id, status: { state: "READY", battery } });
+
+describe("scoreRobot", () => {
+  it("reads the battery from the live robot status", () => {
+    expect(scoreRobot(liveRobot("r1", 55), ORDER, { battery: BATTERY }).battery).toBe(55);
+  });
+
+  it("falls back to a top-level battery", () => {
+    expect(scoreRobot({ id: "r1", status: { state: "READY" }, battery: 40 }, ORDER, { battery: BATTERY }).battery).toBe(40);
+  });
+
+  it("treats a missing battery as unknown, not empty", () => {
+    const scored = scoreRobot({ id: "r1", status: { state: "READY", battery: null } }, ORDER, { battery: BATTERY });
+    expect(scored.battery).toBeNull();
+    expect(scored.eligible).toBe(true);
+  });
+
+  it("rejects a robot at or below the critical battery level", () => {
+    const scored = scoreRobot(liveRobot("r1", 10), ORDER, { battery: BATTERY });
+    expect(scored.eligible).toBe(false);
+    expect(scored.reason).toBe("battery 10%");
+  });
+
+  it("scores a low-battery robot worse than the battery difference alone", () => {
+    const low = scoreRobot(liveRobot("r1", 19), ORDER, { battery: BATTERY });
+    const fine = scoreRobot(liveRobot("r2", 21), ORDER, { battery: BATTERY });
+    expect(low.eligible).toBe(true);
+    expect(low.score - fine.score).toBeGreaterThan(100);
+  });
+});
+
+describe("selectRobot", () => {
+  it("skips a critical-battery robot for one with charge left", () => {
+    const { robotId, candidates } = selectRobot([liveRobot("r1", 5), liveRobot("r2", 60)], ORDER, { batteryFor: () => BATTERY });
+    expect(robotId).toBe("r2");
+    expect(candidates.find((c) => c.robotId === "r1").eligible).toBe(false);
+  });
+
+  it("prefers a robot above the low threshold", () => {
+    const { robotId } = selectRobot([liveRobot("r1", 15), liveRobot("r2", 30)], ORDER, { batteryFor: () => BATTERY });
+    expect(robotId).toBe("r2");
+  });
+
+  it("applies each robot's own battery thresholds", () => {
+    // As DeviceContext.assignOrder: thresholdsFor(deviceId, robot.id).battery
+    const profiles = [normalizeThresholdProfile({ scope: "robotType", target: "Heavy", overrides: { battery: { low: 40, critical: 30 } } })];
+    const types = { r1: "Heavy", r2: "Light" };
+    const batteryFor = (robot) => resolveThresholds(profiles, { deviceId: "d1", robotType: types[robot.id] }, { base: DEFAULT_THRESHOLDS }).battery;
+
+    const { robotId, candidates } = selectRobot([liveRobot("r1", 25), liveRobot("r2", 25)], ORDER, { batteryFor });
+    expect(robotId).toBe("r2");
+    expect(candidates.find((c) => c.robotId === "r1")).toMatchObject({ eligible: false, reason: "battery 25%" });
+  });
+});
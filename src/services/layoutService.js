@@ -0,0 +1,289 @@
+/**
+ * Facility Layout Service
+ *
+ * Loads each device's floor plan and persists edits from the layout editor.
+ *
+ * Sources (per device — the document with the newest `updatedAt` wins):
+ *   1. Bundled default   – config/facilityLayout.js
+ *   2. JSON config file  – VITE_LAYOUT_URL or /facility-layouts.json
+ *                          `{ "<deviceId>": layout, "default": layout }`
+ *   3. Local cache       – localStorage `fabrix_facility_layouts`
+ *   4. State API         – topic `fleetMS/layout` on each device
+ *
+ * See config/facilityLayout.js for the document shape.
+ *
+ * @module layoutService
+ */
+import { getTopicStateDetails, updateStateDetails } from "./api";
+import {
+  DEFAULT_FACILITY_LAYOUT,
+  LAYOUT_TOPIC,
+  LAYOUT_VERSION,
+  ROOM_TYPES,
+} from "../config/facilityLayout";
+
+const STORAGE_KEY = "fabrix_facility_layouts";
+
+/** JSON layout file location (served from /public by default). */
+const LAYOUT_URL =
+  import.meta.env.VITE_LAYOUT_URL ||
+  `${import.meta.env.BASE_URL || "/"}facility-layouts.json`;
+
+// ── Document helpers ─────────────────────────────────────────────
+
+/** Accept `{lat, lng}`, `{latitude, longitude}` or `[lat, lng]`. */
+function normalizePoint(raw) {
+  const lat = Number(Array.isArray(raw) ? raw[0] : (raw?.lat ?? raw?.latitude));
+  const lng = Number(Array.isArray(raw) ? raw[1] : (raw?.lng ?? raw?.lon ?? raw?.longitude));
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+}
+
+function normalizePoints(raw) {
+  return Array.isArray(raw) ? raw.map(normalizePoint).filter(Boolean) : [];
+}
+
+/** Stable id from a name when a source omits it. */
+function slugId(name, prefix, index) {
+  const slug = String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+  return slug || `${prefix}-${index + 1}`;
+}
+
+/**
+ * Check a layout document and list what is wrong with it.
+ * @param {object} raw
+ * @returns {string[]} Empty when the layout is usable
+ */
+export function validateLayout(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== "object") return ["Layout must be a JSON object"];
+
+  const b = raw.bounds || {};
+  const bounds = ["minLat", "maxLat", "minLng", "maxLng"].map((k) => Number(b[k]));
+  if (!bounds.every(Number.isFinite)) {
+    errors.push("bounds needs numeric minLat, maxLat, minLng and maxLng");
+  } else if (bounds[0] >= bounds[1] || bounds[2] >= bounds[3]) {
+    errors.push("bounds min values must be below max values");
+  }
+
+  const rooms = Array.isArray(raw.rooms) ? raw.rooms : [];
+  if (rooms.length === 0) errors.push("at least one room is required");
+  const names = new Set();
+  rooms.forEach((room, i) => {
+    const label = room?.name || `room ${i + 1}`;
+    if (!room?.name) errors.push(`room ${i + 1} has no name`);
+    else if (names.has(room.name)) errors.push(`room name "${room.name}" is used twice`);
+    names.add(room?.name);
+    if (normalizePoints(room?.points).length < 3) errors.push(`${label} needs at least 3 points`);
+  });
+
+  (Array.isArray(raw.aisles) ? raw.aisles : []).forEach((aisle, i) => {
+    if (normalizePoints(aisle?.points).length < 2) {
+      errors.push(`${aisle?.name || `aisle ${i + 1}`} needs at least 2 points`);
+    }
+  });
+  (Array.isArray(raw.docks) ? raw.docks : []).forEach((dock, i) => {
+    if (!normalizePoint(dock)) errors.push(`${dock?.name || `dock ${i + 1}`} needs lat/lng`);
+  });
+  (Array.isArray(raw.noGoZones) ? raw.noGoZones : []).forEach((zone, i) => {
+    if (normalizePoints(zone?.points).length < 3) {
+      errors.push(`${zone?.name || `no-go zone ${i + 1}`} needs at least 3 points`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Normalise a layout document from any source. Invalid documents → null.
+ * @param {object} raw
+ * @returns {object|null}
+ */
+export function normalizeLayout(raw) {
+  if (validateLayout(raw).length > 0) return null;
+  const b = raw.bounds;
+  return {
+    version: Number(raw.version) || LAYOUT_VERSION,
+    name: raw.name || "Facility",
+    updatedAt: Number(raw.updatedAt) || 0,
+    bounds: {
+      minLat: Number(b.minLat),
+      maxLat: Number(b.maxLat),
+      minLng: Number(b.minLng),
+      maxLng: Number(b.maxLng),
+    },
+    rooms: raw.rooms.map((room, i) => ({
+      id: room.id || slugId(room.name, "room", i),
+      name: room.name,
+      type: ROOM_TYPES.includes(room.type) ? room.type : "storage",
+      points: normalizePoints(room.points),
+      ...(Array.isArray(room.doors) && room.doors.length > 0 ? { doors: normalizePoints(room.doors) } : {}),
+    })),
+    aisles: (raw.aisles || []).map((aisle, i) => ({
+      id: aisle.id || slugId(aisle.name, "aisle", i),
+      name: aisle.name || `Aisle ${i + 1}`,
+      width: Number(aisle.width) > 0 ? Number(aisle.width) : 5,
+      points: normalizePoints(aisle.points),
+    })),
+    docks: (raw.docks || []).map((dock, i) => ({
+      id: dock.id || slugId(dock.name, "dock", i),
+      name: dock.name || `Dock ${i + 1}`,
+      ...normalizePoint(dock),
+    })),
+    noGoZones: (raw.noGoZones || []).map((zone, i) => ({
+      id: zone.id || slugId(zone.name, "no-go", i),
+      name: zone.name || `No-go zone ${i + 1}`,
+      points: normalizePoints(zone.points),
+    })),
+  };
+}
+
+/**
+ * Parse a layout from JSON text (editor import).
+ * @throws {Error} With every validation problem joined into the message
+ */
+export function parseLayoutJson(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error("File is not valid JSON");
+  }
+  const errors = validateLayout(raw);
+  if (errors.length > 0) throw new Error(errors.join("; "));
+  return normalizeLayout(raw);
+}
+
+/**
+ * Merge layout maps device-by-device; newest `updatedAt` wins, later source
+ * wins a tie. Invalid documents are dropped.
+ *
+ * @param {...Object<string, object>} sources - deviceId → layout
+ * @returns {Object<string, object>}
+ */
+export function mergeLayouts(...sources) {
+  const merged = {};
+  sources.forEach((source) => {
+    Object.entries(source || {}).forEach(([deviceId, raw]) => {
+      const layout = normalizeLayout(raw);
+      if (!layout) return;
+      if (!merged[deviceId] || layout.updatedAt >= merged[deviceId].updatedAt) {
+        merged[deviceId] = layout;
+      }
+    });
+  });
+  return merged;
+}
+
+/**
+ * Layout for a device from a layout map, falling back to the bundled default.
+ */
+export function getDeviceLayout(layouts, deviceId) {
+  return layouts?.[deviceId] || layouts?.default || DEFAULT_FACILITY_LAYOUT;
+}
+
+// ── Local cache ──────────────────────────────────────────────────
+
+export function loadCachedLayouts() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveCachedLayouts(layouts) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(layouts));
+  } catch (e) {
+    console.error("[Layout] Failed to cache layouts:", e);
+  }
+}
+
+// ── Remote sources ───────────────────────────────────────────────
+
+/**
+ * Fetch the JSON config file (deviceId → layout, optional "default").
+ * A missing file is not an error.
+ */
+export async function fetchConfigLayouts() {
+  try {
+    const response = await fetch(LAYOUT_URL, { cache: "no-store" });
+    if (!response.ok) return {};
+    const json = await response.json();
+    return json && typeof json === "object" && !Array.isArray(json) ? json : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Fetch the layout stored on each device's state topic.
+ * Devices without a layout are skipped.
+ *
+ * @param {string[]} deviceIds
+ * @returns {Promise<Object<string, object>>}
+ */
+export async function fetchServerLayouts(deviceIds) {
+  const entries = await Promise.all(
+    deviceIds.map(async (deviceId) => {
+      try {
+        const response = await getTopicStateDetails(deviceId, LAYOUT_TOPIC, {
+          silent: true,
+        });
+        if (response?.status !== "Success" || !response.data) return null;
+
+        let data = response.data;
+        if (data.payload) {
+          data =
+            typeof data.payload === "string"
+              ? JSON.parse(data.payload)
+              : data.payload;
+        }
+        const layout = normalizeLayout(data);
+        return layout ? [deviceId, layout] : null;
+      } catch {
+        return null;
+      }
+    }),
+  );
+  return Object.fromEntries(entries.filter(Boolean));
+}
+
+/**
+ * Load layouts for the given devices: config file → cache → State API.
+ * Devices with no layout anywhere are absent (callers use the default).
+ *
+ * @param {string[]} deviceIds
+ * @returns {Promise<Object<string, object>>}
+ */
+export async function loadFacilityLayouts(deviceIds) {
+  const config = await fetchConfigLayouts();
+  const local = mergeLayouts(config, loadCachedLayouts());
+  const server = await fetchServerLayouts(deviceIds);
+  return mergeLayouts(local, server);
+}
+
+/**
+ * Persist one device's layout to the State API so other dashboards pick it up.
+ */
+export async function publishLayout(deviceId, layout) {
+  return updateStateDetails(deviceId, LAYOUT_TOPIC, layout);
+}
+
+export default {
+  validateLayout,
+  normalizeLayout,
+  parseLayoutJson,
+  mergeLayouts,
+  getDeviceLayout,
+  loadCachedLayouts,
+  saveCachedLayouts,
+  fetchConfigLayouts,
+  fetchServerLayouts,
+  loadFacilityLayouts,
+  publishLayout,
+};
@@ -0,0 +1,323 @@
+/**
+ * Maintenance Log
+ *
+ * Per-robot service records: usage meters, service intervals and work orders.
+ *
+ * Usage is derived from the live streams. DeviceContext feeds every location
+ * fix and status report through accumulateUsage:
+ *   - odometer — fix-to-fix moves of at least STOP_DISTANCE_M (smaller moves
+ *     are GPS jitter and stay anchored until they add up)
+ *   - operating time — time in an active state (fleetKpis.stateCategory),
+ *     each status report counted up to the next one and at most STATUS_HOLD_MS
+ *
+ * A robot is due for service when the distance, operating hours or days since
+ * its last service reach DUE_SOON_PERCENT of an interval, and overdue at
+ * 100%. Intervals are per robot, falling back to DEFAULT_SERVICE_INTERVALS.
+ *
+ * A work order takes a robot out of service: while one is open the robot is
+ * in MAINTENANCE and the dispatcher skips it. Work orders are published to
+ * `fleetMS/robots/{id}/maintenance`; closing a SERVICE work order records a
+ * service, which restarts the intervals. Records are saved to localStorage
+ * `fabrix_maintenance` (deviceId → robotId → record).
+ *
+ * @module maintenanceLog
+ */
+import { updateStateDetails } from "./api";
+import { haversineDistance } from "../utils/telemetryMath";
+import { STOP_DISTANCE_M } from "../utils/occupancyGrid";
+import { STATUS_HOLD_MS, stateCategory } from "../utils/fleetKpis";
+
+const STORAGE_KEY = "fabrix_maintenance";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/** How often DeviceContext saves the usage meters. */
+export const MAINTENANCE_FLUSH_MS = 30 * 1000;
+
+/** Share of an interval (%) after which a robot is due for service. */
+export const DUE_SOON_PERCENT = 90;
+
+/** Work orders kept per robot (oldest dropped first). */
+export const WORK_ORDER_LIMIT = 200;
+
+export const DEFAULT_SERVICE_INTERVALS = {
+  distanceKm: 50, // travelled since the last service
+  operatingHours: 100, // active hours since the last service
+  days: 30, // calendar days since the last service
+};
+
+export const SERVICE_STATUS = {
+  OK: "ok",
+  DUE_SOON: "due_soon",
+  OVERDUE: "overdue",
+};
+
+export const SERVICE_STATUS_LABELS = {
+  [SERVICE_STATUS.OK]: "OK",
+  [SERVICE_STATUS.DUE_SOON]: "Service due",
+  [SERVICE_STATUS.OVERDUE]: "Service overdue",
+};
+
+export const WORK_ORDER_TYPES = {
+  SERVICE: "service",
+  REPAIR: "repair",
+  INSPECTION: "inspection",
+};
+
+export const WORK_ORDER_TYPE_LABELS = {
+  [WORK_ORDER_TYPES.SERVICE]: "Scheduled service",
+  [WORK_ORDER_TYPES.REPAIR]: "Repair",
+  [WORK_ORDER_TYPES.INSPECTION]: "Inspection",
+};
+
+const INTERVAL_LABELS = {
+  distanceKm: "Distance",
+  operatingHours: "Operating hours",
+  days: "Days",
+};
+
+let workOrderCounter = 0;
+
+// ── Records ──────────────────────────────────────────────────────
+
+/** A new robot's record, first seen at `now`. */
+export function emptyRecord(now = Date.now()) {
+  return {
+    createdAt: now,
+    odometerM: 0,
+    operatingMs: 0,
+    lastFix: null, // { ts, lat, lng } — the odometer's anchor
+    lastStatus: null, // { ts, state }
+    intervals: null, // per-robot override of DEFAULT_SERVICE_INTERVALS
+    lastService: null, // { at, odometerM, operatingMs, workOrderId }
+    workOrders: [],
+  };
+}
+
+/**
+ * Fill in defaults and drop invalid values. An interval of 0 (or empty) is off.
+ * @returns {{distanceKm: number, operatingHours: number, days: number}}
+ */
+export function normalizeIntervals(raw) {
+  const out = {};
+  Object.keys(DEFAULT_SERVICE_INTERVALS).forEach((key) => {
+    const value = raw?.[key] === "" ? 0 : Number(raw?.[key]);
+    out[key] = Number.isFinite(value) && value >= 0 ? value : DEFAULT_SERVICE_INTERVALS[key];
+  });
+  return out;
+}
+
+/** The intervals a robot is serviced at. */
+export function intervalsOf(record) {
+  return normalizeIntervals(record?.intervals || DEFAULT_SERVICE_INTERVALS);
+}
+
+/**
+ * Fold one location fix and/or status report into a robot's usage meters.
+ * Samples at or before the previous one of the same kind are ignored, so
+ * replays (reconnect backfill) are not counted twice.
+ *
+ * @param {object|null} record
+ * @param {{ts: number, lat?: number, lng?: number, state?: string}} sample
+ * @returns {object} The updated record (the same object when nothing changed)
+ */
+export function accumulateUsage(record, sample) {
+  if (!Number.isFinite(sample?.ts)) return record;
+  let next = record || emptyRecord(sample.ts);
+
+  const lat = Number(sample.lat);
+  const lng = Number(sample.lng);
+  if (sample.lat != null && sample.lng != null && Number.isFinite(lat) && Number.isFinite(lng)) {
+    const fix = next.lastFix;
+    if (!fix) {
+      next = { ...next, lastFix: { ts: sample.ts, lat, lng } };
+    } else if (sample.ts > fix.ts) {
+      const step = haversineDistance(fix.lat, fix.lng, lat, lng);
+      if (step >= STOP_DISTANCE_M) {
+        next = { ...next, odometerM: next.odometerM + step, lastFix: { ts: sample.ts, lat, lng } };
+      }
+    }
+  }
+
+  if (sample.state) {
+    const previous = next.lastStatus;
+    if (!previous || sample.ts > previous.ts) {
+      const heldMs = previous && stateCategory(previous) === "active" ? Math.min(sample.ts - previous.ts, STATUS_HOLD_MS) : 0;
+      next = { ...next, operatingMs: next.operatingMs + heldMs, lastStatus: { ts: sample.ts, state: String(sample.state) } };
+    }
+  }
+  return next;
+}
+
+// ── Service intervals ────────────────────────────────────────────
+
+/**
+ * Usage since the last service against each interval.
+ *
+ * @param {object|null} record
+ * @param {number} [now]
+ * @returns {{status: string, worstPct: number, items: Array<{key: string, label: string, used: number, limit: number, pct: number}>, since: number}}
+ *          `items` has one entry per interval that is on; `since` is the last
+ *          service time (first seen when never serviced)
+ */
+export function serviceStatus(record, now = Date.now()) {
+  const rec = record || emptyRecord(now);
+  const intervals = intervalsOf(rec);
+  const base = rec.lastService || { at: rec.createdAt, odometerM: 0, operatingMs: 0 };
+  const used = {
+    distanceKm: Math.max(0, rec.odometerM - base.odometerM) / 1000,
+    operatingHours: Math.max(0, rec.operatingMs - base.operatingMs) / HOUR_MS,
+    days: Math.max(0, now - base.at) / DAY_MS,
+  };
+
+  const items = Object.keys(intervals)
+    .filter((key) => intervals[key] > 0)
+    .map((key) => ({ key, label: INTERVAL_LABELS[key], used: used[key], limit: intervals[key], pct: (used[key] / intervals[key]) * 100 }));
+  const worstPct = items.reduce((max, item) => Math.max(max, item.pct), 0);
+  const status = worstPct >= 100 ? SERVICE_STATUS.OVERDUE : worstPct >= DUE_SOON_PERCENT ? SERVICE_STATUS.DUE_SOON : SERVICE_STATUS.OK;
+  return { status, worstPct, items, since: base.at };
+}
+
+// ── Work orders ──────────────────────────────────────────────────
+
+/** The robot's open work order, if any. */
+export function openWorkOrderOf(record) {
+  return (record?.workOrders || []).find((order) => order.status === "open") || null;
+}
+
+/**
+ * Open a work order on a robot.
+ *
+ * @param {object|null} record
+ * @param {{type: string, description?: string, technician?: string}} input
+ * @returns {{record: object, order: object}}
+ * @throws {Error} When the robot already has an open work order or the type is unknown
+ */
+export function openWorkOrder(record, input, now = Date.now()) {
+  const rec = record || emptyRecord(now);
+  const open = openWorkOrderOf(rec);
+  if (open) throw new Error(`Work order ${open.id} is still open on this robot`);
+  if (!Object.values(WORK_ORDER_TYPES).includes(input?.type)) throw new Error("Choose a work order type");
+
+  workOrderCounter += 1;
+  const order = {
+    id: `WO-${now.toString(36)}-${workOrderCounter}`,
+    type: input.type,
+    description: String(input.description || "").trim(),
+    technician: String(input.technician || "").trim(),
+    status: "open",
+    openedAt: now,
+    closedAt: null,
+    notes: "",
+    odometerM: rec.odometerM,
+    operatingMs: rec.operatingMs,
+  };
+  return { record: { ...rec, workOrders: [...rec.workOrders, order].slice(-WORK_ORDER_LIMIT) }, order };
+}
+
+/**
+ * Close the robot's open work order. A SERVICE work order records a service.
+ *
+ * @returns {{record: object, order: object}}
+ * @throws {Error} When the robot has no open work order
+ */
+export function closeWorkOrder(record, notes = "", now = Date.now()) {
+  const open = openWorkOrderOf(record);
+  if (!open) throw new Error("This robot has no open work order");
+
+  const order = { ...open, status: "closed", closedAt: now, notes: String(notes || "").trim() };
+  return {
+    record: {
+      ...record,
+      workOrders: record.workOrders.map((o) => (o.id === open.id ? order : o)),
+      lastService: order.type === WORK_ORDER_TYPES.SERVICE
+        ? { at: now, odometerM: record.odometerM, operatingMs: record.operatingMs, workOrderId: order.id }
+        : record.lastService,
+    },
+    order,
+  };
+}
+
+/**
+ * Publish a work order to the robot's maintenance topic.
+ * @returns {Promise<object>} The payload that was sent
+ */
+export async function publishWorkOrder(deviceId, robotId, order) {
+  const payload = { ...order, robotId };
+  await updateStateDetails(deviceId, `fleetMS/robots/${robotId}/maintenance`, payload);
+  return payload;
+}
+
+// ── Export ───────────────────────────────────────────────────────
+
+const csvCell = (val) => {
+  if (val == null || val === "") return "";
+  const s = String(val);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * Maintenance history of a device as CSV, oldest work order first.
+ * @param {Object<string, object>} deviceRecords - robotId → record
+ * @returns {string}
+ */
+export function maintenanceCsv(deviceRecords) {
+  const rows = [["Robot", "Work Order", "Type", "Status", "Opened", "Closed", "Hours Out of Service", "Odometer (km)", "Operating Hours", "Technician", "Description", "Notes"]];
+  Object.entries(deviceRecords || {})
+    .flatMap(([robotId, record]) => (record.workOrders || []).map((order) => ({ robotId, order })))
+    .sort((a, b) => a.order.openedAt - b.order.openedAt)
+    .forEach(({ robotId, order }) => {
+      rows.push([
+        robotId,
+        order.id,
+        WORK_ORDER_TYPE_LABELS[order.type] || order.type,
+        order.status,
+        new Date(order.openedAt).toISOString(),
+        order.closedAt ? new Date(order.closedAt).toISOString() : "",
+        order.closedAt ? ((order.closedAt - order.openedAt) / HOUR_MS).toFixed(2) : "",
+        (order.odometerM / 1000).toFixed(2),
+        (order.operatingMs / HOUR_MS).toFixed(1),
+        order.technician,
+        order.description,
+        order.notes,
+      ]);
+    });
+  return rows.map((cols) => cols.map(csvCell).join(",")).join("\n");
+}
+
+// ── Local cache ──────────────────────────────────────────────────
+
+/** deviceId → robotId → record. */
+export function loadMaintenance() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveMaintenance(maintenance) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(maintenance));
+  } catch (e) {
+    console.error("[Maintenance] Failed to cache maintenance log:", e);
+  }
+}
+
+export default {
+  emptyRecord,
+  normalizeIntervals,
+  intervalsOf,
+  accumulateUsage,
+  serviceStatus,
+  openWorkOrderOf,
+  openWorkOrder,
+  closeWorkOrder,
+  publishWorkOrder,
+  maintenanceCsv,
+  loadMaintenance,
+  saveMaintenance,
+};
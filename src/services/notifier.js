@@ -0,0 +1,488 @@
+/**
+ * Notifier
+ *
+ * Sends alerts outside the dashboard through pluggable channels and escalates
+ * critical alerts nobody acknowledges.
+ *
+ * Channels (CHANNEL_TYPES):
+ *   - browser — the Notification API, with an optional alert tone
+ *   - webhook — POSTs a JSON body built from the channel's template; string
+ *     values may use {{placeholders}} (see alertVars), and a value that is
+ *     exactly one placeholder keeps its type
+ *   - email   — POSTs `{ to, subject, text, alert }` to an email relay endpoint
+ * Each channel has its own severity filter. Further channel types can be added
+ * with registerChannelSender.
+ *
+ * Escalation policies apply to alerts of their severities. A policy is a list
+ * of tiers: tier N is notified `afterMinutes` after the alert was raised (or
+ * its incident reached its current severity, `severityAt`) if it is still
+ * unacknowledged, unresolved and not snoozed. Tier 1 usually has
+ * `afterMinutes: 0`, i.e. it is told straight away. DeviceContext checks every
+ * ESCALATION_CHECK_MS and whenever alerts change; the tiers an alert has
+ * reached are recorded on it (`escalation`) and in its lifecycle log. A tier
+ * counts as reached once one of its channels delivered; until then it is
+ * retried on the next check.
+ *
+ * During quiet hours only critical alerts go out (or nothing, when
+ * `allowCritical` is off). Settings are saved to localStorage
+ * `fabrix_notifications`. For testing, `npm run webhook:standin` starts a
+ * local endpoint that prints every webhook / email relay request.
+ *
+ * @module notifier
+ */
+
+const STORAGE_KEY = "fabrix_notifications";
+
+/** How often DeviceContext checks for alerts due to escalate. */
+export const ESCALATION_CHECK_MS = 15 * 1000;
+
+/** Webhook / email relay requests are abandoned after this long. */
+export const NOTIFY_TIMEOUT_MS = 8 * 1000;
+
+/** Alerts older than this are never escalated (e.g. restored from a long-closed session). */
+export const ESCALATION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/** Where `npm run webhook:standin` listens. */
+export const STANDIN_URL = "http://localhost:8787";
+
+export const CHANNEL_TYPES = {
+  BROWSER: "browser",
+  WEBHOOK: "webhook",
+  EMAIL: "email",
+};
+
+export const CHANNEL_TYPE_LABELS = {
+  [CHANNEL_TYPES.BROWSER]: "Browser notification",
+  [CHANNEL_TYPES.WEBHOOK]: "Webhook",
+  [CHANNEL_TYPES.EMAIL]: "Email relay",
+};
+
+export const NOTIFY_SEVERITIES = ["critical", "warning", "info"];
+
+export const DEFAULT_WEBHOOK_TEMPLATE = JSON.stringify(
+  {
+    text: "[{{severity}}] {{message}}",
+    alert: {
+      id: "{{id}}",
+      severity: "{{severity}}",
+      message: "{{message}}",
+      device: "{{deviceId}}",
+      robot: "{{robotId}}",
+      raisedAt: "{{raisedAt}}",
+      state: "{{state}}",
+    },
+    escalation: { policy: "{{policy}}", tier: "{{tier}}" },
+  },
+  null,
+  2,
+);
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  channels: [
+    {
+      id: "browser",
+      type: CHANNEL_TYPES.BROWSER,
+      name: "This browser",
+      enabled: true,
+      severities: ["critical"],
+      sound: true,
+    },
+  ],
+  policies: [
+    {
+      id: "critical",
+      name: "Critical alerts",
+      enabled: true,
+      severities: ["critical"],
+      tiers: [{ afterMinutes: 0, channelIds: ["browser"] }],
+    },
+  ],
+  quietHours: { enabled: false, start: "22:00", end: "07:00", allowCritical: true },
+};
+
+let idCounter = 0;
+const newId = (prefix) => {
+  idCounter += 1;
+  return `${prefix}-${Date.now().toString(36)}-${idCounter}`;
+};
+
+// ── Settings ─────────────────────────────────────────────────────
+
+const severityList = (raw, fallback) => {
+  const list = Array.isArray(raw) ? raw.filter((s) => NOTIFY_SEVERITIES.includes(s)) : fallback;
+  return [...new Set(list)];
+};
+
+const timeOfDay = (raw, fallback) => (/^([01]\d|2[0-3]):[0-5]\d$/.test(String(raw || "")) ? String(raw) : fallback);
+
+/** Fill in a channel's defaults. */
+export function normalizeChannel(raw) {
+  const type = Object.values(CHANNEL_TYPES).includes(raw?.type) ? raw.type : CHANNEL_TYPES.WEBHOOK;
+  return {
+    id: raw?.id || newId("channel"),
+    type,
+    name: String(raw?.name || "").trim() || CHANNEL_TYPE_LABELS[type],
+    enabled: raw?.enabled !== false,
+    severities: severityList(raw?.severities, ["critical", "warning"]),
+    url: String(raw?.url || "").trim(),
+    template: type === CHANNEL_TYPES.WEBHOOK ? String(raw?.template || DEFAULT_WEBHOOK_TEMPLATE) : "",
+    recipients: String(raw?.recipients || "").trim(),
+    sound: raw?.sound !== false,
+  };
+}
+
+/** Fill in a policy's defaults; tiers are sorted by `afterMinutes`. */
+export function normalizePolicy(raw) {
+  const tiers = (Array.isArray(raw?.tiers) ? raw.tiers : [])
+    .map((tier) => ({
+      afterMinutes: Math.max(0, Number(tier?.afterMinutes) || 0),
+      channelIds: Array.isArray(tier?.channelIds) ? [...new Set(tier.channelIds.map(String))] : [],
+    }))
+    .sort((a, b) => a.afterMinutes - b.afterMinutes);
+  return {
+    id: raw?.id || newId("policy"),
+    name: String(raw?.name || "").trim() || "Escalation policy",
+    enabled: raw?.enabled !== false,
+    severities: severityList(raw?.severities, ["critical"]),
+    tiers,
+  };
+}
+
+export function normalizeNotificationSettings(raw) {
+  const base = raw && typeof raw === "object" ? raw : DEFAULT_NOTIFICATION_SETTINGS;
+  const quiet = base.quietHours || {};
+  return {
+    channels: (Array.isArray(base.channels) ? base.channels : []).map(normalizeChannel),
+    policies: (Array.isArray(base.policies) ? base.policies : []).map(normalizePolicy),
+    quietHours: {
+      enabled: quiet.enabled === true,
+      start: timeOfDay(quiet.start, DEFAULT_NOTIFICATION_SETTINGS.quietHours.start),
+      end: timeOfDay(quiet.end, DEFAULT_NOTIFICATION_SETTINGS.quietHours.end),
+      allowCritical: quiet.allowCritical !== false,
+    },
+  };
+}
+
+/**
+ * Why the settings cannot be saved, or null.
+ * @param {object} settings - from normalizeNotificationSettings
+ * @returns {string|null}
+ */
+export function validateNotificationSettings(settings) {
+  for (const channel of settings.channels) {
+    if (channel.type !== CHANNEL_TYPES.BROWSER && !/^https?:\/\/\S+$/.test(channel.url)) {
+      return `${channel.name}: enter an http(s) URL`;
+    }
+    if (channel.type === CHANNEL_TYPES.EMAIL && !channel.recipients) return `${channel.name}: enter at least one recipient`;
+    if (channel.type === CHANNEL_TYPES.WEBHOOK) {
+      try {
+        JSON.parse(channel.template);
+      } catch (e) {
+        return `${channel.name}: the template is not valid JSON (${e.message})`;
+      }
+    }
+  }
+  const channelIds = new Set(settings.channels.map((c) => c.id));
+  for (const policy of settings.policies) {
+    if (policy.tiers.length === 0) return `${policy.name}: add at least one tier`;
+    const tierIndex = policy.tiers.findIndex((tier) => tier.channelIds.length === 0 || tier.channelIds.some((id) => !channelIds.has(id)));
+    if (tierIndex !== -1) return `${policy.name}: tier ${tierIndex + 1} needs one or more existing channels`;
+  }
+  return null;
+}
+
+// ── Filters ──────────────────────────────────────────────────────
+
+const minutesOfDay = (hhmm) => {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+};
+
+/** Whether `date` falls in the quiet hours (which may span midnight). */
+export function inQuietHours(quietHours, date = new Date()) {
+  if (!quietHours?.enabled) return false;
+  const start = minutesOfDay(quietHours.start);
+  const end = minutesOfDay(quietHours.end);
+  const now = date.getHours() * 60 + date.getMinutes();
+  if (start === end) return false;
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * Why a channel would not send this alert right now, or null when it would.
+ * @returns {string|null}
+ */
+export function channelSkipReason(channel, alert, quietHours, date = new Date()) {
+  if (!channel.enabled) return "channel off";
+  if (!channel.severities.includes(alert.type)) return `${alert.type} filtered`;
+  if (inQuietHours(quietHours, date) && !(quietHours.allowCritical && alert.type === "critical")) return "quiet hours";
+  return null;
+}
+
+// ── Templates ────────────────────────────────────────────────────
+
+/** Placeholder values for an alert. */
+export function alertVars(alert, extra = {}) {
+  return {
+    id: alert.id,
+    severity: alert.type,
+    message: alert.message,
+    deviceId: alert.deviceId || "",
+    robotId: alert.robotId || "",
+    raisedAt: new Date(alert.timestamp || Date.now()).toISOString(),
+    timestamp: alert.timestamp,
+    state: alert.resolved ? "resolved" : alert.acknowledgedAt ? "acknowledged" : "active",
+    assignee: alert.assignee || "",
+    ruleId: alert.ruleId || "",
+    count: alert.count || 1,
+    policy: "",
+    tier: "",
+    ...extra,
+  };
+}
+
+/**
+ * Build a webhook body from a JSON template.
+ * @param {string} template - JSON text
+ * @param {object} vars - from alertVars
+ * @returns {*} The parsed template with placeholders filled in
+ * @throws {SyntaxError} When the template is not valid JSON
+ */
+export function renderTemplate(template, vars) {
+  const fill = (value) => {
+    if (typeof value === "string") {
+      const whole = value.match(/^\{\{(\w+)\}\}$/);
+      if (whole) return vars[whole[1]] ?? null;
+      return value.replace(/\{\{(\w+)\}\}/g, (match, key) => (vars[key] != null ? String(vars[key]) : ""));
+    }
+    if (Array.isArray(value)) return value.map(fill);
+    if (value && typeof value === "object") return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fill(v)]));
+    return value;
+  };
+  return fill(JSON.parse(template));
+}
+
+// ── Channels ─────────────────────────────────────────────────────
+
+async function postJson(url, body) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), NOTIFY_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  } catch (e) {
+    throw new Error(e.name === "AbortError" ? `no answer within ${NOTIFY_TIMEOUT_MS / 1000}s` : e.message);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/** A short tone: two beeps for critical alerts, one otherwise. */
+export function playAlertSound(severity) {
+  try {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtx) return;
+    const ctx = new AudioCtx();
+    const beeps = severity === "critical" ? 2 : 1;
+    for (let i = 0; i < beeps; i++) {
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.frequency.value = severity === "critical" ? 880 : 660;
+      gain.gain.value = 0.15;
+      osc.connect(gain);
+      gain.connect(ctx.destination);
+      osc.start(ctx.currentTime + i * 0.3);
+      osc.stop(ctx.currentTime + i * 0.3 + 0.18);
+    }
+    setTimeout(() => ctx.close(), 1000);
+  } catch (e) {
+    console.error("[Notifier] Failed to play alert sound:", e);
+  }
+}
+
+/**
+ * Ask to show browser notifications. Browsers only prompt from a user
+ * gesture, so call it from a click (Settings "Send test", adding or enabling
+ * a browser channel) — the browser sender only checks the permission.
+ * @returns {Promise<string>} "granted" | "denied" | "default" | "unsupported"
+ */
+export async function requestBrowserPermission() {
+  if (typeof Notification === "undefined") return "unsupported";
+  if (Notification.permission === "default") return Notification.requestPermission();
+  return Notification.permission;
+}
+
+const SENDERS = {
+  [CHANNEL_TYPES.BROWSER]: async (channel, alert, vars) => {
+    if (typeof Notification === "undefined") throw new Error("this browser has no Notification API");
+    if (Notification.permission === "denied") throw new Error("notifications are blocked for this site");
+    if (Notification.permission !== "granted") throw new Error("notifications not allowed yet — use Send test in Settings");
+    const tier = vars.tier ? ` — escalation tier ${vars.tier}` : "";
+    new Notification(`${alert.type.toUpperCase()}: ${alert.robotId || alert.deviceId || "Fabrix"}${tier}`, {
+      body: alert.message,
+      tag: `${alert.id}|${vars.tier}`,
+      requireInteraction: alert.type === "critical",
+    });
+    if (channel.sound) playAlertSound(alert.type);
+  },
+  [CHANNEL_TYPES.WEBHOOK]: (channel, alert, vars) => postJson(channel.url, renderTemplate(channel.template, vars)),
+  [CHANNEL_TYPES.EMAIL]: (channel, alert, vars) => postJson(channel.url, {
+    to: channel.recipients.split(/[,;\s]+/).filter(Boolean),
+    subject: `[Fabrix ${alert.type}] ${alert.message}`,
+    text: [
+      alert.message,
+      `Source: ${vars.robotId ? `${vars.deviceId} / ${vars.robotId}` : vars.deviceId}`,
+      `Raised: ${vars.raisedAt}`,
+      vars.tier ? `Escalation: ${vars.policy}, tier ${vars.tier}` : "",
+    ].filter(Boolean).join("\n"),
+    alert: vars,
+  }),
+};
+
+/**
+ * Add or replace the sender of a channel type.
+ * @param {string} type
+ * @param {(channel: object, alert: object, vars: object) => Promise<void>} sender - rejects on failure
+ */
+export function registerChannelSender(type, sender) {
+  SENDERS[type] = sender;
+}
+
+/**
+ * Send one alert through one channel (filters not applied).
+ * @returns {Promise<{channelId: string, name: string, ok: boolean, error?: string}>}
+ */
+export async function sendToChannel(channel, alert, extra = {}) {
+  const sender = SENDERS[channel.type];
+  try {
+    if (!sender) throw new Error(`unknown channel type "${channel.type}"`);
+    await sender(channel, alert, alertVars(alert, extra));
+    return { channelId: channel.id, name: channel.name, ok: true };
+  } catch (e) {
+    console.error(`[Notifier] ${channel.name} failed:`, e);
+    return { channelId: channel.id, name: channel.name, ok: false, error: e.message };
+  }
+}
+
+/**
+ * Send an alert through channels, applying each channel's filters and the quiet hours.
+ * @returns {Promise<Array<{channelId: string, name: string, ok: boolean, skipped?: string, error?: string}>>}
+ */
+export function notifyChannels(channels, alert, extra, quietHours, date = new Date()) {
+  return Promise.all(channels.map((channel) => {
+    const skipped = channelSkipReason(channel, alert, quietHours, date);
+    return skipped ? { channelId: channel.id, name: channel.name, ok: false, skipped } : sendToChannel(channel, alert, extra);
+  }));
+}
+
+/** Send a sample alert through a channel, ignoring its filters. */
+export function testChannel(channel) {
+  const alert = {
+    id: `test-${Date.now()}`,
+    type: "critical",
+    deviceId: "test-device",
+    robotId: "",
+    message: `Test notification from Fabrix (${channel.name})`,
+    timestamp: Date.now(),
+  };
+  return sendToChannel(channel, alert, { policy: "Test", tier: 1 });
+}
+
+// ── Escalation ───────────────────────────────────────────────────
+
+/** The first enabled policy covering the alert's severity, or null. */
+export function policyFor(policies, alert) {
+  return (policies || []).find((policy) => policy.enabled && policy.severities.includes(alert.type)) || null;
+}
+
+/**
+ * Tiers (indexes) of a policy that are due for an alert and not yet notified.
+ * Nothing is due once the alert is acknowledged, resolved or while it is snoozed.
+ */
+export function dueTiers(alert, policy, now = Date.now()) {
+  if (!policy || alert.resolved || alert.acknowledgedAt || alert.snoozedUntil > now) return [];
+  // An incident that reached a higher severity escalates from that moment
+  const age = now - (alert.severityAt ?? alert.timestamp);
+  if (!(age >= 0) || age > ESCALATION_MAX_AGE_MS) return [];
+  const done = alert.escalation?.policyId === policy.id ? alert.escalation.tiers : [];
+  return policy.tiers
+    .map((tier, index) => ({ tier, index }))
+    .filter(({ tier, index }) => !done.includes(index) && age >= tier.afterMinutes * 60 * 1000)
+    .map(({ index }) => index);
+}
+
+/** The channels of a policy tier. */
+export function tierChannels(settings, policy, tierIndex) {
+  const ids = policy.tiers[tierIndex]?.channelIds || [];
+  return settings.channels.filter((channel) => ids.includes(channel.id));
+}
+
+/**
+ * Whether a tier's sends count as notified: at least one channel delivered
+ * (a tier without channels has nothing to wait for). Otherwise the tier stays
+ * due and is retried, e.g. once quiet hours end or a webhook is back.
+ */
+export function tierDelivered(results) {
+  return results.length === 0 || results.some((r) => r.ok);
+}
+
+/** Record that a tier was notified, with a log entry summarising the deliveries. */
+export function markEscalated(alert, policy, tierIndex, results, now = Date.now()) {
+  const done = alert.escalation?.policyId === policy.id ? alert.escalation.tiers : [];
+  const summary = results
+    .map((r) => `${r.name} ${r.ok ? "✓" : `✗ (${r.skipped || r.error})`}`)
+    .join(", ");
+  return {
+    ...alert,
+    escalation: { policyId: policy.id, tiers: [...new Set([...done, tierIndex])], lastAt: now },
+    log: [...(alert.log || []), { at: now, action: "notified", by: policy.name, comment: `Tier ${tierIndex + 1}: ${summary || "no channels"}` }],
+  };
+}
+
+// ── Local cache ──────────────────────────────────────────────────
+
+export function loadNotificationSettings() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return normalizeNotificationSettings(raw ? JSON.parse(raw) : null);
+  } catch {
+    return normalizeNotificationSettings(null);
+  }
+}
+
+export function saveNotificationSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.error("[Notifier] Failed to save notification settings:", e);
+  }
+}
+
+export default {
+  normalizeChannel,
+  normalizePolicy,
+  normalizeNotificationSettings,
+  validateNotificationSettings,
+  inQuietHours,
+  channelSkipReason,
+  alertVars,
+  renderTemplate,
+  playAlertSound,
+  requestBrowserPermission,
+  registerChannelSender,
+  sendToChannel,
+  notifyChannels,
+  testChannel,
+  policyFor,
+  dueTiers,
+  tierChannels,
+  tierDelivered,
+  markEscalated,
+  loadNotificationSettings,
+  saveNotificationSettings,
+};
@@ -0,0 +1,256 @@
+/**
+ * Fleet Registry Service
+ *
+ * Loads the device & robot registry at startup and persists admin edits.
+ *
+ * Sources (merged per device — the record with the newest `updatedAt` wins):
+ *   1. Bundled defaults   – config/robotRegistry.js
+ *   2. JSON config file   – VITE_REGISTRY_URL or /fleet-registry.json
+ *   3. Local cache        – localStorage `fabrix_registry` (last known + edits)
+ *   4. State API          – topic `fleetMS/registry` on each device
+ *
+ * A registry is an array of device records:
+ *   { id, name, zone, retired, updatedAt, robots: [{ id, name, type, zone, retired, discovered }] }
+ *
+ * @module registryService
+ */
+import { getTopicStateDetails, updateStateDetails } from "./api";
+import {
+  DEFAULT_DEVICES,
+  REGISTRY_TOPIC,
+  ROBOT_REGISTRY,
+  DEFAULT_ROBOTS,
+} from "../config/robotRegistry";
+
+const STORAGE_KEY = "fabrix_registry";
+
+/** JSON registry file location (served from /public by default). */
+const REGISTRY_URL =
+  import.meta.env.VITE_REGISTRY_URL ||
+  `${import.meta.env.BASE_URL || "/"}fleet-registry.json`;
+
+// ── Record helpers ───────────────────────────────────────────────
+
+/**
+ * Normalise a robot entry from any source into the registry shape.
+ * Accepts a bare robot ID string or an object.
+ */
+export function normalizeRobotEntry(entry) {
+  if (!entry) return null;
+  const raw = typeof entry === "string" ? { id: entry } : entry;
+  const id = raw.id || raw.robotId;
+  if (!id) return null;
+  return {
+    id: String(id),
+    name: raw.name || String(id),
+    type: raw.type || "Delivery",
+    zone: raw.zone || "Default",
+    retired: Boolean(raw.retired),
+    ...(raw.discovered ? { discovered: true } : {}),
+  };
+}
+
+/**
+ * Normalise a device record from any source into the registry shape.
+ */
+export function normalizeDeviceRecord(record) {
+  if (!record) return null;
+  const id = record.id || record.deviceId;
+  if (!id) return null;
+  const robots = Array.isArray(record.robots)
+    ? record.robots.map(normalizeRobotEntry).filter(Boolean)
+    : [];
+  return {
+    id: String(id),
+    name: record.name || String(id),
+    zone: record.zone || "Default",
+    retired: Boolean(record.retired),
+    updatedAt: Number(record.updatedAt) || 0,
+    robots,
+  };
+}
+
+/**
+ * Build the registry from the bundled defaults (always available offline).
+ * @returns {Array<object>}
+ */
+export function buildDefaultRegistry() {
+  return DEFAULT_DEVICES.map((device) =>
+    normalizeDeviceRecord({
+      ...device,
+      updatedAt: 0,
+      robots: ROBOT_REGISTRY[device.id] || DEFAULT_ROBOTS,
+    }),
+  );
+}
+
+/**
+ * Merge registries device-by-device. For the same device ID the record with
+ * the newest `updatedAt` wins; on a tie the later source wins.
+ * Device order follows first appearance.
+ *
+ * @param {...Array<object>} sources
+ * @returns {Array<object>}
+ */
+export function mergeRegistries(...sources) {
+  const byId = new Map();
+  sources.forEach((source) => {
+    (source || []).forEach((raw) => {
+      const record = normalizeDeviceRecord(raw);
+      if (!record) return;
+      const existing = byId.get(record.id);
+      if (!existing || record.updatedAt >= existing.updatedAt) {
+        byId.set(record.id, record);
+      }
+    });
+  });
+  return Array.from(byId.values());
+}
+
+/**
+ * Add robots found through discovery to a device record without touching
+ * admin-managed entries. Unknown devices are ignored.
+ *
+ * @returns {Array<object>} The same array if nothing changed
+ */
+export function mergeDiscoveredRobots(registry, deviceId, robotIds) {
+  const index = registry.findIndex((d) => d.id === deviceId);
+  if (index === -1) return registry;
+
+  const record = registry[index];
+  const known = new Set(record.robots.map((r) => r.id));
+  const added = (robotIds || [])
+    .map((entry) => normalizeRobotEntry(entry))
+    .filter((robot) => robot && !known.has(robot.id))
+    .map((robot) => ({ ...robot, discovered: true }));
+
+  if (added.length === 0) return registry;
+
+  const next = [...registry];
+  next[index] = { ...record, robots: [...record.robots, ...added] };
+  return next;
+}
+
+/**
+ * Active (non-retired) robots for a device, in registry order.
+ */
+export function getActiveRobots(registry, deviceId) {
+  const record = registry.find((d) => d.id === deviceId);
+  if (!record) return [];
+  return record.robots.filter((r) => !r.retired);
+}
+
+/**
+ * Active (non-retired) devices.
+ */
+export function getActiveDevices(registry) {
+  return registry
+    .filter((d) => !d.retired)
+    .map(({ id, name, zone }) => ({ id, name, zone }));
+}
+
+// ── Local cache ──────────────────────────────────────────────────
+
+export function loadCachedRegistry() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveCachedRegistry(registry) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(registry));
+  } catch (e) {
+    console.error("[Registry] Failed to cache registry:", e);
+  }
+}
+
+// ── Remote sources ───────────────────────────────────────────────
+
+/**
+ * Fetch the JSON config file. Accepts either an array of device records or
+ * `{ devices: [...] }`. A missing file is not an error.
+ */
+export async function fetchConfigRegistry() {
+  try {
+    const response = await fetch(REGISTRY_URL, { cache: "no-store" });
+    if (!response.ok) return [];
+    const json = await response.json();
+    const devices = Array.isArray(json) ? json : json?.devices;
+    return Array.isArray(devices) ? devices : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Fetch the registry record stored on each device's state topic.
+ * Devices without a record are skipped.
+ *
+ * @param {string[]} deviceIds
+ */
+export async function fetchServerRegistry(deviceIds) {
+  const records = await Promise.all(
+    deviceIds.map(async (deviceId) => {
+      try {
+        const response = await getTopicStateDetails(deviceId, REGISTRY_TOPIC, {
+          silent: true,
+        });
+        if (response?.status !== "Success" || !response.data) return null;
+
+        let data = response.data;
+        if (data.payload) {
+          data =
+            typeof data.payload === "string"
+              ? JSON.parse(data.payload)
+              : data.payload;
+        }
+        return normalizeDeviceRecord({ id: deviceId, ...data });
+      } catch {
+        return null;
+      }
+    }),
+  );
+  return records.filter(Boolean);
+}
+
+/**
+ * Load the full registry: defaults → config file → cache → State API.
+ * @returns {Promise<Array<object>>}
+ */
+export async function loadFleetRegistry() {
+  const config = await fetchConfigRegistry();
+  const local = mergeRegistries(
+    buildDefaultRegistry(),
+    config,
+    loadCachedRegistry(),
+  );
+  const server = await fetchServerRegistry(local.map((d) => d.id));
+  return mergeRegistries(local, server);
+}
+
+/**
+ * Persist one device record to the State API so other dashboards pick it up.
+ * @param {object} record - Normalised device record
+ */
+export async function publishDeviceRecord(record) {
+  return updateStateDetails(record.id, REGISTRY_TOPIC, record);
+}
+
+export default {
+  buildDefaultRegistry,
+  mergeRegistries,
+  mergeDiscoveredRobots,
+  getActiveRobots,
+  getActiveDevices,
+  loadCachedRegistry,
+  saveCachedRegistry,
+  fetchConfigRegistry,
+  fetchServerRegistry,
+  loadFleetRegistry,
+  publishDeviceRecord,
+};
@@ -0,0 +1,198 @@
+/**
+ * Stream Backfill — fills the gap left by a WebSocket reconnect.
+ *
+ * While the STOMP client is down (reconnectDelay + handshake) every stream
+ * message published by the devices is lost. On reconnect, DeviceContext hands
+ * us the last-seen timestamp per topic and we page through the historical
+ * stream API to fetch what was missed, returning it oldest → newest so it can
+ * be replayed through the normal routing.
+ *
+ * Strategy:
+ *   1. getDeviceStreamData for the whole gap (one paged call series per device)
+ *   2. If that fails, getTopicStreamData per known topic
+ * A gap holding more than the page cap is narrowed to its most recent part:
+ * the oldest missed messages are the ones dropped.
+ *
+ * @module streamBackfill
+ */
+import { getDeviceStreamData, getTopicStreamData } from "./api";
+
+/** Records per page requested from the stream API. */
+export const BACKFILL_PAGE_SIZE = 100;
+
+/** Hard cap on pages per request series (100 × 50 = 5 000 messages). */
+export const BACKFILL_MAX_PAGES = 50;
+
+/** Shorter windows tried when a series hits the page cap, so the newest messages are kept. */
+export const BACKFILL_MAX_RETRIES = 3;
+
+/** Never backfill further back than this (e.g. after a laptop sleeps overnight). */
+export const BACKFILL_MAX_GAP_MS = 2 * 60 * 60 * 1000;
+
+// ── Helpers ──────────────────────────────────────────────────────
+
+/** Format a ms timestamp the way getTimeRange() does (no milliseconds). */
+function toApiTime(ms) {
+  return new Date(ms).toISOString().split(".")[0] + "Z";
+}
+
+/**
+ * Timestamp (ms) of a stream message, or null if it carries none.
+ * Accepts ISO strings and epoch numbers.
+ */
+export function getMessageTime(message) {
+  const raw = message?.timestamp ?? message?.payload?.timestamp;
+  if (raw == null) return null;
+  const ms = typeof raw === "number" ? raw : Date.parse(raw);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/** Topic of a stream message (stream API uses `topicSuffix`). */
+export function getMessageTopic(message) {
+  return message?.topicSuffix || message?.topic || "";
+}
+
+/**
+ * Convert a stream API record into the shape live STOMP messages have,
+ * with `payload` parsed from its JSON string form.
+ */
+function toStreamMessage(record) {
+  let payload = record.payload;
+  if (typeof payload === "string") {
+    try {
+      payload = JSON.parse(payload);
+    } catch {
+      /* plain scalar payload — keep the string */
+    }
+  }
+  // Scalar payloads (e.g. "22.5" on fleetMS/temperature) → wrap by topic
+  if (payload == null || typeof payload !== "object") {
+    const metric = getMessageTopic(record).split("/").pop();
+    payload = { [metric]: Number.isFinite(Number(payload)) ? Number(payload) : payload };
+  }
+  return {
+    topicSuffix: getMessageTopic(record),
+    payload,
+    timestamp: record.timestamp,
+  };
+}
+
+/**
+ * Page through a stream endpoint until a short page or the page cap.
+ * @param {function(string): Promise<object>} fetchPage - called with the page index
+ * @returns {Promise<{records: object[], truncated: boolean}>} `truncated` when the cap was hit
+ */
+async function fetchAllPages(fetchPage) {
+  const records = [];
+  for (let page = 0; page < BACKFILL_MAX_PAGES; page++) {
+    const res = await fetchPage(String(page));
+    const data = res?.status === "Success" && Array.isArray(res.data) ? res.data : [];
+    records.push(...data);
+    if (data.length < BACKFILL_PAGE_SIZE) return { records, truncated: false };
+  }
+  return { records, truncated: true };
+}
+
+/**
+ * Fetch a window ending at `until`. When the page cap cuts it short, retry a
+ * window ending at `until` that is a little shorter than the span the cap
+ * held, so the messages left out are the oldest ones.
+ * @param {function(number, string): Promise<object>} fetchPage - called with the window start (ms) and page index
+ */
+async function fetchNewestPages(fetchPage, since, until) {
+  let start = since;
+  let result = await fetchAllPages((page) => fetchPage(start, page));
+  for (let retry = 0; retry < BACKFILL_MAX_RETRIES && result.truncated; retry++) {
+    const times = result.records.map(getMessageTime).filter((ts) => ts != null);
+    if (times.length === 0) break;
+    const span = Math.max(...times) - Math.min(...times);
+    const next = until - span * 0.8;
+    if (!(next > start)) break;
+    start = next;
+    result = await fetchAllPages((page) => fetchPage(start, page));
+  }
+  return result.records;
+}
+
+// ── Public API ───────────────────────────────────────────────────
+
+/**
+ * Fetch every stream message a device published after its last-seen times.
+ *
+ * @param {string} deviceId
+ * @param {Object<string, number>} lastSeenByTopic - topic → last seen (ms)
+ * @param {number} fallbackSince - used for topics never seen (ms), typically
+ *                                 the moment the connection dropped
+ * @param {number} [until=Date.now()]
+ * @returns {Promise<Array<{topicSuffix: string, payload: object, timestamp: string}>>}
+ *          Missed messages sorted oldest → newest
+ */
+export async function fetchMissedStream(
+  deviceId,
+  lastSeenByTopic,
+  fallbackSince,
+  until = Date.now(),
+) {
+  const floor = until - BACKFILL_MAX_GAP_MS;
+  const seenTimes = Object.values(lastSeenByTopic || {});
+  const since = Math.max(floor, Math.min(fallbackSince, ...seenTimes));
+  if (!Number.isFinite(since) || since >= until) return [];
+
+  const endTime = toApiTime(until);
+
+  let records;
+  try {
+    records = await fetchNewestPages(
+      (start, page) =>
+        getDeviceStreamData(deviceId, toApiTime(start), endTime, page, String(BACKFILL_PAGE_SIZE)),
+      since,
+      until,
+    );
+  } catch {
+    // Device-wide endpoint unavailable — fall back to each known topic
+    const topics = Object.keys(lastSeenByTopic || {});
+    const perTopic = await Promise.all(
+      topics.map(async (topic) => {
+        try {
+          const topicSince = Math.max(floor, lastSeenByTopic[topic]);
+          return await fetchNewestPages(
+            (start, page) =>
+              getTopicStreamData(
+                deviceId,
+                topic,
+                toApiTime(start),
+                endTime,
+                page,
+                String(BACKFILL_PAGE_SIZE),
+                { silent: true },
+              ),
+            topicSince,
+            until,
+          );
+        } catch {
+          return [];
+        }
+      }),
+    );
+    records = perTopic.flat();
+  }
+
+  const seenIds = new Set();
+  return records
+    .filter((record) => {
+      const ts = getMessageTime(record);
+      if (ts == null || ts > until) return false;
+      // Only messages newer than what this topic already delivered live
+      const topicSince = lastSeenByTopic?.[getMessageTopic(record)] ?? fallbackSince;
+      if (ts <= Math.max(floor, topicSince)) return false;
+      // Drop duplicates across overlapping pages
+      const key = record.id || `${getMessageTopic(record)}@${record.timestamp}`;
+      if (seenIds.has(key)) return false;
+      seenIds.add(key);
+      return true;
+    })
+    .sort((a, b) => getMessageTime(a) - getMessageTime(b))
+    .map(toStreamMessage);
+}
+
+export default { fetchMissedStream, getMessageTime, getMessageTopic };
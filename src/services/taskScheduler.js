@@ -0,0 +1,431 @@
+/**
+ * Task Scheduler
+ *
+ * One-off and recurring Deliver tasks, per device. Each schedule holds a route
+ * (source → destination), an optional robot (none = the dispatcher picks one),
+ * a priority and a rule:
+ *
+ *   - once      `{ type: "once", at }`                     — a single future run
+ *   - interval  `{ type: "interval", everyMinutes, shiftStart, shiftEnd, days }`
+ *               — every N minutes from shiftStart until shiftEnd ("HH:MM", an
+ *               end at or before the start runs past midnight) on the given
+ *               weekdays (0 = Sunday; empty = every day)
+ *   - cron      `{ type: "cron", cron }` — 5 fields: minute hour day-of-month
+ *               month day-of-week, with `*`, lists, ranges and `/step`
+ *
+ * DeviceContext checks schedules every SCHEDULER_TICK_MS. A due run is turned
+ * into an order with dispatcher.createOrder (task_id from generateTaskId, room
+ * names and coordinates) and sent like any dispatched order. Runs that are
+ * more than SCHEDULE_GRACE_MS late (the dashboard was closed) are recorded as
+ * missed instead of firing. Every run — sent, backlogged, skipped or missed —
+ * is kept in the run history.
+ *
+ * Schedules and runs are cached in localStorage (`fabrix_task_schedules`,
+ * `fabrix_schedule_runs`).
+ *
+ * @module taskScheduler
+ */
+import { createOrder } from "./dispatcher";
+import { normalizePriority } from "../utils/taskPriority";
+
+const STORAGE_KEY = "fabrix_task_schedules";
+const RUNS_STORAGE_KEY = "fabrix_schedule_runs";
+
+/** How often DeviceContext looks for due runs. */
+export const SCHEDULER_TICK_MS = 20 * 1000;
+
+/** Runs later than this are recorded as missed rather than fired. */
+export const SCHEDULE_GRACE_MS = 5 * 60 * 1000;
+
+/** Run history entries kept per device. */
+export const SCHEDULE_RUN_LIMIT = 200;
+
+export const SCHEDULE_TYPES = ["once", "interval", "cron"];
+
+export const SCHEDULE_TYPE_LABELS = {
+  once: "One-off",
+  interval: "Every N minutes",
+  cron: "Cron",
+};
+
+/** Run outcomes in the history. */
+export const RUN_STATUS = {
+  SENT: "sent",
+  BACKLOG: "backlog",
+  SKIPPED: "skipped",
+  MISSED: "missed",
+};
+
+export const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/** Longest look-ahead for the next run. */
+const SEARCH_LIMIT_MS = 366 * DAY_MS;
+
+// ── Cron ─────────────────────────────────────────────────────────
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  text.split(",").forEach((part) => {
+    const [range, stepText] = part.split("/");
+    const step = stepText == null ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in ${name}: "${part}"`);
+
+    let lo = min;
+    let hi = max;
+    if (range !== "*") {
+      const [a, b] = range.split("-");
+      lo = Number(a);
+      hi = b == null ? (stepText == null ? lo : max) : Number(b);
+    }
+    if (!Number.isInteger(lo) || !Number.isInteger(hi) || lo < min || hi > max || lo > hi) {
+      throw new Error(`Invalid ${name}: "${part}" (allowed ${min}-${max})`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  });
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression.
+ * @returns {{minutes: Set<number>, hours: Set<number>, days: Set<number>, months: Set<number>, weekdays: Set<number>, anyDay: boolean, anyWeekday: boolean}}
+ * @throws {Error} Describing the first invalid field
+ */
+export function parseCron(expression) {
+  const fields = String(expression || "").trim().split(/\s+/);
+  if (fields.length !== 5) throw new Error("Cron needs 5 fields: minute hour day-of-month month day-of-week");
+  const [minutes, hours, days, months, weekdays] = fields.map((f, i) => parseCronField(f, CRON_FIELDS[i]));
+  // 7 is Sunday too
+  if (weekdays.delete(7)) weekdays.add(0);
+  return { minutes, hours, days, months, weekdays, anyDay: fields[2] === "*", anyWeekday: fields[4] === "*" };
+}
+
+/** Cron day matching: when both day fields are restricted, either may match. */
+function cronDayMatches(cron, date) {
+  const dom = cron.days.has(date.getDate());
+  const dow = cron.weekdays.has(date.getDay());
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return dow;
+  if (cron.anyWeekday) return dom;
+  return dom || dow;
+}
+
+/**
+ * First time strictly after `after` that matches the expression (local time).
+ * @returns {number|null} ms, or null when nothing matches within a year
+ */
+export function nextCronRun(expression, after) {
+  const cron = typeof expression === "string" ? parseCron(expression) : expression;
+  const t = new Date(after);
+  t.setSeconds(0, 0);
+  t.setMinutes(t.getMinutes() + 1);
+  const limit = after + SEARCH_LIMIT_MS;
+
+  while (t.getTime() <= limit) {
+    if (!cron.months.has(t.getMonth() + 1)) {
+      t.setMonth(t.getMonth() + 1, 1);
+      t.setHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(cron, t)) {
+      t.setDate(t.getDate() + 1);
+      t.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(t.getHours())) {
+      t.setHours(t.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(t.getMinutes())) {
+      t.setMinutes(t.getMinutes() + 1, 0, 0);
+    } else {
+      return t.getTime();
+    }
+  }
+  return null;
+}
+
+// ── Shift intervals ──────────────────────────────────────────────
+
+/** "HH:MM" → minutes after midnight, or null. */
+export function parseClock(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(text || "").trim());
+  if (!match) return null;
+  const h = Number(match[1]);
+  const m = Number(match[2]);
+  return h < 24 && m < 60 ? h * 60 + m : null;
+}
+
+/** First interval run strictly after `after`. */
+function nextIntervalRun({ everyMinutes, shiftStart, shiftEnd, days = [] }, after) {
+  const step = everyMinutes * MINUTE_MS;
+  const startMin = parseClock(shiftStart);
+  const endMin = parseClock(shiftEnd);
+
+  // Start the day before — an overnight shift from yesterday may still be running
+  const day = new Date(after);
+  day.setHours(0, 0, 0, 0);
+  day.setDate(day.getDate() - 1);
+
+  for (let i = 0; i < 9; i += 1) {
+    if (days.length === 0 || days.includes(day.getDay())) {
+      const start = new Date(day);
+      start.setHours(0, startMin, 0, 0);
+      const end = new Date(day);
+      if (endMin <= startMin) end.setDate(end.getDate() + 1);
+      end.setHours(0, endMin, 0, 0);
+
+      const k = Math.max(0, Math.floor((after - start.getTime()) / step) + 1);
+      const t = start.getTime() + k * step;
+      if (t < end.getTime()) return t;
+    }
+    day.setDate(day.getDate() + 1);
+  }
+  return null;
+}
+
+// ── Rules ────────────────────────────────────────────────────────
+
+/**
+ * Next run of a rule strictly after `after`.
+ * @returns {number|null} ms, or null when the rule has no more runs
+ */
+export function nextRunTime(rule, after) {
+  switch (rule?.type) {
+    case "once":
+      return rule.at > after ? rule.at : null;
+    case "interval":
+      return nextIntervalRun(rule, after);
+    case "cron":
+      return nextCronRun(rule.cron, after);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Every run of a schedule in [from, to), for the calendar.
+ * @returns {number[]} At most `limit` times
+ */
+export function upcomingRuns(schedule, from, to, limit = 500) {
+  const runs = [];
+  if (!schedule.enabled) return runs;
+  const rule = schedule.rule.type === "cron" ? { ...schedule.rule, cron: parseCron(schedule.rule.cron) } : schedule.rule;
+  let t = nextRunTime(rule, from - 1);
+  while (t != null && t < to && runs.length < limit) {
+    runs.push(t);
+    t = nextRunTime(rule, t);
+  }
+  return runs;
+}
+
+/** One-line description, e.g. "Every 30 min 06:00–14:00, Mon–Fri". */
+export function describeRule(rule) {
+  if (rule.type === "once") {
+    return `Once, ${new Date(rule.at).toLocaleString([], { dateStyle: "medium", timeStyle: "short" })}`;
+  }
+  if (rule.type === "cron") return `Cron ${rule.cron}`;
+  const days =
+    rule.days?.length && rule.days.length < 7
+      ? `, ${[...rule.days].sort((a, b) => a - b).map((d) => WEEKDAY_LABELS[d]).join(" ")}`
+      : "";
+  return `Every ${rule.everyMinutes} min ${rule.shiftStart}–${rule.shiftEnd}${days}`;
+}
+
+/**
+ * Check and normalise a rule from the schedule form.
+ * @throws {Error} When the rule cannot produce runs
+ */
+export function normalizeRule(raw, now = Date.now()) {
+  switch (raw?.type) {
+    case "once": {
+      const at = raw.at == null || raw.at === "" ? NaN : new Date(raw.at).getTime();
+      if (!Number.isFinite(at)) throw new Error("Pick a date and time");
+      if (at <= now) throw new Error("The run time must be in the future");
+      return { type: "once", at };
+    }
+    case "interval": {
+      const everyMinutes = Number(raw.everyMinutes);
+      if (!Number.isInteger(everyMinutes) || everyMinutes < 1) throw new Error("Interval must be a whole number of minutes");
+      if (parseClock(raw.shiftStart) == null || parseClock(raw.shiftEnd) == null) {
+        throw new Error("Shift start and end must be HH:MM");
+      }
+      const days = [...new Set((raw.days || []).map(Number))].filter((d) => d >= 0 && d <= 6);
+      return { type: "interval", everyMinutes, shiftStart: raw.shiftStart, shiftEnd: raw.shiftEnd, days };
+    }
+    case "cron": {
+      const cron = String(raw.cron || "").trim().replace(/\s+/g, " ");
+      parseCron(cron);
+      if (nextCronRun(cron, now) == null) throw new Error("Cron expression never matches");
+      return { type: "cron", cron };
+    }
+    default:
+      throw new Error("Unknown schedule type");
+  }
+}
+
+// ── Schedules ────────────────────────────────────────────────────
+
+/**
+ * Build a schedule from the form.
+ *
+ * @param {{name?: string, source: string, destination: string, robotId?: string, priority?: string, rule: object}} input
+ *        robotId: empty to let the dispatcher choose
+ * @param {number} [now=Date.now()]
+ * @returns {object} Schedule with `id`, `enabled`, `nextRunAt`, `skipAt`
+ * @throws {Error} When the route or rule is invalid
+ */
+export function createSchedule({ name, source, destination, robotId, priority, rule }, now = Date.now()) {
+  if (!source) throw new Error("Select a source");
+  if (!destination) throw new Error("Select a destination");
+  if (source === destination) throw new Error("Source and destination cannot be the same");
+  const normalizedRule = normalizeRule(rule, now);
+
+  return {
+    id: `SCH-${now.toString(36).toUpperCase()}-${Math.random().toString(36).slice(2, 6).toUpperCase()}`,
+    name: String(name || "").trim() || `${source} → ${destination}`,
+    source,
+    destination,
+    robotId: robotId || null,
+    priority: normalizePriority(priority),
+    rule: normalizedRule,
+    enabled: true,
+    skipAt: null,
+    createdAt: now,
+    lastRunAt: null,
+    nextRunAt: nextRunTime(normalizedRule, now),
+  };
+}
+
+/** Pause or resume a schedule. Resuming starts from now — past runs are not replayed. */
+export function setScheduleEnabled(schedule, enabled, now = Date.now()) {
+  return {
+    ...schedule,
+    enabled,
+    skipAt: enabled ? schedule.skipAt : null,
+    nextRunAt: enabled ? nextRunTime(schedule.rule, now) : schedule.nextRunAt,
+  };
+}
+
+/** Skip the next run, or undo a pending skip. */
+export function toggleSkipNext(schedule) {
+  const skipping = schedule.skipAt != null && schedule.skipAt === schedule.nextRunAt;
+  return { ...schedule, skipAt: skipping ? null : schedule.nextRunAt };
+}
+
+/**
+ * Settle a schedule's due run, if any.
+ *
+ * @returns {{dueAt: number, outcome: string, schedule: object}|null}
+ *          outcome: "fire", RUN_STATUS.SKIPPED or RUN_STATUS.MISSED; `schedule`
+ *          is moved on to its next run. Null when nothing is due.
+ */
+export function settleDueRun(schedule, now = Date.now()) {
+  const dueAt = schedule.nextRunAt;
+  if (!schedule.enabled || dueAt == null || dueAt > now) return null;
+
+  let outcome = "fire";
+  if (schedule.skipAt === dueAt) outcome = RUN_STATUS.SKIPPED;
+  else if (now - dueAt > SCHEDULE_GRACE_MS) outcome = RUN_STATUS.MISSED;
+
+  return {
+    dueAt,
+    outcome,
+    schedule: {
+      ...schedule,
+      lastRunAt: dueAt,
+      skipAt: schedule.skipAt != null && schedule.skipAt > dueAt ? schedule.skipAt : null,
+      // Runs missed while the dashboard was closed collapse into one entry
+      nextRunAt: nextRunTime(schedule.rule, now),
+    },
+  };
+}
+
+/**
+ * The order a schedule run sends — dispatcher.createOrder plus `scheduleId`.
+ * @param {object} [layout] - facility layout for room coordinates
+ */
+export function scheduleOrder(schedule, layout, now = Date.now()) {
+  const order = createOrder(
+    { source: schedule.source, destination: schedule.destination, priority: schedule.priority },
+    layout,
+    now,
+  );
+  return { ...order, scheduleId: schedule.id };
+}
+
+/** Run history entry. */
+export function makeRun(schedule, dueAt, status, { taskId = null, robotId = null, reason = null } = {}, now = Date.now()) {
+  return {
+    scheduleId: schedule.id,
+    name: schedule.name,
+    dueAt,
+    firedAt: now,
+    status,
+    taskId,
+    robotId,
+    reason,
+  };
+}
+
+// ── Local cache ──────────────────────────────────────────────────
+
+function loadMap(key) {
+  try {
+    const raw = localStorage.getItem(key);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function saveMap(key, value, label) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    console.error(`[Scheduler] Failed to cache ${label}:`, e);
+  }
+}
+
+/** deviceId → schedules. */
+export function loadCachedSchedules() {
+  return loadMap(STORAGE_KEY);
+}
+
+export function saveCachedSchedules(schedules) {
+  saveMap(STORAGE_KEY, schedules, "schedules");
+}
+
+/** deviceId → runs, newest first. */
+export function loadCachedScheduleRuns() {
+  return loadMap(RUNS_STORAGE_KEY);
+}
+
+export function saveCachedScheduleRuns(runs) {
+  saveMap(RUNS_STORAGE_KEY, runs, "schedule runs");
+}
+
+export default {
+  parseCron,
+  nextCronRun,
+  parseClock,
+  nextRunTime,
+  upcomingRuns,
+  describeRule,
+  normalizeRule,
+  createSchedule,
+  setScheduleEnabled,
+  toggleSkipNext,
+  settleDueRun,
+  scheduleOrder,
+  makeRun,
+  loadCachedSchedules,
+  saveCachedSchedules,
+  loadCachedScheduleRuns,
+  saveCachedScheduleRuns,
+};
@@ -0,0 +1,311 @@
+/**
+ * Track History — robot GPS tracks for the FabMap trail and replay scrubber.
+ *
+ * Live trails come from DeviceContext's robotHistory ('location' entries,
+ * newest first). Replay windows reach further back than that in-memory buffer,
+ * so we page through the historical fleetMS/robots/{id}/location stream and
+ * merge both sources into one track per robot, sorted oldest → newest.
+ *
+ * A track point is `{ ts, lat, lng, heading? }` with `ts` in ms. Status tracks
+ * (`{ ts, state?, obstacle? }`) are loaded the same way for the occupancy
+ * heatmap's stop / BLOCKED layers, and battery tracks (`{ ts, battery }`) for
+ * the Analysis battery model.
+ *
+ * @module trackHistory
+ */
+import { getTopicStreamData } from "./api";
+import { getMessageTime } from "./streamBackfill";
+import { normalizeRobotBattery, normalizeRobotLocation, normalizeRobotStatus } from "../utils/payloadSchema";
+
+/** Records per page requested from the stream API. */
+export const TRACK_PAGE_SIZE = 100;
+
+/** Hard cap on pages per robot (100 × 20 = 2 000 fixes). */
+export const TRACK_MAX_PAGES = 20;
+
+/** Points closer together than this (ms) are treated as the same fix. */
+const DEDUPE_MS = 250;
+
+// ── Helpers ──────────────────────────────────────────────────────
+
+/** Format a ms timestamp the way getTimeRange() does (no milliseconds). */
+function toApiTime(ms) {
+  return new Date(ms).toISOString().split(".")[0] + "Z";
+}
+
+/** Build a track point from a raw location payload, or null if unusable. */
+function toTrackPoint(ts, raw, robotId) {
+  if (!Number.isFinite(ts)) return null;
+  const loc = normalizeRobotLocation(raw, { robotId, silent: true });
+  if (loc.lat == null || loc.lng == null) return null;
+  const point = { ts, lat: loc.lat, lng: loc.lng };
+  if (loc.heading != null) point.heading = loc.heading;
+  return point;
+}
+
+/** Build a status point from a raw status payload, or null if unusable. */
+function toStatusPoint(ts, raw, robotId) {
+  if (!Number.isFinite(ts)) return null;
+  const status = normalizeRobotStatus(raw, { robotId, silent: true });
+  if (status.state == null && status.obstacle == null) return null;
+  return { ts, state: status.state, obstacle: status.obstacle };
+}
+
+/** Build a battery point from a raw battery payload, or null if unusable. */
+function toBatteryPoint(ts, raw, robotId) {
+  if (!Number.isFinite(ts)) return null;
+  const { battery } = normalizeRobotBattery(raw, { robotId, silent: true });
+  return battery == null ? null : { ts, battery };
+}
+
+/** Sort oldest → newest and drop near-duplicate fixes. */
+function sortAndDedupe(points) {
+  const sorted = [...points].sort((a, b) => a.ts - b.ts);
+  return sorted.filter((p, i) => i === 0 || p.ts - sorted[i - 1].ts > DEDUPE_MS);
+}
+
+/**
+ * Page through one topic of the stream API and map each record to a point.
+ * Errors resolve to what was collected so far — replay and heatmaps should
+ * degrade to what the dashboard saw live rather than fail outright.
+ *
+ * @param {function(number, object): object|null} toPoint - (ts, payload) → point
+ */
+async function fetchTopicPoints(deviceId, topic, since, until, toPoint) {
+  const points = [];
+  try {
+    for (let page = 0; page < TRACK_MAX_PAGES; page++) {
+      const res = await getTopicStreamData(
+        deviceId,
+        topic,
+        toApiTime(since),
+        toApiTime(until),
+        String(page),
+        String(TRACK_PAGE_SIZE),
+        { silent: true },
+      );
+      const data = res?.status === "Success" && Array.isArray(res.data) ? res.data : [];
+      data.forEach((record) => {
+        let payload = record.payload;
+        if (typeof payload === "string") {
+          try {
+            payload = JSON.parse(payload);
+          } catch {
+            /* plain scalar payload — keep the string */
+          }
+        }
+        const point = toPoint(getMessageTime(record), payload);
+        if (point && point.ts >= since && point.ts <= until) points.push(point);
+      });
+      if (data.length < TRACK_PAGE_SIZE) break;
+    }
+  } catch (error) {
+    console.warn(`[TrackHistory] Could not load ${topic}:`, error.message);
+  }
+  return sortAndDedupe(points);
+}
+
+// ── Public API ───────────────────────────────────────────────────
+
+/**
+ * Location track for one robot from the in-memory robotHistory series.
+ * @param {Array<{ts: number, metric: string, value: any}>} series - newest first
+ * @param {string} [robotId]
+ * @returns {Array<{ts: number, lat: number, lng: number}>} oldest → newest
+ */
+export function trackFromHistory(series, robotId) {
+  if (!Array.isArray(series)) return [];
+  const points = series
+    .filter((entry) => entry.metric === "location")
+    .map((entry) => toTrackPoint(entry.ts, entry.value, robotId))
+    .filter(Boolean);
+  return sortAndDedupe(points);
+}
+
+/**
+ * Status track for one robot from the in-memory robotHistory series.
+ * @param {Array<{ts: number, metric: string, value: any}>} series - newest first
+ * @param {string} [robotId]
+ * @returns {Array<{ts: number, state?: string, obstacle?: boolean}>} oldest → newest
+ */
+export function statusFromHistory(series, robotId) {
+  if (!Array.isArray(series)) return [];
+  const points = series
+    .filter((entry) => entry.metric === "status")
+    // Older live entries hold the bare state string
+    .map((entry) => toStatusPoint(entry.ts, typeof entry.value === "string" ? { state: entry.value } : entry.value, robotId))
+    .filter(Boolean);
+  return sortAndDedupe(points);
+}
+
+/**
+ * Battery track for one robot from the in-memory robotHistory series.
+ * @param {Array<{ts: number, metric: string, value: any}>} series - newest first
+ * @param {string} [robotId]
+ * @returns {Array<{ts: number, battery: number}>} oldest → newest
+ */
+export function batteryFromHistory(series, robotId) {
+  if (!Array.isArray(series)) return [];
+  const points = series
+    .filter((entry) => entry.metric === "battery")
+    .map((entry) => toBatteryPoint(entry.ts, { battery: entry.value }, robotId))
+    .filter(Boolean);
+  return sortAndDedupe(points);
+}
+
+/**
+ * Fetch one robot's historical location stream for a window.
+ *
+ * @param {string} deviceId
+ * @param {string} robotId
+ * @param {number} since - window start (ms)
+ * @param {number} until - window end (ms)
+ * @returns {Promise<Array<{ts: number, lat: number, lng: number}>>} oldest → newest
+ */
+export function fetchRobotTrack(deviceId, robotId, since, until) {
+  return fetchTopicPoints(deviceId, `fleetMS/robots/${robotId}/location`, since, until, (ts, payload) =>
+    toTrackPoint(ts, payload, robotId),
+  );
+}
+
+/**
+ * Fetch one robot's historical status stream for a window.
+ *
+ * @returns {Promise<Array<{ts: number, state?: string, obstacle?: boolean}>>} oldest → newest
+ */
+export function fetchRobotStatusTrack(deviceId, robotId, since, until) {
+  return fetchTopicPoints(deviceId, `fleetMS/robots/${robotId}/status`, since, until, (ts, payload) =>
+    toStatusPoint(ts, payload, robotId),
+  );
+}
+
+/**
+ * Fetch one robot's historical battery stream for a window.
+ *
+ * @returns {Promise<Array<{ts: number, battery: number}>>} oldest → newest
+ */
+export function fetchRobotBatteryTrack(deviceId, robotId, since, until) {
+  return fetchTopicPoints(deviceId, `fleetMS/robots/${robotId}/battery`, since, until, (ts, payload) =>
+    toBatteryPoint(ts, payload, robotId),
+  );
+}
+
+/**
+ * Fetch historical tracks for several robots and merge in live history.
+ *
+ * @param {string} deviceId
+ * @param {string[]} robotIds
+ * @param {number} since - window start (ms)
+ * @param {number} until - window end (ms)
+ * @param {Object<string, Array>} [historyByRobot] - robotId → robotHistory series
+ * @returns {Promise<Object<string, Array<{ts: number, lat: number, lng: number}>>>}
+ */
+export async function fetchFleetTracks(deviceId, robotIds, since, until, historyByRobot = {}) {
+  const fetched = await Promise.all(
+    robotIds.map((robotId) => fetchRobotTrack(deviceId, robotId, since, until)),
+  );
+  const tracks = {};
+  robotIds.forEach((robotId, i) => {
+    const live = trackFromHistory(historyByRobot[robotId], robotId).filter(
+      (p) => p.ts >= since && p.ts <= until,
+    );
+    const merged = sortAndDedupe([...fetched[i], ...live]);
+    if (merged.length) tracks[robotId] = merged;
+  });
+  return tracks;
+}
+
+/**
+ * Fetch historical status tracks for several robots and merge in live history.
+ * Same arguments and result shape as fetchFleetTracks.
+ */
+export async function fetchFleetStatus(deviceId, robotIds, since, until, historyByRobot = {}) {
+  const fetched = await Promise.all(
+    robotIds.map((robotId) => fetchRobotStatusTrack(deviceId, robotId, since, until)),
+  );
+  const tracks = {};
+  robotIds.forEach((robotId, i) => {
+    const live = statusFromHistory(historyByRobot[robotId], robotId).filter(
+      (p) => p.ts >= since && p.ts <= until,
+    );
+    const merged = sortAndDedupe([...fetched[i], ...live]);
+    if (merged.length) tracks[robotId] = merged;
+  });
+  return tracks;
+}
+
+/**
+ * Fetch historical battery tracks for several robots and merge in live history.
+ * Same arguments and result shape as fetchFleetTracks.
+ */
+export async function fetchFleetBattery(deviceId, robotIds, since, until, historyByRobot = {}) {
+  const fetched = await Promise.all(
+    robotIds.map((robotId) => fetchRobotBatteryTrack(deviceId, robotId, since, until)),
+  );
+  const tracks = {};
+  robotIds.forEach((robotId, i) => {
+    const live = batteryFromHistory(historyByRobot[robotId], robotId).filter(
+      (p) => p.ts >= since && p.ts <= until,
+    );
+    const merged = sortAndDedupe([...fetched[i], ...live]);
+    if (merged.length) tracks[robotId] = merged;
+  });
+  return tracks;
+}
+
+/**
+ * Robot position at a moment in a track, linearly interpolated between fixes.
+ * Before the first fix the robot is unknown (null); after the last fix it
+ * stays where it was last seen.
+ *
+ * @param {Array<{ts: number, lat: number, lng: number}>} track - oldest → newest
+ * @param {number} time - ms
+ * @returns {{lat: number, lng: number, heading?: number}|null}
+ */
+export function positionAt(track, time) {
+  if (!track?.length || time < track[0].ts) return null;
+  const last = track[track.length - 1];
+  if (time >= last.ts) return last;
+
+  // Binary search for the last fix at or before `time`
+  let lo = 0;
+  let hi = track.length - 1;
+  while (lo < hi - 1) {
+    const mid = (lo + hi) >> 1;
+    if (track[mid].ts <= time) lo = mid;
+    else hi = mid;
+  }
+  const a = track[lo];
+  const b = track[hi];
+  const f = b.ts === a.ts ? 0 : (time - a.ts) / (b.ts - a.ts);
+  return {
+    lat: a.lat + (b.lat - a.lat) * f,
+    lng: a.lng + (b.lng - a.lng) * f,
+    heading: a.heading,
+  };
+}
+
+/**
+ * Fixes of a track inside [from, to], oldest → newest.
+ * @param {Array<{ts: number}>} track
+ * @param {number} from - ms
+ * @param {number} to - ms
+ */
+export function trackSlice(track, from, to) {
+  if (!track?.length) return [];
+  return track.filter((p) => p.ts >= from && p.ts <= to);
+}
+
+export default {
+  trackFromHistory,
+  statusFromHistory,
+  batteryFromHistory,
+  fetchRobotTrack,
+  fetchRobotStatusTrack,
+  fetchRobotBatteryTrack,
+  fetchFleetTracks,
+  fetchFleetStatus,
+  fetchFleetBattery,
+  positionAt,
+  trackSlice,
+};
@@ -7,10 +7,20 @@
  *
  * Must be initialised AFTER /get-token has been called at least once.
  *
+ * Two ways to connect:
+ *   - connectWebSocket()  – one client bound to a single device (legacy)
+ *   - connectFleet()      – one shared client; devices are added/removed on
+ *                           the fly with subscribeDevice()/unsubscribeDevice()
+ *
  * @module webSocketClient
  */
 import { Client } from "@stomp/stompjs";
 import { getToken } from "./authService";
+import {
+  recordConnectionEvent,
+  recordStompDebug,
+  recordMessage,
+} from "./diagnostics";
 
 /** WebSocket broker endpoint from environment config. */
 const WS_URL = import.meta.env.VITE_WS_URL;
@@ -115,3 +125,209 @@ export function connectWebSocket(
 
   return client;
 }
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Shared fleet connection — one STOMP client, many device subscriptions
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** The single shared STOMP client (null until connectFleet is called). */
+let fleetClient = null;
+
+/**
+ * Registered device subscriptions, keyed by deviceId.
+ * Each entry holds the callbacks and the live STOMP subscription handles so
+ * they can be re-created after a reconnect.
+ * @type {Map<string, { onStream: function, onState: function, handles: Array }>}
+ */
+const deviceSubscriptions = new Map();
+
+/** Connection listeners registered through connectFleet(). */
+let fleetListeners = { onConnected: null, onDisconnected: null };
+
+/**
+ * Parse a STOMP frame body, count it for diagnostics and hand it to a callback.
+ * @param {function} callback
+ * @param {string} label - "stream" | "state", used in error logs
+ * @param {string} deviceId
+ */
+function makeHandler(callback, label, deviceId) {
+  return (message) => {
+    if (!message.body) return;
+    try {
+      const parsed = JSON.parse(message.body);
+      recordMessage(deviceId, parsed?.topicSuffix || parsed?.topic || label);
+      if (callback) callback(parsed);
+    } catch (e) {
+      console.error(`[WS] Failed to parse ${label} message`, e);
+    }
+  };
+}
+
+/**
+ * Create the STOMP subscriptions for one registered device.
+ * No-op while the shared client is not connected — onConnect will pick it up.
+ * @param {string} deviceId
+ */
+function attachDevice(deviceId) {
+  const entry = deviceSubscriptions.get(deviceId);
+  if (!entry || !fleetClient?.connected) return;
+
+  entry.handles = [
+    fleetClient.subscribe(
+      `/topic/stream/${deviceId}`,
+      makeHandler(entry.onStream, "stream", deviceId),
+    ),
+    fleetClient.subscribe(
+      `/topic/state/${deviceId}`,
+      makeHandler(entry.onState, "state", deviceId),
+    ),
+  ];
+}
+
+/**
+ * Drop the STOMP subscriptions for one device (keeps the registry entry).
+ * @param {string} deviceId
+ */
+function detachDevice(deviceId) {
+  const entry = deviceSubscriptions.get(deviceId);
+  if (!entry) return;
+  if (fleetClient?.connected) {
+    entry.handles.forEach((handle) => {
+      try {
+        handle.unsubscribe();
+      } catch {
+        /* subscription already gone with the socket */
+      }
+    });
+  }
+  entry.handles = [];
+}
+
+/**
+ * Open (or reuse) the shared STOMP connection used for the whole fleet.
+ * Devices are added/removed with subscribeDevice()/unsubscribeDevice(); every
+ * registered device is re-subscribed automatically after a reconnect.
+ *
+ * @param {object} [listeners]
+ * @param {function} [listeners.onConnected]    - Called on every (re)connect
+ * @param {function} [listeners.onDisconnected] - Called on disconnect / error
+ * @returns {Client} Shared STOMP client instance
+ */
+export function connectFleet({ onConnected, onDisconnected } = {}) {
+  fleetListeners = { onConnected, onDisconnected };
+  if (fleetClient) {
+    if (fleetClient.connected && onConnected) onConnected();
+    return fleetClient;
+  }
+
+  const client = new Client({
+    brokerURL: buildBrokerURL(),
+    reconnectDelay: 5000,
+    heartbeatIncoming: 4000,
+    heartbeatOutgoing: 4000,
+
+    // On reconnect the token may have been refreshed, so rebuild the URL
+    beforeConnect: () => {
+      client.brokerURL = buildBrokerURL();
+    },
+
+    onConnect: () => {
+      recordConnectionEvent("connected");
+      // Old handles died with the previous socket — re-create all of them
+      deviceSubscriptions.forEach((entry, deviceId) => {
+        entry.handles = [];
+        attachDevice(deviceId);
+      });
+      if (fleetListeners.onConnected) fleetListeners.onConnected();
+    },
+
+    onStompError: (frame) => {
+      console.error("[WS] Broker error:", frame.headers["message"]);
+      recordConnectionEvent("broker-error", frame.headers["message"]);
+      if (fleetListeners.onDisconnected) fleetListeners.onDisconnected();
+    },
+
+    onWebSocketError: () => {
+      recordConnectionEvent("socket-error");
+      if (fleetListeners.onDisconnected) fleetListeners.onDisconnected();
+    },
+
+    onWebSocketClose: (event) => {
+      recordConnectionEvent(
+        "disconnected",
+        event?.code ? `code ${event.code}${event.reason ? ` — ${event.reason}` : ""}` : "",
+      );
+      if (fleetListeners.onDisconnected) fleetListeners.onDisconnected();
+    },
+
+    // Feed heartbeat misses / reconnect scheduling into diagnostics
+    debug: recordStompDebug,
+  });
+
+  fleetClient = client;
+
+  try {
+    client.activate();
+  } catch (err) {
+    console.error("[WS] Failed to activate client:", err);
+  }
+
+  return client;
+}
+
+/**
+ * Subscribe to a device's stream and state topics on the shared connection.
+ * Calling it again for the same device replaces the callbacks.
+ *
+ * @param {string} deviceId   - Device to subscribe to.
+ * @param {function} onStream - Callback for /topic/stream/{deviceId}
+ * @param {function} onState  - Callback for /topic/state/{deviceId}
+ * @returns {function} Unsubscribe function for this subscription (no-op once replaced)
+ */
+export function subscribeDevice(deviceId, onStream, onState) {
+  if (!deviceId) {
+    console.error("[WS] subscribeDevice called without deviceId");
+    return () => {};
+  }
+
+  if (deviceSubscriptions.has(deviceId)) detachDevice(deviceId);
+  const entry = { onStream, onState, handles: [] };
+  deviceSubscriptions.set(deviceId, entry);
+  attachDevice(deviceId);
+
+  // A later subscribeDevice() for the same device replaced this entry —
+  // leave the newer subscription alone
+  return () => {
+    if (deviceSubscriptions.get(deviceId) === entry) unsubscribeDevice(deviceId);
+  };
+}
+
+/**
+ * Remove a device's subscriptions from the shared connection.
+ * @param {string} deviceId
+ */
+export function unsubscribeDevice(deviceId) {
+  detachDevice(deviceId);
+  deviceSubscriptions.delete(deviceId);
+}
+
+/**
+ * List the device IDs currently registered on the shared connection.
+ * @returns {string[]}
+ */
+export function getSubscribedDevices() {
+  return Array.from(deviceSubscriptions.keys());
+}
+
+/**
+ * Tear down the shared connection and forget every device subscription.
+ */
+export function disconnectFleet() {
+  deviceSubscriptions.clear();
+  fleetListeners = { onConnected: null, onDisconnected: null };
+  if (fleetClient) {
+    const client = fleetClient;
+    fleetClient = null;
+    client.deactivate();
+  }
+}
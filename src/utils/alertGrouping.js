@@ -0,0 +1,189 @@
+/**
+ * Alert Grouping
+ *
+ * Correlates alerts that share a root cause into one incident so a storm —
+ * an HVAC failure flooding temperature warnings, or collision alerts for
+ * every robot pair crowding the same spot — shows up as a single entry with
+ * a child count instead of dozens of rows.
+ *
+ * Alerts group by incidentKey():
+ *   - alerts with a `metric` (rule alerts, environment advisories) group by
+ *     device + metric + where: the robot's room, else a grid cell of
+ *     INCIDENT_SPOT_M around its position, else the whole device
+ *   - other alerts only group with exact repeats of their message
+ * An alert joins an incident with its key that nobody has handled yet (not
+ * acknowledged, snoozed or resolved) and whose last child arrived within
+ * INCIDENT_WINDOW_MS; otherwise it opens a new incident, so a new condition is
+ * never hidden behind one already being dealt with. The incident keeps the
+ * first alert's message, takes the highest child severity — restarting its
+ * escalation from that child (`severityAt`) — and the last
+ * INCIDENT_CHILD_LIMIT children. Lifecycle actions
+ * (utils/alertLifecycle.js) apply to the whole incident; a rule incident
+ * resolves automatically once every rule condition in it has cleared.
+ *
+ * Independently, each source (device, or device + robot) may raise at most
+ * SOURCE_RATE_LIMIT.max alerts per SOURCE_RATE_LIMIT.windowMs; alerts over
+ * the limit are dropped and counted per source.
+ *
+ * @module alertGrouping
+ */
+
+/** An alert joins an incident whose last child is at most this old. */
+export const INCIDENT_WINDOW_MS = 5 * 60 * 1000;
+
+/** Children kept on an incident (newest first); `count` keeps the full total. */
+export const INCIDENT_CHILD_LIMIT = 20;
+
+/** Robots outside any room group by grid cells of this size (metres). */
+export const INCIDENT_SPOT_M = 15;
+
+/** Alerts one source may raise per window before the rest are suppressed. */
+export const SOURCE_RATE_LIMIT = { max: 10, windowMs: 60 * 1000 };
+
+const SEVERITY_RANK = { info: 0, warning: 1, critical: 2 };
+
+const METRES_PER_DEGREE = 111320;
+
+// ── Keys ─────────────────────────────────────────────────────────
+
+/** The source an alert is rate-limited under. */
+export function alertSourceKey(alert) {
+  return alert.robotId ? `${alert.deviceId}|${alert.robotId}` : `${alert.deviceId}`;
+}
+
+const spotKey = ({ lat, lng }) => {
+  const cellLat = INCIDENT_SPOT_M / METRES_PER_DEGREE;
+  const cellLng = cellLat / Math.max(0.01, Math.cos((lat * Math.PI) / 180));
+  return `${Math.floor(lat / cellLat)},${Math.floor(lng / cellLng)}`;
+};
+
+const hasPosition = (location) => Number.isFinite(location?.lat) && Number.isFinite(location?.lng);
+
+/**
+ * Root-cause key an alert correlates under.
+ * @param {{deviceId: string, metric?: string, zone?: string, location?: {lat: number, lng: number}, message: string}} alert
+ * @returns {string}
+ */
+export function incidentKey(alert) {
+  if (!alert.metric) return `${alert.deviceId}|msg|${alert.message}`;
+  const where = alert.zone ? `zone:${alert.zone}` : hasPosition(alert.location) ? `spot:${spotKey(alert.location)}` : "device";
+  return `${alert.deviceId}|${alert.metric}|${where}`;
+}
+
+// ── Correlation ──────────────────────────────────────────────────
+
+const childOf = (alert) => ({
+  message: alert.message,
+  type: alert.type,
+  robotId: alert.robotId,
+  timestamp: alert.timestamp,
+});
+
+const union = (list, value) => (value && !list.includes(value) ? [...list, value] : list);
+
+/** The open, unhandled incident `alert` would join, or undefined. */
+export function findIncident(alerts, alert, now = Date.now()) {
+  const key = incidentKey(alert);
+  return alerts.find(
+    (a) => a.incidentKey === key && !a.resolved && !a.acknowledgedAt && !(a.snoozedUntil > now)
+      && now - (a.lastAt ?? a.timestamp) <= INCIDENT_WINDOW_MS,
+  );
+}
+
+/** A new incident with `alert` as its first child. */
+export function openIncident(alert, id) {
+  return {
+    ...alert,
+    id,
+    read: false,
+    incidentKey: incidentKey(alert),
+    count: 1,
+    lastAt: alert.timestamp,
+    robotIds: alert.robotId ? [alert.robotId] : [],
+    ruleKeys: alert.ruleKey ? [alert.ruleKey] : [],
+    children: [childOf(alert)],
+  };
+}
+
+/**
+ * Add `alert` to an incident. A child of higher severity raises the
+ * incident's severity, marks it unread again and restarts its escalation
+ * (services/notifier.js) from the child's time.
+ */
+export function joinIncident(incident, alert) {
+  const escalates = (SEVERITY_RANK[alert.type] ?? 0) > (SEVERITY_RANK[incident.type] ?? 0);
+  return {
+    ...incident,
+    type: escalates ? alert.type : incident.type,
+    read: escalates ? false : incident.read,
+    severityAt: escalates ? alert.timestamp : incident.severityAt,
+    escalation: escalates ? undefined : incident.escalation,
+    count: (incident.count || 1) + 1,
+    lastAt: Math.max(incident.lastAt ?? incident.timestamp, alert.timestamp),
+    robotIds: union(incident.robotIds || [], alert.robotId),
+    ruleKeys: union(incident.ruleKeys || [], alert.ruleKey),
+    children: [childOf(alert), ...(incident.children || [])].slice(0, INCIDENT_CHILD_LIMIT),
+  };
+}
+
+/**
+ * Drop a cleared rule condition from an incident.
+ * @returns {{incident: object, cleared: boolean}} `cleared` once no rule condition in it is active
+ */
+export function releaseRuleKey(incident, ruleKey) {
+  const keys = incident.ruleKeys || (incident.ruleKey ? [incident.ruleKey] : []);
+  if (!keys.includes(ruleKey)) return { incident, cleared: false };
+  const ruleKeys = keys.filter((k) => k !== ruleKey);
+  return { incident: { ...incident, ruleKeys }, cleared: ruleKeys.length === 0 };
+}
+
+// ── Rate limiting ────────────────────────────────────────────────
+
+/**
+ * Count an alert against its source's window.
+ * @param {Object<string, number[]>} state - alert times per source (not mutated)
+ * @returns {{state: Object<string, number[]>, allowed: boolean}}
+ */
+export function rateLimitSource(state, sourceKey, now = Date.now(), limit = SOURCE_RATE_LIMIT) {
+  const recent = (state[sourceKey] || []).filter((t) => now - t < limit.windowMs);
+  if (recent.length >= limit.max) return { state: { ...state, [sourceKey]: recent }, allowed: false };
+  return { state: { ...state, [sourceKey]: [...recent, now] }, allowed: true };
+}
+
+/** Record a suppressed alert: `{ [sourceKey]: { count, lastAt, lastMessage } }`. */
+export function recordSuppressed(suppressed, alert, now = Date.now()) {
+  const key = alertSourceKey(alert);
+  const entry = suppressed[key] || { count: 0 };
+  return { ...suppressed, [key]: { count: entry.count + 1, lastAt: now, lastMessage: alert.message } };
+}
+
+// ── Stats ────────────────────────────────────────────────────────
+
+/**
+ * @returns {{incidents: number, alerts: number, grouped: number}} incidents and the raw alerts they hold;
+ *          `grouped` counts incidents with more than one child
+ */
+export function incidentStats(alerts) {
+  const list = alerts || [];
+  return {
+    incidents: list.length,
+    alerts: list.reduce((sum, a) => sum + (a.count || 1), 0),
+    grouped: list.filter((a) => (a.count || 1) > 1).length,
+  };
+}
+
+export default {
+  INCIDENT_WINDOW_MS,
+  INCIDENT_CHILD_LIMIT,
+  INCIDENT_SPOT_M,
+  SOURCE_RATE_LIMIT,
+  alertSourceKey,
+  incidentKey,
+  findIncident,
+  openIncident,
+  joinIncident,
+  releaseRuleKey,
+  rateLimitSource,
+  recordSuppressed,
+  incidentStats,
+};
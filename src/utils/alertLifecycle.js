@@ -0,0 +1,247 @@
+/**
+ * Alert Lifecycle
+ *
+ * Alerts move active → acknowledged → resolved. Acknowledging records who
+ * handled the alert and an optional comment; resolving happens automatically
+ * when an alert rule's condition clears (utils/alertRules.js) or by hand.
+ * An open alert can also be assigned to an operator and snoozed for a few
+ * minutes — it is hidden from the active views until the snooze runs out and
+ * then returns to its previous state. Every step is appended to the alert's
+ * `log` as `{ at, action, by, comment }`.
+ *
+ * DeviceContext keeps the last 50 alerts live; every alert is also copied to
+ * a longer history (localStorage `fabrix_alert_history`) that the Alerts page
+ * lists and computes time-to-acknowledge / time-to-resolve from. The name the
+ * operator last acknowledged with is remembered in `fabrix_operator`.
+ *
+ * @module alertLifecycle
+ */
+
+const HISTORY_KEY = "fabrix_alert_history";
+const OPERATOR_KEY = "fabrix_operator";
+
+/** Alerts kept in the persisted history (oldest dropped first). */
+export const ALERT_HISTORY_LIMIT = 500;
+
+/** Snooze lengths offered in the UI (minutes). */
+export const SNOOZE_MINUTES = [5, 15, 30, 60];
+
+export const ALERT_STATES = {
+  ACTIVE: "active",
+  ACKNOWLEDGED: "acknowledged",
+  SNOOZED: "snoozed",
+  RESOLVED: "resolved",
+};
+
+export const ALERT_STATE_LABELS = {
+  [ALERT_STATES.ACTIVE]: "Active",
+  [ALERT_STATES.ACKNOWLEDGED]: "Acknowledged",
+  [ALERT_STATES.SNOOZED]: "Snoozed",
+  [ALERT_STATES.RESOLVED]: "Resolved",
+};
+
+/** Filter values for alert lists: "all" plus the states. */
+export const ALERT_FILTERS = ["all", ...Object.values(ALERT_STATES)];
+
+// ── State ────────────────────────────────────────────────────────
+
+/** Where an alert is in its lifecycle at `now`. */
+export function alertState(alert, now = Date.now()) {
+  if (alert?.resolved) return ALERT_STATES.RESOLVED;
+  if (alert?.snoozedUntil > now) return ALERT_STATES.SNOOZED;
+  if (alert?.acknowledgedAt) return ALERT_STATES.ACKNOWLEDGED;
+  return ALERT_STATES.ACTIVE;
+}
+
+/** Alerts in one state ("all" keeps every alert). */
+export function filterAlerts(alerts, filter, now = Date.now()) {
+  if (!filter || filter === "all") return alerts || [];
+  return (alerts || []).filter((alert) => alertState(alert, now) === filter);
+}
+
+/** Number of alerts per state, plus `all`. */
+export function countAlertStates(alerts, now = Date.now()) {
+  const counts = { all: 0 };
+  Object.values(ALERT_STATES).forEach((state) => { counts[state] = 0; });
+  (alerts || []).forEach((alert) => {
+    counts[alertState(alert, now)] += 1;
+    counts.all += 1;
+  });
+  return counts;
+}
+
+// ── Transitions ──────────────────────────────────────────────────
+
+const logEntry = (alert, entry) => [...(alert.log || []), entry];
+
+/**
+ * Acknowledge an alert. Acknowledging also marks it read.
+ * @param {object} alert
+ * @param {{by: string, comment?: string}} input
+ * @returns {object} The updated alert (unchanged when already resolved)
+ * @throws {Error} When no name is given
+ */
+export function acknowledgeAlert(alert, input, now = Date.now()) {
+  const by = String(input?.by || "").trim();
+  if (!by) throw new Error("Enter your name to acknowledge the alert");
+  if (alert.resolved) return alert;
+  const comment = String(input?.comment || "").trim();
+  return {
+    ...alert,
+    read: true,
+    acknowledgedAt: alert.acknowledgedAt || now,
+    acknowledgedBy: by,
+    ackComment: comment,
+    log: logEntry(alert, { at: now, action: "acknowledged", by, comment }),
+  };
+}
+
+/** Assign an open alert to an operator (empty name unassigns). */
+export function assignAlert(alert, assignee, now = Date.now(), by = "") {
+  if (alert.resolved) return alert;
+  const name = String(assignee || "").trim();
+  return {
+    ...alert,
+    assignee: name || null,
+    log: logEntry(alert, { at: now, action: name ? "assigned" : "unassigned", by, comment: name }),
+  };
+}
+
+/** Hide an open alert for `minutes` (0 ends the snooze). */
+export function snoozeAlert(alert, minutes, now = Date.now(), by = "") {
+  if (alert.resolved) return alert;
+  const mins = Math.max(0, Number(minutes) || 0);
+  return {
+    ...alert,
+    snoozedUntil: mins > 0 ? now + mins * 60 * 1000 : null,
+    log: logEntry(alert, { at: now, action: mins > 0 ? "snoozed" : "unsnoozed", by, comment: mins > 0 ? `${mins} min` : "" }),
+  };
+}
+
+/**
+ * Resolve an alert, by hand or automatically (`auto`) when its condition cleared.
+ * @param {object} alert
+ * @param {{by?: string, comment?: string, auto?: boolean}} [input]
+ */
+export function resolveAlert(alert, input = {}, now = Date.now()) {
+  if (alert.resolved) return alert;
+  const by = input.auto ? "auto" : String(input.by || "").trim();
+  const comment = String(input.comment || "").trim();
+  return {
+    ...alert,
+    resolved: true,
+    resolvedAt: now,
+    resolvedBy: by,
+    resolution: input.auto ? "auto" : "manual",
+    resolveComment: comment,
+    snoozedUntil: null,
+    log: logEntry(alert, { at: now, action: "resolved", by, comment }),
+  };
+}
+
+// ── History ──────────────────────────────────────────────────────
+
+/**
+ * Copy the live alerts into the history: new alerts are added and changed
+ * ones replaced, newest first, capped at ALERT_HISTORY_LIMIT.
+ * @returns {Array<object>} The same array when nothing changed
+ */
+export function mergeAlertHistory(history, alerts) {
+  const byId = new Map((history || []).map((alert) => [alert.id, alert]));
+  let changed = false;
+  (alerts || []).forEach((alert) => {
+    if (byId.get(alert.id) !== alert) {
+      byId.set(alert.id, alert);
+      changed = true;
+    }
+  });
+  if (!changed) return history;
+  return [...byId.values()].sort((a, b) => b.timestamp - a.timestamp).slice(0, ALERT_HISTORY_LIMIT);
+}
+
+const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+/**
+ * Handling stats over critical and warning alerts (info notices need no handling).
+ * @returns {{total: number, acknowledged: number, resolved: number, autoResolved: number, open: number, mttaMs: number|null, mttrMs: number|null}}
+ *          mean time to acknowledge / resolve, from when the alert was raised
+ */
+export function alertStats(history) {
+  const handled = (history || []).filter((alert) => alert.type === "critical" || alert.type === "warning");
+  const acked = handled.filter((alert) => alert.acknowledgedAt);
+  const resolved = handled.filter((alert) => alert.resolved && alert.resolvedAt);
+  return {
+    total: handled.length,
+    acknowledged: acked.length,
+    resolved: resolved.length,
+    autoResolved: resolved.filter((alert) => alert.resolution === "auto").length,
+    open: handled.length - resolved.length,
+    mttaMs: mean(acked.map((alert) => Math.max(0, alert.acknowledgedAt - alert.timestamp))),
+    mttrMs: mean(resolved.map((alert) => Math.max(0, alert.resolvedAt - alert.timestamp))),
+  };
+}
+
+/** "1h 05m" / "12m 30s" / "45s", or "—" when unknown. */
+export function formatAlertDuration(ms) {
+  if (ms == null) return "—";
+  const totalSec = Math.round(ms / 1000);
+  const h = Math.floor(totalSec / 3600);
+  const m = Math.floor((totalSec % 3600) / 60);
+  const sec = totalSec % 60;
+  if (h > 0) return `${h}h ${String(m).padStart(2, "0")}m`;
+  if (m > 0) return `${m}m ${String(sec).padStart(2, "0")}s`;
+  return `${sec}s`;
+}
+
+// ── Local cache ──────────────────────────────────────────────────
+
+export function loadAlertHistory() {
+  try {
+    const raw = localStorage.getItem(HISTORY_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveAlertHistory(history) {
+  try {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+  } catch (e) {
+    console.error("[Alerts] Failed to save alert history:", e);
+  }
+}
+
+export function loadOperatorName() {
+  try {
+    return localStorage.getItem(OPERATOR_KEY) || "";
+  } catch {
+    return "";
+  }
+}
+
+export function saveOperatorName(name) {
+  try {
+    localStorage.setItem(OPERATOR_KEY, String(name || "").trim());
+  } catch (e) {
+    console.error("[Alerts] Failed to save operator name:", e);
+  }
+}
+
+export default {
+  alertState,
+  filterAlerts,
+  countAlertStates,
+  acknowledgeAlert,
+  assignAlert,
+  snoozeAlert,
+  resolveAlert,
+  mergeAlertHistory,
+  alertStats,
+  formatAlertDuration,
+  loadAlertHistory,
+  saveAlertHistory,
+  loadOperatorName,
+  saveOperatorName,
+};
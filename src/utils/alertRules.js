@@ -0,0 +1,375 @@
+/**
+ * Alert Rules Engine
+ *
+ * Evaluates declarative alert rules (defaults in config/alertRules.js) against
+ * every normalised message. DeviceContext calls evaluateAlertRules with the
+ * message's payload kind and fields, and sweepAlertRules every
+ * ALERT_SWEEP_MS for "absent" rules. Both return the rule state and a list of
+ * events: "raise" when a condition has held for the rule's duration and
+ * "resolve" when it clears, which DeviceContext turns into alerts.
+ *
+ * Rule state is kept per rule and subject (device, or device + robot):
+ * `{ deviceId, robotId, pendingSince, active, ruleName, prev, lastSeen }`.
+ * Values are compared as numbers; booleans count as 1 / 0. Thresholds may name a Settings threshold
+ * ("temperature.max"), resolved against getThresholds() at evaluation time.
+ * A threshold rule may also have an `until` bound past which it stops
+ * holding, so a warning rule hands over to the critical rule above it
+ * instead of firing alongside it.
+ * Rules are saved to localStorage `fabrix_alert_rules`.
+ *
+ * @module alertRules
+ */
+import { PAYLOAD_SCHEMAS } from "./payloadSchema";
+import { DEFAULT_THRESHOLDS } from "./thresholds";
+import { DEFAULT_ALERT_RULES } from "../config/alertRules";
+
+const STORAGE_KEY = "fabrix_alert_rules";
+
+/** How often DeviceContext checks "absent" rules. */
+export const ALERT_SWEEP_MS = 5 * 1000;
+
+export const ALERT_CONDITIONS = {
+  ABOVE: "above",
+  BELOW: "below",
+  AT_OR_BELOW: "atOrBelow",
+  RATE: "rate",
+  ABSENT: "absent",
+};
+
+export const ALERT_CONDITION_LABELS = {
+  [ALERT_CONDITIONS.ABOVE]: "Above",
+  [ALERT_CONDITIONS.BELOW]: "Below",
+  [ALERT_CONDITIONS.AT_OR_BELOW]: "At or below",
+  [ALERT_CONDITIONS.RATE]: "Changes faster than (per min)",
+  [ALERT_CONDITIONS.ABSENT]: "No reading for",
+};
+
+export const ALERT_SCOPES = {
+  DEVICE: "device",
+  ROBOT: "robot",
+  ZONE: "zone",
+};
+
+export const ALERT_SCOPE_LABELS = {
+  [ALERT_SCOPES.DEVICE]: "Device",
+  [ALERT_SCOPES.ROBOT]: "Robot",
+  [ALERT_SCOPES.ZONE]: "Robots in a zone",
+};
+
+export const ALERT_SEVERITIES = ["info", "warning", "critical"];
+
+/** Payload kinds (utils/payloadSchema.js) sent by devices; the rest come from robots. */
+export const DEVICE_KINDS = ["environment", "deviceState"];
+
+/** Payload kinds whose messages are evaluated. */
+const KIND_LABELS = {
+  environment: "Environment",
+  deviceState: "Device state",
+  robotLocation: "Robot location",
+  robotBattery: "Robot battery",
+  robotTemp: "Robot temperature",
+  robotStatus: "Robot status",
+};
+
+/** Fields DeviceContext adds to robot messages, by payload kind. */
+export const DERIVED_METRICS = {
+  robotLocation: {
+    nearestRobotM: { unit: " m", label: "distance to nearest robot" },
+    speed: { unit: " m/s", label: "speed" },
+  },
+};
+
+/** Settings thresholds a rule can refer to, e.g. "temperature.max". */
+export const THRESHOLD_REFS = Object.entries(DEFAULT_THRESHOLDS).flatMap(([group, values]) =>
+  Object.keys(values).map((key) => `${group}.${key}`),
+);
+
+let ruleCounter = 0;
+
+// ── Metrics ──────────────────────────────────────────────────────
+
+/**
+ * Metrics rules can watch: the number / boolean fields of the evaluated
+ * payload schemas plus DERIVED_METRICS.
+ * @returns {Array<{id: string, kind: string, field: string, label: string, unit: string, robot: boolean}>}
+ */
+export function metricOptions() {
+  const options = [];
+  Object.keys(KIND_LABELS).forEach((kind) => {
+    const fields = Object.entries(PAYLOAD_SCHEMAS[kind].fields)
+      .filter(([, spec]) => spec.type === "number" || spec.type === "boolean")
+      .map(([field, spec]) => [field, { unit: spec.unit || "", label: field }]);
+    Object.entries(DERIVED_METRICS[kind] || {}).forEach(([field, spec]) => fields.push([field, spec]));
+    fields.forEach(([field, spec]) => {
+      options.push({
+        id: `${kind}.${field}`,
+        kind,
+        field,
+        label: `${KIND_LABELS[kind]} — ${spec.label}`,
+        unit: spec.unit,
+        robot: !DEVICE_KINDS.includes(kind),
+      });
+    });
+  });
+  return options;
+}
+
+/** Split "kind.field" (the field may itself contain dots). */
+export function parseMetric(metric) {
+  const [kind, ...rest] = String(metric || "").split(".");
+  return { kind, field: rest.join(".") };
+}
+
+/** A message value as a number: booleans → 1 / 0, numeric strings parsed, else null. */
+export function metricValue(value) {
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/** Conditions that compare the value with the threshold (and may have an `until` bound). */
+const BOUNDED_CONDITIONS = [ALERT_CONDITIONS.ABOVE, ALERT_CONDITIONS.BELOW, ALERT_CONDITIONS.AT_OR_BELOW];
+
+/** A rule's threshold as a number (Settings references resolved), or null. */
+export function resolveThreshold(threshold, thresholds = DEFAULT_THRESHOLDS) {
+  if (typeof threshold === "string" && THRESHOLD_REFS.includes(threshold)) {
+    const [group, key] = threshold.split(".");
+    return metricValue(thresholds?.[group]?.[key]);
+  }
+  return metricValue(threshold);
+}
+
+// ── Rules ────────────────────────────────────────────────────────
+
+/** A Settings threshold reference, a number, or null when empty. */
+const normalizeThresholdValue = (value) => (typeof value === "string" && THRESHOLD_REFS.includes(value.trim())
+  ? value.trim()
+  : value === "" || value == null ? null : Number(value));
+
+/** Fill in defaults; unknown enum values fall back to the defaults. */
+export function normalizeAlertRule(raw) {
+  const metric = String(raw?.metric || "").trim();
+  const isRobotMetric = !DEVICE_KINDS.includes(parseMetric(metric).kind);
+  if (!raw?.id) ruleCounter += 1;
+  return {
+    id: raw?.id || `rule-${Date.now().toString(36)}-${ruleCounter}`,
+    name: String(raw?.name || "").trim() || metric,
+    enabled: raw?.enabled !== false,
+    metric,
+    condition: Object.values(ALERT_CONDITIONS).includes(raw?.condition) ? raw.condition : ALERT_CONDITIONS.ABOVE,
+    threshold: normalizeThresholdValue(raw?.threshold),
+    until: normalizeThresholdValue(raw?.until),
+    durationSec: Math.max(0, Number(raw?.durationSec) || 0),
+    severity: ALERT_SEVERITIES.includes(raw?.severity) ? raw.severity : "warning",
+    scope: Object.values(ALERT_SCOPES).includes(raw?.scope) ? raw.scope : isRobotMetric ? ALERT_SCOPES.ROBOT : ALERT_SCOPES.DEVICE,
+    target: String(raw?.target || "").trim(),
+    zone: String(raw?.zone || "").trim(),
+    message: String(raw?.message || "").trim(),
+  };
+}
+
+/**
+ * Why a rule cannot be used, or null when it is valid.
+ * @param {object} rule - from normalizeAlertRule
+ * @returns {string|null}
+ */
+export function validateAlertRule(rule) {
+  const { kind, field } = parseMetric(rule.metric);
+  if (!KIND_LABELS[kind] || !field) return "choose a metric (payload kind and field)";
+  const isRobotMetric = !DEVICE_KINDS.includes(kind);
+  if (rule.scope === ALERT_SCOPES.DEVICE && isRobotMetric) return "robot metrics need the robot or zone scope";
+  if (rule.scope !== ALERT_SCOPES.DEVICE && !isRobotMetric) return "device metrics need the device scope";
+  if (rule.scope === ALERT_SCOPES.ZONE && !rule.zone) return "choose a zone";
+  if (rule.condition === ALERT_CONDITIONS.ABSENT) {
+    return rule.durationSec > 0 ? null : "set how long the metric may be absent";
+  }
+  if (resolveThreshold(rule.threshold) == null) return "set a number or a Settings threshold";
+  if (rule.condition === ALERT_CONDITIONS.RATE && !(resolveThreshold(rule.threshold) > 0)) return "the rate must be above 0";
+  if (rule.until != null && BOUNDED_CONDITIONS.includes(rule.condition)) {
+    const until = resolveThreshold(rule.until);
+    if (until == null) return "set \"until\" to a number or a Settings threshold";
+    const threshold = resolveThreshold(rule.threshold);
+    if (rule.condition === ALERT_CONDITIONS.ABOVE ? until <= threshold : until >= threshold) {
+      return rule.condition === ALERT_CONDITIONS.ABOVE ? "\"until\" must be above the threshold" : "\"until\" must be below the threshold";
+    }
+  }
+  return null;
+}
+
+/** Whether a rule watches this message's subject. */
+function appliesTo(rule, deviceId, robotId, zones) {
+  if (rule.scope === ALERT_SCOPES.DEVICE) return !robotId && (!rule.target || rule.target === deviceId);
+  if (!robotId || (rule.target && rule.target !== robotId)) return false;
+  return rule.scope !== ALERT_SCOPES.ZONE || (zones || []).includes(rule.zone);
+}
+
+const stateKey = (ruleId, deviceId, robotId) => `${ruleId}|${deviceId}|${robotId || ""}`;
+
+const round = (n) => (Number.isInteger(n) ? n : Number(n.toFixed(2)));
+
+/**
+ * Alert text for a rule event: the rule's template, or a generic line.
+ * @param {object} rule
+ * @param {{deviceId: string, robotId?: string, value?: number, threshold?: number, values?: object, resolved?: boolean}} event
+ */
+export function formatRuleMessage(rule, event) {
+  const subject = event.robotId ? `${event.robotId}` : event.deviceId;
+  if (event.resolved) return `✅ Resolved: ${rule.name} — ${subject}${event.value != null ? ` (${round(event.value)})` : ""}`;
+  const vars = {
+    ...event.values,
+    device: event.deviceId,
+    robot: event.robotId || "",
+    zone: rule.zone,
+    rule: rule.name,
+    value: event.value != null ? round(event.value) : "—",
+    threshold: event.threshold != null ? round(event.threshold) : "",
+  };
+  if (rule.message) return rule.message.replace(/\{(\w+)\}/g, (match, key) => (vars[key] != null ? String(vars[key]) : match));
+  const condition = rule.condition === ALERT_CONDITIONS.ABSENT
+    ? `not reported for ${rule.durationSec}s`
+    : `${ALERT_CONDITION_LABELS[rule.condition].toLowerCase()} ${vars.threshold} (${vars.value})`;
+  return `${rule.name}: ${subject} ${rule.metric} ${condition}`;
+}
+
+// ── Evaluation ───────────────────────────────────────────────────
+
+/**
+ * Evaluate the rules that watch fields of one normalised message.
+ *
+ * @param {Array<object>} rules - normalised rules
+ * @param {object} state - rule state from the previous call (not mutated)
+ * @param {{deviceId: string, robotId?: string, kind: string, ts: number, values: object, zones?: string[]}} sample
+ *        `values` are the message's fields (plus derived ones); `zones` the
+ *        rooms the robot is in
+ * @param {object} [thresholds] - getThresholds()
+ * @returns {{state: object, events: Array<{type: "raise"|"resolve", rule: object, key: string, deviceId: string, robotId: string|null, value: number|null, threshold: number|null, values: object}>}}
+ */
+export function evaluateAlertRules(rules, state, sample, thresholds = DEFAULT_THRESHOLDS) {
+  const next = { ...state };
+  const events = [];
+  const { deviceId, robotId = null, kind, ts, values = {}, zones } = sample;
+
+  (rules || []).forEach((rule) => {
+    if (!rule.enabled) return;
+    const { kind: ruleKind, field } = parseMetric(rule.metric);
+    if (ruleKind !== kind) return;
+    const value = metricValue(values[field]);
+    if (value == null) return;
+
+    const key = stateKey(rule.id, deviceId, robotId);
+    const entry = { deviceId, robotId, ...next[key] };
+    const threshold = resolveThreshold(rule.threshold, thresholds);
+    const event = { rule, key, deviceId, robotId, value, threshold, values };
+
+    if (rule.condition === ALERT_CONDITIONS.ABSENT) {
+      // Any reading clears an absence; sweepAlertRules raises it
+      if (!appliesTo(rule, deviceId, robotId, zones)) return;
+      if (entry.active) events.push({ ...event, type: "resolve" });
+      next[key] = { ...entry, active: false, lastSeen: ts };
+      return;
+    }
+
+    // A rate needs time to pass; repeated or out-of-order samples are skipped
+    if (rule.condition === ALERT_CONDITIONS.RATE && entry.prev && ts <= entry.prev.ts) return;
+
+    let holds = appliesTo(rule, deviceId, robotId, zones) && threshold != null;
+    let measured = value;
+    if (holds && rule.condition === ALERT_CONDITIONS.ABOVE) holds = value > threshold;
+    else if (holds && rule.condition === ALERT_CONDITIONS.BELOW) holds = value < threshold;
+    else if (holds && rule.condition === ALERT_CONDITIONS.AT_OR_BELOW) holds = value <= threshold;
+    else if (holds && rule.condition === ALERT_CONDITIONS.RATE) {
+      const prev = entry.prev;
+      measured = prev ? (value - prev.value) / ((ts - prev.ts) / 60000) : null;
+      holds = measured != null && Math.abs(measured) >= threshold;
+    }
+    // Past `until` a more severe rule takes over
+    const until = holds && rule.until != null && BOUNDED_CONDITIONS.includes(rule.condition)
+      ? resolveThreshold(rule.until, thresholds)
+      : null;
+    if (until != null) holds = rule.condition === ALERT_CONDITIONS.ABOVE ? value <= until : value > until;
+    entry.prev = { ts, value };
+
+    if (holds) {
+      entry.pendingSince = entry.pendingSince ?? ts;
+      if (!entry.active && ts - entry.pendingSince >= rule.durationSec * 1000) {
+        entry.active = true;
+        entry.ruleName = rule.name;
+        events.push({ ...event, value: measured, type: "raise" });
+      }
+    } else {
+      entry.pendingSince = null;
+      if (entry.active) {
+        entry.active = false;
+        events.push({ ...event, value: measured, type: "resolve" });
+      }
+    }
+    next[key] = entry;
+  });
+  return { state: next, events };
+}
+
+/**
+ * Raise "absent" rules whose metric has not been seen for their duration, and
+ * resolve alerts of rules that were removed or disabled.
+ *
+ * @param {Array<object>} rules
+ * @param {object} state
+ * @param {number} now - ms
+ * @returns {{state: object, events: Array<object>}} As evaluateAlertRules
+ */
+export function sweepAlertRules(rules, state, now) {
+  const byId = new Map((rules || []).filter((r) => r.enabled).map((r) => [r.id, r]));
+  const next = {};
+  const events = [];
+  Object.entries(state || {}).forEach(([key, entry]) => {
+    const ruleId = key.split("|")[0];
+    const rule = byId.get(ruleId);
+    const event = { key, deviceId: entry.deviceId, robotId: entry.robotId, value: null, threshold: null, values: {} };
+    if (!rule) {
+      if (entry.active) events.push({ ...event, type: "resolve", rule: { id: ruleId, name: entry.ruleName || ruleId } });
+      return;
+    }
+    next[key] = entry;
+    if (rule.condition !== ALERT_CONDITIONS.ABSENT || entry.active || entry.lastSeen == null) return;
+    if (now - entry.lastSeen >= rule.durationSec * 1000) {
+      next[key] = { ...entry, active: true, ruleName: rule.name };
+      events.push({ ...event, type: "raise", rule });
+    }
+  });
+  return { state: next, events };
+}
+
+// ── Local cache ──────────────────────────────────────────────────
+
+export function loadAlertRules() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return (Array.isArray(parsed) ? parsed : DEFAULT_ALERT_RULES).map(normalizeAlertRule);
+  } catch {
+    return DEFAULT_ALERT_RULES.map(normalizeAlertRule);
+  }
+}
+
+export function saveAlertRules(rules) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+  } catch (e) {
+    console.error("[AlertRules] Failed to save rules:", e);
+  }
+}
+
+export default {
+  metricOptions,
+  parseMetric,
+  metricValue,
+  resolveThreshold,
+  normalizeAlertRule,
+  validateAlertRule,
+  formatRuleMessage,
+  evaluateAlertRules,
+  sweepAlertRules,
+  loadAlertRules,
+  saveAlertRules,
+};
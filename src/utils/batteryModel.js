@@ -0,0 +1,287 @@
+/**
+ * Battery Model — learned discharge rates, runtime forecasts and capacity fade.
+ *
+ * Battery readings are whole percentages, so the rate is measured between an
+ * anchor reading and the first reading at least 1% lower: drop / elapsed
+ * hours. Each measurement is blended into an exponential moving average,
+ * overall and per activity (robot busy with a task vs idle). A reading higher
+ * than the anchor, a CHARGING state or a gap over BATTERY_MAX_GAP_MS restarts
+ * from a new anchor without a measurement.
+ *
+ * DeviceContext feeds every battery reading (live stream and reconnect
+ * backfill) through updateBatteryModel and keeps the model on the robot.
+ * Each measured segment is also added to per-day totals (localStorage
+ * `fabrix_battery_stats`, with the last learned rates so they survive a
+ * reload); weeklyCapacity turns those into runtime per full charge — a
+ * falling runtime for the same kind of work is capacity fade.
+ *
+ * @module batteryModel
+ */
+import { MIN_MOVING_SPEED_MPS, TASK_PHASES, estimateTaskEta, getTaskStops, travelPhaseFor } from "./telemetryMath";
+
+const STORAGE_KEY = "fabrix_battery_stats";
+
+/** Weight of each new measurement in the moving average. */
+export const BATTERY_RATE_ALPHA = 0.3;
+
+/** Readings further apart than this restart the measurement. */
+export const BATTERY_MAX_GAP_MS = 20 * 60 * 1000;
+
+/** Speed assumed for work forecasts until the robot's speed is observed. */
+export const PLANNING_SPEED_MPS = 0.8;
+
+/** Days of per-day totals kept per robot. */
+export const BATTERY_STATS_DAYS = 120;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// ── Learning ─────────────────────────────────────────────────────
+
+const blend = (previous, value) => (previous == null ? value : previous + BATTERY_RATE_ALPHA * (value - previous));
+
+/** Local calendar day of a timestamp, e.g. "2026-03-14". */
+export function dayKey(ts) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+/**
+ * Fold one battery reading into a model.
+ *
+ * @param {object|null} model - `{ rate, activeRate, idleRate, anchor }` (rates in %/h) or null
+ * @param {{ts: number, pct: number, active?: boolean, charging?: boolean}} sample
+ * @returns {{model: object, segment: {start: number, end: number, dropPct: number, active: boolean}|null}}
+ *          `segment` is the measurement this reading completed, if any
+ */
+export function updateBatteryModel(model, sample) {
+  const base = model || { rate: null, activeRate: null, idleRate: null, anchor: null };
+  const pct = Number(sample?.pct);
+  if (!Number.isFinite(pct) || !Number.isFinite(sample?.ts)) return { model: base, segment: null };
+
+  const anchor = base.anchor;
+  const next = { ts: sample.ts, pct, active: !!sample.active };
+  const restart =
+    !anchor ||
+    sample.charging ||
+    pct > anchor.pct ||
+    sample.ts <= anchor.ts ||
+    sample.ts - anchor.ts > BATTERY_MAX_GAP_MS;
+  if (restart) return { model: { ...base, anchor: next }, segment: null };
+
+  const dropPct = anchor.pct - pct;
+  if (dropPct < 1) {
+    // Still on the same whole percent; a busy robot turns the segment active
+    return { model: { ...base, anchor: { ...anchor, active: anchor.active && next.active } }, segment: null };
+  }
+
+  const rate = dropPct / ((sample.ts - anchor.ts) / HOUR_MS);
+  const active = anchor.active && next.active;
+  return {
+    model: {
+      rate: blend(base.rate, rate),
+      activeRate: active ? blend(base.activeRate, rate) : base.activeRate,
+      idleRate: active ? base.idleRate : blend(base.idleRate, rate),
+      anchor: next,
+    },
+    segment: { start: anchor.ts, end: sample.ts, dropPct, active },
+  };
+}
+
+/**
+ * Learn a model from a whole battery track, e.g. the battery stream.
+ *
+ * @param {Array<{ts: number, battery: number}>} track - oldest → newest
+ * @param {Array<{ts: number, state?: string}>} [statusTrack] - oldest → newest; marks
+ *        readings taken while ACTIVE / MOVING as active and CHARGING as charging
+ * @returns {{model: object|null, segments: Array<object>}}
+ */
+export function learnBatteryModel(track, statusTrack = []) {
+  let model = null;
+  let status = null;
+  let s = 0;
+  const segments = [];
+  (track || []).forEach((point) => {
+    while (s < statusTrack.length && statusTrack[s].ts <= point.ts) status = statusTrack[s++];
+    const state = String(status?.state || "").toUpperCase();
+    const result = updateBatteryModel(model, {
+      ts: point.ts,
+      pct: point.battery,
+      active: state === "ACTIVE" || state === "MOVING",
+      charging: state === "CHARGING",
+    });
+    model = result.model;
+    if (result.segment) segments.push(result.segment);
+  });
+  return { model, segments };
+}
+
+// ── Forecasts ────────────────────────────────────────────────────
+
+/** Discharge rate to forecast with: activity-specific when learned, else overall. */
+export function rateFor(model, busy) {
+  if (!model) return null;
+  const specific = busy ? model.activeRate : model.idleRate;
+  return specific ?? model.rate ?? null;
+}
+
+/**
+ * Time until the battery reaches the low threshold and empty.
+ *
+ * @param {number} pct - current battery %
+ * @param {object|null} model
+ * @param {{low: number, critical: number}} battery - thresholds.battery
+ * @param {boolean} [busy=false] - forecast with the active rate
+ * @returns {{ratePctPerHour: number, toLowMs: number, toEmptyMs: number}|null} null until a rate is learned
+ */
+export function forecastBattery(pct, model, battery, busy = false) {
+  const rate = rateFor(model, busy);
+  if (!(rate > 0) || !Number.isFinite(Number(pct))) return null;
+  const hoursTo = (level) => Math.max(0, Number(pct) - level) / rate;
+  return {
+    ratePctPerHour: rate,
+    toLowMs: hoursTo(battery.low) * HOUR_MS,
+    toEmptyMs: hoursTo(0) * HOUR_MS,
+  };
+}
+
+/**
+ * Whether a robot can finish its active task and everything queued behind it
+ * before dropping below the critical threshold.
+ *
+ * Queued tasks are timed from the previous task's last stop. Work time uses
+ * the observed speed (PLANNING_SPEED_MPS until known) and the active rate.
+ *
+ * @param {object} robot - live robot (`status.battery`, `task`, `taskQueue`, `location`, `speedMps`, `batteryModel`)
+ * @param {{low: number, critical: number}} battery - thresholds.battery
+ * @param {object} [layout]
+ * @returns {{workMs: number, tasks: number, requiredPct: number, remainingPct: number, canFinish: boolean}|null}
+ *          null without work, a battery reading or a learned rate
+ */
+export function workForecast(robot, battery, layout) {
+  const pct = Number(robot?.status?.battery);
+  const rate = rateFor(robot?.batteryModel, true);
+  const active = robot?.task && robot.task.phase !== TASK_PHASES.COMPLETED && robot.task.phase !== TASK_PHASES.FAILED ? robot.task : null;
+  const work = [...(active ? [active] : []), ...(robot?.taskQueue || [])];
+  if (!work.length || !Number.isFinite(pct) || !(rate > 0)) return null;
+
+  const speed = robot.speedMps >= MIN_MOVING_SPEED_MPS ? robot.speedMps : PLANNING_SPEED_MPS;
+  let position = robot.location?.lat != null && robot.location?.lng != null ? robot.location : null;
+  let workMs = 0;
+  work.forEach((task, i) => {
+    const stops = getTaskStops(task, layout);
+    // Queued (or paused) tasks start from their first stop
+    const planned = i === 0 && task === active && task.phase !== TASK_PHASES.ASSIGNED
+      ? task
+      : { ...task, phase: travelPhaseFor(stops[0]), stopIndex: 0 };
+    const eta = estimateTaskEta(planned, position?.lat ?? null, position?.lng ?? null, speed, layout);
+    workMs += eta?.etaMs ?? 0;
+    position = stops[stops.length - 1]?.point || position;
+  });
+
+  const requiredPct = (workMs / HOUR_MS) * rate;
+  const remainingPct = pct - requiredPct;
+  return { workMs, tasks: work.length, requiredPct, remainingPct, canFinish: remainingPct >= battery.critical };
+}
+
+// ── Capacity trend ───────────────────────────────────────────────
+
+/**
+ * Add a measured segment to a robot's per-day totals.
+ * @param {object} days - dayKey → { dropPct, ms, activeDropPct, activeMs }
+ * @returns {object} New per-day totals, pruned to BATTERY_STATS_DAYS
+ */
+export function addSegmentToDays(days, segment) {
+  const key = dayKey(segment.end);
+  const day = days?.[key] || { dropPct: 0, ms: 0, activeDropPct: 0, activeMs: 0 };
+  const ms = segment.end - segment.start;
+  const next = {
+    ...days,
+    [key]: {
+      dropPct: day.dropPct + segment.dropPct,
+      ms: day.ms + ms,
+      activeDropPct: day.activeDropPct + (segment.active ? segment.dropPct : 0),
+      activeMs: day.activeMs + (segment.active ? ms : 0),
+    },
+  };
+  const keys = Object.keys(next).sort();
+  keys.slice(0, Math.max(0, keys.length - BATTERY_STATS_DAYS)).forEach((k) => delete next[k]);
+  return next;
+}
+
+/** Monday (local) of the week a day key falls in, as a day key. */
+function weekOf(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  const date = new Date(y, m - 1, d);
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return dayKey(date.getTime());
+}
+
+/**
+ * Weekly runtime per full charge from per-day totals.
+ *
+ * @param {object} days - dayKey → { dropPct, ms, activeDropPct, activeMs }
+ * @returns {Array<{week: string, runtimeHours: number|null, activeRuntimeHours: number|null, capacityPct: number|null}>}
+ *          Oldest first; `capacityPct` is the active runtime (overall when no
+ *          active data) relative to the first week with data
+ */
+export function weeklyCapacity(days) {
+  const weeks = new Map();
+  Object.entries(days || {}).forEach(([key, day]) => {
+    const week = weekOf(key);
+    const w = weeks.get(week) || { dropPct: 0, ms: 0, activeDropPct: 0, activeMs: 0 };
+    weeks.set(week, {
+      dropPct: w.dropPct + day.dropPct,
+      ms: w.ms + day.ms,
+      activeDropPct: w.activeDropPct + day.activeDropPct,
+      activeMs: w.activeMs + day.activeMs,
+    });
+  });
+
+  const runtime = (drop, ms) => (drop > 0 ? (ms / HOUR_MS) * (100 / drop) : null);
+  const rows = [...weeks.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([week, w]) => ({
+      week,
+      runtimeHours: runtime(w.dropPct, w.ms),
+      activeRuntimeHours: runtime(w.activeDropPct, w.activeMs),
+    }));
+
+  const useActive = rows.some((r) => r.activeRuntimeHours != null);
+  const metric = (r) => (useActive ? r.activeRuntimeHours : r.runtimeHours);
+  const baseline = rows.map(metric).find((v) => v != null);
+  return rows.map((r) => ({ ...r, capacityPct: baseline && metric(r) != null ? (metric(r) / baseline) * 100 : null }));
+}
+
+// ── Local cache ──────────────────────────────────────────────────
+
+/** deviceId → robotId → { rates: {rate, activeRate, idleRate}, days }. */
+export function loadBatteryStats() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveBatteryStats(stats) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(stats));
+  } catch (e) {
+    console.error("[Battery] Failed to cache battery stats:", e);
+  }
+}
+
+export default {
+  dayKey,
+  updateBatteryModel,
+  learnBatteryModel,
+  rateFor,
+  forecastBattery,
+  workForecast,
+  addSegmentToDays,
+  weeklyCapacity,
+  loadBatteryStats,
+  saveBatteryStats,
+};
@@ -0,0 +1,233 @@
+/**
+ * Fleet KPIs — utilisation, throughput, cycle time, distance and BLOCKED time.
+ *
+ * Computed for the Analysis KPI section from three sources over one window:
+ *   - status tracks (services/trackHistory) — each status point "owns" the
+ *     time until the next point, capped at STATUS_HOLD_MS; anything not
+ *     covered counts as untracked
+ *   - location tracks — distance is the sum of fix-to-fix moves of at least
+ *     STOP_DISTANCE_M (smaller moves are GPS jitter)
+ *   - task history — deliveries and per-phase cycle times from the phase
+ *     timestamps (assignedAt → sourceArrivedAt → pickedUpAt →
+ *     destinationArrivedAt → completedAt)
+ *
+ * Task inputs are plain objects with those five fields in ms.
+ *
+ * @module fleetKpis
+ */
+import { TASK_PHASES, PHASE_LABELS, haversineDistance } from "./telemetryMath";
+import { STOP_DISTANCE_M } from "./occupancyGrid";
+
+/** Longest time a single status point is assumed to represent. */
+export const STATUS_HOLD_MS = 5 * 60 * 1000;
+
+/** Number of buckets in the KPI trend charts. */
+export const KPI_TREND_BUCKETS = 12;
+
+/** Utilisation buckets, in display order. */
+export const KPI_STATES = ["active", "idle", "charging", "error", "blocked"];
+
+export const KPI_STATE_LABELS = {
+  active: "Active",
+  idle: "Idle",
+  charging: "Charging",
+  error: "Error",
+  blocked: "Blocked",
+  untracked: "No data",
+};
+
+export const KPI_STATE_COLORS = {
+  active: "#22C55E",
+  idle: "#3B82F6",
+  charging: "#F59E0B",
+  error: "#EF4444",
+  blocked: "#7C3AED",
+  untracked: "#E5E7EB",
+};
+
+/** Cycle-time segments: phase → [start field, end field]. */
+export const CYCLE_SEGMENTS = [
+  { phase: TASK_PHASES.EN_ROUTE_TO_SOURCE, from: "assignedAt", to: "sourceArrivedAt" },
+  { phase: TASK_PHASES.PICKING_UP, from: "sourceArrivedAt", to: "pickedUpAt" },
+  { phase: TASK_PHASES.EN_ROUTE_TO_DESTINATION, from: "pickedUpAt", to: "destinationArrivedAt" },
+  { phase: TASK_PHASES.DELIVERING, from: "destinationArrivedAt", to: "completedAt" },
+];
+
+// ── Helpers ──────────────────────────────────────────────────────
+
+/** Utilisation bucket for a status point. */
+export function stateCategory(point) {
+  const state = String(point?.state ?? "").toUpperCase();
+  if (state === "BLOCKED" || point?.obstacle === true) return "blocked";
+  if (state === "CHARGING") return "charging";
+  if (["ERROR", "STOPPED", "MAINTENANCE", "FAULT"].includes(state)) return "error";
+  if (["ACTIVE", "MOVING", "BUSY", "WORKING"].includes(state)) return "active";
+  if (state) return "idle";
+  return null;
+}
+
+/**
+ * Value at percentile `p` (0–100), linearly interpolated.
+ * @returns {number|null} null for an empty list
+ */
+export function percentile(values, p) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(rank);
+  const hi = Math.ceil(rank);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+}
+
+const inWindow = (ts, since, until) => ts != null && ts >= since && ts <= until;
+
+// ── Status / location tracks ─────────────────────────────────────
+
+/**
+ * Time per utilisation bucket inside [since, until].
+ *
+ * @param {Array<{ts: number, state?: string, obstacle?: boolean}>} statusTrack - oldest → newest
+ * @param {number} since - ms
+ * @param {number} until - ms
+ * @returns {{active: number, idle: number, charging: number, error: number, blocked: number, untracked: number, trackedMs: number, utilisation: number|null}}
+ *          Durations in ms; utilisation is active / tracked time in %
+ */
+export function stateDurations(statusTrack, since, until) {
+  const totals = { active: 0, idle: 0, charging: 0, error: 0, blocked: 0 };
+  (statusTrack || []).forEach((point, i) => {
+    const category = stateCategory(point);
+    if (!category) return;
+    const next = statusTrack[i + 1];
+    const start = Math.max(point.ts, since);
+    const end = Math.min(next ? next.ts : until, point.ts + STATUS_HOLD_MS, until);
+    if (end > start) totals[category] += end - start;
+  });
+  const trackedMs = KPI_STATES.reduce((sum, key) => sum + totals[key], 0);
+  return {
+    ...totals,
+    untracked: Math.max(0, until - since - trackedMs),
+    trackedMs,
+    utilisation: trackedMs > 0 ? (totals.active / trackedMs) * 100 : null,
+  };
+}
+
+/**
+ * Distance travelled inside [since, until], in metres.
+ * @param {Array<{ts: number, lat: number, lng: number}>} track - oldest → newest
+ */
+export function distanceTravelledM(track, since, until) {
+  const points = (track || []).filter((p) => inWindow(p.ts, since, until));
+  let total = 0;
+  for (let i = 1; i < points.length; i += 1) {
+    const step = haversineDistance(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+    if (step >= STOP_DISTANCE_M) total += step;
+  }
+  return total;
+}
+
+// ── Task history ─────────────────────────────────────────────────
+
+/** Tasks completed inside [since, until]. */
+export function completedTasks(tasks, since, until) {
+  return (tasks || []).filter((t) => inWindow(t.completedAt, since, until));
+}
+
+/**
+ * Median and p95 duration of each cycle segment plus the whole cycle.
+ *
+ * @param {Array<object>} tasks - completed tasks with phase timestamps (ms)
+ * @returns {Array<{phase: string, label: string, count: number, medianMs: number|null, p95Ms: number|null}>}
+ *          The last row (`phase: "TOTAL"`) is assignedAt → completedAt
+ */
+export function cycleTimeStats(tasks) {
+  const rows = CYCLE_SEGMENTS.map(({ phase, from, to }) => {
+    const durations = (tasks || [])
+      .map((t) => (t[from] != null && t[to] != null ? t[to] - t[from] : null))
+      .filter((ms) => ms != null && ms >= 0);
+    return { phase, label: PHASE_LABELS[phase] || phase, durations };
+  });
+  const totals = (tasks || [])
+    .map((t) => (t.assignedAt != null && t.completedAt != null ? t.completedAt - t.assignedAt : null))
+    .filter((ms) => ms != null && ms >= 0);
+  rows.push({ phase: "TOTAL", label: "Total cycle", durations: totals });
+
+  return rows.map(({ phase, label, durations }) => ({
+    phase,
+    label,
+    count: durations.length,
+    medianMs: percentile(durations, 50),
+    p95Ms: percentile(durations, 95),
+  }));
+}
+
+// ── Report ───────────────────────────────────────────────────────
+
+/**
+ * Per-robot KPIs over a window.
+ *
+ * @param {object} input
+ * @param {string[]} input.robotIds
+ * @param {Object<string, Array>} [input.statusTracks] - robotId → status track
+ * @param {Object<string, Array>} [input.tracks] - robotId → location track
+ * @param {Object<string, Array>} [input.tasksByRobot] - robotId → tasks
+ * @param {number} input.since - ms
+ * @param {number} input.until - ms
+ * @returns {Array<{robotId: string, states: object, deliveries: number, deliveriesPerHour: number, distanceM: number, blockedMs: number, medianCycleMs: number|null}>}
+ */
+export function robotKpis({ robotIds, statusTracks = {}, tracks = {}, tasksByRobot = {}, since, until }) {
+  const hours = Math.max(until - since, 1) / 3600000;
+  return (robotIds || []).map((robotId) => {
+    const states = stateDurations(statusTracks[robotId], since, until);
+    const done = completedTasks(tasksByRobot[robotId], since, until);
+    return {
+      robotId,
+      states,
+      deliveries: done.length,
+      deliveriesPerHour: done.length / hours,
+      distanceM: distanceTravelledM(tracks[robotId], since, until),
+      blockedMs: states.blocked,
+      medianCycleMs: percentile(
+        done.filter((t) => t.assignedAt != null).map((t) => t.completedAt - t.assignedAt),
+        50,
+      ),
+    };
+  });
+}
+
+/**
+ * Fleet trend over equal buckets of the window.
+ *
+ * @param {object} input - as robotKpis, plus `buckets` (KPI_TREND_BUCKETS)
+ * @returns {Array<{start: number, end: number, deliveries: number, deliveriesPerHour: number, utilisation: number|null, blockedMin: number, distanceM: number}>}
+ */
+export function kpiTrend({ robotIds, statusTracks = {}, tracks = {}, tasksByRobot = {}, since, until, buckets = KPI_TREND_BUCKETS }) {
+  const size = Math.max(until - since, 1) / buckets;
+  return Array.from({ length: buckets }, (_, i) => {
+    const start = since + i * size;
+    const end = start + size;
+    const perRobot = robotKpis({ robotIds, statusTracks, tracks, tasksByRobot, since: start, until: end });
+    const active = perRobot.reduce((sum, r) => sum + r.states.active, 0);
+    const tracked = perRobot.reduce((sum, r) => sum + r.states.trackedMs, 0);
+    const deliveries = perRobot.reduce((sum, r) => sum + r.deliveries, 0);
+    return {
+      start,
+      end,
+      deliveries,
+      deliveriesPerHour: deliveries / (size / 3600000),
+      utilisation: tracked > 0 ? (active / tracked) * 100 : null,
+      blockedMin: perRobot.reduce((sum, r) => sum + r.blockedMs, 0) / 60000,
+      distanceM: perRobot.reduce((sum, r) => sum + r.distanceM, 0),
+    };
+  });
+}
+
+export default {
+  stateCategory,
+  percentile,
+  stateDurations,
+  distanceTravelledM,
+  completedTasks,
+  cycleTimeStats,
+  robotKpis,
+  kpiTrend,
+};
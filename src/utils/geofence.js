@@ -0,0 +1,185 @@
+/**
+ * Geofences — per-robot room / no-go zone membership with enter, exit and
+ * dwell events.
+ *
+ * Zones are the polygons of the device's facility layout (rooms and no-go
+ * zones). Membership uses hysteresis so a robot idling on a wall does not
+ * flap in and out:
+ *   - enter — the fix is inside the polygon
+ *   - exit  — the fix is more than GEOFENCE_EXIT_MARGIN_M outside it
+ *   - dwell — emitted every GEOFENCE_DWELL_STEP_MS while the robot stays
+ *
+ * The tracker is pure: callers keep one state object per robot and feed it
+ * each location fix via updateGeofence(). DeviceContext stores the events in
+ * a per-robot zone timeline, matches them against the geofence alert rules
+ * (config/geofenceRules.js) and uses membership for task arrival.
+ *
+ * @module geofence
+ */
+import { DEFAULT_GEOFENCE_RULES } from "../config/geofenceRules";
+import { compileLayout, pointInPolygon } from "./telemetryMath";
+
+/** A robot must be this far outside a zone before it counts as having left. */
+export const GEOFENCE_EXIT_MARGIN_M = 1.5;
+
+/** Interval between dwell events while a robot stays in a zone. */
+export const GEOFENCE_DWELL_STEP_MS = 60 * 1000;
+
+/** Zone event types, in the order a stay produces them. */
+export const ZONE_EVENTS = {
+  enter: "Entered",
+  dwell: "Dwelling",
+  exit: "Exited",
+};
+
+const EARTH_RADIUS_M = 6371000;
+
+// ── Helpers ──────────────────────────────────────────────────────
+
+/**
+ * Zones of a layout as a flat list. Keys are prefixed by kind so a room and
+ * a no-go zone may share an id.
+ */
+function layoutZones(layout) {
+  const plan = compileLayout(layout);
+  return [
+    ...plan.roomList.map((room) => ({ key: `room:${room.id || room.name}`, kind: "room", shape: room })),
+    ...plan.noGoZones.map((zone) => ({ key: `nogo:${zone.id || zone.name}`, kind: "nogo", shape: zone })),
+  ];
+}
+
+/**
+ * Distance (m) from a point to a polygon's outline, using a local flat
+ * projection — accurate enough at facility scale.
+ */
+function distanceToPolygon(lat, lng, points) {
+  const rad = Math.PI / 180;
+  const kx = Math.cos(lat * rad) * EARTH_RADIUS_M * rad;
+  const ky = EARTH_RADIUS_M * rad;
+  const xy = points.map((p) => ({ x: (p.lng - lng) * kx, y: (p.lat - lat) * ky }));
+
+  let best = Infinity;
+  for (let i = 0; i < xy.length; i++) {
+    const a = xy[i];
+    const b = xy[(i + 1) % xy.length];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const len = dx * dx + dy * dy;
+    // Closest point on segment ab to the origin (the robot)
+    const t = len ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / len)) : 0;
+    best = Math.min(best, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+  return best;
+}
+
+function isInside(lat, lng, shape) {
+  const { minLat, maxLat, minLng, maxLng } = shape.bounds;
+  if (lat < minLat || lat > maxLat || lng < minLng || lng > maxLng) return false;
+  return pointInPolygon(lat, lng, shape.points);
+}
+
+function zoneEvent(type, zone, ts, extra = {}) {
+  return { type, zoneId: zone.key, zone: zone.name, kind: zone.kind, zoneType: zone.type, ts, ...extra };
+}
+
+// ── Public API ───────────────────────────────────────────────────
+
+/**
+ * Feed one location fix to a robot's geofence tracker.
+ *
+ * @param {{zones: Object<string, object>}|null} state - previous tracker state (null for a new robot)
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} time - fix time (ms)
+ * @param {object} [layout] - facility layout (default layout when omitted)
+ * @returns {{state: {zones: Object<string, object>}, events: Array<object>}}
+ *          Events: `{ type: "enter"|"exit"|"dwell", zoneId, zone, kind: "room"|"nogo", zoneType, ts, dwellMs? }`
+ */
+export function updateGeofence(state, lat, lng, time, layout) {
+  const previous = state?.zones || {};
+  const zones = {};
+  const events = [];
+
+  layoutZones(layout).forEach(({ key, kind, shape }) => {
+    const prev = previous[key];
+    const zone = { key, kind, name: shape.name, type: shape.type };
+
+    if (prev) {
+      const dwellMs = Math.max(0, time - prev.enteredAt);
+      const stays = isInside(lat, lng, shape) || distanceToPolygon(lat, lng, shape.points) <= GEOFENCE_EXIT_MARGIN_M;
+      if (!stays) {
+        events.push(zoneEvent("exit", zone, time, { dwellMs }));
+        return;
+      }
+      const entry = { ...prev, name: shape.name, type: shape.type };
+      if (Math.floor(dwellMs / GEOFENCE_DWELL_STEP_MS) > Math.floor(prev.lastDwellMs / GEOFENCE_DWELL_STEP_MS)) {
+        events.push(zoneEvent("dwell", zone, time, { dwellMs, previousDwellMs: prev.lastDwellMs }));
+        entry.lastDwellMs = dwellMs;
+      }
+      zones[key] = entry;
+    } else if (isInside(lat, lng, shape)) {
+      events.push(zoneEvent("enter", zone, time));
+      zones[key] = { key, kind, name: shape.name, type: shape.type, enteredAt: time, lastDwellMs: 0 };
+    }
+  });
+
+  // Zones removed from the layout while the robot was inside them
+  Object.values(previous).forEach((prev) => {
+    if (!zones[prev.key] && !events.some((e) => e.zoneId === prev.key)) {
+      events.push(zoneEvent("exit", prev, time, { dwellMs: Math.max(0, time - prev.enteredAt) }));
+    }
+  });
+
+  return { state: { zones }, events };
+}
+
+/**
+ * Whether the tracker currently has the robot inside a zone (exact name).
+ * @param {{zones: Object<string, object>}|null} state
+ * @param {string} zoneName
+ */
+export function isInZone(state, zoneName) {
+  if (!state || !zoneName) return false;
+  return Object.values(state.zones).some((zone) => zone.name === zoneName);
+}
+
+/**
+ * Zones the robot is currently in.
+ * @returns {Array<{key: string, kind: string, name: string, type?: string, enteredAt: number}>}
+ */
+export function currentZones(state) {
+  return state ? Object.values(state.zones) : [];
+}
+
+/**
+ * Geofence alert rules an event triggers.
+ *
+ * @param {object} event - from updateGeofence
+ * @param {{robotId: string, hasTask: boolean}} context
+ * @param {Array<object>} [rules=DEFAULT_GEOFENCE_RULES]
+ * @returns {Array<{rule: object, message: string}>}
+ */
+export function matchGeofenceRules(event, { robotId, hasTask }, rules = DEFAULT_GEOFENCE_RULES) {
+  return rules
+    .filter((rule) => {
+      if (rule.event !== event.type) return false;
+      if (rule.zone && rule.zone !== event.zone) return false;
+      if (rule.zoneType && rule.zoneType !== event.zoneType) return false;
+      if (rule.kind && rule.kind !== event.kind) return false;
+      if (rule.withoutTask && hasTask) return false;
+      // Dwell rules fire once per stay — on the event that crosses the limit
+      if (rule.minDwellMs != null) {
+        return event.dwellMs >= rule.minDwellMs && (event.previousDwellMs ?? 0) < rule.minDwellMs;
+      }
+      return true;
+    })
+    .map((rule) => ({
+      rule,
+      message: rule.message
+        .replace("{robot}", robotId)
+        .replace("{zone}", event.zone)
+        .replace("{minutes}", String(Math.round((event.dwellMs || 0) / 60000))),
+    }));
+}
+
+export default { updateGeofence, isInZone, currentZones, matchGeofenceRules, ZONE_EVENTS };
@@ -0,0 +1,194 @@
+/**
+ * Occupancy Grid — where robots spend their time, stop, or get BLOCKED.
+ *
+ * Aggregates robot GPS tracks (see services/trackHistory) into a grid of cells
+ * spanning the facility layout's bounds, plus per-room totals via
+ * findRoomAtPoint. Each fix "owns" the time until the next fix, capped at
+ * MAX_DWELL_GAP_MS so a robot that went silent does not paint its last cell
+ * for hours.
+ *
+ * Layers:
+ *   - dwell   — all time spent in a cell
+ *   - stops   — time spent stationary (moved < STOP_DISTANCE_M to the next fix)
+ *   - blocked — time spent BLOCKED: status stream reported BLOCKED / obstacle,
+ *               or another robot was within COLLISION_THRESHOLD_M (the same rule
+ *               DeviceContext uses to block robots live)
+ *
+ * @module occupancyGrid
+ */
+import {
+  COLLISION_THRESHOLD_M,
+  compileLayout,
+  findRoomAtPoint,
+  haversineDistance,
+} from "./telemetryMath";
+import { positionAt } from "../services/trackHistory";
+
+/** Grid resolution over the layout bounds (columns along lng, rows along lat). */
+export const HEATMAP_COLS = 30;
+export const HEATMAP_ROWS = 20;
+
+/** Longest time a single fix is assumed to represent. */
+export const MAX_DWELL_GAP_MS = 60 * 1000;
+
+/** Movement below this between consecutive fixes counts as stopped. */
+export const STOP_DISTANCE_M = 0.5;
+
+/** Heatmap layers, in display order. */
+export const HEATMAP_MODES = {
+  dwell: "Time spent",
+  stops: "Stops",
+  blocked: "Blocked",
+};
+
+/** Room bucket for fixes outside every room (aisles, corridors). */
+export const OUTSIDE_ROOMS = "Corridors";
+
+// ── Helpers ──────────────────────────────────────────────────────
+
+/** Grid cell index for a GPS point, or -1 if it lies outside the facility. */
+function cellIndex(lat, lng, cols, rows, bounds) {
+  const { minLat, maxLat, minLng, maxLng } = bounds;
+  if (lat < minLat || lat > maxLat || lng < minLng || lng > maxLng) return -1;
+  const col = Math.min(cols - 1, Math.floor(((lng - minLng) / (maxLng - minLng)) * cols));
+  // Row 0 is the northern edge, matching the map's Y axis
+  const row = Math.min(rows - 1, Math.floor(((maxLat - lat) / (maxLat - minLat)) * rows));
+  return row * cols + col;
+}
+
+/** Latest status point at or before `time`. */
+function statusAt(statusTrack, time) {
+  if (!statusTrack?.length) return null;
+  let found = null;
+  for (const point of statusTrack) {
+    if (point.ts > time) break;
+    found = point;
+  }
+  return found;
+}
+
+/** True if another robot was within collision range at `time`. */
+function hasNeighbourAt(robotId, point, tracks, time) {
+  return Object.entries(tracks).some(([otherId, track]) => {
+    if (otherId === robotId) return false;
+    const other = positionAt(track, time);
+    return other != null && haversineDistance(point.lat, point.lng, other.lat, other.lng) < COLLISION_THRESHOLD_M;
+  });
+}
+
+/**
+ * Walk every fix of every track and report how long it lasted and whether the
+ * robot was stopped / blocked during it.
+ *
+ * @param {Object<string, Array<{ts: number, lat: number, lng: number}>>} tracks
+ * @param {{until?: number, statusTracks?: Object<string, Array>}} options
+ * @param {function({robotId: string, point: object, ms: number, stopped: boolean, blocked: boolean}): void} visit
+ */
+function forEachInterval(tracks, { until = Infinity, statusTracks = {} }, visit) {
+  Object.entries(tracks || {}).forEach(([robotId, track]) => {
+    track.forEach((point, i) => {
+      const next = track[i + 1];
+      const end = Math.min(next ? next.ts : until, point.ts + MAX_DWELL_GAP_MS, until);
+      const ms = end - point.ts;
+      if (!(ms > 0)) return;
+
+      const stopped = !next || haversineDistance(point.lat, point.lng, next.lat, next.lng) < STOP_DISTANCE_M;
+      const status = statusAt(statusTracks[robotId], point.ts);
+      const blocked =
+        status?.state === "BLOCKED" ||
+        status?.obstacle === true ||
+        hasNeighbourAt(robotId, point, tracks, point.ts);
+
+      visit({ robotId, point, ms, stopped, blocked });
+    });
+  });
+}
+
+/** Whether an interval counts towards a heatmap layer. */
+function countsFor(mode, interval) {
+  if (mode === "stops") return interval.stopped;
+  if (mode === "blocked") return interval.blocked;
+  return true;
+}
+
+// ── Public API ───────────────────────────────────────────────────
+
+/**
+ * Aggregate tracks into a heatmap grid.
+ *
+ * @param {Object<string, Array>} tracks - robotId → location track (oldest → newest)
+ * @param {object} [options]
+ * @param {"dwell"|"stops"|"blocked"} [options.mode="dwell"]
+ * @param {number} [options.until] - end of the period; the last fix is clipped here
+ * @param {Object<string, Array>} [options.statusTracks] - robotId → status track
+ * @param {number} [options.cols=HEATMAP_COLS]
+ * @param {number} [options.rows=HEATMAP_ROWS]
+ * @param {object} [options.layout] - facility layout (default layout when omitted)
+ * @returns {{cols: number, rows: number, bounds: object, cells: number[], max: number, totalMs: number}}
+ *          `cells[row * cols + col]` holds milliseconds
+ */
+export function buildOccupancyGrid(tracks, options = {}) {
+  const { mode = "dwell", cols = HEATMAP_COLS, rows = HEATMAP_ROWS } = options;
+  const { bounds } = compileLayout(options.layout);
+  const cells = new Array(cols * rows).fill(0);
+  let totalMs = 0;
+
+  forEachInterval(tracks, options, (interval) => {
+    if (!countsFor(mode, interval)) return;
+    const index = cellIndex(interval.point.lat, interval.point.lng, cols, rows, bounds);
+    if (index < 0) return;
+    cells[index] += interval.ms;
+    totalMs += interval.ms;
+  });
+
+  return { cols, rows, bounds, cells, max: Math.max(0, ...cells), totalMs };
+}
+
+/**
+ * Per-room dwell, stop and blocked time (fixes outside every room fall into
+ * OUTSIDE_ROOMS). Sorted by dwell time, longest first.
+ *
+ * @param {Object<string, Array>} tracks - robotId → location track (oldest → newest)
+ * @param {{until?: number, statusTracks?: Object<string, Array>, layout?: object}} [options]
+ * @returns {Array<{name: string, dwellMs: number, stopMs: number, blockedMs: number, share: number}>}
+ *          `share` is the room's fraction of total dwell time (0–1)
+ */
+export function computeRoomDwell(tracks, options = {}) {
+  const rooms = {};
+  let totalMs = 0;
+
+  forEachInterval(tracks, options, ({ point, ms, stopped, blocked }) => {
+    const name = findRoomAtPoint(point.lat, point.lng, options.layout)?.name || OUTSIDE_ROOMS;
+    const room = rooms[name] || (rooms[name] = { name, dwellMs: 0, stopMs: 0, blockedMs: 0 });
+    room.dwellMs += ms;
+    if (stopped) room.stopMs += ms;
+    if (blocked) room.blockedMs += ms;
+    totalMs += ms;
+  });
+
+  return Object.values(rooms)
+    .map((room) => ({ ...room, share: totalMs ? room.dwellMs / totalMs : 0 }))
+    .sort((a, b) => b.dwellMs - a.dwellMs);
+}
+
+/**
+ * GPS bounds of one grid cell, for drawing it on a map.
+ * @param {number} index - position in `grid.cells`
+ * @param {{cols: number, rows: number, bounds: object}} grid - from buildOccupancyGrid
+ * @returns {{minLat: number, maxLat: number, minLng: number, maxLng: number}}
+ */
+export function cellBounds(index, { cols, rows, bounds }) {
+  const { minLat, maxLat, minLng, maxLng } = bounds;
+  const col = index % cols;
+  const row = Math.floor(index / cols);
+  const latStep = (maxLat - minLat) / rows;
+  const lngStep = (maxLng - minLng) / cols;
+  return {
+    maxLat: maxLat - row * latStep,
+    minLat: maxLat - (row + 1) * latStep,
+    minLng: minLng + col * lngStep,
+    maxLng: minLng + (col + 1) * lngStep,
+  };
+}
+
+export default { buildOccupancyGrid, computeRoomDwell, cellBounds, HEATMAP_MODES };
@@ -0,0 +1,403 @@
+/**
+ * Telemetry Payload Schema
+ *
+ * Single source of truth for the shape of every telemetry payload. Gateways
+ * and older firmware publish the same reading under different names
+ * (`temperature` / `temp` / `ambient_temp`, `battery` / `level` / `percentage`,
+ * `lat` / `latitude` / `location.lat` …). Each schema below lists the
+ * canonical field name first, followed by every alias we accept, plus the
+ * unit and valid range. Consumers call the matching normalize*() helper and
+ * only ever read canonical fields.
+ *
+ * Normalisation never throws:
+ *   - aliases are resolved in order (first non-null value wins)
+ *   - numeric strings are coerced ("22.5", "85%")
+ *   - known unit hints are converted (°F/K → °C, kPa/Pa → hPa, 0–1 battery → %)
+ *   - out-of-range or wrongly typed values are dropped and reported to the
+ *     diagnostics log as a rejected payload
+ *
+ * @module payloadSchema
+ */
+import { TASK_PHASES } from "./telemetryMath";
+import { recordRejectedMessage } from "../services/diagnostics";
+
+// ── Field helpers ────────────────────────────────────────────────
+
+/** Read a dotted path ("location.lat") from an object. */
+function readPath(obj, path) {
+  return path.split(".").reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+/** Coerce a number-ish value ("22.5", "85%", 22.5) or return NaN. */
+function toNumber(value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim() !== "") {
+    return Number(value.trim().replace(/%$/, ""));
+  }
+  return NaN;
+}
+
+/** Lower-case unit hint, without a leading degree sign. */
+function unitOf(raw, keys) {
+  for (const key of keys) {
+    const unit = raw?.[key];
+    if (typeof unit === "string" && unit.trim()) {
+      return unit.trim().toLowerCase().replace(/^°/, "");
+    }
+  }
+  return null;
+}
+
+const CELSIUS_CONVERTERS = {
+  f: (v) => ((v - 32) * 5) / 9,
+  fahrenheit: (v) => ((v - 32) * 5) / 9,
+  k: (v) => v - 273.15,
+  kelvin: (v) => v - 273.15,
+};
+
+const HPA_CONVERTERS = {
+  kpa: (v) => v * 10,
+  pa: (v) => v / 100,
+  mbar: (v) => v,
+};
+
+const round = (v, places = 2) => Math.round(v * 10 ** places) / 10 ** places;
+
+// ── Field types ──────────────────────────────────────────────────
+// Each type turns a raw value into a canonical one, or returns
+// `undefined` with a reason when the value is unusable.
+
+const TYPES = {
+  // Range is checked after unit conversion (see normalizePayload)
+  number: (value) => {
+    const n = toNumber(value);
+    return Number.isFinite(n) ? { value: n } : { reason: "not a number" };
+  },
+  string: (value) => {
+    if (typeof value === "string") return value.trim() ? { value: value.trim() } : { reason: "empty" };
+    if (typeof value === "number" || typeof value === "boolean") return { value: String(value) };
+    return { reason: "not a string" };
+  },
+  boolean: (value) => {
+    if (typeof value === "boolean") return { value };
+    if (value === 1 || value === "1" || value === "true") return { value: true };
+    if (value === 0 || value === "0" || value === "false") return { value: false };
+    return { reason: "not a boolean" };
+  },
+  time: (value) => {
+    if (typeof value === "number" && Number.isFinite(value)) return { value };
+    if (typeof value === "string" && Number.isFinite(Date.parse(value))) return { value };
+    return { reason: "not a timestamp" };
+  },
+  any: (value) => ({ value }),
+};
+
+// ── Schemas ──────────────────────────────────────────────────────
+// `aliases` are tried in order; the canonical name is always first.
+// `scalar: true` skips object values so `status: { … }` falls through to
+// the next alias instead of being rejected.
+
+const TEMPERATURE = {
+  type: "number",
+  unit: "°C",
+  min: -40,
+  max: 125,
+  convert: (v, raw) => {
+    const unit = unitOf(raw, ["temperature_unit", "temp_unit", "unit"]);
+    const fn = unit && CELSIUS_CONVERTERS[unit];
+    return fn ? round(fn(v)) : v;
+  },
+};
+
+const HUMIDITY = { type: "number", unit: "%", min: 0, max: 100 };
+
+const LATITUDE = { type: "number", min: -90, max: 90 };
+const LONGITUDE = { type: "number", min: -180, max: 180 };
+
+export const PAYLOAD_SCHEMAS = {
+  environment: {
+    keys: ["temperature", "humidity", "pressure"],
+    fields: {
+      temperature: { ...TEMPERATURE, aliases: ["temperature", "temp", "ambient_temp", "ambientTemp"] },
+      humidity: { ...HUMIDITY, aliases: ["humidity", "ambient_hum", "hum", "ambientHum"] },
+      pressure: {
+        type: "number",
+        unit: " hPa",
+        min: 0,
+        max: 2000,
+        aliases: ["pressure", "atmospheric_pressure", "atm_pressure", "atmosphericPressure"],
+        convert: (v, raw) => {
+          const fn = HPA_CONVERTERS[unitOf(raw, ["pressure_unit"])];
+          return fn ? round(fn(v)) : v;
+        },
+      },
+    },
+  },
+
+  robotLocation: {
+    keys: ["lat", "lng"],
+    fields: {
+      lat: { ...LATITUDE, aliases: ["lat", "latitude", "location.lat", "location.latitude"] },
+      lng: {
+        ...LONGITUDE,
+        aliases: ["lng", "lon", "longitude", "location.lng", "location.lon", "location.longitude"],
+      },
+      z: { type: "number", aliases: ["z", "altitude", "location.z"] },
+      heading: {
+        type: "number",
+        unit: "°",
+        aliases: ["heading", "orientation", "yaw"],
+        convert: (v) => ((v % 360) + 360) % 360,
+      },
+    },
+  },
+
+  robotBattery: {
+    keys: ["battery"],
+    fields: {
+      battery: {
+        type: "number",
+        unit: "%",
+        min: 0,
+        max: 100,
+        aliases: ["battery", "level", "percentage", "batteryLevel", "battery_level", "soc"],
+        convert: (v, raw) => (unitOf(raw, ["battery_unit"]) === "fraction" ? round(v * 100, 1) : v),
+      },
+    },
+  },
+
+  robotTemp: {
+    keys: ["temperature"],
+    fields: {
+      temperature: { ...TEMPERATURE, aliases: ["temperature", "temp"] },
+      humidity: { ...HUMIDITY, aliases: ["humidity"] },
+    },
+  },
+
+  robotStatus: {
+    keys: ["state", "obstacle"],
+    fields: {
+      state: { type: "string", scalar: true, aliases: ["state", "status"] },
+      load: { type: "any", aliases: ["load"] },
+      obstacle: { type: "boolean", aliases: ["obstacle_detected", "obstacle"] },
+    },
+  },
+
+  robotTask: {
+    passthrough: true,
+    keys: ["task_id"],
+    fields: {
+      task_id: { type: "string", scalar: true, aliases: ["task_id", "taskId", "id"] },
+      task_type: { type: "string", scalar: true, aliases: ["task_type", "taskType", "type"] },
+      robotId: { type: "string", scalar: true, aliases: ["robotId", "robot"] },
+      status: { type: "string", scalar: true, aliases: ["status", "state"] },
+      phase: {
+        type: "string",
+        aliases: ["phase"],
+        validate: (v) => (Object.values(TASK_PHASES).includes(v) ? null : "unknown phase"),
+      },
+      progress: { type: "number", unit: "%", min: 0, max: 100, aliases: ["progress", "percent", "progress_pct"] },
+      "initiate location": {
+        type: "string",
+        scalar: true,
+        aliases: ["initiate location", "source_name", "sourceName", "origin_name", "start_name", "source", "origin"],
+      },
+      destination: {
+        type: "string",
+        scalar: true,
+        aliases: ["destination", "destination_name", "destinationName", "dest_name", "end_name"],
+      },
+      source_lat: {
+        ...LATITUDE,
+        aliases: ["source_lat", "src_lat", "sourceLat", "start_lat", "startLat", "origin.lat", "source.lat", "start.lat"],
+      },
+      source_lng: {
+        ...LONGITUDE,
+        aliases: ["source_lng", "src_lng", "sourceLng", "start_lng", "startLng", "origin.lng", "source.lng", "start.lng"],
+      },
+      destination_lat: {
+        ...LATITUDE,
+        aliases: ["destination_lat", "dest_lat", "destinationLat", "end_lat", "endLat", "destination.lat", "end.lat"],
+      },
+      destination_lng: {
+        ...LONGITUDE,
+        aliases: ["destination_lng", "dest_lng", "destinationLng", "end_lng", "endLng", "destination.lng", "end.lng"],
+      },
+      assignedAt: { type: "time", aliases: ["assignedAt"] },
+      start_time: { type: "time", scalar: true, aliases: ["start_time", "started_at", "startAt", "start"] },
+      completedAt: { type: "time", scalar: true, aliases: ["completedAt", "completion_time", "completed_at", "end"] },
+      elapsed_ms: { type: "number", min: 0, aliases: ["elapsed_ms", "elapsed"] },
+    },
+  },
+
+  deviceState: {
+    keys: ["ac_power", "air_purifier", "status", "gateway_health", "wifi_rssi", "active_alert"],
+    fields: {
+      ac_power: { type: "string", scalar: true, aliases: ["ac_power", "ac.status", "ac.payload.status", "ac"] },
+      air_purifier: {
+        type: "string",
+        scalar: true,
+        aliases: ["air_purifier", "airPurifier.status", "airPurifier.payload.status", "airPurifier"],
+      },
+      status: { type: "string", scalar: true, aliases: ["status.status", "status.payload.status", "status", "state"] },
+      gateway_health: { type: "any", aliases: ["gateway_health", "status.gateway_health", "health"] },
+      wifi_rssi: { type: "number", unit: " dBm", min: -120, max: 0, aliases: ["wifi_rssi", "rssi"] },
+      active_alert: { type: "string", scalar: true, aliases: ["active_alert", "alert"] },
+    },
+  },
+};
+
+/** Every alias key (top-level part) a schema consumes — stripped from passthrough output. */
+const CONSUMED_KEYS = Object.fromEntries(
+  Object.entries(PAYLOAD_SCHEMAS).map(([kind, schema]) => [
+    kind,
+    new Set(Object.values(schema.fields).flatMap((f) => f.aliases.map((a) => a.split(".")[0]))),
+  ]),
+);
+
+// ── Public API ───────────────────────────────────────────────────
+
+/**
+ * Unwrap a value that may arrive as stringified JSON and/or nested inside
+ * `{ payload: … }` envelopes (State API records, re-published frames).
+ * @param {*} raw
+ * @returns {*} The innermost value (object, array or scalar)
+ */
+export function unwrapPayload(raw) {
+  let obj = raw;
+  for (let i = 0; i < 5; i++) {
+    if (typeof obj === "string") {
+      try {
+        obj = JSON.parse(obj);
+      } catch {
+        return obj;
+      }
+    } else if (obj && typeof obj === "object" && !Array.isArray(obj) && obj.payload !== undefined) {
+      obj = obj.payload;
+    } else {
+      break;
+    }
+  }
+  return obj;
+}
+
+/**
+ * Whether a payload carries any of a schema's key fields (under any alias).
+ * Used for routing payloads whose topic does not name the metric.
+ *
+ * @param {keyof PAYLOAD_SCHEMAS} kind
+ * @param {object} raw
+ */
+export function hasPayloadFields(kind, raw) {
+  const schema = PAYLOAD_SCHEMAS[kind];
+  if (!schema || !raw || typeof raw !== "object") return false;
+  return schema.keys.some((key) =>
+    schema.fields[key].aliases.some((alias) => readPath(raw, alias) != null),
+  );
+}
+
+/**
+ * Normalise a payload into its canonical shape.
+ *
+ * Only fields that are present and valid appear in the result. Fields that
+ * are present but invalid are dropped and reported (see diagnostics
+ * `rejected`). Schemas marked `passthrough` keep unknown keys as-is.
+ *
+ * @param {keyof PAYLOAD_SCHEMAS} kind
+ * @param {*} raw - Object, JSON string or `{ payload }` envelope
+ * @param {{deviceId?: string, robotId?: string, topic?: string, silent?: boolean}} [context]
+ *        Where the payload came from (for the rejection report); `silent`
+ *        skips reporting when the same payload is normalised more than once
+ * @returns {object} Canonical payload ({} when nothing usable was found)
+ */
+export function normalizePayload(kind, raw, context = {}) {
+  const schema = PAYLOAD_SCHEMAS[kind];
+  const data = unwrapPayload(raw);
+  if (!schema || !data || typeof data !== "object" || Array.isArray(data)) {
+    if (schema && data != null && data !== "" && !context.silent) {
+      recordRejectedMessage(kind, ["payload is not an object"], context);
+    }
+    return {};
+  }
+
+  const result = {};
+  const reasons = [];
+
+  Object.entries(schema.fields).forEach(([name, spec]) => {
+    let candidate;
+    for (const alias of spec.aliases) {
+      const value = readPath(data, alias);
+      if (value == null) continue;
+      if (spec.scalar && typeof value === "object") continue;
+      candidate = value;
+      break;
+    }
+    if (candidate === undefined) return;
+
+    const coerced = TYPES[spec.type](candidate, spec);
+    let value = coerced.value;
+    let reason = coerced.reason;
+    if (!reason && spec.convert) value = spec.convert(value, data);
+    if (!reason && spec.type === "number") {
+      if (spec.min != null && value < spec.min) reason = `below ${spec.min}${spec.unit || ""}`;
+      if (spec.max != null && value > spec.max) reason = `above ${spec.max}${spec.unit || ""}`;
+    }
+    if (!reason && spec.validate) reason = spec.validate(value);
+
+    if (reason) {
+      reasons.push(`${name}=${JSON.stringify(candidate)}: ${reason}`);
+    } else {
+      result[name] = value;
+    }
+  });
+
+  if (reasons.length > 0 && !context.silent) recordRejectedMessage(kind, reasons, context);
+
+  if (!schema.passthrough) return result;
+
+  const consumed = CONSUMED_KEYS[kind];
+  const extras = Object.fromEntries(Object.entries(data).filter(([key]) => !consumed.has(key)));
+  return { ...extras, ...result };
+}
+
+// ── Per-topic shortcuts ──────────────────────────────────────────
+
+/** `{ temperature °C, humidity %, pressure hPa }` */
+export const normalizeEnvironment = (raw, context) => normalizePayload("environment", raw, context);
+
+/** `{ lat, lng, z, heading 0–360° }` */
+export const normalizeRobotLocation = (raw, context) => normalizePayload("robotLocation", raw, context);
+
+/** `{ battery % }` */
+export const normalizeRobotBattery = (raw, context) => normalizePayload("robotBattery", raw, context);
+
+/** `{ temperature °C, humidity % }` */
+export const normalizeRobotTemp = (raw, context) => normalizePayload("robotTemp", raw, context);
+
+/** `{ state, load, obstacle }` */
+export const normalizeRobotStatus = (raw, context) => normalizePayload("robotStatus", raw, context);
+
+/**
+ * Task in the shape the dashboard publishes (see Settings "Assign"):
+ * `{ task_id, task_type, robotId, status, phase, progress, 'initiate location',
+ *    destination, source_lat/lng, destination_lat/lng, assignedAt, start_time,
+ *    completedAt, elapsed_ms, …phase timestamps }`
+ */
+export const normalizeRobotTask = (raw, context) => normalizePayload("robotTask", raw, context);
+
+/** `{ ac_power, air_purifier, status, gateway_health, wifi_rssi dBm, active_alert }` */
+export const normalizeDeviceState = (raw, context) => normalizePayload("deviceState", raw, context);
+
+export default {
+  PAYLOAD_SCHEMAS,
+  unwrapPayload,
+  hasPayloadFields,
+  normalizePayload,
+  normalizeEnvironment,
+  normalizeRobotLocation,
+  normalizeRobotBattery,
+  normalizeRobotTemp,
+  normalizeRobotStatus,
+  normalizeRobotTask,
+  normalizeDeviceState,
+};
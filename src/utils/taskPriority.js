@@ -0,0 +1,151 @@
+/**
+ * Task Priorities — queue order and URGENT preemption.
+ *
+ * Tasks carry a `priority` (useApi.assignRobotTask, the Settings "Assign"
+ * form and the dispatcher all send one). Values are matched case-insensitively
+ * against TASK_PRIORITY; anything else counts as NORMAL.
+ *
+ *   - Queue order — a task that arrives while the robot is busy is queued
+ *     behind every task of the same or higher priority (FIFO within a level).
+ *   - Preemption  — an URGENT task may take over a robot whose active task is
+ *     not URGENT and is travelling (ASSIGNED / EN_ROUTE_*). The active task is
+ *     paused with its phase and progress, put back at the front of its level
+ *     in the queue, and resumes at the same phase when it is dequeued. Each
+ *     pause is appended to the task's `preemptions` list, which is stored in
+ *     the task history Analysis reads.
+ *
+ * Tasks that are picking up or dropping off are never preempted; the URGENT
+ * task goes to the front of the queue instead.
+ *
+ * @module taskPriority
+ */
+import { TASK_PRIORITY, TASK_STATUS } from "../config/robotRegistry";
+import { TASK_PHASES } from "./telemetryMath";
+
+/** Priority levels, most urgent first. */
+export const PRIORITY_LEVELS = [
+  TASK_PRIORITY.URGENT,
+  TASK_PRIORITY.HIGH,
+  TASK_PRIORITY.NORMAL,
+  TASK_PRIORITY.LOW,
+];
+
+export const PRIORITY_LABELS = {
+  [TASK_PRIORITY.URGENT]: "Urgent",
+  [TASK_PRIORITY.HIGH]: "High",
+  [TASK_PRIORITY.NORMAL]: "Normal",
+  [TASK_PRIORITY.LOW]: "Low",
+};
+
+/** Phases an URGENT task may interrupt — the robot is only travelling. */
+export const PREEMPTIBLE_PHASES = [
+  TASK_PHASES.ASSIGNED,
+  TASK_PHASES.EN_ROUTE_TO_SOURCE,
+  TASK_PHASES.EN_ROUTE_TO_DESTINATION,
+];
+
+// ── Priority helpers ─────────────────────────────────────────────
+
+/**
+ * Canonical priority for any payload value ("urgent", "High", …).
+ * @returns {string} One of TASK_PRIORITY — NORMAL when missing or unknown
+ */
+export function normalizePriority(value) {
+  const upper = String(value ?? "").trim().toUpperCase();
+  return PRIORITY_LEVELS.includes(upper) ? upper : TASK_PRIORITY.NORMAL;
+}
+
+/** 0 for URGENT … 3 for LOW. */
+export function priorityRank(value) {
+  return PRIORITY_LEVELS.indexOf(normalizePriority(value));
+}
+
+export function isUrgent(task) {
+  return normalizePriority(task?.priority) === TASK_PRIORITY.URGENT;
+}
+
+/**
+ * Insert a task into a queue by priority.
+ *
+ * @param {Array<object>} queue
+ * @param {object} task
+ * @param {{ahead?: boolean}} [options] - ahead: before tasks of the same
+ *        priority (a paused task going back in line) instead of after them
+ * @returns {Array<object>} New queue
+ */
+export function insertByPriority(queue, task, { ahead = false } = {}) {
+  const rank = priorityRank(task.priority);
+  let index = ahead
+    ? queue.findIndex((t) => priorityRank(t.priority) >= rank)
+    : queue.findIndex((t) => priorityRank(t.priority) > rank);
+  if (index < 0) index = queue.length;
+  return [...queue.slice(0, index), task, ...queue.slice(index)];
+}
+
+// ── Preemption ───────────────────────────────────────────────────
+
+/** Whether `incoming` may preempt the robot's active task. */
+export function canPreempt(incoming, active) {
+  return isUrgent(incoming) && !isUrgent(active) && PREEMPTIBLE_PHASES.includes(active?.phase);
+}
+
+/**
+ * Pause an active task for an URGENT one.
+ *
+ * @param {object} task - the robot's active task
+ * @param {object} byTask - the URGENT task taking over
+ * @param {number} [now=Date.now()]
+ * @returns {object} Task to queue — `resumePhase` / `resumeProgress` hold where
+ *          it stopped, and a `{ at, byTaskId, phase, progress, status }` record
+ *          is appended to `preemptions`
+ */
+export function pauseTask(task, byTask, now = Date.now()) {
+  return {
+    ...task,
+    status: TASK_STATUS.PREEMPTED,
+    resumePhase: task.phase,
+    resumeProgress: task.progress ?? null,
+    preemptedAt: now,
+    preemptions: [
+      ...(Array.isArray(task.preemptions) ? task.preemptions : []),
+      {
+        at: now,
+        byTaskId: byTask.task_id,
+        phase: task.phase,
+        progress: task.progress ?? null,
+        status: task.status ?? null,
+      },
+    ],
+  };
+}
+
+/**
+ * Resume a paused task at the phase it stopped in. The last preemption record
+ * gets `resumedAt` and `pausedMs`.
+ */
+export function resumeTask(task, now = Date.now()) {
+  const { resumePhase, resumeProgress, preemptedAt: _preemptedAt, ...rest } = task;
+  const preemptions = (task.preemptions || []).map((p, i, all) =>
+    i === all.length - 1 && p.resumedAt == null ? { ...p, resumedAt: now, pausedMs: now - p.at } : p,
+  );
+  return {
+    ...rest,
+    phase: resumePhase,
+    progress: resumeProgress ?? task.progress,
+    status: TASK_STATUS.RESUMED,
+    resumedAt: now,
+    preemptions,
+  };
+}
+
+export default {
+  PRIORITY_LEVELS,
+  PRIORITY_LABELS,
+  normalizePriority,
+  priorityRank,
+  isUrgent,
+  insertByPriority,
+  canPreempt,
+  pauseTask,
+  resumeTask,
+};
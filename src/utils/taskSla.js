@@ -0,0 +1,245 @@
+/**
+ * Task SLAs — completion-time targets per route and per priority.
+ *
+ * Every Deliver task has a target: the time from `assignedAt` to completion.
+ * The target comes from (first match wins):
+ *   1. a route rule for the task's source → destination and priority
+ *   2. a route rule for source → destination with "any" priority
+ *   3. the per-priority default
+ * An order deadline (dispatcher) that falls before the target's due time
+ * replaces it.
+ *
+ * Only Deliver tasks have SLAs — charge tasks (services/chargeManager) are skipped.
+ *
+ * Active tasks are ON_TRACK, AT_RISK (past `atRiskPercent` of the allowed
+ * time, or the live ETA lands after the due time) or BREACHED. Finished tasks
+ * are MET or BREACHED. Targets are saved to localStorage (`fabrix_sla_targets`)
+ * from Settings; DeviceContext alerts on AT_RISK / BREACHED and Analysis
+ * builds the compliance report with summarizeSla.
+ *
+ * @module taskSla
+ */
+import { TASK_PRIORITY } from "../config/robotRegistry";
+import { PRIORITY_LEVELS, normalizePriority } from "./taskPriority";
+import { TASK_PHASES } from "./telemetryMath";
+
+const STORAGE_KEY = "fabrix_sla_targets";
+
+/** How often DeviceContext re-evaluates active tasks. */
+export const SLA_CHECK_MS = 15 * 1000;
+
+export const SLA_STATUS = {
+  ON_TRACK: "on_track",
+  AT_RISK: "at_risk",
+  BREACHED: "breached",
+  MET: "met",
+};
+
+export const SLA_STATUS_LABELS = {
+  [SLA_STATUS.ON_TRACK]: "On track",
+  [SLA_STATUS.AT_RISK]: "At risk",
+  [SLA_STATUS.BREACHED]: "SLA breached",
+  [SLA_STATUS.MET]: "SLA met",
+};
+
+/** Targets in minutes. */
+export const DEFAULT_SLA_TARGETS = {
+  byPriority: {
+    [TASK_PRIORITY.URGENT]: 5,
+    [TASK_PRIORITY.HIGH]: 10,
+    [TASK_PRIORITY.NORMAL]: 20,
+    [TASK_PRIORITY.LOW]: 45,
+  },
+  // [{ source, destination, priority: TASK_PRIORITY | null (any), minutes }]
+  routes: [],
+  atRiskPercent: 80,
+};
+
+// ── Targets ──────────────────────────────────────────────────────
+
+const positiveMinutes = (value, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+const sameRoom = (a, b) =>
+  String(a ?? "").trim().toLowerCase() === String(b ?? "").trim().toLowerCase();
+
+/**
+ * Fill in defaults and drop malformed route rules.
+ * @returns {{byPriority: object, routes: Array<object>, atRiskPercent: number}}
+ */
+export function normalizeSlaTargets(raw) {
+  const byPriority = {};
+  PRIORITY_LEVELS.forEach((level) => {
+    byPriority[level] = positiveMinutes(raw?.byPriority?.[level], DEFAULT_SLA_TARGETS.byPriority[level]);
+  });
+
+  const routes = (Array.isArray(raw?.routes) ? raw.routes : [])
+    .filter((r) => r?.source && r?.destination && positiveMinutes(r.minutes, null) != null)
+    .map((r) => ({
+      source: r.source,
+      destination: r.destination,
+      priority: r.priority ? normalizePriority(r.priority) : null,
+      minutes: Number(r.minutes),
+    }));
+
+  const pct = Number(raw?.atRiskPercent);
+  return {
+    byPriority,
+    routes,
+    atRiskPercent: Number.isFinite(pct) && pct > 0 && pct < 100 ? pct : DEFAULT_SLA_TARGETS.atRiskPercent,
+  };
+}
+
+/**
+ * Target for a task.
+ * @returns {{minutes: number, basis: "route"|"priority"}}
+ */
+export function slaTargetFor(task, targets = DEFAULT_SLA_TARGETS) {
+  const priority = normalizePriority(task?.priority);
+  const onRoute = targets.routes.filter(
+    (r) => sameRoom(r.source, task?.["initiate location"]) && sameRoom(r.destination, task?.destination)
+  );
+  const rule = onRoute.find((r) => r.priority === priority) || onRoute.find((r) => !r.priority);
+  if (rule) return { minutes: rule.minutes, basis: "route" };
+  return { minutes: targets.byPriority[priority] ?? DEFAULT_SLA_TARGETS.byPriority[priority], basis: "priority" };
+}
+
+// ── Evaluation ───────────────────────────────────────────────────
+
+const toMs = (value) => {
+  if (value == null || value === "") return null;
+  if (typeof value === "number") return value < 1e12 ? value * 1000 : value;
+  const ms = new Date(value).getTime();
+  return Number.isFinite(ms) ? ms : null;
+};
+
+/** Whether a task has finished successfully (phase or legacy status). */
+function isCompleted(task) {
+  return task?.phase === TASK_PHASES.COMPLETED || /^completed$/i.test(task?.status || "");
+}
+
+/**
+ * SLA state of a task.
+ *
+ * @param {object} task - live robot task or task history entry (needs `assignedAt`)
+ * @param {object} [targets] - from normalizeSlaTargets
+ * @param {number} [now=Date.now()]
+ * @returns {{status: string, basis: "route"|"priority"|"deadline", targetMs: number, startedAt: number, dueAt: number, elapsedMs: number, remainingMs: number}|null}
+ *          null for tasks that never started, failed or were cancelled, and for non-Deliver tasks
+ */
+export function evaluateSla(task, targets = DEFAULT_SLA_TARGETS, now = Date.now()) {
+  const startedAt = toMs(task?.assignedAt);
+  if (startedAt == null) return null;
+  if (task.phase === TASK_PHASES.FAILED || /^(failed|cancell?ed)$/i.test(task.status || "")) return null;
+  if (task.task_type && task.task_type !== "Deliver") return null;
+
+  const target = slaTargetFor(task, targets);
+  let dueAt = startedAt + target.minutes * 60 * 1000;
+  let basis = target.basis;
+  const deadline = toMs(task.deadline);
+  if (deadline != null && deadline < dueAt) {
+    dueAt = deadline;
+    basis = "deadline";
+  }
+
+  const finished = isCompleted(task);
+  const endedAt = finished ? toMs(task.completedAt) ?? toMs(task.deliveredAt) ?? now : now;
+  const elapsedMs = Math.max(0, endedAt - startedAt);
+  const result = {
+    basis,
+    targetMs: dueAt - startedAt,
+    startedAt,
+    dueAt,
+    elapsedMs,
+    remainingMs: dueAt - endedAt,
+  };
+
+  if (finished) return { ...result, status: endedAt <= dueAt ? SLA_STATUS.MET : SLA_STATUS.BREACHED };
+  if (now > dueAt) return { ...result, status: SLA_STATUS.BREACHED };
+
+  const etaAt = toMs(task.etaAt);
+  const atRisk = elapsedMs >= (result.targetMs * targets.atRiskPercent) / 100 || (etaAt != null && etaAt > dueAt);
+  return { ...result, status: atRisk ? SLA_STATUS.AT_RISK : SLA_STATUS.ON_TRACK };
+}
+
+// ── Report ───────────────────────────────────────────────────────
+
+function summarize(evaluated) {
+  const met = evaluated.filter((e) => e.sla.status === SLA_STATUS.MET).length;
+  const breached = evaluated.length - met;
+  const avg = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+  return {
+    total: evaluated.length,
+    met,
+    breached,
+    compliance: evaluated.length ? (met / evaluated.length) * 100 : null,
+    avgElapsedMs: avg(evaluated.map((e) => e.sla.elapsedMs)),
+    avgTargetMs: avg(evaluated.map((e) => e.sla.targetMs)),
+  };
+}
+
+/**
+ * SLA compliance of completed tasks, overall and grouped by route and priority.
+ *
+ * @param {Array<object>} tasks - task-shaped entries (`assignedAt`, `completedAt`, route, `priority`, `deadline`)
+ * @param {object} [targets]
+ * @returns {{overall: object, byRoute: Array<object>, byPriority: Array<object>}}
+ *          Each group: { key, label, total, met, breached, compliance (%|null), avgElapsedMs, avgTargetMs }
+ */
+export function summarizeSla(tasks, targets = DEFAULT_SLA_TARGETS) {
+  const evaluated = (tasks || [])
+    .filter(isCompleted)
+    .map((task) => ({ task, sla: evaluateSla(task, targets) }))
+    .filter((e) => e.sla);
+
+  const group = (keyOf, labelOf) => {
+    const groups = new Map();
+    evaluated.forEach((e) => {
+      const key = keyOf(e.task);
+      if (!groups.has(key)) groups.set(key, { key, label: labelOf(e.task), items: [] });
+      groups.get(key).items.push(e);
+    });
+    return [...groups.values()].map(({ key, label, items }) => ({ key, label, ...summarize(items) }));
+  };
+
+  const byRoute = group(
+    (t) => `${t["initiate location"] || "?"}→${t.destination || "?"}`,
+    (t) => `${t["initiate location"] || "?"} → ${t.destination || "?"}`
+  ).sort((a, b) => b.total - a.total);
+  const byPriority = group(
+    (t) => normalizePriority(t.priority),
+    (t) => normalizePriority(t.priority)
+  ).sort((a, b) => PRIORITY_LEVELS.indexOf(a.key) - PRIORITY_LEVELS.indexOf(b.key));
+
+  return { overall: summarize(evaluated), byRoute, byPriority };
+}
+
+// ── Local cache ──────────────────────────────────────────────────
+
+export function loadSlaTargets() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return normalizeSlaTargets(raw ? JSON.parse(raw) : null);
+  } catch {
+    return normalizeSlaTargets(null);
+  }
+}
+
+export function saveSlaTargets(targets) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(targets));
+  } catch (e) {
+    console.error("[SLA] Failed to save targets:", e);
+  }
+}
+
+export default {
+  normalizeSlaTargets,
+  slaTargetFor,
+  evaluateSla,
+  summarizeSla,
+  loadSlaTargets,
+  saveSlaTargets,
+};
@@ -1,94 +1,199 @@
 // Utility functions for telemetry math: task completion, robot health, and GPS distance
+import { DEFAULT_FACILITY_LAYOUT } from "../config/facilityLayout";
 
 // ============================================================================
-// FACILITY GPS REFERENCE  (single source of truth — keep in sync with Dashboard)
+// FACILITY LAYOUT  (per-device floor plan — see config/facilityLayout.js)
 // ============================================================================
 
 /**
- * Real-world GPS bounding box of the entire facility map.
- * Dashboard CSS zones are positioned as percentages (5 %–95 %) inside this box.
+ * Every geometry helper below takes an optional `layout` argument: a layout
+ * document as stored per device (DeviceContext `getFacilityLayout`). When it
+ * is omitted the bundled DEFAULT_FACILITY_LAYOUT is used.
  *
- * Conversion:
+ * The map draws the layout's GPS bounding box between 5 % and 95 % on each
+ * axis:
  *   xPercent → lng :  lng = minLng + ((xPct - 5) / 90) * (maxLng - minLng)
  *   yPercent → lat :  lat = maxLat - ((yPct - 5) / 90) * (maxLat - minLat)  (Y inverted)
  */
-export const FACILITY_BOUNDS = {
-  minLat: 37.4215,
-  maxLat: 37.423,
-  minLng: -122.085,
-  maxLng: -122.083,
-};
 
-const LAT_SPAN = FACILITY_BOUNDS.maxLat - FACILITY_BOUNDS.minLat; // 0.0015
-const LNG_SPAN = FACILITY_BOUNDS.maxLng - FACILITY_BOUNDS.minLng; // 0.0020
+/** Compiled layouts, keyed by document (documents are treated as immutable). */
+const compiledLayouts = new WeakMap();
+
+/**
+ * Area-weighted centroid of a polygon (falls back to the vertex mean).
+ * Works relative to the first vertex — raw GPS cross products lose the
+ * precision a room-sized polygon needs.
+ */
+function polygonCentroid(points) {
+  const o = points[0];
+  let area = 0;
+  let lat = 0;
+  let lng = 0;
+  points.forEach((p, i) => {
+    const q = points[(i + 1) % points.length];
+    const px = p.lng - o.lng;
+    const py = p.lat - o.lat;
+    const qx = q.lng - o.lng;
+    const qy = q.lat - o.lat;
+    const cross = px * qy - qx * py;
+    area += cross;
+    lng += (px + qx) * cross;
+    lat += (py + qy) * cross;
+  });
+  if (Math.abs(area) < 1e-18) {
+    return {
+      lat: points.reduce((sum, p) => sum + p.lat, 0) / points.length,
+      lng: points.reduce((sum, p) => sum + p.lng, 0) / points.length,
+    };
+  }
+  return { lat: +(o.lat + lat / (3 * area)).toFixed(6), lng: +(o.lng + lng / (3 * area)).toFixed(6) };
+}
 
-/** Convert Dashboard CSS-percent position to real GPS. */
-export function percentToGps(xPct, yPct) {
+/** Bounding box of a polygon. */
+function polygonBounds(points) {
   return {
-    lat: +(FACILITY_BOUNDS.maxLat - ((yPct - 5) / 90) * LAT_SPAN).toFixed(6),
-    lng: +(FACILITY_BOUNDS.minLng + ((xPct - 5) / 90) * LNG_SPAN).toFixed(6),
+    minLat: Math.min(...points.map((p) => p.lat)),
+    maxLat: Math.max(...points.map((p) => p.lat)),
+    minLng: Math.min(...points.map((p) => p.lng)),
+    maxLng: Math.max(...points.map((p) => p.lng)),
   };
 }
 
-/** Convert real GPS to Dashboard CSS-percent position. */
-export function gpsToPercent(lat, lng) {
-  const xPct = 5 + ((lng - FACILITY_BOUNDS.minLng) / LNG_SPAN) * 90;
-  const yPct = 5 + ((FACILITY_BOUNDS.maxLat - lat) / LAT_SPAN) * 90;
+/**
+ * Ray-casting point-in-polygon test.
+ * @param {number} lat  @param {number} lng
+ * @param {Array<{lat: number, lng: number}>} points
+ */
+export function pointInPolygon(lat, lng, points) {
+  if (!Array.isArray(points) || points.length < 3) return false;
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if (a.lat > lat !== b.lat > lat && lng < ((b.lng - a.lng) * (lat - a.lat)) / (b.lat - a.lat) + a.lng) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function buildRoom(room) {
   return {
-    xPercent: Math.max(0, Math.min(100, xPct)),
-    yPercent: Math.max(0, Math.min(100, yPct)),
+    ...room,
+    bounds: polygonBounds(room.points), // bounding box, for quick rejection
+    center: polygonCentroid(room.points), // { lat, lng } — real GPS mid-point of the room
   };
 }
 
-// ============================================================================
-// ROOM / ZONE GEOMETRY  (derived from Dashboard CSS zone percentages → GPS)
-// ============================================================================
+/**
+ * Resolve a layout document into lookup structures (cached per document).
+ * @param {object} [layout=DEFAULT_FACILITY_LAYOUT]
+ */
+export function compileLayout(layout = DEFAULT_FACILITY_LAYOUT) {
+  const doc = layout || DEFAULT_FACILITY_LAYOUT;
+  let compiled = compiledLayouts.get(doc);
+  if (compiled) return compiled;
+
+  const roomList = (doc.rooms || []).filter((r) => r.points?.length >= 3).map(buildRoom);
+  compiled = {
+    bounds: doc.bounds,
+    rooms: Object.fromEntries(roomList.map((r) => [r.name, r])),
+    roomList,
+    aisles: doc.aisles || [],
+    docks: doc.docks || [],
+    noGoZones: (doc.noGoZones || []).filter((z) => z.points?.length >= 3).map(buildRoom),
+  };
+  compiledLayouts.set(doc, compiled);
+  return compiled;
+}
+
+/**
+ * Real-world GPS bounding box of the default facility map.
+ * Per-device layouts carry their own `bounds`.
+ */
+export const FACILITY_BOUNDS = DEFAULT_FACILITY_LAYOUT.bounds;
 
-function buildRoom(id, name, leftPct, topPct, widthPct, heightPct) {
-  const nw = percentToGps(leftPct, topPct); // north-west corner
-  const se = percentToGps(leftPct + widthPct, topPct + heightPct); // south-east corner
-  const center = percentToGps(leftPct + widthPct / 2, topPct + heightPct / 2);
+/** Convert map-percent position to real GPS. */
+export function percentToGps(xPct, yPct, layout) {
+  const { minLat, maxLat, minLng, maxLng } = compileLayout(layout).bounds;
   return {
-    id,
-    name,
-    pct: { left: leftPct, top: topPct, width: widthPct, height: heightPct },
-    bounds: { minLat: se.lat, maxLat: nw.lat, minLng: nw.lng, maxLng: se.lng },
-    center, // { lat, lng } — real GPS mid-point of the room
+    lat: +(maxLat - ((yPct - 5) / 90) * (maxLat - minLat)).toFixed(6),
+    lng: +(minLng + ((xPct - 5) / 90) * (maxLng - minLng)).toFixed(6),
   };
 }
 
+/** Convert real GPS to map-percent position. */
+export function gpsToPercent(lat, lng, layout) {
+  const { minLat, maxLat, minLng, maxLng } = compileLayout(layout).bounds;
+  const xPct = 5 + ((lng - minLng) / (maxLng - minLng)) * 90;
+  const yPct = 5 + ((maxLat - lat) / (maxLat - minLat)) * 90;
+  return {
+    xPercent: Math.max(0, Math.min(100, xPct)),
+    yPercent: Math.max(0, Math.min(100, yPct)),
+  };
+}
+
+/** Metres covered by one map-percent along the X axis (for aisle widths etc.). */
+export function metresPerPercent(layout) {
+  const { minLat, maxLat, minLng, maxLng } = compileLayout(layout).bounds;
+  const midLat = (minLat + maxLat) / 2;
+  return haversineDistance(midLat, minLng, midLat, maxLng) / 90;
+}
+
+// ============================================================================
+// ROOM / ZONE GEOMETRY
+// ============================================================================
+
 /**
- * Canonical room definitions.
- * Each room's position is the same CSS-percent rectangle as Dashboard's zones[].
- * buildRoom converts them to real GPS bounding boxes automatically.
+ * Rooms of the default layout, keyed by name.
+ * Each room carries its polygon `points`, bounding box `bounds` and `center`.
  */
-export const ROOMS = {
-  "Cleanroom A": buildRoom("cleanroom-a", "Cleanroom A", 5, 5, 35, 40),
-  "Cleanroom B": buildRoom("cleanroom-b", "Cleanroom B", 45, 5, 30, 40),
-  "Loading Bay": buildRoom("loading-bay", "Loading Bay", 5, 55, 25, 35),
-  Storage: buildRoom("storage", "Storage", 35, 55, 25, 35),
-  Maintenance: buildRoom("maintenance", "Maintenance", 65, 55, 25, 25),
-};
+export const ROOMS = compileLayout().rooms;
 
-/** Map from room name → center GPS coordinates (replaces LOCATION_COORDS in Settings). */
+/** Map from room name → center GPS coordinates (default layout). */
 export const ROOM_CENTERS = Object.fromEntries(
   Object.entries(ROOMS).map(([name, r]) => [name, r.center]),
 );
 
+/**
+ * Rooms of a layout keyed by name.
+ * @returns {Object<string, object>}
+ */
+export function getRooms(layout) {
+  return compileLayout(layout).rooms;
+}
+
+/**
+ * Room names a task can start or end at (excludes the "reset" parking area).
+ * @returns {string[]}
+ */
+export function getTaskLocations(layout) {
+  return compileLayout(layout)
+    .roomList.filter((r) => r.type !== "reset")
+    .map((r) => r.name);
+}
+
+/** Center GPS of a named room (exact name), or null. */
+export function getRoomCenter(name, layout) {
+  return compileLayout(layout).rooms[name]?.center || null;
+}
+
 /**
  * Fuzzy room name lookup — handles minor spelling mismatches.
  * Normalises to lowercase, strips spaces/hyphens, then tries exact match first,
  * then loose includes-based match.
  * @param {string} name
+ * @param {object} [layout]
  * @returns {{ name: string, room: object } | null}
  */
-export function resolveRoom(name) {
+export function resolveRoom(name, layout) {
   if (!name) return null;
+  const rooms = compileLayout(layout).rooms;
   // Exact match first
-  if (ROOMS[name]) return { name, room: ROOMS[name] };
+  if (rooms[name]) return { name, room: rooms[name] };
   // Normalised match
   const norm = name.toLowerCase().replace(/[\s\-_]+/g, "");
-  for (const [key, room] of Object.entries(ROOMS)) {
+  for (const [key, room] of Object.entries(rooms)) {
     const keyNorm = key.toLowerCase().replace(/[\s\-_]+/g, "");
     if (keyNorm === norm || keyNorm.includes(norm) || norm.includes(keyNorm)) {
       return { name: key, room };
@@ -97,33 +202,45 @@ export function resolveRoom(name) {
   return null;
 }
 
+/** True if a GPS point lies inside a compiled room/zone polygon. */
+function insideShape(lat, lng, shape) {
+  const { minLat, maxLat, minLng, maxLng } = shape.bounds;
+  if (lat < minLat || lat > maxLat || lng < minLng || lng > maxLng) return false;
+  return pointInPolygon(lat, lng, shape.points);
+}
+
 /**
  * Check if a GPS point is inside a named room.
  * @param {number} lat  @param {number} lng
- * @param {string} roomName — one of the keys in ROOMS (fuzzy-matched)
+ * @param {string} roomName — room name in the layout (fuzzy-matched)
+ * @param {object} [layout]
  * @returns {boolean}
  */
-export function isInsideRoom(lat, lng, roomName) {
-  const resolved = resolveRoom(roomName);
+export function isInsideRoom(lat, lng, roomName, layout) {
+  const resolved = resolveRoom(roomName, layout);
   if (!resolved) return false;
-  const { minLat, maxLat, minLng, maxLng } = resolved.room.bounds;
-  return lat >= minLat && lat <= maxLat && lng >= minLng && lng <= maxLng;
+  return insideShape(lat, lng, resolved.room);
 }
 
 /**
  * Find which room (if any) the given GPS point falls inside.
  * @returns {{ name: string, room: object } | null}
  */
-export function findRoomAtPoint(lat, lng) {
-  for (const [name, room] of Object.entries(ROOMS)) {
-    const { minLat, maxLat, minLng, maxLng } = room.bounds;
-    if (lat >= minLat && lat <= maxLat && lng >= minLng && lng <= maxLng) {
-      return { name, room };
-    }
+export function findRoomAtPoint(lat, lng, layout) {
+  for (const room of compileLayout(layout).roomList) {
+    if (insideShape(lat, lng, room)) return { name: room.name, room };
   }
   return null;
 }
 
+/**
+ * Find the no-go zone (if any) the given GPS point falls inside.
+ * @returns {object|null}
+ */
+export function findNoGoZoneAtPoint(lat, lng, layout) {
+  return compileLayout(layout).noGoZones.find((zone) => insideShape(lat, lng, zone)) || null;
+}
+
 // ============================================================================
 // TASK PHASE CONSTANTS  (Deliver-only model)
 // ============================================================================
@@ -197,6 +314,469 @@ export const COLLISION_THRESHOLD_M = 3; // 3 metres
  */
 export const AUTO_ADVANCE_DELAY_MS = 10_000; // 10 seconds
 
+// ============================================================================
+// NAVIGATION GRAPH  (shortest paths along aisles)
+// ============================================================================
+
+/**
+ * Robots drive along the layout's aisles. The navigation graph's nodes are
+ * aisle vertices, aisle crossings and room doorways; a room joins the aisle
+ * network at its `doors` (when the layout lists them) or else at the aisle
+ * point nearest its center. Geometry uses a local flat projection in metres,
+ * which is accurate at facility scale. Routes are found with Dijkstra.
+ */
+
+/** Navigation graphs, keyed by layout document. */
+const navGraphs = new WeakMap();
+
+/** Graph points closer than this (m) are the same node. */
+const NODE_MERGE_M = 0.05;
+
+/** Local east/north metres ↔ GPS around the middle of the layout bounds. */
+function localProjection(bounds) {
+  const lat0 = (bounds.minLat + bounds.maxLat) / 2;
+  const lng0 = (bounds.minLng + bounds.maxLng) / 2;
+  const ky = EARTH_RADIUS_M * DEG_TO_RAD;
+  const kx = Math.cos(lat0 * DEG_TO_RAD) * ky;
+  return {
+    toXY: (p) => ({ x: (p.lng - lng0) * kx, y: (p.lat - lat0) * ky }),
+    toGps: (p) => ({ lat: +(lat0 + p.y / ky).toFixed(7), lng: +(lng0 + p.x / kx).toFixed(7) }),
+  };
+}
+
+function dist(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/** Closest point to `p` on segment ab: `t` along ab (0–1), point and distance. */
+function closestOnSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const len = dx * dx + dy * dy;
+  const t = len ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len)) : 0;
+  const point = { x: a.x + t * dx, y: a.y + t * dy };
+  return { t, point, dist: dist(p, point) };
+}
+
+/** Where segments ab and cd cross, as `t` along each, or null. */
+function segmentCrossing(a, b, c, d) {
+  const rx = b.x - a.x;
+  const ry = b.y - a.y;
+  const sx = d.x - c.x;
+  const sy = d.y - c.y;
+  const denom = rx * sy - ry * sx;
+  if (Math.abs(denom) < 1e-9) return null; // parallel
+  const t = ((c.x - a.x) * sy - (c.y - a.y) * sx) / denom;
+  const u = ((c.x - a.x) * ry - (c.y - a.y) * rx) / denom;
+  return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? { t, u } : null;
+}
+
+/** Nearest graph edge to a point. */
+function nearestEdge(graph, p) {
+  let best = null;
+  graph.edges.forEach(([i, j]) => {
+    const hit = closestOnSegment(p, graph.nodes[i], graph.nodes[j]);
+    if (!best || hit.dist < best.dist) best = { ...hit, i, j };
+  });
+  return best;
+}
+
+/** Build (or fetch the cached) navigation graph for a layout. */
+function buildNavGraph(layout) {
+  const doc = layout || DEFAULT_FACILITY_LAYOUT;
+  let graph = navGraphs.get(doc);
+  if (graph) return graph;
+
+  const plan = compileLayout(doc);
+  const proj = localProjection(plan.bounds);
+  const nodes = [];
+  const adj = [];
+  const edges = [];
+
+  const nodeAt = (p) => {
+    const found = nodes.findIndex((n) => dist(n, p) < NODE_MERGE_M);
+    if (found >= 0) return found;
+    nodes.push({ x: p.x, y: p.y });
+    adj.push(new Map());
+    return nodes.length - 1;
+  };
+  const link = (i, j) => {
+    if (i === j || adj[i].has(j)) return;
+    const cost = dist(nodes[i], nodes[j]);
+    adj[i].set(j, cost);
+    adj[j].set(i, cost);
+    edges.push([i, j]);
+  };
+
+  // Aisle segments, split wherever another aisle or a doorway meets them
+  const segments = plan.aisles.flatMap((aisle) => {
+    const pts = (aisle.points || []).map(proj.toXY);
+    return pts.slice(1).map((b, k) => ({ a: pts[k], b, cuts: [0, 1] }));
+  });
+  segments.forEach((s1, i) => {
+    segments.slice(i + 1).forEach((s2) => {
+      const hit = segmentCrossing(s1.a, s1.b, s2.a, s2.b);
+      if (hit) {
+        s1.cuts.push(hit.t);
+        s2.cuts.push(hit.u);
+      }
+    });
+  });
+
+  const entrances = plan.roomList.map((room) => {
+    const doors = (room.doors?.length ? room.doors : [room.center]).map(proj.toXY);
+    return {
+      room,
+      explicit: !!room.doors?.length,
+      doors: doors.map((door) => {
+        let best = null;
+        segments.forEach((seg) => {
+          const hit = closestOnSegment(door, seg.a, seg.b);
+          if (!best || hit.dist < best.hit.dist) best = { seg, hit };
+        });
+        if (best) best.seg.cuts.push(best.hit.t);
+        return { door, aislePoint: best?.hit.point ?? null };
+      }),
+    };
+  });
+
+  segments.forEach(({ a, b, cuts }) => {
+    const ids = [...new Set(cuts)]
+      .sort((x, y) => x - y)
+      .map((t) => nodeAt({ x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y) }));
+    ids.slice(1).forEach((id, k) => link(ids[k], id));
+  });
+
+  // Doorway nodes per room: the door itself when listed, else the aisle point
+  const roomDoors = {};
+  entrances.forEach(({ room, explicit, doors }) => {
+    roomDoors[room.name] = doors
+      .filter((d) => d.aislePoint)
+      .map((d) => {
+        const onAisle = nodeAt(d.aislePoint);
+        if (!explicit) return onAisle;
+        const doorNode = nodeAt(d.door);
+        link(doorNode, onAisle);
+        return doorNode;
+      });
+  });
+
+  graph = { proj, nodes, adj, edges, roomDoors };
+  navGraphs.set(doc, graph);
+  return graph;
+}
+
+/**
+ * How a free point joins the graph: through its room's doorways, or onto the
+ * nearest aisle edge. Each link is `{ node, cost, via }` (`via` = points
+ * between the free point and the node).
+ */
+function attachLinks(graph, p, roomName) {
+  const doors = roomName ? graph.roomDoors[roomName] : null;
+  if (doors?.length) {
+    return doors.map((node) => ({ node, cost: dist(p, graph.nodes[node]), via: [] }));
+  }
+  const edge = nearestEdge(graph, p);
+  if (!edge) return [];
+  return [edge.i, edge.j].map((node) => ({
+    node,
+    cost: edge.dist + dist(edge.point, graph.nodes[node]),
+    via: [edge.point],
+  }));
+}
+
+/** Dijkstra between two sets of attachment links. */
+function shortestPath(graph, startLinks, endLinks) {
+  const n = graph.nodes.length;
+  const cost = new Array(n).fill(Infinity);
+  const prev = new Array(n).fill(-1);
+  const startVia = new Array(n).fill(null);
+  const done = new Array(n).fill(false);
+  startLinks.forEach((l) => {
+    if (l.cost < cost[l.node]) {
+      cost[l.node] = l.cost;
+      startVia[l.node] = l.via;
+    }
+  });
+
+  for (;;) {
+    let u = -1;
+    for (let i = 0; i < n; i++) {
+      if (!done[i] && cost[i] < Infinity && (u < 0 || cost[i] < cost[u])) u = i;
+    }
+    if (u < 0) break;
+    done[u] = true;
+    graph.adj[u].forEach((w, v) => {
+      if (cost[u] + w < cost[v]) {
+        cost[v] = cost[u] + w;
+        prev[v] = u;
+        startVia[v] = null;
+      }
+    });
+  }
+
+  let best = null;
+  endLinks.forEach((l) => {
+    const total = cost[l.node] + l.cost;
+    if (total < Infinity && (!best || total < best.total)) best = { total, link: l };
+  });
+  if (!best) return null;
+
+  const path = [];
+  for (let v = best.link.node; v >= 0; v = prev[v]) path.unshift(v);
+  return { cost: best.total, nodes: path, startVia: startVia[path[0]] || [], endVia: best.link.via };
+}
+
+/**
+ * Shortest route between two GPS points along the facility aisles.
+ * Falls back to a straight line inside a single room, when the layout has no
+ * aisles, or when the aisle network does not connect the two points.
+ *
+ * @param {{lat: number, lng: number}} from
+ * @param {{lat: number, lng: number}} to
+ * @param {object} [layout]
+ * @returns {{points: Array<{lat: number, lng: number}>, distanceM: number}}
+ */
+export function planRoute(from, to, layout) {
+  const graph = buildNavGraph(layout);
+  const { proj } = graph;
+  const a = proj.toXY(from);
+  const b = proj.toXY(to);
+  const straight = { points: [from, to], distanceM: dist(a, b) };
+  if (graph.edges.length === 0) return straight;
+
+  const fromRoom = findRoomAtPoint(from.lat, from.lng, layout)?.name ?? null;
+  const toRoom = findRoomAtPoint(to.lat, to.lng, layout)?.name ?? null;
+  if (fromRoom && fromRoom === toRoom) return straight;
+
+  const found = shortestPath(graph, attachLinks(graph, a, fromRoom), attachLinks(graph, b, toRoom));
+  if (!found || found.cost >= Infinity) return straight;
+
+  const xy = [...found.startVia, ...found.nodes.map((i) => graph.nodes[i]), ...[...found.endVia].reverse()]
+    .filter((p, i, all) => i === 0 || dist(p, all[i - 1]) >= NODE_MERGE_M);
+  return { points: [from, ...xy.map(proj.toGps), to], distanceM: found.cost };
+}
+
+/** Straight-line span of the layout bounds (m) — the progress scale when a leg has no start. */
+export function facilitySpanM(layout) {
+  const { minLat, maxLat, minLng, maxLng } = compileLayout(layout).bounds;
+  return haversineDistance(minLat, minLng, maxLat, maxLng);
+}
+
+// ============================================================================
+// SPEED / ETA
+// ============================================================================
+
+/** Below this a robot counts as stopped (m/s). */
+export const MIN_MOVING_SPEED_MPS = 0.05;
+
+/** Faster apparent speeds are GPS jumps, not movement (m/s). */
+export const MAX_ROBOT_SPEED_MPS = 5;
+
+/** Fixes further apart than this (ms) are not used to measure speed. */
+const SPEED_SAMPLE_MAX_GAP_MS = 30_000;
+
+/**
+ * Smoothed observed speed from two consecutive location fixes. Stationary
+ * samples are skipped so a robot waiting at a door keeps its travel speed.
+ *
+ * @param {number|null} previousSpeed - m/s
+ * @param {{lat: number, lng: number, ts: number}|null} prevFix
+ * @param {{lat: number, lng: number, ts: number}} fix
+ * @returns {number|null} m/s
+ */
+export function updateObservedSpeed(previousSpeed, prevFix, fix) {
+  if (!prevFix || prevFix.lat == null || fix.lat == null) return previousSpeed ?? null;
+  const dt = fix.ts - prevFix.ts;
+  if (!(dt > 0) || dt > SPEED_SAMPLE_MAX_GAP_MS) return previousSpeed ?? null;
+  const speed = haversineDistance(prevFix.lat, prevFix.lng, fix.lat, fix.lng) / (dt / 1000);
+  if (speed < MIN_MOVING_SPEED_MPS || speed > MAX_ROBOT_SPEED_MPS) return previousSpeed ?? null;
+  return previousSpeed == null ? speed : previousSpeed * 0.7 + speed * 0.3;
+}
+
+/**
+ * Pickup and drop-off points of a task: explicit coordinates, else the
+ * center of the named room.
+ *
+ * @returns {{source: ?{lat: number, lng: number}, destination: ?{lat: number, lng: number}, sourceRoom: ?string, destinationRoom: ?string}}
+ */
+export function getTaskEndpoints(task, layout) {
+  const srcResolved = resolveRoom(task?.["initiate location"] || null, layout);
+  const dstResolved = resolveRoom(task?.destination || null, layout);
+  const point = (lat, lng, resolved) => {
+    const pLat = lat ?? resolved?.room.center.lat ?? null;
+    const pLng = lng ?? resolved?.room.center.lng ?? null;
+    return pLat != null && pLng != null ? { lat: pLat, lng: pLng } : null;
+  };
+  return {
+    source: point(task?.source_lat, task?.source_lng, srcResolved),
+    destination: point(task?.destination_lat, task?.destination_lng, dstResolved),
+    sourceRoom: srcResolved?.name ?? null,
+    destinationRoom: dstResolved?.name ?? null,
+  };
+}
+
+// ============================================================================
+// MULTI-STOP TASKS
+// ============================================================================
+//
+// A task may carry an ordered `stops` list — `{ type: "pickup" | "drop",
+// location, lat?, lng? }` — and a `stopIndex` (the stop it is working on).
+// Each stop reuses the single-stop phases: EN_ROUTE_TO_SOURCE / PICKING_UP
+// for pickups, EN_ROUTE_TO_DESTINATION / DELIVERING for drops. Stops record
+// `arrivedAt` and `completedAt`. Tasks without `stops` are treated as a
+// pickup at 'initiate location' (when it resolves) and a drop at destination.
+
+export const STOP_TYPES = {
+  PICKUP: "pickup",
+  DROP: "drop",
+};
+
+/** Whether a task carries its own `stops` list. */
+export function isMultiStopTask(task) {
+  return Array.isArray(task?.stops) && task.stops.length > 0;
+}
+
+/**
+ * Ordered stops of a task with resolved room names and coordinates.
+ *
+ * @returns {Array<{type: string, location: ?string, room: ?string, point: ?{lat: number, lng: number}, arrivedAt: ?number, completedAt: ?number}>}
+ */
+export function getTaskStops(task, layout) {
+  const stop = (type, location, lat, lng, arrivedAt, completedAt) => {
+    const resolved = resolveRoom(location || null, layout);
+    const pLat = lat ?? resolved?.room.center.lat ?? null;
+    const pLng = lng ?? resolved?.room.center.lng ?? null;
+    return {
+      type,
+      location: location || null,
+      room: resolved?.name ?? null,
+      point: pLat != null && pLng != null ? { lat: pLat, lng: pLng } : null,
+      arrivedAt: arrivedAt ?? null,
+      completedAt: completedAt ?? null,
+    };
+  };
+
+  if (isMultiStopTask(task)) {
+    return task.stops.map((s) =>
+      stop(
+        s.type === STOP_TYPES.DROP ? STOP_TYPES.DROP : STOP_TYPES.PICKUP,
+        s.location ?? s.room,
+        s.lat,
+        s.lng,
+        s.arrivedAt,
+        s.completedAt,
+      ),
+    );
+  }
+
+  const pickup = stop(STOP_TYPES.PICKUP, task?.["initiate location"], task?.source_lat, task?.source_lng, task?.sourceArrivedAt, task?.pickedUpAt);
+  const drop = stop(STOP_TYPES.DROP, task?.destination, task?.destination_lat, task?.destination_lng, task?.destinationArrivedAt, task?.deliveredAt);
+  return pickup.point || pickup.room ? [pickup, drop] : [drop];
+}
+
+/** Index of the stop a task is working on. */
+export function currentStopIndex(task, stops) {
+  if (isMultiStopTask(task)) {
+    return Math.max(0, Math.min(stops.length - 1, Number(task.stopIndex) || 0));
+  }
+  const atPickup = [TASK_PHASES.ASSIGNED, TASK_PHASES.EN_ROUTE_TO_SOURCE, TASK_PHASES.PICKING_UP].includes(task?.phase);
+  return atPickup ? 0 : stops.length - 1;
+}
+
+/** Phase while travelling to a stop. */
+export function travelPhaseFor(stop) {
+  return stop?.type === STOP_TYPES.PICKUP ? TASK_PHASES.EN_ROUTE_TO_SOURCE : TASK_PHASES.EN_ROUTE_TO_DESTINATION;
+}
+
+/** Phase while working at a stop. */
+export function dwellPhaseFor(stop) {
+  return stop?.type === STOP_TYPES.PICKUP ? TASK_PHASES.PICKING_UP : TASK_PHASES.DELIVERING;
+}
+
+export function isTravelPhase(phase) {
+  return phase === TASK_PHASES.EN_ROUTE_TO_SOURCE || phase === TASK_PHASES.EN_ROUTE_TO_DESTINATION;
+}
+
+/**
+ * The task after the robot reached stop `index`: dwell phase, `arrivedAt` on
+ * the stop. sourceArrivedAt / destinationArrivedAt keep the first pickup and
+ * the last drop, as for single-stop tasks.
+ */
+export function arriveAtStop(task, index, now, layout) {
+  const stops = getTaskStops(task, layout);
+  const stop = stops[index];
+  const next = { ...task, phase: dwellPhaseFor(stop) };
+  if (isMultiStopTask(task)) {
+    next.stops = task.stops.map((s, i) => (i === index ? { ...s, arrivedAt: now } : s));
+    next.stopIndex = index;
+  }
+  if (stop.type === STOP_TYPES.PICKUP && next.sourceArrivedAt == null) next.sourceArrivedAt = now;
+  if (index === stops.length - 1) next.destinationArrivedAt = now;
+  return next;
+}
+
+/**
+ * The task after the robot finished stop `index`.
+ * @returns {{task: object, done: boolean}} `done` after the last stop —
+ *          otherwise `task` is travelling to the next stop
+ */
+export function leaveStop(task, index, now, layout) {
+  const stops = getTaskStops(task, layout);
+  const stop = stops[index];
+  const next = { ...task };
+  if (isMultiStopTask(task)) {
+    next.stops = task.stops.map((s, i) => (i === index ? { ...s, completedAt: now } : s));
+  }
+  if (stop.type === STOP_TYPES.PICKUP && next.pickedUpAt == null) next.pickedUpAt = now;
+  if (index === stops.length - 1) return { task: { ...next, deliveredAt: now }, done: true };
+  return { task: { ...next, stopIndex: index + 1, phase: travelPhaseFor(stops[index + 1]) }, done: false };
+}
+
+/** Route label, e.g. "Loading Bay → Storage → Cleanroom A". */
+export function taskRouteLabel(task) {
+  if (isMultiStopTask(task)) return task.stops.map((s) => s.location ?? s.room ?? "?").join(" → ");
+  return `${task?.["initiate location"] || "?"} → ${task?.destination || "?"}`;
+}
+
+/**
+ * Remaining route length and time to finish an active task.
+ *
+ * The remaining path is measured along the aisles (planRoute): to the current
+ * stop, then from stop to stop to the last drop. Every stop not yet finished
+ * adds AUTO_ADVANCE_DELAY_MS.
+ *
+ * @param {object} task
+ * @param {number|null} currentLat
+ * @param {number|null} currentLng
+ * @param {number|null} speedMps - observed speed (see updateObservedSpeed)
+ * @param {object} [layout]
+ * @returns {{remainingM: number, etaMs: number|null}|null} `etaMs` is null
+ *          until the robot's speed is known; null for finished tasks
+ */
+export function estimateTaskEta(task, currentLat, currentLng, speedMps, layout) {
+  const phase = task?.phase;
+  if (!phase || phase === TASK_PHASES.COMPLETED || phase === TASK_PHASES.FAILED) return null;
+
+  const stops = getTaskStops(task, layout);
+  const index = currentStopIndex(task, stops);
+  const here = currentLat != null && currentLng != null ? { lat: currentLat, lng: currentLng } : null;
+  const leg = (a, b) => (a && b ? planRoute(a, b, layout).distanceM : 0);
+
+  // Travelling: here → current stop. Working at a stop: on from it.
+  const atStop = phase === TASK_PHASES.PICKING_UP || phase === TASK_PHASES.DELIVERING;
+  let remainingM = atStop ? 0 : leg(here, stops[index].point);
+  let from = atStop ? here || stops[index].point : stops[index].point;
+  for (let i = index + 1; i < stops.length; i += 1) {
+    remainingM += leg(from, stops[i].point);
+    from = stops[i].point;
+  }
+  const waitMs = (stops.length - index) * AUTO_ADVANCE_DELAY_MS;
+
+  const etaMs = speedMps >= MIN_MOVING_SPEED_MPS ? Math.round((remainingM / speedMps) * 1000 + waitMs) : null;
+  return { remainingM: Math.round(remainingM), etaMs };
+}
+
 // ============================================================================
 // TASK ID GENERATOR
 // ============================================================================
@@ -216,65 +796,57 @@ export function generateTaskId() {
  * Calculate delivery progress (0–100) based on current phase and GPS position.
  *
  *  ASSIGNED                       →  0%
- *  EN_ROUTE_TO_SOURCE             →  0–45%  (GPS interpolation toward source)
+ *  EN_ROUTE_TO_SOURCE             →  0–45%  (share of the route to the source covered)
  *  PICKING_UP                     →  45–50%
- *  EN_ROUTE_TO_DESTINATION        →  50–90%  (GPS interpolation toward destination)
+ *  EN_ROUTE_TO_DESTINATION        →  50–90%  (share of the route to the destination covered)
  *  DELIVERING                     →  90–100%
  *  COMPLETED                      →  100%
+ *
+ * Multi-stop tasks split 0–100% evenly between their stops instead.
+ *
+ * Distances are measured along the aisles (planRoute). Room geofences and
+ * aisles come from `layout` (the default layout when omitted).
  */
-export function computePhaseProgress(task, currentLat, currentLng) {
+export function computePhaseProgress(task, currentLat, currentLng, layout) {
   if (!task) return 0;
   const phase = task.phase || TASK_PHASES.ASSIGNED;
 
   if (phase === TASK_PHASES.COMPLETED) return 100;
   if (phase === TASK_PHASES.FAILED) return task.progress ?? 0;
+  if (isMultiStopTask(task)) return multiStopProgress(task, currentLat, currentLng, layout);
 
-  // Room names for geofence-based progress snapping
-  const srcRoom = task["initiate location"] || task.source_name || null;
-  const dstRoom = task.destination || task.destination_name || null;
-
-  // Resolve GPS coordinates — fall back to room center if explicit lat/lng are missing
-  const srcResolved = resolveRoom(srcRoom);
-  const dstResolved = resolveRoom(dstRoom);
-  const srcCenter = srcResolved?.room.center ?? null;
-  const dstCenter = dstResolved?.room.center ?? null;
-  const srcRoomKey = srcResolved?.name ?? null;
-  const dstRoomKey = dstResolved?.name ?? null;
-
-  const srcLat = task.source_lat ?? task.src_lat ?? srcCenter?.lat ?? null;
-  const srcLng = task.source_lng ?? task.src_lng ?? srcCenter?.lng ?? null;
-  const dstLat =
-    task.destination_lat ?? task.dest_lat ?? dstCenter?.lat ?? null;
-  const dstLng =
-    task.destination_lng ?? task.dest_lng ?? dstCenter?.lng ?? null;
+  // Task fields are canonical (see utils/payloadSchema normalizeRobotTask)
+  const { source, destination, sourceRoom, destinationRoom } = getTaskEndpoints(task, layout);
 
   if (phase === TASK_PHASES.ASSIGNED) return 0;
 
+  const here = currentLat != null && currentLng != null ? { lat: currentLat, lng: currentLng } : null;
+
   // ---- EN_ROUTE_TO_SOURCE: 0–45% ----
   if (phase === TASK_PHASES.EN_ROUTE_TO_SOURCE) {
-    if (currentLat == null || currentLng == null) return 5;
-    if (srcRoomKey && isInsideRoom(currentLat, currentLng, srcRoomKey))
+    if (!here) return 5;
+    if (sourceRoom && isInsideRoom(currentLat, currentLng, sourceRoom, layout))
       return 44;
-    if (srcLat == null || srcLng == null) return 5;
-    const remaining = haversineDistance(currentLat, currentLng, srcLat, srcLng);
+    if (!source) return 5;
+    const remaining = planRoute(here, source, layout).distanceM;
     if (remaining < 1) return 44;
-    // Use start position if valid
-    const startLat = task.assignedAtLat;
-    const startLng = task.assignedAtLng;
+    // Measure against the route from where the robot was assigned, if valid
+    const start =
+      task.assignedAtLat != null && task.assignedAtLng != null
+        ? { lat: task.assignedAtLat, lng: task.assignedAtLng }
+        : null;
     const startIsValid =
-      startLat != null &&
-      startLng != null &&
-      (Math.abs(startLat) > 1 || Math.abs(startLng) > 1) &&
-      haversineDistance(startLat, startLng, srcLat, srcLng) < 2000;
+      start &&
+      (Math.abs(start.lat) > 1 || Math.abs(start.lng) > 1) &&
+      haversineDistance(start.lat, start.lng, source.lat, source.lng) < 2000;
     if (startIsValid) {
-      const totalLeg = haversineDistance(startLat, startLng, srcLat, srcLng);
+      const totalLeg = planRoute(start, source, layout).distanceM;
       if (totalLeg > 1) {
         const frac = Math.max(0, Math.min(1, 1 - remaining / totalLeg));
         return Math.round(frac * 45);
       }
     }
-    const MAX_FACILITY_M = 300;
-    const frac = Math.max(0, Math.min(1, 1 - remaining / MAX_FACILITY_M));
+    const frac = Math.max(0, Math.min(1, 1 - remaining / Math.max(remaining, facilitySpanM(layout))));
     return Math.max(2, Math.round(frac * 45));
   }
 
@@ -283,17 +855,14 @@ export function computePhaseProgress(task, currentLat, currentLng) {
 
   // ---- EN_ROUTE_TO_DESTINATION: 50–90% ----
   if (phase === TASK_PHASES.EN_ROUTE_TO_DESTINATION) {
-    if (currentLat == null || currentLng == null) return 55;
-    if (dstRoomKey && isInsideRoom(currentLat, currentLng, dstRoomKey))
+    if (!here) return 55;
+    if (destinationRoom && isInsideRoom(currentLat, currentLng, destinationRoom, layout))
       return 88;
-    if (dstLat == null || dstLng == null) return 55;
-    const remaining = haversineDistance(currentLat, currentLng, dstLat, dstLng);
+    if (!destination) return 55;
+    const remaining = planRoute(here, destination, layout).distanceM;
     if (remaining < 1) return 88;
-    let totalLeg = 0;
-    if (srcLat != null && srcLng != null) {
-      totalLeg = haversineDistance(srcLat, srcLng, dstLat, dstLng);
-    }
-    if (totalLeg < 5) totalLeg = 300;
+    let totalLeg = source ? planRoute(source, destination, layout).distanceM : 0;
+    if (totalLeg < 5) totalLeg = Math.max(remaining, facilitySpanM(layout));
     const frac = Math.max(0, Math.min(1, 1 - remaining / totalLeg));
     return Math.round(50 + frac * 40);
   }
@@ -304,6 +873,41 @@ export function computePhaseProgress(task, currentLat, currentLng) {
   return task.progress ?? 0;
 }
 
+/**
+ * Progress of a multi-stop task: each stop gets an equal share — 90% of it
+ * for the leg there (route covered from the previous stop), 10% for the work
+ * at the stop.
+ */
+function multiStopProgress(task, currentLat, currentLng, layout) {
+  const phase = task.phase || TASK_PHASES.ASSIGNED;
+  if (phase === TASK_PHASES.ASSIGNED) return 0;
+
+  const stops = getTaskStops(task, layout);
+  const index = currentStopIndex(task, stops);
+  const stop = stops[index];
+  const share = 100 / stops.length;
+  const base = index * share;
+
+  if (!isTravelPhase(phase)) return Math.round(base + share * 0.95);
+
+  const legShare = share * 0.9;
+  if (currentLat == null || currentLng == null || !stop.point) return Math.round(base);
+  if (stop.room && isInsideRoom(currentLat, currentLng, stop.room, layout)) return Math.round(base + legShare);
+
+  const here = { lat: currentLat, lng: currentLng };
+  const remaining = planRoute(here, stop.point, layout).distanceM;
+  // First leg starts where the robot was assigned, later legs at the previous stop
+  const assigned =
+    task.assignedAtLat != null && task.assignedAtLng != null && (Math.abs(task.assignedAtLat) > 1 || Math.abs(task.assignedAtLng) > 1)
+      ? { lat: task.assignedAtLat, lng: task.assignedAtLng }
+      : null;
+  const start = index > 0 ? stops[index - 1].point : assigned;
+  let totalLeg = start ? planRoute(start, stop.point, layout).distanceM : 0;
+  if (totalLeg < 5) totalLeg = Math.max(remaining, facilitySpanM(layout));
+  const frac = Math.max(0, Math.min(1, 1 - remaining / totalLeg));
+  return Math.round(base + frac * legShare);
+}
+
 // ============================================================================
 // ORIGINAL HELPERS (kept for backward compat)
 // ============================================================================
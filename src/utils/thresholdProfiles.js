@@ -0,0 +1,338 @@
+/**
+ * Threshold Profiles
+ *
+ * Overrides of the global thresholds (Settings → Device Settings, read by
+ * getThresholds()) for one device, one room or one robot type, optionally
+ * limited to a time-of-day schedule — e.g. tighter Cleanroom A limits during
+ * production shifts.
+ *
+ * A profile only sets the fields it changes; everything else is inherited.
+ * resolveThresholds() layers the profiles that apply to a context over the
+ * global values, least specific first:
+ *   global → device → room → robot type
+ * Within one scope an always-on profile applies before a scheduled one, so a
+ * schedule refines the standing override while it is active. A profile that
+ * moves `max` without setting `critical` moves critical with it, the way the
+ * Settings page derives it (temperature and robot +4, humidity +15).
+ *
+ * A device's room is its registry zone; a robot's room is the room it is in
+ * (geofence), else its registry zone. Profiles are saved to localStorage
+ * `fabrix_threshold_profiles`.
+ *
+ * @module thresholdProfiles
+ */
+import { getThresholds, THRESHOLD_RANGES } from "./thresholds";
+
+const STORAGE_KEY = "fabrix_threshold_profiles";
+
+export const PROFILE_SCOPES = {
+  DEVICE: "device",
+  ROOM: "room",
+  ROBOT_TYPE: "robotType",
+};
+
+export const PROFILE_SCOPE_LABELS = {
+  [PROFILE_SCOPES.DEVICE]: "Device",
+  [PROFILE_SCOPES.ROOM]: "Room",
+  [PROFILE_SCOPES.ROBOT_TYPE]: "Robot type",
+};
+
+/** Inheritance order — later scopes override earlier ones. */
+const SCOPE_ORDER = [PROFILE_SCOPES.DEVICE, PROFILE_SCOPES.ROOM, PROFILE_SCOPES.ROBOT_TYPE];
+
+/** Threshold fields a profile can override. */
+export const THRESHOLD_FIELDS = [
+  { group: "temperature", key: "min", label: "Temp min" },
+  { group: "temperature", key: "max", label: "Temp max" },
+  { group: "temperature", key: "critical", label: "Temp critical" },
+  { group: "humidity", key: "min", label: "Humidity min" },
+  { group: "humidity", key: "max", label: "Humidity max" },
+  { group: "humidity", key: "critical", label: "Humidity critical" },
+  { group: "pressure", key: "min", label: "Pressure min" },
+  { group: "pressure", key: "max", label: "Pressure max" },
+  { group: "battery", key: "low", label: "Battery low" },
+  { group: "battery", key: "critical", label: "Battery critical" },
+  { group: "robotTemp", key: "min", label: "Robot temp min" },
+  { group: "robotTemp", key: "max", label: "Robot temp max" },
+  { group: "robotTemp", key: "critical", label: "Robot temp critical" },
+];
+
+/** `critical` follows an overridden `max` by this much unless set itself. */
+const CRITICAL_OFFSETS = { temperature: 4, humidity: 15, robotTemp: 4 };
+
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+let idCounter = 0;
+const newId = () => {
+  idCounter += 1;
+  return `profile-${Date.now().toString(36)}-${idCounter}`;
+};
+
+// ── Normalisation ────────────────────────────────────────────────
+
+const timeOfDay = (raw, fallback) => (/^([01]\d|2[0-3]):[0-5]\d$/.test(String(raw || "")) ? String(raw) : fallback);
+
+/** A schedule `{ days, start, end }`, or null for an always-on profile. */
+export function normalizeSchedule(raw) {
+  if (!raw) return null;
+  const days = Array.isArray(raw.days)
+    ? [...new Set(raw.days.map(Number).filter((d) => Number.isInteger(d) && d >= 0 && d <= 6))].sort()
+    : [0, 1, 2, 3, 4, 5, 6];
+  return { days, start: timeOfDay(raw.start, "06:00"), end: timeOfDay(raw.end, "18:00") };
+}
+
+/** Keep only the numeric overrides of known fields. */
+function normalizeOverrides(raw) {
+  const overrides = {};
+  THRESHOLD_FIELDS.forEach(({ group, key }) => {
+    const value = raw?.[group]?.[key];
+    if (value === "" || value == null || !Number.isFinite(Number(value))) return;
+    overrides[group] = { ...overrides[group], [key]: Number(value) };
+  });
+  return overrides;
+}
+
+export function normalizeThresholdProfile(raw) {
+  const scope = Object.values(PROFILE_SCOPES).includes(raw?.scope) ? raw.scope : PROFILE_SCOPES.ROOM;
+  return {
+    id: raw?.id || newId(),
+    name: String(raw?.name || "").trim() || "Threshold profile",
+    enabled: raw?.enabled !== false,
+    scope,
+    target: String(raw?.target || "").trim(),
+    schedule: normalizeSchedule(raw?.schedule),
+    overrides: normalizeOverrides(raw?.overrides),
+  };
+}
+
+// ── Resolution ───────────────────────────────────────────────────
+
+const minutesOfDay = (hhmm) => {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+};
+
+/**
+ * Whether a schedule is active at `date`. A window that runs past midnight
+ * belongs to the day it starts on.
+ */
+export function scheduleActive(schedule, date = new Date()) {
+  if (!schedule) return true;
+  const start = minutesOfDay(schedule.start);
+  const end = minutesOfDay(schedule.end);
+  const now = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+  if (start === end) return false;
+  if (start < end) return schedule.days.includes(day) && now >= start && now < end;
+  if (now >= start) return schedule.days.includes(day);
+  return now < end && schedule.days.includes((day + 6) % 7);
+}
+
+/**
+ * @param {object} profile - normalised
+ * @param {{deviceId?: string, room?: string, robotType?: string}} context
+ * @param {Date|null} [date] - null matches scheduled profiles at any time
+ */
+export function profileApplies(profile, context, date = new Date()) {
+  if (!profile.enabled || !profile.target) return false;
+  const subject = {
+    [PROFILE_SCOPES.DEVICE]: context.deviceId,
+    [PROFILE_SCOPES.ROOM]: context.room,
+    [PROFILE_SCOPES.ROBOT_TYPE]: context.robotType,
+  }[profile.scope];
+  return subject != null && String(subject).toLowerCase() === profile.target.toLowerCase() &&
+    (date === null || scheduleActive(profile.schedule, date));
+}
+
+/** The profiles that apply to a context, in the order they are layered. */
+export function applicableProfiles(profiles, context, date = new Date()) {
+  return (profiles || [])
+    .filter((profile) => profileApplies(profile, context, date))
+    .sort((a, b) => SCOPE_ORDER.indexOf(a.scope) - SCOPE_ORDER.indexOf(b.scope) || Number(!!a.schedule) - Number(!!b.schedule));
+}
+
+/** Layer one profile's overrides over `thresholds` (not mutated). */
+export function applyOverrides(thresholds, overrides) {
+  const next = { ...thresholds };
+  Object.entries(overrides || {}).forEach(([group, values]) => {
+    const merged = { ...next[group], ...values };
+    if (values.max != null && values.critical == null && CRITICAL_OFFSETS[group] != null) {
+      merged.critical = values.max + CRITICAL_OFFSETS[group];
+    }
+    next[group] = merged;
+  });
+  return next;
+}
+
+/**
+ * Effective thresholds for a context, with where each overridden value came from.
+ * @param {Array<object>} profiles - normalised profiles
+ * @param {{deviceId?: string, room?: string, robotType?: string}} [context]
+ * @param {{base?: object, date?: Date}} [options] - base defaults to getThresholds()
+ * @returns {{thresholds: object, profiles: Array<object>, sources: Object<string, string>}}
+ *          `sources` maps "group.key" to the name of the profile that set it
+ */
+export function explainThresholds(profiles, context = {}, { base = getThresholds(), date = new Date() } = {}) {
+  const applied = applicableProfiles(profiles, context, date);
+  const sources = {};
+  let thresholds = base;
+  applied.forEach((profile) => {
+    thresholds = applyOverrides(thresholds, profile.overrides);
+    Object.entries(profile.overrides).forEach(([group, values]) => {
+      Object.keys(values).forEach((key) => {
+        sources[`${group}.${key}`] = profile.name;
+      });
+      if (values.max != null && values.critical == null && CRITICAL_OFFSETS[group] != null) sources[`${group}.critical`] = profile.name;
+    });
+  });
+  return { thresholds, profiles: applied, sources };
+}
+
+/** Effective thresholds for a context (see explainThresholds). */
+export function resolveThresholds(profiles, context = {}, options = {}) {
+  return explainThresholds(profiles, context, options).thresholds;
+}
+
+/**
+ * Every device and registry robot as a context, for validation. Robots move,
+ * so each robot is checked in its registry zone and in every room a room
+ * profile targets; robots of one type on a device share their contexts.
+ * @param {Array<{id: string, name?: string, zone?: string, robots?: Array<object>}>} registry
+ * @param {Array<object>} [profiles] - normalised; their room targets
+ * @returns {Array<{label: string, deviceId: string, room?: string, robotType?: string}>}
+ */
+export function registryContexts(registry, profiles = []) {
+  const rooms = (profiles || [])
+    .filter((profile) => profile.scope === PROFILE_SCOPES.ROOM && profile.target)
+    .map((profile) => profile.target);
+
+  return (registry || []).flatMap((device) => {
+    const deviceLabel = device.name || device.id;
+    const seen = new Set();
+    const robotContexts = (device.robots || []).flatMap((robot) =>
+      [robot.zone, ...rooms]
+        .filter((room) => {
+          const key = `${robot.type}|${String(room ?? "").toLowerCase()}`;
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        })
+        .map((room) => ({
+          label: room === robot.zone
+            ? `${deviceLabel} / ${robot.name || robot.id}`
+            : `${deviceLabel} / ${robot.type || robot.name || robot.id} in ${room}`,
+          deviceId: device.id,
+          room,
+          robotType: robot.type,
+        })),
+    );
+    return [{ label: deviceLabel, deviceId: device.id, room: device.zone }, ...robotContexts];
+  });
+}
+
+// ── Validation ───────────────────────────────────────────────────
+
+/**
+ * Why a set of thresholds is inconsistent (min ≥ max, max ≥ critical,
+ * battery critical ≥ low), or null.
+ */
+export function thresholdProblem(thresholds) {
+  for (const group of ["temperature", "humidity", "pressure", "robotTemp"]) {
+    const t = thresholds[group];
+    if (!t) continue;
+    if (t.min >= t.max) return `${group} min (${t.min}) must be below max (${t.max})`;
+    if (t.critical != null && t.max >= t.critical) return `${group} max (${t.max}) must be below critical (${t.critical})`;
+  }
+  const battery = thresholds.battery;
+  if (battery && battery.critical >= battery.low) return `battery critical (${battery.critical}%) must be below low (${battery.low}%)`;
+  return null;
+}
+
+/**
+ * Why a profile cannot be saved, or null. Its own values must be in range, and
+ * the thresholds it produces over `base` must stay consistent.
+ * @param {object} profile - normalised
+ * @param {object} [base] - the global thresholds
+ */
+export function validateThresholdProfile(profile, base = getThresholds()) {
+  if (!profile.target) return `choose a ${PROFILE_SCOPE_LABELS[profile.scope].toLowerCase()}`;
+  if (profile.schedule) {
+    if (profile.schedule.days.length === 0) return "pick at least one day";
+    if (profile.schedule.start === profile.schedule.end) return "the schedule starts and ends at the same time";
+  }
+  const fields = Object.entries(profile.overrides);
+  if (fields.length === 0) return "override at least one threshold";
+  for (const [group, values] of fields) {
+    const range = THRESHOLD_RANGES[group];
+    for (const [key, value] of Object.entries(values)) {
+      if (value < range.absMin || value > range.absMax) return `${group} ${key} must be ${range.absMin}–${range.absMax} ${range.unit}`;
+    }
+  }
+  return thresholdProblem(applyOverrides(base, profile.overrides));
+}
+
+/**
+ * First problem across the profiles, prefixed with the profile's name — also
+ * used when the global thresholds change, since profiles inherit from them.
+ * For each of `contexts` (e.g. the selected device and its robots) the
+ * profiles that stack on it are checked together, schedules included
+ * whatever the time.
+ * @param {Array<object>} profiles - normalised
+ * @param {object} [base] - the global thresholds
+ * @param {Array<{label: string, deviceId?: string, room?: string, robotType?: string}>} [contexts]
+ * @returns {string|null}
+ */
+export function validateThresholdProfiles(profiles, base = getThresholds(), contexts = []) {
+  for (const profile of profiles) {
+    const error = validateThresholdProfile(profile, base);
+    if (error) return `${profile.name}: ${error}`;
+  }
+  for (const context of contexts) {
+    const stacked = applicableProfiles(profiles, context, null);
+    if (stacked.length < 2) continue;
+    const error = thresholdProblem(stacked.reduce((t, p) => applyOverrides(t, p.overrides), base));
+    if (error) return `${context.label} (${stacked.map((p) => p.name).join(" + ")}): ${error}`;
+  }
+  return null;
+}
+
+// ── Local cache ──────────────────────────────────────────────────
+
+export function loadThresholdProfiles() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed.map(normalizeThresholdProfile) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveThresholdProfiles(profiles) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+  } catch (e) {
+    console.error("[ThresholdProfiles] Failed to save profiles:", e);
+  }
+}
+
+export default {
+  PROFILE_SCOPES,
+  PROFILE_SCOPE_LABELS,
+  THRESHOLD_FIELDS,
+  WEEKDAYS,
+  normalizeSchedule,
+  normalizeThresholdProfile,
+  scheduleActive,
+  profileApplies,
+  applicableProfiles,
+  applyOverrides,
+  explainThresholds,
+  resolveThresholds,
+  registryContexts,
+  thresholdProblem,
+  validateThresholdProfile,
+  validateThresholdProfiles,
+  loadThresholdProfiles,
+  saveThresholdProfiles,
+};
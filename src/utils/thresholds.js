@@ -5,6 +5,11 @@
  * from localStorage. Every component that needs to color-code sensors
  * (DeviceContext, DeviceEnvironmentPanel, RobotFleetPanel, Settings, etc.)
  * should import from here instead of duplicating getThresholdsLocal().
+ *
+ * getThresholds() returns the global values. Devices, rooms and robot types
+ * can override them with threshold profiles (utils/thresholdProfiles.js);
+ * the severity helpers below take the effective thresholds of their context
+ * and fall back to the global ones.
  */
 
 // ── Fallback defaults (used when user has never saved settings) ──────────
@@ -16,6 +21,15 @@ export const DEFAULT_THRESHOLDS = {
   robotTemp: { min: 15, max: 45, critical: 49 },
 };
 
+// ── Allowed ranges (Settings and threshold profile validation) ───────────
+export const THRESHOLD_RANGES = {
+  temperature: { absMin: -50, absMax: 100, unit: "°C" },
+  humidity: { absMin: 0, absMax: 100, unit: "%" },
+  pressure: { absMin: 300, absMax: 1100, unit: "hPa" },
+  battery: { absMin: 0, absMax: 100, unit: "%" },
+  robotTemp: { absMin: -20, absMax: 120, unit: "°C" },
+};
+
 /**
  * Read the threshold configuration from localStorage.
  * Priority:
@@ -67,98 +81,106 @@ export function getThresholds() {
             parsed.thresholds.battery?.critical ??
             DEFAULT_THRESHOLDS.battery.critical,
         },
-        robotTemp: {
-          min:
-            parsed.robotThresholds?.tempMin ?? DEFAULT_THRESHOLDS.robotTemp.min,
-          max:
-            parsed.robotThresholds?.tempMax ?? DEFAULT_THRESHOLDS.robotTemp.max,
-          critical:
-            parsed.robotThresholds?.tempMax != null
-              ? Number(parsed.robotThresholds.tempMax) + 4
-              : DEFAULT_THRESHOLDS.robotTemp.critical,
-        },
+        robotTemp: robotTempFromSettings(parsed.robotThresholds),
       };
     }
 
     // 2️⃣  Build from raw Settings fields
-    const tMax = parsed.temperature?.max;
-    const hMax = parsed.humidity?.max;
-    const rtMax = parsed.robotThresholds?.tempMax;
-
-    return {
-      temperature: {
-        min: parsed.temperature?.min ?? DEFAULT_THRESHOLDS.temperature.min,
-        max: tMax ?? DEFAULT_THRESHOLDS.temperature.max,
-        critical:
-          tMax != null
-            ? Number(tMax) + 4
-            : DEFAULT_THRESHOLDS.temperature.critical,
-      },
-      humidity: {
-        min: parsed.humidity?.min ?? DEFAULT_THRESHOLDS.humidity.min,
-        max: hMax ?? DEFAULT_THRESHOLDS.humidity.max,
-        critical:
-          hMax != null
-            ? Number(hMax) + 15
-            : DEFAULT_THRESHOLDS.humidity.critical,
-      },
-      pressure: {
-        min: parsed.pressure?.min ?? DEFAULT_THRESHOLDS.pressure.min,
-        max: parsed.pressure?.max ?? DEFAULT_THRESHOLDS.pressure.max,
-      },
-      battery: {
-        low: parsed.battery?.min ?? DEFAULT_THRESHOLDS.battery.low,
-        critical:
-          parsed.battery?.critical ?? DEFAULT_THRESHOLDS.battery.critical,
-      },
-      robotTemp: {
-        min:
-          parsed.robotThresholds?.tempMin ?? DEFAULT_THRESHOLDS.robotTemp.min,
-        max: rtMax ?? DEFAULT_THRESHOLDS.robotTemp.max,
-        critical:
-          rtMax != null
-            ? Number(rtMax) + 4
-            : DEFAULT_THRESHOLDS.robotTemp.critical,
-      },
-    };
+    return thresholdsFromSettings(parsed);
   } catch (error) {
     console.error("[Thresholds] ❌ Failed to read settings:", error);
     return DEFAULT_THRESHOLDS;
   }
 }
 
+// ── Building from Settings fields ────────────────────────────────────────
+
+/** A filled-in Settings field as a number, else `fallback`. */
+function settingNumber(value, fallback) {
+  return value === "" || value == null ? fallback : Number(value);
+}
+
+/**
+ * Robot temperature thresholds from the Settings robot fields
+ * (`tempMin` / `tempMax`); critical is max + 4 °C.
+ */
+export function robotTempFromSettings(robotThresholds) {
+  const max = settingNumber(robotThresholds?.tempMax, null);
+  return {
+    min: settingNumber(robotThresholds?.tempMin, DEFAULT_THRESHOLDS.robotTemp.min),
+    max: max ?? DEFAULT_THRESHOLDS.robotTemp.max,
+    critical: max != null ? max + 4 : DEFAULT_THRESHOLDS.robotTemp.critical,
+  };
+}
+
+/**
+ * The full thresholds object from raw Settings fields — what the Settings
+ * page saves and checks threshold profiles against, and what getThresholds()
+ * falls back to. Critical levels are derived: temperature max + 4 °C,
+ * humidity max + 15 %.
+ *
+ * @param {object} settings - the Settings form (or its saved copy)
+ * @returns {{ temperature, humidity, pressure, battery, robotTemp }}
+ */
+export function thresholdsFromSettings(settings) {
+  const tMax = settingNumber(settings?.temperature?.max, null);
+  const hMax = settingNumber(settings?.humidity?.max, null);
+
+  return {
+    temperature: {
+      min: settingNumber(settings?.temperature?.min, DEFAULT_THRESHOLDS.temperature.min),
+      max: tMax ?? DEFAULT_THRESHOLDS.temperature.max,
+      critical: tMax != null ? tMax + 4 : DEFAULT_THRESHOLDS.temperature.critical,
+    },
+    humidity: {
+      min: settingNumber(settings?.humidity?.min, DEFAULT_THRESHOLDS.humidity.min),
+      max: hMax ?? DEFAULT_THRESHOLDS.humidity.max,
+      critical: hMax != null ? hMax + 15 : DEFAULT_THRESHOLDS.humidity.critical,
+    },
+    pressure: {
+      min: settingNumber(settings?.pressure?.min, DEFAULT_THRESHOLDS.pressure.min),
+      max: settingNumber(settings?.pressure?.max, DEFAULT_THRESHOLDS.pressure.max),
+    },
+    battery: {
+      low: settingNumber(settings?.battery?.min, DEFAULT_THRESHOLDS.battery.low),
+      critical: settingNumber(settings?.battery?.critical, DEFAULT_THRESHOLDS.battery.critical),
+    },
+    robotTemp: robotTempFromSettings(settings?.robotThresholds),
+  };
+}
+
 // ── Severity helpers ─────────────────────────────────────────────────────
 
 /** Device ambient temperature severity */
-export function getTemperatureStatus(temp) {
+export function getTemperatureStatus(temp, thresholds = getThresholds()) {
   if (temp == null) return "normal";
-  const t = getThresholds().temperature;
+  const t = thresholds.temperature;
   if (temp > t.critical) return "critical";
   if (temp > t.max || temp < t.min) return "warning";
   return "normal";
 }
 
 /** Device ambient humidity severity */
-export function getHumidityStatus(hum) {
+export function getHumidityStatus(hum, thresholds = getThresholds()) {
   if (hum == null) return "normal";
-  const t = getThresholds().humidity;
+  const t = thresholds.humidity;
   if (hum > t.critical) return "critical";
   if (hum > t.max || hum < t.min) return "warning";
   return "normal";
 }
 
 /** Device atmospheric pressure severity */
-export function getPressureStatus(pressure) {
+export function getPressureStatus(pressure, thresholds = getThresholds()) {
   if (pressure == null) return "normal";
-  const t = getThresholds().pressure;
+  const t = thresholds.pressure;
   if (pressure < t.min || pressure > t.max) return "critical";
   return "normal";
 }
 
 /** Robot body/motor temperature severity */
-export function getRobotTempStatus(temp) {
+export function getRobotTempStatus(temp, thresholds = getThresholds()) {
   if (temp == null) return "normal";
-  const t = getThresholds().robotTemp;
+  const t = thresholds.robotTemp;
   if (temp > t.critical) return "critical";
   if (temp < t.min) return "critical";
   if (temp > t.max) return "warning";
@@ -166,9 +188,9 @@ export function getRobotTempStatus(temp) {
 }
 
 /** Robot battery severity (uses user-defined warning & critical levels) */
-export function getBatteryStatus(pct) {
+export function getBatteryStatus(pct, thresholds = getThresholds()) {
   if (pct == null) return "normal";
-  const t = getThresholds().battery;
+  const t = thresholds.battery;
   if (pct <= t.critical) return "critical";
   if (pct <= t.low) return "warning";
   return "normal";
@@ -179,12 +201,13 @@ export function getBatteryStatus(pct) {
  * using user-defined thresholds for label assignment.
  *
  * @param {number} batteryPct  0-100
+ * @param {object} [thresholds]  effective thresholds (defaults to the global ones)
  * @returns {{ score: number, label: string, pct: number, status: string }}
  */
-export function computeRobotHealthFromSettings(batteryPct) {
+export function computeRobotHealthFromSettings(batteryPct, thresholds = getThresholds()) {
   const pct = Math.max(0, Math.min(100, Number(batteryPct) || 0));
   const score = +(pct / 100).toFixed(3);
-  const t = getThresholds().battery;
+  const t = thresholds.battery;
 
   let label = "Unknown";
   let status = "normal";